@@ -1,832 +1,960 @@
 export const abi = [
 	{
+		"type": "constructor",
 		"inputs": [
 			{
-				"internalType": "address",
 				"name": "router",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"stateMutability": "nonpayable",
-		"type": "constructor"
+		"stateMutability": "nonpayable"
 	},
 	{
-		"inputs": [
-			{
-				"internalType": "uint64",
-				"name": "destinationChainSelector",
-				"type": "uint64"
-			}
-		],
-		"name": "DestinationChainNotAllowlisted",
-		"type": "error"
-	},
-	{
-		"inputs": [],
-		"name": "FailedDeployment",
-		"type": "error"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "uint256",
-				"name": "balance",
-				"type": "uint256"
-			},
-			{
-				"internalType": "uint256",
-				"name": "needed",
-				"type": "uint256"
-			}
-		],
-		"name": "InsufficientBalance",
-		"type": "error"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "address",
-				"name": "router",
-				"type": "address"
-			}
-		],
-		"name": "InvalidRouter",
-		"type": "error"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "bytes32",
-				"name": "messageId",
-				"type": "bytes32"
-			}
-		],
-		"name": "MessageNotFailed",
-		"type": "error"
-	},
-	{
-		"inputs": [
-			{
-				"internalType": "uint256",
-				"name": "currentBalance",
-				"type": "uint256"
-			},
-			{
-				"internalType": "uint256",
-				"name": "calculatedFees",
-				"type": "uint256"
-			}
-		],
-		"name": "NotEnoughBalance",
-		"type": "error"
+		"type": "receive",
+		"stateMutability": "payable"
 	},
 	{
+		"type": "function",
+		"name": "MAX_GAS_LIMIT",
 		"inputs": [],
-		"name": "OnlySelf",
-		"type": "error"
-	},
-	{
-		"inputs": [
+		"outputs": [
 			{
-				"internalType": "uint64",
-				"name": "sourceChainSelector",
-				"type": "uint64"
+				"name": "",
+				"type": "uint256",
+				"internalType": "uint256"
 			}
 		],
-		"name": "SourceChainNotAllowed",
-		"type": "error"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "MIN_GAS_LIMIT",
 		"inputs": [],
-		"name": "Unauthorized",
-		"type": "error"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "sender",
-				"type": "address"
-			},
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "target",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "value",
-				"type": "uint256"
-			},
-			{
-				"indexed": false,
-				"internalType": "bytes",
-				"name": "data",
-				"type": "bytes"
-			}
-		],
-		"name": "CrossTxExecuted",
-		"type": "event"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "user",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "address",
-				"name": "token",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "amount",
-				"type": "uint256"
-			}
-		],
-		"name": "ERC20EscrowRescued",
-		"type": "event"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "token",
-				"type": "address"
-			},
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "sender",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "amount",
-				"type": "uint256"
-			}
-		],
-		"name": "ERC20Received",
-		"type": "event"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "user",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "amount",
-				"type": "uint256"
-			}
-		],
-		"name": "EscrowRescued",
-		"type": "event"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "executor",
-				"type": "address"
-			},
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "target",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "uint256",
-				"name": "deadline",
-				"type": "uint256"
-			}
-		],
-		"name": "ExecutorCreated",
-		"type": "event"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "executor",
-				"type": "address"
-			},
-			{
-				"indexed": false,
-				"internalType": "bool",
-				"name": "success",
-				"type": "bool"
-			}
-		],
-		"name": "ExecutorExecuted",
-		"type": "event"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "bytes32",
-				"name": "messageId",
-				"type": "bytes32"
-			},
-			{
-				"indexed": false,
-				"internalType": "bytes",
-				"name": "reason",
-				"type": "bytes"
-			}
-		],
-		"name": "MessageFailed",
-		"type": "event"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "bytes32",
-				"name": "messageId",
-				"type": "bytes32"
-			}
-		],
-		"name": "MessageRecovered",
-		"type": "event"
-	},
-	{
-		"anonymous": false,
-		"inputs": [
-			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "previousOwner",
-				"type": "address"
-			},
+		"outputs": [
 			{
-				"indexed": true,
-				"internalType": "address",
-				"name": "newOwner",
-				"type": "address"
+				"name": "",
+				"type": "uint256",
+				"internalType": "uint256"
 			}
 		],
-		"name": "OwnershipTransferred",
-		"type": "event"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "allowlistDestinationChain",
 		"inputs": [
 			{
-				"internalType": "uint64",
 				"name": "_destinationChainSelector",
-				"type": "uint64"
+				"type": "uint64",
+				"internalType": "uint64"
 			},
 			{
-				"internalType": "bool",
 				"name": "allowed",
-				"type": "bool"
+				"type": "bool",
+				"internalType": "bool"
 			}
 		],
-		"name": "allowlistDestinationChain",
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
+		"type": "function",
+		"name": "allowlistSourceChain",
 		"inputs": [
 			{
-				"internalType": "uint64",
 				"name": "_sourceChainSelector",
-				"type": "uint64"
+				"type": "uint64",
+				"internalType": "uint64"
 			},
 			{
-				"internalType": "bool",
 				"name": "allowed",
-				"type": "bool"
+				"type": "bool",
+				"internalType": "bool"
 			}
 		],
-		"name": "allowlistSourceChain",
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
+		"type": "function",
+		"name": "allowlistedDestinationChains",
 		"inputs": [
 			{
-				"internalType": "uint64",
 				"name": "",
-				"type": "uint64"
+				"type": "uint64",
+				"internalType": "uint64"
 			}
 		],
-		"name": "allowlistedDestinationChains",
 		"outputs": [
 			{
-				"internalType": "bool",
 				"name": "",
-				"type": "bool"
+				"type": "bool",
+				"internalType": "bool"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "allowlistedSourceChains",
 		"inputs": [
 			{
-				"internalType": "uint64",
 				"name": "",
-				"type": "uint64"
+				"type": "uint64",
+				"internalType": "uint64"
 			}
 		],
-		"name": "allowlistedSourceChains",
 		"outputs": [
 			{
-				"internalType": "bool",
 				"name": "",
-				"type": "bool"
+				"type": "bool",
+				"internalType": "bool"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "ccipReceive",
 		"inputs": [
 			{
+				"name": "any2EvmMessage",
+				"type": "tuple",
+				"internalType": "struct Client.Any2EVMMessage",
 				"components": [
 					{
-						"internalType": "bytes32",
 						"name": "messageId",
-						"type": "bytes32"
+						"type": "bytes32",
+						"internalType": "bytes32"
 					},
 					{
-						"internalType": "uint64",
 						"name": "sourceChainSelector",
-						"type": "uint64"
+						"type": "uint64",
+						"internalType": "uint64"
 					},
 					{
-						"internalType": "bytes",
 						"name": "sender",
-						"type": "bytes"
+						"type": "bytes",
+						"internalType": "bytes"
 					},
 					{
-						"internalType": "bytes",
 						"name": "data",
-						"type": "bytes"
+						"type": "bytes",
+						"internalType": "bytes"
 					},
 					{
+						"name": "destTokenAmounts",
+						"type": "tuple[]",
+						"internalType": "struct Client.EVMTokenAmount[]",
 						"components": [
 							{
-								"internalType": "address",
 								"name": "token",
-								"type": "address"
+								"type": "address",
+								"internalType": "address"
 							},
 							{
-								"internalType": "uint256",
 								"name": "amount",
-								"type": "uint256"
+								"type": "uint256",
+								"internalType": "uint256"
 							}
-						],
-						"internalType": "struct Client.EVMTokenAmount[]",
-						"name": "destTokenAmounts",
-						"type": "tuple[]"
+						]
 					}
-				],
-				"internalType": "struct Client.Any2EVMMessage",
-				"name": "any2EvmMessage",
-				"type": "tuple"
+				]
 			}
 		],
-		"name": "ccipReceive",
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
+		"type": "function",
+		"name": "emergencyWithdraw",
 		"inputs": [
 			{
-				"internalType": "address",
 				"name": "beneficiary",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"name": "emergencyWithdraw",
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
+		"type": "function",
+		"name": "emergencyWithdrawToken",
 		"inputs": [
 			{
-				"internalType": "address",
 				"name": "beneficiary",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			},
 			{
-				"internalType": "address",
 				"name": "token",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"name": "emergencyWithdrawToken",
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
+		"type": "function",
+		"name": "estimateFee",
 		"inputs": [
 			{
-				"internalType": "uint64",
 				"name": "destinationChainSelector",
-				"type": "uint64"
+				"type": "uint64",
+				"internalType": "uint64"
 			},
 			{
-				"internalType": "address",
 				"name": "receiver",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			},
 			{
-				"internalType": "address",
 				"name": "targetContract",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			},
 			{
-				"internalType": "uint256",
 				"name": "value",
-				"type": "uint256"
+				"type": "uint256",
+				"internalType": "uint256"
 			},
 			{
-				"internalType": "address[]",
 				"name": "tokenAddresses",
-				"type": "address[]"
+				"type": "address[]",
+				"internalType": "address[]"
 			},
 			{
-				"internalType": "uint256[]",
 				"name": "tokenAmounts",
-				"type": "uint256[]"
+				"type": "uint256[]",
+				"internalType": "uint256[]"
 			},
 			{
-				"internalType": "bytes",
 				"name": "callData",
-				"type": "bytes"
+				"type": "bytes",
+				"internalType": "bytes"
+			},
+			{
+				"name": "gasLimit",
+				"type": "uint256",
+				"internalType": "uint256"
 			}
 		],
-		"name": "estimateFee",
 		"outputs": [
 			{
-				"internalType": "uint256",
 				"name": "",
-				"type": "uint256"
+				"type": "uint256",
+				"internalType": "uint256"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "getFailedMessages",
 		"inputs": [
 			{
-				"internalType": "uint256",
 				"name": "offset",
-				"type": "uint256"
+				"type": "uint256",
+				"internalType": "uint256"
 			},
 			{
-				"internalType": "uint256",
 				"name": "limit",
-				"type": "uint256"
+				"type": "uint256",
+				"internalType": "uint256"
 			}
 		],
-		"name": "getFailedMessages",
 		"outputs": [
 			{
+				"name": "",
+				"type": "tuple[]",
+				"internalType": "struct YieldMaxCCIP.FailedMessage[]",
 				"components": [
 					{
-						"internalType": "bytes32",
 						"name": "messageId",
-						"type": "bytes32"
+						"type": "bytes32",
+						"internalType": "bytes32"
 					},
 					{
-						"internalType": "enum YieldMaxCCIP.ErrorCode",
 						"name": "errorCode",
-						"type": "uint8"
+						"type": "uint8",
+						"internalType": "enum YieldMaxCCIP.ErrorCode"
 					}
-				],
-				"internalType": "struct YieldMaxCCIP.FailedMessage[]",
-				"name": "",
-				"type": "tuple[]"
+				]
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
-		"inputs": [],
+		"type": "function",
 		"name": "getRouter",
+		"inputs": [],
 		"outputs": [
 			{
-				"internalType": "address",
 				"name": "",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
-		"inputs": [],
+		"type": "function",
+		"name": "isMulticallContract",
+		"inputs": [
+			{
+				"name": "",
+				"type": "address",
+				"internalType": "address"
+			}
+		],
+		"outputs": [
+			{
+				"name": "",
+				"type": "bool",
+				"internalType": "bool"
+			}
+		],
+		"stateMutability": "view"
+	},
+	{
+		"type": "function",
 		"name": "owner",
+		"inputs": [],
 		"outputs": [
 			{
-				"internalType": "address",
 				"name": "",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "pendingEscrowERC20",
 		"inputs": [
 			{
-				"internalType": "address",
 				"name": "",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			},
 			{
-				"internalType": "address",
 				"name": "",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"name": "pendingEscrowERC20",
 		"outputs": [
 			{
-				"internalType": "uint256",
 				"name": "",
-				"type": "uint256"
+				"type": "uint256",
+				"internalType": "uint256"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "pendingEscrowNative",
 		"inputs": [
 			{
-				"internalType": "address",
 				"name": "",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"name": "pendingEscrowNative",
 		"outputs": [
 			{
-				"internalType": "uint256",
 				"name": "",
-				"type": "uint256"
+				"type": "uint256",
+				"internalType": "uint256"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "predictExecutorAddress",
 		"inputs": [
 			{
+				"name": "sender",
+				"type": "address",
+				"internalType": "address"
+			}
+		],
+		"outputs": [
+			{
+				"name": "",
+				"type": "address",
+				"internalType": "address"
+			}
+		],
+		"stateMutability": "view"
+	},
+	{
+		"type": "function",
+		"name": "processMessage",
+		"inputs": [
+			{
+				"name": "any2EvmMessage",
+				"type": "tuple",
+				"internalType": "struct Client.Any2EVMMessage",
 				"components": [
 					{
-						"internalType": "bytes32",
 						"name": "messageId",
-						"type": "bytes32"
+						"type": "bytes32",
+						"internalType": "bytes32"
 					},
 					{
-						"internalType": "uint64",
 						"name": "sourceChainSelector",
-						"type": "uint64"
+						"type": "uint64",
+						"internalType": "uint64"
 					},
 					{
-						"internalType": "bytes",
 						"name": "sender",
-						"type": "bytes"
+						"type": "bytes",
+						"internalType": "bytes"
 					},
 					{
-						"internalType": "bytes",
 						"name": "data",
-						"type": "bytes"
+						"type": "bytes",
+						"internalType": "bytes"
 					},
 					{
+						"name": "destTokenAmounts",
+						"type": "tuple[]",
+						"internalType": "struct Client.EVMTokenAmount[]",
 						"components": [
 							{
-								"internalType": "address",
 								"name": "token",
-								"type": "address"
+								"type": "address",
+								"internalType": "address"
 							},
 							{
-								"internalType": "uint256",
 								"name": "amount",
-								"type": "uint256"
+								"type": "uint256",
+								"internalType": "uint256"
 							}
-						],
-						"internalType": "struct Client.EVMTokenAmount[]",
-						"name": "destTokenAmounts",
-						"type": "tuple[]"
+						]
 					}
-				],
-				"internalType": "struct Client.Any2EVMMessage",
-				"name": "any2EvmMessage",
-				"type": "tuple"
+				]
 			}
 		],
-		"name": "processMessage",
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
+		"type": "function",
+		"name": "rescueERC20Escrow",
 		"inputs": [
 			{
-				"internalType": "address",
 				"name": "token",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"name": "rescueERC20Escrow",
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
-		"inputs": [],
+		"type": "function",
 		"name": "rescueEscrow",
+		"inputs": [],
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
+		"type": "function",
+		"name": "retryFailedMessage",
 		"inputs": [
 			{
-				"internalType": "bytes32",
 				"name": "messageId",
-				"type": "bytes32"
+				"type": "bytes32",
+				"internalType": "bytes32"
 			},
 			{
-				"internalType": "address",
 				"name": "tokenReceiver",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"name": "retryFailedMessage",
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
+		"type": "function",
+		"name": "s_messageContents",
 		"inputs": [
 			{
-				"internalType": "bytes32",
 				"name": "messageId",
-				"type": "bytes32"
+				"type": "bytes32",
+				"internalType": "bytes32"
 			}
 		],
-		"name": "s_messageContents",
 		"outputs": [
 			{
-				"internalType": "bytes32",
 				"name": "messageId",
-				"type": "bytes32"
+				"type": "bytes32",
+				"internalType": "bytes32"
 			},
 			{
-				"internalType": "uint64",
 				"name": "sourceChainSelector",
-				"type": "uint64"
+				"type": "uint64",
+				"internalType": "uint64"
 			},
 			{
-				"internalType": "bytes",
 				"name": "sender",
-				"type": "bytes"
+				"type": "bytes",
+				"internalType": "bytes"
 			},
 			{
-				"internalType": "bytes",
 				"name": "data",
-				"type": "bytes"
+				"type": "bytes",
+				"internalType": "bytes"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "sendCrossChainExecution",
 		"inputs": [
 			{
-				"internalType": "uint64",
 				"name": "destinationChainSelector",
-				"type": "uint64"
+				"type": "uint64",
+				"internalType": "uint64"
 			},
 			{
-				"internalType": "address",
 				"name": "receiver",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			},
 			{
-				"internalType": "address",
 				"name": "targetContract",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			},
 			{
-				"internalType": "uint256",
 				"name": "value",
-				"type": "uint256"
+				"type": "uint256",
+				"internalType": "uint256"
 			},
 			{
-				"internalType": "address[]",
 				"name": "tokenAddresses",
-				"type": "address[]"
+				"type": "address[]",
+				"internalType": "address[]"
 			},
 			{
-				"internalType": "uint256[]",
 				"name": "tokenAmounts",
-				"type": "uint256[]"
+				"type": "uint256[]",
+				"internalType": "uint256[]"
 			},
 			{
-				"internalType": "bytes",
 				"name": "callData",
-				"type": "bytes"
+				"type": "bytes",
+				"internalType": "bytes"
+			},
+			{
+				"name": "gasLimit",
+				"type": "uint256",
+				"internalType": "uint256"
 			}
 		],
-		"name": "sendCrossChainExecution",
 		"outputs": [],
-		"stateMutability": "payable",
-		"type": "function"
+		"stateMutability": "payable"
 	},
 	{
+		"type": "function",
+		"name": "setMulticallContract",
 		"inputs": [
 			{
-				"internalType": "bytes4",
-				"name": "interfaceId",
-				"type": "bytes4"
+				"name": "contractAddress",
+				"type": "address",
+				"internalType": "address"
+			},
+			{
+				"name": "_isMulticall",
+				"type": "bool",
+				"internalType": "bool"
 			}
 		],
+		"outputs": [],
+		"stateMutability": "nonpayable"
+	},
+	{
+		"type": "function",
 		"name": "supportsInterface",
+		"inputs": [
+			{
+				"name": "interfaceId",
+				"type": "bytes4",
+				"internalType": "bytes4"
+			}
+		],
 		"outputs": [
 			{
-				"internalType": "bool",
 				"name": "",
-				"type": "bool"
+				"type": "bool",
+				"internalType": "bool"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
+		"type": "function",
+		"name": "transferOwnership",
 		"inputs": [
 			{
-				"internalType": "address",
 				"name": "newOwner",
-				"type": "address"
+				"type": "address",
+				"internalType": "address"
 			}
 		],
-		"name": "transferOwnership",
 		"outputs": [],
-		"stateMutability": "nonpayable",
-		"type": "function"
+		"stateMutability": "nonpayable"
 	},
 	{
+		"type": "function",
+		"name": "usedPayloads",
 		"inputs": [
 			{
-				"internalType": "bytes32",
 				"name": "",
-				"type": "bytes32"
+				"type": "bytes32",
+				"internalType": "bytes32"
 			}
 		],
-		"name": "usedPayloads",
 		"outputs": [
 			{
-				"internalType": "bool",
 				"name": "",
-				"type": "bool"
+				"type": "bool",
+				"internalType": "bool"
 			}
 		],
-		"stateMutability": "view",
-		"type": "function"
+		"stateMutability": "view"
 	},
 	{
-		"stateMutability": "payable",
-		"type": "receive"
+		"type": "event",
+		"name": "CrossTxExecuted",
+		"inputs": [
+			{
+				"name": "sender",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "target",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "value",
+				"type": "uint256",
+				"indexed": false,
+				"internalType": "uint256"
+			},
+			{
+				"name": "data",
+				"type": "bytes",
+				"indexed": false,
+				"internalType": "bytes"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "event",
+		"name": "ERC20EscrowRescued",
+		"inputs": [
+			{
+				"name": "user",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "token",
+				"type": "address",
+				"indexed": false,
+				"internalType": "address"
+			},
+			{
+				"name": "amount",
+				"type": "uint256",
+				"indexed": false,
+				"internalType": "uint256"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "event",
+		"name": "ERC20Received",
+		"inputs": [
+			{
+				"name": "token",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "sender",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "amount",
+				"type": "uint256",
+				"indexed": false,
+				"internalType": "uint256"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "event",
+		"name": "EscrowRescued",
+		"inputs": [
+			{
+				"name": "user",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "amount",
+				"type": "uint256",
+				"indexed": false,
+				"internalType": "uint256"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "event",
+		"name": "ExecutorCreated",
+		"inputs": [
+			{
+				"name": "executor",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "target",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "deadline",
+				"type": "uint256",
+				"indexed": false,
+				"internalType": "uint256"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "event",
+		"name": "ExecutorExecuted",
+		"inputs": [
+			{
+				"name": "executor",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "success",
+				"type": "bool",
+				"indexed": false,
+				"internalType": "bool"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "event",
+		"name": "ExecutorReused",
+		"inputs": [
+			{
+				"name": "executor",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "target",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "deadline",
+				"type": "uint256",
+				"indexed": false,
+				"internalType": "uint256"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "event",
+		"name": "MessageFailed",
+		"inputs": [
+			{
+				"name": "messageId",
+				"type": "bytes32",
+				"indexed": true,
+				"internalType": "bytes32"
+			},
+			{
+				"name": "reason",
+				"type": "bytes",
+				"indexed": false,
+				"internalType": "bytes"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "event",
+		"name": "MessageRecovered",
+		"inputs": [
+			{
+				"name": "messageId",
+				"type": "bytes32",
+				"indexed": true,
+				"internalType": "bytes32"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "event",
+		"name": "OwnershipTransferred",
+		"inputs": [
+			{
+				"name": "previousOwner",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			},
+			{
+				"name": "newOwner",
+				"type": "address",
+				"indexed": true,
+				"internalType": "address"
+			}
+		],
+		"anonymous": false
+	},
+	{
+		"type": "error",
+		"name": "DestinationChainNotAllowlisted",
+		"inputs": [
+			{
+				"name": "destinationChainSelector",
+				"type": "uint64",
+				"internalType": "uint64"
+			}
+		]
+	},
+	{
+		"type": "error",
+		"name": "GasLimitTooHigh",
+		"inputs": [
+			{
+				"name": "provided",
+				"type": "uint256",
+				"internalType": "uint256"
+			},
+			{
+				"name": "maximum",
+				"type": "uint256",
+				"internalType": "uint256"
+			}
+		]
+	},
+	{
+		"type": "error",
+		"name": "GasLimitTooLow",
+		"inputs": [
+			{
+				"name": "provided",
+				"type": "uint256",
+				"internalType": "uint256"
+			},
+			{
+				"name": "minimum",
+				"type": "uint256",
+				"internalType": "uint256"
+			}
+		]
+	},
+	{
+		"type": "error",
+		"name": "InvalidRouter",
+		"inputs": [
+			{
+				"name": "router",
+				"type": "address",
+				"internalType": "address"
+			}
+		]
+	},
+	{
+		"type": "error",
+		"name": "MessageNotFailed",
+		"inputs": [
+			{
+				"name": "messageId",
+				"type": "bytes32",
+				"internalType": "bytes32"
+			}
+		]
+	},
+	{
+		"type": "error",
+		"name": "NotEnoughBalance",
+		"inputs": [
+			{
+				"name": "currentBalance",
+				"type": "uint256",
+				"internalType": "uint256"
+			},
+			{
+				"name": "calculatedFees",
+				"type": "uint256",
+				"internalType": "uint256"
+			}
+		]
+	},
+	{
+		"type": "error",
+		"name": "OnlySelf",
+		"inputs": []
+	},
+	{
+		"type": "error",
+		"name": "SourceChainNotAllowed",
+		"inputs": [
+			{
+				"name": "sourceChainSelector",
+				"type": "uint64",
+				"internalType": "uint64"
+			}
+		]
+	},
+	{
+		"type": "error",
+		"name": "Unauthorized",
+		"inputs": []
 	}
 ]
\ No newline at end of file
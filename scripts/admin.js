@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const RevertDecoder = require('./revert-decoder');
+const TransactionEncoder = require('./encode-transactions');
+const ERC20ApprovalUtility = require('./erc20-approval-utility');
+const { FailedMessageInspector } = require('./failed-messages');
+const { MULTICALL3_ADDRESS } = require('./multicall-composer');
+const { takeFormat, takeOption, takeFlag, toPlain, printResult } = require('./cli-output');
+
+/**
+ * YieldMax Admin
+ * Owner operations on YieldMaxCCIP: reads the state a call would touch, shows the change
+ * as a before/after diff, simulates it from owner() and only sends it from a signer that
+ * is the owner.
+ */
+
+class YieldMaxAdmin {
+    /**
+     * @param {string} chainName - registry chain the YieldMax is deployed on
+     * @param {object} options - { provider, rpcUrl, yieldMax }
+     */
+    constructor(chainName, options = {}) {
+        this.chain = ChainRegistry.get(chainName);
+        this.provider = options.provider || new ethers.providers.JsonRpcProvider(options.rpcUrl || this.chain.rpc);
+        this.yieldMax = ethers.utils.getAddress(ChainRegistry.resolveDeployment(this.chain.key, options, 'pass --yieldmax <address>').yieldMax);
+        this.contract = YieldMaxSDK.connect(this.yieldMax, this.provider);
+        this.encoder = new TransactionEncoder();
+        this.tokens = new ERC20ApprovalUtility(this.provider);
+    }
+
+    chainLabel(selector) {
+        const chain = ChainRegistry.bySelector(selector.toString());
+        return chain ? `${chain.name} (${selector})` : selector.toString();
+    }
+
+    async formatToken(token, amount) {
+        const { decimals, symbol } = await this.tokens.getTokenMetadata(token);
+        return `${ethers.utils.formatUnits(amount, decimals)} ${symbol || token}`;
+    }
+
+    /**
+     * Owner, router, allowlists for every other registry chain, Multicall3 registration and balances
+     */
+    async status() {
+        const others = ChainRegistry.list().filter(chain => chain.key !== this.chain.key);
+        const [owner, router, multicall3, nativeBalance, destinations, sources] = await Promise.all([
+            this.contract.owner(),
+            this.contract.getRouter(),
+            this.contract.isMulticallContract(MULTICALL3_ADDRESS),
+            this.provider.getBalance(this.yieldMax),
+            Promise.all(others.map(chain => this.contract.allowlistedDestinationChains(chain.selector))),
+            Promise.all(others.map(chain => this.contract.allowlistedSourceChains(chain.selector)))
+        ]);
+
+        const tokens = [];
+        for (const token of Object.values(this.chain.tokens)) {
+            // A paused or missing token must not hide the rest of the status
+            const balance = await this.tokens.token(token.address).balanceOf(this.yieldMax).catch(() => null);
+            tokens.push({
+                token: token.address,
+                symbol: token.symbol,
+                balance,
+                formatted: balance ? ethers.utils.formatUnits(balance, token.decimals) : null,
+                unreadable: !balance
+            });
+        }
+
+        return {
+            type: 'status',
+            chain: this.chain.key,
+            yieldMax: this.yieldMax,
+            owner,
+            router,
+            routerMatchesRegistry: router.toLowerCase() === this.chain.router.toLowerCase(),
+            multicall3,
+            nativeBalance,
+            tokens,
+            chains: others.map((chain, i) => ({
+                chain: chain.key,
+                selector: chain.selector,
+                destination: destinations[i],
+                source: sources[i]
+            }))
+        };
+    }
+
+    /**
+     * Encode an owner call and describe what it changes
+     * @returns {object} { function, signature, args, to, data, changes: [{ field, before, after }], warnings, noop }
+     */
+    async plan(name, params) {
+        const data = this.encoder.encodeOwnerCall(name, params);
+        const call = YieldMaxSDK.decodeFunction(data);
+        const args = call.args;
+        const changes = [];
+        const warnings = [];
+        const change = (field, before, after) => changes.push({ field, before: String(before), after: String(after) });
+
+        switch (name) {
+            case 'allowlistDestinationChain': {
+                const before = await this.contract.allowlistedDestinationChains(args._destinationChainSelector);
+                change(`allowlistedDestinationChains[${this.chainLabel(args._destinationChainSelector)}]`, before, args.allowed);
+                if (!ChainRegistry.bySelector(args._destinationChainSelector.toString())) {
+                    warnings.push(`Selector ${args._destinationChainSelector} is not in the chain registry`);
+                }
+                break;
+            }
+            case 'allowlistSourceChain': {
+                const before = await this.contract.allowlistedSourceChains(args._sourceChainSelector);
+                change(`allowlistedSourceChains[${this.chainLabel(args._sourceChainSelector)}]`, before, args.allowed);
+                if (!ChainRegistry.bySelector(args._sourceChainSelector.toString())) {
+                    warnings.push(`Selector ${args._sourceChainSelector} is not in the chain registry`);
+                }
+                break;
+            }
+            case 'setMulticallContract': {
+                const before = await this.contract.isMulticallContract(args.contractAddress);
+                change(`isMulticallContract[${args.contractAddress}]`, before, args._isMulticall);
+                if (args._isMulticall) {
+                    warnings.push('Registered contracts are delegatecalled by executors: only register audited multicall contracts');
+                }
+                break;
+            }
+            case 'transferOwnership': {
+                const before = await this.contract.owner();
+                change('owner', before, args.newOwner);
+                if (args.newOwner === ethers.constants.AddressZero) warnings.push('New owner cannot be zero address (the call reverts)');
+                if ((await this.provider.getCode(args.newOwner)) === '0x') {
+                    warnings.push(`${args.newOwner} has no code: make sure it is not a mistyped multisig address`);
+                }
+                break;
+            }
+            case 'emergencyWithdraw': {
+                const [balance, beneficiaryBalance] = await Promise.all([
+                    this.provider.getBalance(this.yieldMax),
+                    this.provider.getBalance(args.beneficiary)
+                ]);
+                const native = this.chain.nativeSymbol;
+                change(`YieldMax ${native} balance`, `${ethers.utils.formatEther(balance)} ${native}`, `0.0 ${native}`);
+                change(`${args.beneficiary} ${native} balance`, `${ethers.utils.formatEther(beneficiaryBalance)} ${native}`, `${ethers.utils.formatEther(beneficiaryBalance.add(balance))} ${native}`);
+                if (balance.isZero()) warnings.push('Nothing to withdraw (the call reverts)');
+                warnings.push('The balance includes native escrow owed to senders (pendingEscrowNative)');
+                break;
+            }
+            case 'emergencyWithdrawToken': {
+                const [balance, beneficiaryBalance] = await Promise.all([
+                    this.tokens.token(args.token).balanceOf(this.yieldMax),
+                    this.tokens.token(args.token).balanceOf(args.beneficiary)
+                ]);
+                change('YieldMax token balance', await this.formatToken(args.token, balance), await this.formatToken(args.token, 0));
+                change(`${args.beneficiary} token balance`, await this.formatToken(args.token, beneficiaryBalance), await this.formatToken(args.token, beneficiaryBalance.add(balance)));
+                if (balance.isZero()) warnings.push('Nothing to withdraw (the call reverts)');
+                warnings.push('The balance includes token escrow owed to senders (pendingEscrowERC20)');
+                break;
+            }
+            case 'retryFailedMessage': {
+                const inspector = new FailedMessageInspector(this.provider, this.yieldMax);
+                const entry = (await inspector.fetchAll()).find(e => e.messageId.toLowerCase() === args.messageId.toLowerCase());
+                const before = entry ? entry.status : 'unknown';
+                change(`failed message ${args.messageId}`, before, 'RESOLVED');
+                if (before !== 'FAILED') warnings.push(`MessageNotFailed: status is ${before} (the call reverts)`);
+                changes.push({ field: 'stored destTokenAmounts', before: 'held by YieldMax', after: `sent to ${args.tokenReceiver}` });
+                break;
+            }
+        }
+
+        return {
+            type: 'admin',
+            chain: this.chain.key,
+            function: name,
+            signature: call.signature,
+            args,
+            to: this.yieldMax,
+            data,
+            changes,
+            warnings,
+            noop: changes.length > 0 && changes.every(entry => entry.before === entry.after)
+        };
+    }
+
+    /**
+     * eth_call the planned transaction from `from` (default: owner())
+     */
+    async simulate(plan, from) {
+        const sender = from || await this.contract.owner();
+        try {
+            await this.provider.call({ from: sender, to: plan.to, data: plan.data });
+            return { ok: true, from: sender };
+        } catch (error) {
+            const revertData = RevertDecoder.extractRevertData(error);
+            return {
+                ok: false,
+                from: sender,
+                reason: revertData ? RevertDecoder.describe(revertData)[0] : error.reason || error.message
+            };
+        }
+    }
+
+    /**
+     * Throw unless `signer` is owner()
+     */
+    async requireOwner(signer) {
+        const [owner, address] = await Promise.all([this.contract.owner(), signer.getAddress()]);
+        if (owner.toLowerCase() !== address.toLowerCase()) {
+            throw new Error(`Signer ${address} is not the owner of ${this.yieldMax} (owner: ${owner}); refusing to send`);
+        }
+        return address;
+    }
+
+    async send(plan, signer) {
+        await this.requireOwner(signer);
+        const response = await signer.sendTransaction({ to: plan.to, data: plan.data });
+        return response.wait();
+    }
+}
+
+function prompt(question, options = {}) {
+    // Prompts go to stderr so stdout stays parseable with --format json
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    if (options.hidden) {
+        rl._writeToOutput = (text) => {
+            if (text.includes(question)) process.stderr.write(text);
+        };
+    }
+    return new Promise(resolve => rl.question(question, answer => {
+        rl.close();
+        if (options.hidden) process.stderr.write('\n');
+        resolve(answer);
+    }));
+}
+
+/**
+ * Signer from --private-key (PRIVATE_KEY), --keystore <file> (KEYSTORE_PASSWORD or a prompt)
+ * or --json-rpc <url> --from <address> (eth_sendTransaction through a node or wallet)
+ */
+async function loadSigner(options, provider) {
+    const modes = ['privateKey', 'keystore', 'jsonRpc'].filter(mode => options[mode]);
+    if (modes.length > 1) throw new Error('Use only one of --private-key, --keystore and --json-rpc');
+
+    if (options.privateKey) {
+        if (!process.env.PRIVATE_KEY) throw new Error('--private-key reads PRIVATE_KEY from the environment');
+        return new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    }
+    if (options.keystore) {
+        const password = process.env.KEYSTORE_PASSWORD || await prompt(`🔐 Password for ${options.keystore}: `, { hidden: true });
+        const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(options.keystore, 'utf8'), password);
+        return wallet.connect(provider);
+    }
+    if (options.jsonRpc) {
+        if (!options.from) throw new Error('--json-rpc needs --from <address>');
+        const rpcSigner = new ethers.providers.JsonRpcProvider(options.jsonRpc).getSigner(options.from);
+        const [signerNetwork, network] = await Promise.all([rpcSigner.provider.getNetwork(), provider.getNetwork()]);
+        if (signerNetwork.chainId !== network.chainId) {
+            throw new Error(`--json-rpc is on chain ${signerNetwork.chainId}, YieldMax is on chain ${network.chainId}`);
+        }
+        return rpcSigner;
+    }
+    return null;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length < 2 || args.includes('--help')) {
+        console.log(`
+🔑 YieldMax Admin
+
+Usage: node admin.js <chain> status
+       node admin.js <chain> <function> [args...] [options]
+
+Functions (owner only):
+  allowlistDestinationChain <chain|selector> <true|false>
+  allowlistSourceChain <chain|selector> <true|false>
+  setMulticallContract <address> <true|false>
+  transferOwnership <newOwner>
+  emergencyWithdraw <beneficiary>
+  emergencyWithdrawToken <beneficiary> <token>
+  retryFailedMessage <messageId> <tokenReceiver>
+
+Every call shows the current state and the change, and is simulated from owner().
+Without a signer (or with --dry-run) only the calldata is printed.
+
+Signers:
+  --private-key                      PRIVATE_KEY from the environment
+  --keystore <file>                  Encrypted JSON keystore (KEYSTORE_PASSWORD or a prompt)
+  --json-rpc <url> --from <address>  eth_sendTransaction through a node or wallet (e.g. Frame)
+
+Options:
+  --dry-run                          Print the diff and calldata, never send
+  --yes                              Send without the confirmation prompt
+  --rpc <url>                        RPC override (default: chain registry)
+  --yieldmax <address>               YieldMax override (default: the chain deployment)
+  --format <text|json|ndjson|table>  Output format (table lists the changes)
+
+Chains: ${ChainRegistry.list({ withYieldMax: true }).map(chain => chain.key).join(', ')}
+
+Examples:
+  node admin.js base status
+  node admin.js base allowlistDestinationChain avalanche true --dry-run
+  node admin.js avalanche setMulticallContract 0xcA11bde05977b3631167028862bE2a173976CA11 false --keystore owner.json
+        `);
+        return;
+    }
+
+    const format = takeFormat(args);
+    const rpcUrl = takeOption(args, '--rpc');
+    const yieldMaxOverride = takeOption(args, '--yieldmax');
+    const signerOptions = {
+        keystore: takeOption(args, '--keystore'),
+        jsonRpc: takeOption(args, '--json-rpc'),
+        from: takeOption(args, '--from'),
+        privateKey: takeFlag(args, '--private-key')
+    };
+    const dryRun = takeFlag(args, '--dry-run');
+    const yes = takeFlag(args, '--yes');
+    const [chainName, command, ...params] = args;
+
+    const admin = new YieldMaxAdmin(chainName, { rpcUrl, yieldMax: yieldMaxOverride });
+
+    if (command === 'status') {
+        const result = await admin.status();
+        printResult(format, result, {
+            rows: result.chains,
+            text: () => {
+                console.log(`🔑 YieldMax ${result.yieldMax} on ${admin.chain.name}`);
+                console.log(`   Owner: ${result.owner}`);
+                console.log(`   Router: ${result.router}${result.routerMatchesRegistry ? '' : ' ⚠️  differs from the chain registry'}`);
+                console.log(`   Multicall3 registered: ${result.multicall3}`);
+                console.log(`   Balance: ${ethers.utils.formatEther(result.nativeBalance)} ${admin.chain.nativeSymbol}`);
+                result.tokens.forEach(token => console.log(token.unreadable
+                    ? `   Balance: ⚠️  ${token.symbol} unreadable (balanceOf failed)`
+                    : `   Balance: ${token.formatted} ${token.symbol}`));
+                console.log('\n🌉 Allowlists (destination / source):');
+                result.chains.forEach(entry => {
+                    console.log(`   ${entry.chain.padEnd(14)} ${entry.destination ? '✅' : '❌'} / ${entry.source ? '✅' : '❌'}`);
+                });
+            }
+        });
+        return;
+    }
+
+    const plan = await admin.plan(command, params);
+    const signer = await loadSigner(signerOptions, admin.provider);
+    const signerAddress = signer ? await signer.getAddress() : null;
+    const owner = await admin.contract.owner();
+    const isOwner = Boolean(signerAddress) && signerAddress.toLowerCase() === owner.toLowerCase();
+    plan.owner = owner;
+    plan.signer = signerAddress;
+    plan.simulation = await admin.simulate(plan, owner);
+
+    const report = () => {
+        console.log(`🔑 ${plan.signature} on ${admin.chain.name} YieldMax ${plan.to}`);
+        Object.entries(toPlain(plan.args)).forEach(([name, value]) => console.log(`   ${name}: ${value}`));
+        console.log(`   Owner: ${owner}`);
+        if (signerAddress) console.log(`   Signer: ${signerAddress} ${isOwner ? '✅ owner' : '❌ not the owner'}`);
+
+        console.log(`\n📝 Changes${plan.noop ? ' (none: state already matches)' : ''}:`);
+        plan.changes.forEach(entry => {
+            console.log(`   ${entry.field}: ${entry.before}${entry.before === entry.after ? ' (unchanged)' : ` → ${entry.after}`}`);
+        });
+        plan.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+
+        console.log(`\n🧪 Simulation from owner: ${plan.simulation.ok ? '✅ succeeds' : `❌ reverts: ${plan.simulation.reason}`}`);
+        console.log('\n📦 Transaction:');
+        console.log(`   to: ${plan.to}`);
+        console.log(`   data: ${plan.data}`);
+    };
+
+    printResult(format, plan, { rows: plan.changes, text: report });
+    // Progress after the plan: stdout in text mode, stderr when stdout carries the plan as data
+    const note = format === 'text' ? console.log : console.error;
+
+    if (dryRun || !signer) {
+        if (format === 'text') console.log(`\n${dryRun ? '🔍 Dry run' : 'ℹ️  No signer given'}: nothing sent`);
+        return;
+    }
+    if (!isOwner) {
+        throw new Error(`Signer ${signerAddress} is not owner() (${owner}); refusing to send`);
+    }
+    if (plan.noop) {
+        note('\nℹ️  State already matches: nothing sent');
+        return;
+    }
+    if (!plan.simulation.ok) {
+        throw new Error(`Simulation reverts (${plan.simulation.reason}); refusing to send`);
+    }
+    if (!yes) {
+        if (!process.stdin.isTTY) throw new Error('Not a terminal: pass --yes to send without confirmation');
+        const answer = await prompt(`\nSend ${plan.function} from ${signerAddress}? [y/N] `);
+        if (answer.trim().toLowerCase() !== 'y') {
+            note('Aborted');
+            return;
+        }
+    }
+
+    const receipt = await admin.send(plan, signer);
+    note(`\n✅ Sent in block ${receipt.blockNumber}: ${ChainRegistry.explorerTx(admin.chain.key, receipt.transactionHash)}`);
+}
+
+module.exports = { YieldMaxAdmin, loadSigner };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const EscrowAuditor = require('./escrow-auditor');
+const { FailedMessageInspector } = require('./failed-messages');
+const { ExecutorInspector } = require('./executor-inspector');
+const { takeFormat, takeOption, printResult } = require('./cli-output');
+
+/**
+ * Balance Report
+ * Lists the native and ERC-20 balances held by YieldMax and by every executor clone it
+ * created (ExecutorCreated), and attributes YieldMax's balance per asset, in this order:
+ *   escrow          - pendingEscrowNative / pendingEscrowERC20 (see EscrowAuditor)
+ *   failed message  - destTokenAmounts of FAILED messages, released by retryFailedMessage
+ *   executor refund - tokens executors returned through _returnAllAssets / recoverTokens
+ *   unattributed    - the rest
+ * Each attribution is capped at what the earlier ones leave, since refunds may since have
+ * been withdrawn. Executor ETH refunds are internal transfers without logs and stay unattributed.
+ *
+ * Executor holdings cover the registry tokens and every token transferred to an executor.
+ * _returnAllAssets only returns ETH and the executor's trackedTokens (the bridged tokens), so
+ * anything else an executor received, e.g. swap output, stays there after cleanup.
+ */
+
+const CSV_COLUMNS = ['holder', 'holderType', 'asset', 'token', 'attribution', 'amount', 'raw'];
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))].join('\n') + '\n';
+}
+
+class BalanceReport {
+    /**
+     * @param {string} chainName - registry chain the YieldMax is deployed on
+     * @param {object} options - { provider, rpcUrl, yieldMax, chunkSize }
+     */
+    constructor(chainName, options = {}) {
+        this.auditor = new EscrowAuditor(chainName, options);
+        this.chain = this.auditor.chain;
+        this.provider = this.auditor.provider;
+        this.yieldMax = this.auditor.yieldMax;
+        this.failedMessages = new FailedMessageInspector(this.provider, this.yieldMax);
+        this.executors = new ExecutorInspector(this.provider, this.yieldMax);
+    }
+
+    /**
+     * Token amounts still owed for FAILED messages, summed per token
+     */
+    async failedMessageTokens(fromBlock) {
+        const totals = new Map();
+        const warnings = [];
+        const failed = (await this.failedMessages.fetchAll()).filter(entry => entry.status === 'FAILED');
+
+        for (const { messageId } of failed) {
+            const failure = await this.failedMessages.fetchFailure(messageId, fromBlock);
+            if (!failure || failure.error) {
+                warnings.push(`Tokens of failed message ${messageId} unknown: ${failure ? failure.error : 'no MessageFailed event in range'}`);
+                continue;
+            }
+            failure.destTokenAmounts.forEach(({ token, amount }) => {
+                const key = ethers.utils.getAddress(token);
+                totals.set(key, (totals.get(key) || ethers.BigNumber.from(0)).add(amount));
+            });
+        }
+        return { count: failed.length, totals, warnings };
+    }
+
+    /**
+     * Holdings and attribution of YieldMax and its executors
+     * @param {object} options - { fromBlock, toBlock } (fromBlock defaults to the deployment block)
+     */
+    async report(options = {}) {
+        const toBlock = options.toBlock === undefined ? await this.provider.getBlockNumber() : options.toBlock;
+        const fromBlock = options.fromBlock === undefined ? await this.auditor.findDeploymentBlock() : options.fromBlock;
+        const history = await this.auditor.history(fromBlock, toBlock);
+
+        const executorAddresses = [...new Set(history.events
+            .filter(event => event.name === 'ExecutorCreated')
+            .map(event => event.args.executor))];
+
+        const [escrow, failed] = await Promise.all([
+            this.auditor.audit({ fromBlock, toBlock, history }),
+            this.failedMessageTokens(fromBlock)
+        ]);
+
+        const refunds = new Map();
+        history.transfers
+            .filter(transfer => executorAddresses.includes(transfer.from))
+            .forEach(transfer => refunds.set(transfer.token, (refunds.get(transfer.token) || ethers.BigNumber.from(0)).add(transfer.amount)));
+
+        // Every token YieldMax has received, plus the registry tokens
+        const tokenAddresses = new Set([
+            ...Object.values(this.chain.tokens || {}).map(token => ethers.utils.getAddress(token.address)),
+            ...history.transfers.map(transfer => transfer.token),
+            ...failed.totals.keys()
+        ]);
+        const escrowByToken = new Map(escrow.tokens.map(entry => [entry.token, entry.escrowed]));
+
+        const assets = [{
+            asset: this.chain.nativeSymbol,
+            token: null,
+            decimals: 18,
+            balance: escrow.native.balance,
+            claims: [['escrow', escrow.native.escrowed]]
+        }];
+        for (const token of tokenAddresses) {
+            const [balance, metadata] = await Promise.all([
+                this.auditor.tokens.token(token).balanceOf(this.yieldMax).catch(() => null),
+                this.auditor.tokens.getTokenMetadata(token).catch(() => null)
+            ]);
+            if (balance === null || metadata === null || balance.isZero()) continue;
+            assets.push({
+                asset: metadata.symbol || token,
+                token,
+                decimals: metadata.decimals,
+                balance,
+                claims: [
+                    ['escrow', escrowByToken.get(token)],
+                    ['failed message', failed.totals.get(token)],
+                    ['executor refund', refunds.get(token)]
+                ]
+            });
+        }
+
+        const yieldMax = assets.map(asset => {
+            let remaining = asset.balance;
+            const attribution = [];
+            for (const [label, claimed] of asset.claims) {
+                if (!claimed || claimed.isZero() || remaining.isZero()) continue;
+                const amount = claimed.gt(remaining) ? remaining : claimed;
+                attribution.push({ attribution: label, amount });
+                remaining = remaining.sub(amount);
+            }
+            if (!remaining.isZero()) attribution.push({ attribution: 'unattributed', amount: remaining });
+            return { asset: asset.asset, token: asset.token, decimals: asset.decimals, balance: asset.balance, attribution };
+        });
+
+        const registryTokens = Object.values(this.chain.tokens || {}).map(token => ethers.utils.getAddress(token.address));
+        const executorTransfers = await this.auditor.transfersTo(executorAddresses, fromBlock, toBlock);
+        const executors = [];
+        for (const address of executorAddresses) {
+            const state = await this.executors.inspectExecutor(address);
+            const tracked = new Set(state.trackedTokens.map(token => ethers.utils.getAddress(token.token)));
+            const candidates = new Set([
+                ...registryTokens,
+                ...executorTransfers.filter(transfer => transfer.to === address).map(transfer => transfer.token),
+                ...tracked
+            ]);
+
+            const held = [];
+            for (const token of candidates) {
+                const [balance, metadata] = await Promise.all([
+                    this.auditor.tokens.token(token).balanceOf(address).catch(() => null),
+                    this.auditor.tokens.getTokenMetadata(token).catch(() => null)
+                ]);
+                if (balance === null || metadata === null || balance.isZero()) continue;
+                held.push({ asset: metadata.symbol || token, token, decimals: metadata.decimals, balance, tracked: tracked.has(token) });
+            }
+            if (state.ethBalance.isZero() && held.length === 0) continue;
+            executors.push({
+                executor: address,
+                state: state.state,
+                holdings: [
+                    ...(state.ethBalance.isZero() ? [] : [{ asset: this.chain.nativeSymbol, token: null, decimals: 18, balance: state.ethBalance, tracked: true }]),
+                    ...held
+                ]
+            });
+        }
+
+        return {
+            type: 'balances',
+            chain: this.chain.key,
+            yieldMax: this.yieldMax,
+            fromBlock,
+            toBlock,
+            executorCount: executorAddresses.length,
+            failedMessages: failed.count,
+            yieldMaxBalances: yieldMax,
+            executors,
+            warnings: failed.warnings
+        };
+    }
+
+    /**
+     * One row per holder, asset and attribution (the CSV layout)
+     */
+    rows(report) {
+        const rows = [];
+        report.yieldMaxBalances.forEach(asset => asset.attribution.forEach(entry => rows.push({
+            holder: report.yieldMax,
+            holderType: 'yieldMax',
+            asset: asset.asset,
+            token: asset.token,
+            attribution: entry.attribution,
+            amount: ethers.utils.formatUnits(entry.amount, asset.decimals),
+            raw: entry.amount.toString()
+        })));
+        report.executors.forEach(executor => executor.holdings.forEach(holding => rows.push({
+            holder: executor.executor,
+            holderType: 'executor',
+            asset: holding.asset,
+            token: holding.token,
+            attribution: `executor (${executor.state}), ${holding.tracked ? 'returns to YieldMax on cleanup' : 'untracked, not returned on cleanup'}`,
+            amount: ethers.utils.formatUnits(holding.balance, holding.decimals),
+            raw: holding.balance.toString()
+        })));
+        return rows;
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length < 1 || args.includes('--help')) {
+        console.log(`
+🏦 YieldMax Balance Report
+
+Usage: node balance-report.js <chain> [options]
+
+Lists what YieldMax and its executor clones hold and attributes YieldMax's balances to
+escrow, failed messages (retryFailedMessage) and executor refunds.
+
+Options:
+  --from-block <n>                   First block to scan (default: deployment block, needs an archive RPC)
+  --to-block <n>                     Last block to scan (default: latest)
+  --csv <file>                       Also write the rows as CSV for treasury review
+  --rpc <url>                        RPC override (default: chain registry)
+  --yieldmax <address>               YieldMax override (default: the chain deployment)
+  --format <text|json|ndjson|table>  Output format (ndjson and table emit the CSV rows)
+
+Examples:
+  node balance-report.js base --from-block 30000000
+  node balance-report.js avalanche --csv avalanche-balances.csv
+        `);
+        return;
+    }
+
+    const format = takeFormat(args);
+    const fromBlock = takeOption(args, '--from-block');
+    const toBlock = takeOption(args, '--to-block');
+    const csvFile = takeOption(args, '--csv');
+    const rpcUrl = takeOption(args, '--rpc');
+    const yieldMaxOverride = takeOption(args, '--yieldmax');
+    const [chainName] = args;
+
+    const balances = new BalanceReport(chainName, { rpcUrl, yieldMax: yieldMaxOverride });
+    const result = await balances.report({
+        fromBlock: fromBlock === undefined ? undefined : Number(fromBlock),
+        toBlock: toBlock === undefined ? undefined : Number(toBlock)
+    });
+    const rows = balances.rows(result);
+    if (csvFile) fs.writeFileSync(csvFile, toCsv(rows));
+
+    printResult(format, result, {
+        rows,
+        text: () => {
+            console.log(`🏦 Balances of YieldMax ${result.yieldMax} on ${balances.chain.name}`);
+            console.log(`   Blocks ${result.fromBlock} - ${result.toBlock}, ${result.executorCount} executor(s), ${result.failedMessages} failed message(s)`);
+
+            result.yieldMaxBalances.forEach(asset => {
+                const format = amount => `${ethers.utils.formatUnits(amount, asset.decimals)} ${asset.asset}`;
+                console.log(`\n💰 ${format(asset.balance)}${asset.token ? ` (${asset.token})` : ''}`);
+                asset.attribution.forEach(entry => {
+                    console.log(`   ${entry.attribution === 'unattributed' ? '❓' : '•'} ${entry.attribution}: ${format(entry.amount)}`);
+                });
+            });
+
+            if (result.executors.length) {
+                console.log('\n⚙️  Held by executors (ETH and tracked tokens return to YieldMax on cleanup, untracked tokens do not):');
+                result.executors.forEach(executor => {
+                    const holdings = executor.holdings.map(h => `${ethers.utils.formatUnits(h.balance, h.decimals)} ${h.asset}${h.tracked ? '' : ' (untracked)'}`);
+                    console.log(`   ${executor.executor} (${executor.state}): ${holdings.join(', ')}`);
+                });
+            }
+
+            result.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+            if (csvFile) console.log(`\n📄 CSV written to ${csvFile}`);
+        }
+    });
+}
+
+module.exports = { BalanceReport, toCsv };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
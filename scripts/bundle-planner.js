@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const ERC20ApprovalUtility = require('./erc20-approval-utility');
+const TransactionEncoder = require('./encode-transactions');
+const RecipeCompiler = require('./recipe-compiler');
+const SafeBatch = require('./safe-batch');
+const { takeFormat, takeOption, printResult } = require('./cli-output');
+
+/**
+ * Bundle Planner
+ * Plans everything a sender needs for one sendCrossChainExecution: _handleTokenEscrow pulls
+ * every tokenAddresses entry with safeTransferFrom, so each token needs a balance and an
+ * allowance to YieldMax covering the sum of its amounts. The plan lists the missing approvals
+ * (approve(0) first where the token refuses non-zero to non-zero changes, like USDT) and ends
+ * with the send carrying msg.value = fee + value.
+ *
+ * An optional fee buffer (--fee-buffer) absorbs fee movement between planning and sending, but
+ * it is not refunded: YieldMax forwards only the actual fee to the router and keeps the surplus,
+ * which only the owner can take out again with emergencyWithdraw.
+ */
+
+const DEFAULT_FEE_BUFFER_PERCENT = 0;
+
+class BundlePlanner {
+    /**
+     * @param {string} chainName - source chain (registry key, name or chain id)
+     * @param {object} options - { rpcUrl, provider, yieldMax }
+     */
+    constructor(chainName, options = {}) {
+        this.chain = ChainRegistry.get(chainName);
+        this.provider = options.provider || new ethers.providers.JsonRpcProvider(options.rpcUrl || this.chain.rpc);
+        this.yieldMax = ethers.utils.getAddress(ChainRegistry.resolveDeployment(this.chain.key, options, 'pass --yieldmax <address>').yieldMax);
+        this.contract = YieldMaxSDK.connect(this.yieldMax, this.provider);
+        this.approvals = new ERC20ApprovalUtility(this.provider);
+        this.encoder = new TransactionEncoder();
+    }
+
+    /**
+     * Cross-chain parameters in the encode-transactions shape, with chain names, ether
+     * strings for value and a suggested gas limit resolved
+     */
+    normalize(params) {
+        const destination = ChainRegistry.resolve(params.destinationChain);
+        const value = typeof params.value === 'string' ? ethers.utils.parseEther(params.value) : ethers.BigNumber.from(params.value || 0);
+        const tokenAddresses = (params.tokenAddresses || []).map(address => ethers.utils.getAddress(address));
+        const tokenAmounts = (params.tokenAmounts || []).map(amount => ethers.BigNumber.from(amount));
+        if (tokenAddresses.length !== tokenAmounts.length) {
+            throw new Error(`tokenAddresses (${tokenAddresses.length}) and tokenAmounts (${tokenAmounts.length}) differ in length`);
+        }
+
+        return {
+            destinationChain: destination ? destination.selector : String(params.destinationChain),
+            receiver: params.receiver,
+            targetContract: params.targetContract,
+            value,
+            tokenAddresses,
+            tokenAmounts,
+            callData: params.callData || '0x',
+            gasLimit: params.gasLimit || this.encoder.suggestGasLimit(params).gasLimit
+        };
+    }
+
+    /**
+     * Whether approve(yieldMax, amount) needs an approve(yieldMax, 0) first: tokens flagged in
+     * the registry, or any token whose approve reverts / returns false in an eth_call from the sender
+     */
+    async requiresReset(token, sender, amount) {
+        const known = ChainRegistry.token(this.chain.key, token);
+        if (known && known.approveReset) return `${known.symbol} is flagged approveReset in the chain registry`;
+
+        try {
+            const result = await this.provider.call({
+                from: sender,
+                to: token,
+                data: this.approvals.encodeApprove(this.yieldMax, amount)
+            });
+            // Tokens like USDT return nothing from approve
+            if (result === '0x') return null;
+            const [approved] = ethers.utils.defaultAbiCoder.decode(['bool'], result);
+            return approved ? null : 'approve of a non-zero allowance returned false in simulation';
+        } catch (error) {
+            return 'approve of a non-zero allowance reverted in simulation';
+        }
+    }
+
+    /**
+     * Ordered transactions (approvals, then the send) for `sender`
+     * @param {object} options - { feeBuffer: percent added on top of the estimated fee (default 0, not refunded) }
+     * @returns {object} { ready, issues, warnings, tokens, fee, feeBuffer, msgValue, transactions, ... }
+     */
+    async plan(rawParams, sender, options = {}) {
+        const feeBufferPercent = options.feeBuffer === undefined ? DEFAULT_FEE_BUFFER_PERCENT : Number(options.feeBuffer);
+        if (!Number.isFinite(feeBufferPercent) || feeBufferPercent < 0) {
+            throw new Error(`Fee buffer must be a non-negative percentage, got ${options.feeBuffer}`);
+        }
+        sender = ethers.utils.getAddress(sender);
+        const params = this.normalize(rawParams);
+        const issues = [];
+        const warnings = [];
+        const transactions = [];
+
+        // _handleTokenEscrow transfers every entry, so repeated tokens add up
+        const totals = new Map();
+        params.tokenAddresses.forEach((address, i) => {
+            const key = address.toLowerCase();
+            totals.set(key, { address, required: (totals.has(key) ? totals.get(key).required : ethers.BigNumber.from(0)).add(params.tokenAmounts[i]) });
+        });
+
+        const tokens = [];
+        for (const { address, required } of totals.values()) {
+            const [allowance, balance] = await Promise.all([
+                this.approvals.getAllowance(address, sender, this.yieldMax),
+                this.approvals.token(address).balanceOf(sender)
+            ]);
+            const label = allowance.symbol || address;
+            const format = amount => ethers.utils.formatUnits(amount, allowance.decimals);
+            const entry = {
+                token: address,
+                symbol: allowance.symbol,
+                decimals: allowance.decimals,
+                required,
+                balance,
+                allowance: allowance.allowance,
+                approve: false,
+                reset: null
+            };
+
+            if (balance.lt(required)) {
+                issues.push(`Insufficient ${label} balance: has ${format(balance)}, needs ${format(required)}`);
+            }
+
+            if (allowance.allowance.lt(required)) {
+                entry.approve = true;
+                if (!allowance.allowance.isZero()) {
+                    entry.reset = await this.requiresReset(address, sender, required);
+                }
+                if (entry.reset) {
+                    transactions.push({
+                        to: address,
+                        data: this.approvals.encodeRevokeApproval(this.yieldMax),
+                        value: '0x0',
+                        description: `Reset ${label} allowance of YieldMax to 0 (was ${allowance.formatted})`
+                    });
+                }
+                transactions.push({
+                    to: address,
+                    data: this.approvals.encodeApprove(this.yieldMax, required),
+                    value: '0x0',
+                    description: `Approve YieldMax for ${format(required)} ${label} (was ${allowance.formatted})`
+                });
+            }
+            tokens.push(entry);
+        }
+
+        const fee = await this.contract.estimateFee(
+            params.destinationChain,
+            params.receiver,
+            params.targetContract,
+            params.value,
+            params.tokenAddresses,
+            params.tokenAmounts,
+            params.callData,
+            params.gasLimit
+        );
+        // Basis points so fractional percentages like 2.5 work
+        const feeBuffer = fee.mul(Math.round(feeBufferPercent * 100)).div(10000);
+        const msgValue = fee.add(feeBuffer).add(params.value);
+        if (!feeBuffer.isZero()) {
+            warnings.push(`The ${feeBufferPercent}% fee buffer (${ethers.utils.formatEther(feeBuffer)} ${this.chain.nativeSymbol}) is not refunded: YieldMax keeps what the router does not charge, and only the owner's emergencyWithdraw can take it out`);
+        }
+
+        const nativeBalance = await this.provider.getBalance(sender);
+        if (nativeBalance.lt(msgValue)) {
+            issues.push(`Insufficient ${this.chain.nativeSymbol} for msg.value: has ${ethers.utils.formatEther(nativeBalance)}, needs ${ethers.utils.formatEther(msgValue)} plus gas`);
+        }
+
+        const destination = ChainRegistry.bySelector(params.destinationChain);
+        transactions.push({
+            to: this.yieldMax,
+            data: this.encoder.encodeCrossChainExecution(params),
+            value: msgValue.toHexString(),
+            description: `sendCrossChainExecution to ${destination ? destination.name : params.destinationChain} (${describeValue(fee, feeBuffer, feeBufferPercent, params.value)} ${this.chain.nativeSymbol})`
+        });
+
+        return {
+            type: 'plan',
+            chain: this.chain.key,
+            chainId: this.chain.chainId,
+            sender,
+            yieldMax: this.yieldMax,
+            ready: issues.length === 0,
+            issues,
+            warnings,
+            tokens,
+            fee,
+            feeBuffer,
+            feeBufferPercent,
+            value: params.value,
+            msgValue,
+            gasLimit: Number(params.gasLimit),
+            transactions
+        };
+    }
+
+    /**
+     * The plan as a Safe Transaction Builder batch (the sender is the Safe)
+     */
+    toSafeBatch(plan, name) {
+        return SafeBatch.build(plan.transactions, {
+            chainId: plan.chainId,
+            safe: plan.sender,
+            name: name || 'YieldMax cross-chain send',
+            description: plan.transactions.map(tx => tx.description).join('; ')
+        });
+    }
+}
+
+/**
+ * "fee + value", with the buffer in between when there is one
+ */
+function describeValue(fee, feeBuffer, feeBufferPercent, value) {
+    const buffer = feeBuffer.isZero() ? '' : ` + ${feeBufferPercent}% buffer ${ethers.utils.formatEther(feeBuffer)}`;
+    return `fee ${ethers.utils.formatEther(fee)}${buffer} + value ${ethers.utils.formatEther(value)}`;
+}
+
+/**
+ * Source chain, YieldMax and cross-chain parameters from a params file or a recipe
+ * (recipes are recognised by their steps)
+ */
+function loadInput(file, sender, variables) {
+    const input = RecipeCompiler.loadRecipe(file);
+    if (Array.isArray(input.steps)) {
+        const built = RecipeCompiler.build(input, { sender, ...variables });
+        return { source: built.source, yieldMax: built.yieldMax, name: built.name, params: built.params };
+    }
+    if (!input.source) throw new Error(`${file} needs "source" (the chain sendCrossChainExecution is called on)`);
+    return { source: input.source, yieldMax: input.yieldMax, name: input.name, params: input };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length < 2 || args.includes('--help')) {
+        console.log(`
+📦 Approval-then-Send Bundle Planner
+
+Usage: node bundle-planner.js <params.json|recipe> <sender> [options]
+
+The input is a recipe (see recipe-compiler.js) or a JSON file with the
+encode-transactions cross-chain parameters plus the source chain:
+  { "source": "base", "destinationChain": "avalanche", "receiver": "0x...",
+    "targetContract": "0x...", "value": "0", "tokenAddresses": ["0x..."],
+    "tokenAmounts": ["1000000"], "callData": "0x...", "gasLimit": 300000 }
+
+Options:
+  --var <name=value>                 Recipe variable override (repeatable)
+  --rpc <url>                        RPC override (default: chain registry)
+  --yieldmax <address>               YieldMax override (default: the source chain deployment)
+  --safe <file>                      Also write a Safe Transaction Builder batch (sender = Safe)
+  --fee-buffer <percent>             Opt-in headroom on the estimated CCIP fee (default: ${DEFAULT_FEE_BUFFER_PERCENT}). Not
+                                     refunded: YieldMax keeps what the router does not charge
+  --format <text|json|ndjson|table>  Output format (ndjson and table emit one row per transaction)
+
+Examples:
+  node bundle-planner.js scripts/recipes/usdc-transfer.yaml 0xSender --var recipient=0x742d35Cc...
+  node bundle-planner.js params.json 0xSafe --safe batch.json --format json
+  node bundle-planner.js params.json 0xSender --fee-buffer 25
+        `);
+        return;
+    }
+
+    const format = takeFormat(args);
+    const variables = RecipeCompiler.takeVariableArgs(args);
+    const rpcUrl = takeOption(args, '--rpc');
+    const yieldMaxOverride = takeOption(args, '--yieldmax');
+    const safeFile = takeOption(args, '--safe');
+    const feeBuffer = takeOption(args, '--fee-buffer');
+    const [file, sender] = args;
+
+    const input = loadInput(file, sender, variables);
+    const planner = new BundlePlanner(input.source, { rpcUrl, yieldMax: yieldMaxOverride || input.yieldMax });
+    const result = await planner.plan(input.params, sender, { feeBuffer });
+
+    if (safeFile) {
+        fs.writeFileSync(safeFile, JSON.stringify(planner.toSafeBatch(result, input.name), null, 2));
+    }
+
+    printResult(format, result, {
+        rows: result.transactions.map((tx, i) => ({ step: i + 1, ...tx })),
+        text: () => {
+            console.log(`📦 Bundle for ${result.sender} on ${planner.chain.name} (YieldMax ${result.yieldMax})`);
+            console.log('\n🪙 Tokens:');
+            if (result.tokens.length === 0) console.log('   none');
+            result.tokens.forEach(token => {
+                const format = amount => ethers.utils.formatUnits(amount, token.decimals);
+                const status = token.approve ? (token.reset ? '🔁 reset + approve' : '✍️  approve') : '✅ allowance ok';
+                console.log(`   ${token.symbol || token.token}: needs ${format(token.required)}, balance ${format(token.balance)}, allowance ${format(token.allowance)} → ${status}`);
+                if (token.reset) console.log(`      ${token.reset}`);
+            });
+
+            console.log(`\n💰 msg.value: ${ethers.utils.formatEther(result.msgValue)} ${planner.chain.nativeSymbol} (${describeValue(result.fee, result.feeBuffer, result.feeBufferPercent, result.value)})`);
+            result.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+            if (result.issues.length) {
+                console.log('\n⚠️  Issues:');
+                result.issues.forEach(issue => console.log(`   ${issue}`));
+            }
+
+            console.log(`\n📋 Transactions (send in order from ${result.sender}):`);
+            result.transactions.forEach((tx, i) => {
+                console.log(`\n${i + 1}. ${tx.description}`);
+                console.log(`   to: ${tx.to}`);
+                console.log(`   value: ${ethers.BigNumber.from(tx.value).toString()}`);
+                console.log(`   data: ${tx.data}`);
+            });
+            if (safeFile) console.log(`\n🔐 Safe batch written to ${safeFile}`);
+        }
+    });
+}
+
+module.exports = BundlePlanner;
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
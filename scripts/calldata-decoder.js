@@ -0,0 +1,348 @@
+const { ethers } = require('ethers');
+const ChainRegistry = require('./chain-registry');
+const MulticallComposer = require('./multicall-composer');
+const SignatureDb = require('./signature-db');
+
+/**
+ * Calldata Decoder
+ * Decodes calldata without being told the signature and walks into nested payloads:
+ * sendCrossChainExecution -> its callData, the CCIP message data
+ * (address target, uint256 value, bytes callData, address sender), multicall batches and
+ * any bytes / bytes[] argument that is itself calldata. Token amounts are formatted with
+ * the decimals from the chain registry.
+ */
+
+// abi.encode(targetContract, value, callData, msg.sender) in YieldMaxCCIP._buildMessage
+const PAYLOAD_TYPES = ['address', 'uint256', 'bytes', 'address'];
+
+const ERC20_AMOUNT_FUNCTIONS = ['transfer', 'approve', 'transferFrom', 'permit'];
+
+// ERC-4626 entry points whose first argument is an amount of the vault's asset (deposit) or shares (mint)
+const VAULT_AMOUNT_FUNCTIONS = {
+    'deposit(uint256,address)': 'assets',
+    'mint(uint256,address)': 'shares'
+};
+
+class CalldataDecoder {
+    /**
+     * @param {object} options - { signatures: SignatureDatabase, maxDepth }
+     */
+    constructor(options = {}) {
+        this.signatures = options.signatures || SignatureDb.load();
+        this.maxDepth = options.maxDepth || 8;
+    }
+
+    /**
+     * Registry token for an address, on `chain` when given, otherwise on any chain
+     */
+    findToken(address, chain) {
+        if (!address || !ethers.utils.isAddress(address)) return null;
+        if (chain) return ChainRegistry.token(chain, address);
+        for (const entry of ChainRegistry.list()) {
+            const token = ChainRegistry.token(entry.key, address);
+            if (token) return token;
+        }
+        return null;
+    }
+
+    formatAmount(amount, token) {
+        if (!token) return null;
+        if (ethers.BigNumber.from(amount).eq(ethers.constants.MaxUint256)) return `max ${token.symbol}`;
+        return `${ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol}`;
+    }
+
+    /**
+     * Decode calldata into a tree node
+     * @param {object} context - { chain: registry chain of the call, target: the called contract }
+     * @returns {object|null} { type: 'call' | 'payload' | 'unknown', ... }, null for empty data
+     */
+    decode(data, context = {}, depth = 0) {
+        if (!data || data === '0x') return null;
+        if (!ethers.utils.isHexString(data) || ethers.utils.hexDataLength(data) < 4) {
+            return { type: 'unknown', selector: null, bytes: ethers.utils.isHexString(data) ? ethers.utils.hexDataLength(data) : null };
+        }
+
+        const call = this.decodeCall(data, context, depth);
+        if (call) return call;
+
+        const payload = this.decodePayload(data, context, depth);
+        if (payload) return payload;
+
+        return { type: 'unknown', selector: data.slice(0, 10).toLowerCase(), bytes: ethers.utils.hexDataLength(data) };
+    }
+
+    /**
+     * Try every candidate signature for the selector; exact re-encoding wins over a loose decode
+     */
+    decodeCall(data, context, depth) {
+        const candidates = this.signatures.lookupFunction(data);
+        let match = null;
+
+        for (const candidate of candidates) {
+            const iface = new ethers.utils.Interface([candidate.fragment]);
+            let args;
+            try {
+                args = iface.decodeFunctionData(candidate.fragment, data);
+            } catch (error) {
+                continue;
+            }
+            const exact = iface.encodeFunctionData(candidate.fragment, args) === data.toLowerCase();
+            if (exact) {
+                match = { candidate, args };
+                break;
+            }
+            if (!match) match = { candidate, args };
+        }
+        if (!match) return null;
+
+        const { candidate, args } = match;
+        const node = {
+            type: 'call',
+            selector: candidate.selector,
+            name: candidate.fragment.name,
+            signature: candidate.signature,
+            // Common signatures (transfer, approve, ...) appear in dozens of artifacts; name the contract only when it is specific
+            contract: candidate.rank === 0 || candidate.contracts.length === 1 ? candidate.contracts[0] || null : null,
+            target: context.target || null,
+            chain: context.chain || null,
+            candidates: candidates.length,
+            args: candidate.fragment.inputs.map((input, i) => ({
+                name: input.name || `arg${i}`,
+                type: input.type,
+                value: args[i]
+            }))
+        };
+        const targetToken = this.findToken(context.target, context.chain);
+        if (targetToken) node.targetLabel = targetToken.symbol;
+
+        if (depth >= this.maxDepth) return node;
+
+        if (candidate.contracts.includes('YieldMaxCCIP') && node.name === 'sendCrossChainExecution') {
+            this.annotateCrossChain(node, args, context, depth);
+            return node;
+        }
+
+        this.annotateAmounts(node, args, context, targetToken);
+
+        const batch = MulticallComposer.decode(data);
+        if (batch) {
+            // approve(vault, ...) earlier in the batch tells which asset a vault deposit spends
+            const approvals = {};
+            node.calls = batch.calls.map((entry, i) => {
+                const target = entry.target || context.target || null;
+                const decoded = this.decode(entry.data, { chain: context.chain, target, approvals: { ...approvals } }, depth + 1);
+                const token = decoded && decoded.name === 'approve' ? this.findToken(target, context.chain) : null;
+                if (token) approvals[decoded.args[0].value.toLowerCase()] = token;
+                return {
+                    index: i + 1,
+                    target,
+                    value: entry.value,
+                    allowFailure: entry.allowFailure,
+                    decoded
+                };
+            });
+            return node;
+        }
+
+        // Nested calldata in bytes arguments (e.g. router multicall(deadline, bytes[]))
+        for (const arg of node.args) {
+            if (arg.type === 'bytes') {
+                const decoded = this.decodeNested(arg.value, { chain: context.chain, target: context.target }, depth);
+                if (decoded) arg.decoded = decoded;
+            } else if (arg.type === 'bytes[]') {
+                const decoded = arg.value.map(item => this.decodeNested(item, { chain: context.chain, target: context.target }, depth));
+                if (decoded.some(Boolean)) arg.decoded = decoded;
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Nested bytes only count when they decode to a known call
+     */
+    decodeNested(data, context, depth) {
+        if (!data || ethers.utils.hexDataLength(data) < 4) return null;
+        const decoded = this.decode(data, context, depth + 1);
+        return decoded && decoded.type !== 'unknown' ? decoded : null;
+    }
+
+    annotateCrossChain(node, args, context, depth) {
+        const destination = ChainRegistry.bySelector(args.destinationChainSelector.toString());
+        const arg = name => node.args.find(entry => entry.name === name);
+
+        if (destination) {
+            arg('destinationChainSelector').display = `${args.destinationChainSelector} (${destination.name})`;
+        }
+        arg('value').display = `${ethers.utils.formatEther(args.value)} native`;
+        arg('tokenAmounts').display = args.tokenAmounts.map((amount, i) =>
+            this.formatAmount(amount, this.findToken(args.tokenAddresses[i], context.chain)) || amount.toString()
+        );
+        arg('tokenAddresses').display = args.tokenAddresses.map(address => {
+            const token = this.findToken(address, context.chain);
+            return token ? `${address} (${token.symbol})` : address;
+        });
+
+        // A single bridged token arrives as the destination token with the same symbol
+        const bridged = args.tokenAddresses.length === 1 ? this.findToken(args.tokenAddresses[0], context.chain) : null;
+        const asset = bridged && destination
+            ? Object.values(destination.tokens || {}).find(token => token.symbol === bridged.symbol) || null
+            : null;
+
+        const callData = arg('callData');
+        callData.decoded = this.decode(args.callData, {
+            chain: destination ? destination.key : null,
+            target: args.targetContract,
+            asset
+        }, depth + 1);
+    }
+
+    /**
+     * Format amount arguments of ERC20 calls (by the target token), ERC-4626 deposit / mint
+     * (by the asset approved to the vault or bridged to it) and V2-style swaps (by the path)
+     */
+    annotateAmounts(node, args, context, targetToken) {
+        if (ERC20_AMOUNT_FUNCTIONS.includes(node.name) && targetToken) {
+            for (const arg of node.args) {
+                if (arg.type === 'uint256' && ['amount', 'value'].includes(arg.name)) {
+                    arg.display = this.formatAmount(arg.value, targetToken);
+                }
+            }
+            return;
+        }
+
+        const vaultAmount = VAULT_AMOUNT_FUNCTIONS[node.signature];
+        if (vaultAmount) {
+            const approved = context.approvals && context.target ? context.approvals[context.target.toLowerCase()] : null;
+            const asset = approved || context.asset || null;
+            if (asset && vaultAmount === 'assets') {
+                node.args[0].display = this.formatAmount(args[0], asset);
+            } else if (asset) {
+                // Share decimals follow the asset's unless the vault uses a decimals offset
+                node.args[0].display = `${ethers.utils.formatUnits(args[0], asset.decimals)} ${asset.symbol} vault shares`;
+            }
+            return;
+        }
+
+        const path = node.args.find(arg => arg.name === 'path' && arg.type === 'address[]');
+        if (path && path.value.length >= 2) {
+            const tokenIn = this.findToken(path.value[0], context.chain);
+            const tokenOut = this.findToken(path.value[path.value.length - 1], context.chain);
+            for (const arg of node.args) {
+                if (arg.type !== 'uint256') continue;
+                if (arg.name.startsWith('amountIn')) arg.display = this.formatAmount(arg.value, tokenIn);
+                if (arg.name.startsWith('amountOut')) arg.display = this.formatAmount(arg.value, tokenOut);
+            }
+            path.display = path.value.map(address => {
+                const token = this.findToken(address, context.chain);
+                return token ? token.symbol : address;
+            });
+        }
+    }
+
+    /**
+     * Decode CCIP message data (Any2EVMMessage.data) as sent by YieldMax
+     */
+    decodePayload(data, context = {}, depth = 0) {
+        let decoded;
+        try {
+            decoded = ethers.utils.defaultAbiCoder.decode(PAYLOAD_TYPES, data);
+        } catch (error) {
+            return null;
+        }
+        if (ethers.utils.defaultAbiCoder.encode(PAYLOAD_TYPES, decoded) !== data.toLowerCase()) return null;
+
+        const [target, value, callData, sender] = decoded;
+        return {
+            type: 'payload',
+            target,
+            value,
+            sender,
+            chain: context.chain || null,
+            callData: depth >= this.maxDepth ? null : this.decode(callData, { chain: context.chain, target }, depth + 1)
+        };
+    }
+
+    /**
+     * Render a decoded node as tree lines
+     */
+    render(node, prefix = '') {
+        const lines = [];
+        const walk = (children, indent) => {
+            children.forEach((child, i) => {
+                const last = i === children.length - 1;
+                lines.push(`${indent}${last ? '└─ ' : '├─ '}${child.label}`);
+                if (child.children) walk(child.children, indent + (last ? '   ' : '│  '));
+            });
+        };
+        const root = this.toTree(node);
+        lines.push(`${prefix}${root.label}`);
+        walk(root.children || [], prefix);
+        return lines;
+    }
+
+    toTree(node) {
+        if (!node) return { label: '(empty)' };
+
+        if (node.type === 'unknown') {
+            return { label: node.selector ? `❓ unknown selector ${node.selector} (${node.bytes} bytes)` : `❓ not calldata (${node.bytes} bytes)` };
+        }
+
+        if (node.type === 'payload') {
+            return {
+                label: '📦 CCIP payload (target, value, callData, sender)',
+                children: [
+                    { label: `target: ${node.target}` },
+                    { label: `value: ${node.value} wei` },
+                    { label: `sender: ${node.sender}` },
+                    node.callData ? { label: 'callData:', children: [this.toTree(node.callData)] } : { label: 'callData: 0x' }
+                ]
+            };
+        }
+
+        const on = node.target ? ` → ${node.targetLabel ? `${node.targetLabel} ` : ''}${node.target}` : '';
+        const ambiguous = node.candidates > 1 ? ` (${node.candidates} candidates)` : '';
+        const children = node.args.map(arg => {
+            const value = arg.display !== undefined ? arg.display : CalldataDecoder.plain(arg.value);
+            if (arg.decoded && !Array.isArray(arg.decoded)) {
+                return { label: `${arg.name}:`, children: [this.toTree(arg.decoded)] };
+            }
+            if (Array.isArray(arg.decoded)) {
+                return {
+                    label: `${arg.name}: ${arg.decoded.length} entries`,
+                    children: arg.decoded.map((decoded, i) => decoded
+                        ? { label: `[${i}]`, children: [this.toTree(decoded)] }
+                        : { label: `[${i}] ${arg.value[i]}` })
+                };
+            }
+            if (node.calls && arg.type.endsWith('[]')) return null;
+            return { label: `${arg.name}: ${Array.isArray(value) ? `[${value.join(', ')}]` : value}` };
+        }).filter(Boolean);
+
+        (node.calls || []).forEach(call => {
+            const flags = [
+                call.value && !ethers.BigNumber.from(call.value).isZero() ? `value ${call.value}` : null,
+                call.allowFailure ? 'allowFailure' : null
+            ].filter(Boolean);
+            children.push({
+                label: `call ${call.index}${flags.length ? ` (${flags.join(', ')})` : ''}:`,
+                children: [this.toTree(call.decoded)]
+            });
+        });
+
+        return { label: `🎯 ${node.signature}${node.contract ? ` [${node.contract}]` : ''}${on}${ambiguous}`, children };
+    }
+
+    static plain(value) {
+        if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+        if (Array.isArray(value)) {
+            const names = Object.keys(value).filter(key => isNaN(Number(key)));
+            if (names.length && names.length === value.length) {
+                return `{ ${names.map(name => `${name}: ${CalldataDecoder.plain(value[name])}`).join(', ')} }`;
+            }
+            return value.map(CalldataDecoder.plain);
+        }
+        return String(value);
+    }
+}
+
+module.exports = { CalldataDecoder, PAYLOAD_TYPES };
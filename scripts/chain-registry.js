@@ -0,0 +1,354 @@
+/**
+ * Chain Registry
+ * Single source of truth for chain ids, CCIP selectors, routers, YieldMax deployments,
+ * known tokens and explorers, shared by every CLI and HTML tool.
+ *
+ * Works as a CommonJS module (`require('./chain-registry')`) and in the browser via a
+ * plain <script> tag (exposed as `window.ChainRegistry`). Run `node scripts/validate-chains.js`
+ * after editing to catch inconsistent entries.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ChainRegistry = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // executorTemplate is deployed by the YieldMaxCCIP constructor, i.e. CREATE(yieldMax, nonce 1).
+    // Tokens flagged approveReset revert when a non-zero allowance is changed to another
+    // non-zero value, so approvals must go through approve(spender, 0) first.
+    const CHAINS = {
+        ethereum: {
+            name: 'Ethereum Mainnet',
+            chainId: 1,
+            selector: '5009297550715157269',
+            router: '0x80226fc0Ee2b096224EeAc085Bb9a8cba1146f7D',
+            rpc: 'https://ethereum-rpc.publicnode.com',
+            explorer: 'https://etherscan.io',
+            nativeSymbol: 'ETH',
+            testnet: false,
+            yieldMax: null,
+            executorTemplate: null,
+            tokens: {
+                usdc: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, symbol: 'USDC' },
+                weth: { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18, symbol: 'WETH' },
+                usdt: { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6, symbol: 'USDT', approveReset: true }
+            }
+        },
+        base: {
+            name: 'Base Mainnet',
+            chainId: 8453,
+            selector: '15971525489660198786',
+            router: '0x881e3A65B4d4a04dD529061dd0071cf975F58bCD',
+            rpc: 'https://mainnet.base.org',
+            explorer: 'https://basescan.org',
+            nativeSymbol: 'ETH',
+            testnet: false,
+            yieldMax: '0xe97978aB28f4d340494293a519B8Ba7Ab6E9640F',
+            executorTemplate: '0x4F25f7e5D40A4982C5C3357f28715Cd764CF40cD',
+            additionalYieldMax: ['0x60BD626cbC6A68D3EAF7aDD0872551fA1738D4E3'],
+            tokens: {
+                usdc: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6, symbol: 'USDC' },
+                weth: { address: '0x4200000000000000000000000000000000000006', decimals: 18, symbol: 'WETH' }
+            }
+        },
+        avalanche: {
+            name: 'Avalanche C-Chain',
+            chainId: 43114,
+            selector: '6433500567565415381',
+            router: '0xF4c7E640EdA248ef95972845a62bdC74237805dB',
+            rpc: 'https://api.avax.network/ext/bc/C/rpc',
+            explorer: 'https://snowtrace.io',
+            nativeSymbol: 'AVAX',
+            testnet: false,
+            yieldMax: '0x379154D8C0b0B19B773f841554f7b7Ad445cA244',
+            executorTemplate: '0x0DEf04e47AB440EA284Fcce5d51e156EBb0978f6',
+            additionalYieldMax: ['0x6b9C88C44Eb53A3d2994d05Fc14D86D542Ec0F75'],
+            tokens: {
+                usdc: { address: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E', decimals: 6, symbol: 'USDC' },
+                wavax: { address: '0xB31f66AA3C1e785363F0875A1B74E27b85FD66c7', decimals: 18, symbol: 'WAVAX' }
+            }
+        },
+        arbitrum: {
+            name: 'Arbitrum One',
+            chainId: 42161,
+            selector: '4949039107694359620',
+            router: '0x141fa059441E0ca23ce184B6A78bafD2A517DdE8',
+            rpc: 'https://arb1.arbitrum.io/rpc',
+            explorer: 'https://arbiscan.io',
+            nativeSymbol: 'ETH',
+            testnet: false,
+            yieldMax: null,
+            executorTemplate: null,
+            tokens: {
+                usdc: { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6, symbol: 'USDC' },
+                weth: { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18, symbol: 'WETH' }
+            }
+        },
+        polygon: {
+            name: 'Polygon PoS',
+            chainId: 137,
+            selector: '4051577828743386545',
+            router: '0x849c5ED5a80F5B408Dd4969b78c2C8fdf0565Bfe',
+            rpc: 'https://polygon-rpc.com',
+            explorer: 'https://polygonscan.com',
+            nativeSymbol: 'POL',
+            testnet: false,
+            yieldMax: null,
+            executorTemplate: null,
+            tokens: {
+                usdc: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6, symbol: 'USDC' },
+                wpol: { address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', decimals: 18, symbol: 'WPOL' }
+            }
+        },
+        optimism: {
+            name: 'OP Mainnet',
+            chainId: 10,
+            selector: '3734403246176062136',
+            router: '0x3206695CaE29952f4b0c22a169725a865bc8Ce0f',
+            rpc: 'https://mainnet.optimism.io',
+            explorer: 'https://optimistic.etherscan.io',
+            nativeSymbol: 'ETH',
+            testnet: false,
+            yieldMax: null,
+            executorTemplate: null,
+            tokens: {
+                usdc: { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', decimals: 6, symbol: 'USDC' },
+                weth: { address: '0x4200000000000000000000000000000000000006', decimals: 18, symbol: 'WETH' }
+            }
+        },
+        baseSepolia: {
+            name: 'Base Sepolia',
+            chainId: 84532,
+            selector: '10344971235874465080',
+            router: '0xD3b06cEbF099CE7DA4AcCf578aaebFDBd6e88a93',
+            rpc: 'https://sepolia.base.org',
+            explorer: 'https://sepolia.basescan.org',
+            nativeSymbol: 'ETH',
+            testnet: true,
+            yieldMax: null,
+            executorTemplate: null,
+            tokens: {
+                usdc: { address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', decimals: 6, symbol: 'USDC' }
+            }
+        },
+        avalancheFuji: {
+            name: 'Avalanche Fuji',
+            chainId: 43113,
+            selector: '14767482510784806043',
+            router: '0xF694E193200268f9a4868e4Aa017A0118C9a8177',
+            rpc: 'https://api.avax-test.network/ext/bc/C/rpc',
+            explorer: 'https://testnet.snowtrace.io',
+            nativeSymbol: 'AVAX',
+            testnet: true,
+            yieldMax: null,
+            executorTemplate: null,
+            tokens: {
+                usdc: { address: '0x5425890298aed601595a70AB815c96711a31Bc65', decimals: 6, symbol: 'USDC' }
+            }
+        }
+    };
+
+    /**
+     * All chains as an array, each entry carrying its registry key
+     */
+    function list(options = {}) {
+        return Object.entries(CHAINS)
+            .map(([key, chain]) => ({ key, ...chain }))
+            .filter(chain => options.testnet === undefined || chain.testnet === options.testnet)
+            .filter(chain => !options.withYieldMax || chain.yieldMax);
+    }
+
+    function byName(name) {
+        if (!name) return null;
+        const wanted = String(name).toLowerCase();
+        const key = Object.keys(CHAINS).find(k => k.toLowerCase() === wanted || CHAINS[k].name.toLowerCase() === wanted);
+        return key ? { key, ...CHAINS[key] } : null;
+    }
+
+    function byChainId(chainId) {
+        return list().find(chain => String(chain.chainId) === String(chainId)) || null;
+    }
+
+    function bySelector(selector) {
+        return list().find(chain => chain.selector === String(selector)) || null;
+    }
+
+    /**
+     * Resolve a registry key, display name, chain id or CCIP selector
+     */
+    function resolve(nameOrId) {
+        return byName(nameOrId) || bySelector(nameOrId) || byChainId(nameOrId);
+    }
+
+    /**
+     * Like resolve(), but throws for unknown chains
+     */
+    function get(nameOrId) {
+        const chain = resolve(nameOrId);
+        if (!chain) {
+            throw new Error(`Unknown chain: ${nameOrId} (known: ${Object.keys(CHAINS).join(', ')})`);
+        }
+        return chain;
+    }
+
+    /**
+     * A chain and the YieldMax to use on it: the override when given, else the registry deployment.
+     * Throws for chains without either; `hint` says how to pass an address (e.g. "pass --yieldmax <address>").
+     * @returns {object} { chain, yieldMax }
+     */
+    function resolveDeployment(nameOrId, overrides = {}, hint) {
+        const chain = get(nameOrId);
+        const yieldMax = overrides.yieldMax || chain.yieldMax;
+        if (!yieldMax) {
+            throw new Error(`No YieldMax deployment registered on ${chain.name}${hint ? `; ${hint}` : ''}`);
+        }
+        return { chain, yieldMax };
+    }
+
+    /**
+     * Look up a known token on a chain by symbol key or address
+     */
+    function token(chainName, symbolOrAddress) {
+        const chain = resolve(chainName);
+        if (!chain || !symbolOrAddress) return null;
+
+        const wanted = String(symbolOrAddress).toLowerCase();
+        const key = Object.keys(chain.tokens).find(k =>
+            k === wanted || chain.tokens[k].address.toLowerCase() === wanted
+        );
+        return key ? { key, chain: chain.key, ...chain.tokens[key] } : null;
+    }
+
+    /**
+     * Find a YieldMax deployment (primary or additional) across all chains
+     */
+    function byYieldMax(address) {
+        if (!address) return null;
+        const wanted = address.toLowerCase();
+        return list().find(chain =>
+            (chain.yieldMax && chain.yieldMax.toLowerCase() === wanted) ||
+            (chain.additionalYieldMax || []).some(a => a.toLowerCase() === wanted)
+        ) || null;
+    }
+
+    function explorerTx(chainName, txHash) {
+        return `${get(chainName).explorer}/tx/${txHash}`;
+    }
+
+    function explorerAddress(chainName, address) {
+        return `${get(chainName).explorer}/address/${address}`;
+    }
+
+    /**
+     * Offline consistency checks. Pass ethers to also verify address checksums
+     * and the CREATE-derived executor template addresses.
+     */
+    function validate(ethers) {
+        const issues = [];
+        const report = (level, chain, message) => issues.push({ level, chain, message });
+        const seen = { chainId: {}, selector: {}, yieldMax: {} };
+
+        const checkAddress = (chain, label, address) => {
+            if (!/^0x[0-9a-fA-F]{40}$/.test(address || '')) {
+                report('error', chain, `${label} is not a valid address: ${address}`);
+                return;
+            }
+            if (ethers) {
+                try {
+                    if (ethers.utils.getAddress(address) !== address) {
+                        report('warning', chain, `${label} is not checksummed: ${address}`);
+                    }
+                } catch (error) {
+                    report('error', chain, `${label} has an invalid checksum: ${address}`);
+                }
+            }
+        };
+
+        for (const chain of list()) {
+            for (const field of ['name', 'chainId', 'selector', 'router', 'rpc', 'explorer']) {
+                if (chain[field] === undefined || chain[field] === null || chain[field] === '') {
+                    report('error', chain.key, `missing ${field}`);
+                }
+            }
+
+            if (!/^[0-9]+$/.test(chain.selector || '')) {
+                report('error', chain.key, `CCIP selector must be a decimal string: ${chain.selector}`);
+            }
+
+            for (const [field, value] of [['chainId', chain.chainId], ['selector', chain.selector]]) {
+                if (seen[field][value]) {
+                    report('error', chain.key, `duplicate ${field} ${value} (also used by ${seen[field][value]})`);
+                }
+                seen[field][value] = chain.key;
+            }
+
+            checkAddress(chain.key, 'router', chain.router);
+
+            if (!/^https:\/\/[^/]+/.test(chain.explorer || '') || chain.explorer.endsWith('/')) {
+                report('warning', chain.key, `explorer should be an https URL without trailing slash: ${chain.explorer}`);
+            }
+
+            if (chain.yieldMax) {
+                checkAddress(chain.key, 'yieldMax', chain.yieldMax);
+                if (seen.yieldMax[chain.yieldMax.toLowerCase()]) {
+                    report('warning', chain.key, `yieldMax ${chain.yieldMax} also listed on ${seen.yieldMax[chain.yieldMax.toLowerCase()]}`);
+                }
+                seen.yieldMax[chain.yieldMax.toLowerCase()] = chain.key;
+
+                if (!chain.executorTemplate) {
+                    report('error', chain.key, 'yieldMax set without executorTemplate');
+                } else {
+                    checkAddress(chain.key, 'executorTemplate', chain.executorTemplate);
+                    if (ethers) {
+                        const expected = ethers.utils.getContractAddress({ from: chain.yieldMax, nonce: 1 });
+                        if (expected.toLowerCase() !== chain.executorTemplate.toLowerCase()) {
+                            report('error', chain.key, `executorTemplate ${chain.executorTemplate} does not match CREATE(yieldMax, 1) = ${expected}`);
+                        }
+                    }
+                }
+            } else if (chain.executorTemplate) {
+                report('warning', chain.key, 'executorTemplate set without yieldMax');
+            }
+
+            (chain.additionalYieldMax || []).forEach((address, i) => {
+                checkAddress(chain.key, `additionalYieldMax[${i}]`, address);
+            });
+
+            const tokenAddresses = {};
+            for (const [key, info] of Object.entries(chain.tokens || {})) {
+                checkAddress(chain.key, `token ${key}`, info.address);
+                if (!Number.isInteger(info.decimals) || info.decimals < 0 || info.decimals > 77) {
+                    report('error', chain.key, `token ${key} has invalid decimals: ${info.decimals}`);
+                }
+                if (!info.symbol || info.symbol.toLowerCase() !== key) {
+                    report('warning', chain.key, `token key "${key}" does not match symbol ${info.symbol}`);
+                }
+                const lower = (info.address || '').toLowerCase();
+                if (tokenAddresses[lower]) {
+                    report('error', chain.key, `token ${key} shares address with ${tokenAddresses[lower]}`);
+                }
+                tokenAddresses[lower] = key;
+            }
+        }
+
+        return issues;
+    }
+
+    return {
+        chains: CHAINS,
+        list,
+        byName,
+        byChainId,
+        bySelector,
+        byYieldMax,
+        resolve,
+        get,
+        resolveDeployment,
+        token,
+        explorerTx,
+        explorerAddress,
+        validate
+    };
+});
@@ -0,0 +1,128 @@
+const { ethers } = require('ethers');
+
+/**
+ * Shared --format handling for the debugging CLIs
+ * text   - the default emoji report
+ * json   - the full result object
+ * ndjson - one JSON object per row (events, approvals, ...)
+ * table  - rows as an aligned text table
+ */
+
+const FORMATS = ['text', 'json', 'ndjson', 'table'];
+
+/**
+ * Remove `--format <name>` from args and return the format (default: text)
+ */
+function takeFormat(args) {
+    const index = args.indexOf('--format');
+    if (index === -1) return 'text';
+
+    const format = args.splice(index, 2)[1];
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+    return format;
+}
+
+/**
+ * Remove `<name> <value>` from args and return the value (undefined when absent).
+ * With count > 1 the option takes that many values and they are returned as an array.
+ */
+function takeOption(args, name, count = 1) {
+    const index = args.indexOf(name);
+    if (index === -1) return undefined;
+
+    const values = args.splice(index, count + 1).slice(1);
+    return count === 1 ? values[0] : values;
+}
+
+/**
+ * Remove the boolean flag `name` from args and return whether it was present
+ */
+function takeFlag(args, name) {
+    const index = args.indexOf(name);
+    if (index !== -1) args.splice(index, 1);
+    return index !== -1;
+}
+
+/**
+ * JSON-safe copy: BigNumbers become decimal strings and ethers Results with named keys become objects
+ */
+function toPlain(value) {
+    if (value === null || value === undefined) return value;
+    if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+    if (typeof value === 'bigint') return value.toString();
+
+    if (Array.isArray(value)) {
+        const names = Object.keys(value).filter(key => isNaN(Number(key)));
+        if (names.length > 0 && names.length === value.length) {
+            return Object.fromEntries(names.map(name => [name, toPlain(value[name])]));
+        }
+        return value.map(toPlain);
+    }
+
+    if (typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([, entry]) => entry !== undefined && typeof entry !== 'function')
+                .map(([key, entry]) => [key, toPlain(entry)])
+        );
+    }
+
+    return value;
+}
+
+function formatTable(rows) {
+    if (rows.length === 0) return '(no rows)';
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    };
+    const cells = rows.map(row => columns.map(column => cell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+    const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+    return [
+        line(columns),
+        line(widths.map(width => '-'.repeat(width))),
+        ...cells.map(line)
+    ].join('\n');
+}
+
+/**
+ * Print a result in the requested format
+ * @param {string} format - one of FORMATS
+ * @param {object} result - structured result returned by a class method
+ * @param {object} options - { rows: array for ndjson/table (default: [result]), text: fn(result) for the text report }
+ */
+function printResult(format, result, options = {}) {
+    if (format === 'text') {
+        if (options.text) {
+            options.text(result);
+        } else {
+            console.log(JSON.stringify(toPlain(result), null, 2));
+        }
+        return;
+    }
+
+    if (format === 'json') {
+        console.log(JSON.stringify(toPlain(result), null, 2));
+        return;
+    }
+
+    const rows = toPlain(options.rows || [result]);
+    if (format === 'ndjson') {
+        rows.forEach(row => console.log(JSON.stringify(row)));
+        return;
+    }
+
+    // Single objects are shown as field/value pairs
+    const tableRows = rows.length === 1 && !options.rows
+        ? Object.entries(rows[0]).map(([field, value]) => ({ field, value }))
+        : rows;
+    console.log(formatTable(tableRows));
+}
+
+module.exports = { FORMATS, takeFormat, takeOption, takeFlag, toPlain, formatTable, printResult };
@@ -1,6 +1,14 @@
 #!/usr/bin/env node
 
 const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const RevertDecoder = require('./revert-decoder');
+const { FailedMessageInspector } = require('./failed-messages');
+const { ExecutorInspector } = require('./executor-inspector');
+const { CalldataDecoder } = require('./calldata-decoder');
+const SignatureDb = require('./signature-db');
+const { takeFormat, printResult } = require('./cli-output');
 
 /**
  * On-Chain Transaction Debugger
@@ -11,39 +19,10 @@ class OnChainDebugger {
     constructor(rpcUrl, chainName) {
         this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
         this.chainName = chainName;
+        this.calldataDecoder = new CalldataDecoder();
         
-        // Complete YieldMax ABI with all events and functions
-        this.yieldMaxABI = [
-            // Events
-            "event CrossTxExecuted(address indexed sender, address indexed target, uint256 value, bytes data)",
-            "event EscrowRescued(address indexed user, uint256 amount)",
-            "event ERC20EscrowRescued(address indexed user, address token, uint256 amount)",
-            "event ERC20Received(address indexed token, address indexed sender, uint256 amount)",
-            "event ExecutorCreated(address indexed executor, address indexed target, uint256 deadline)",
-            "event ExecutorExecuted(address indexed executor, bool success)",
-            "event MessageFailed(bytes32 indexed messageId, bytes reason)",
-            "event MessageRecovered(bytes32 indexed messageId)",
-            "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
-            
-            // Functions
-            "function allowlistDestinationChain(uint64 _destinationChainSelector, bool allowed) external",
-            "function allowlistSourceChain(uint64 _sourceChainSelector, bool allowed) external",
-            "function allowlistedDestinationChains(uint64) external view returns (bool)",
-            "function allowlistedSourceChains(uint64) external view returns (bool)",
-            "function emergencyWithdraw(address beneficiary) external",
-            "function emergencyWithdrawToken(address beneficiary, address token) external",
-            "function estimateFee(uint64 destinationChainSelector, address receiver, address targetContract, uint256 value, address[] calldata tokenAddresses, uint256[] calldata tokenAmounts, bytes calldata callData) external view returns (uint256)",
-            "function getFailedMessages(uint256 offset, uint256 limit) external view returns (tuple(bytes32 messageId, uint8 errorCode)[] memory)",
-            "function owner() external view returns (address)",
-            "function pendingEscrowNative(address) external view returns (uint256)",
-            "function pendingEscrowERC20(address, address) external view returns (uint256)",
-            "function rescueEscrow() external",
-            "function rescueERC20Escrow(address token) external",
-            "function retryFailedMessage(bytes32 messageId, address tokenReceiver) external",
-            "function sendCrossChainExecution(uint64 destinationChainSelector, address receiver, address targetContract, uint256 value, address[] calldata tokenAddresses, uint256[] calldata tokenAmounts, bytes calldata callData) external payable",
-            "function transferOwnership(address newOwner) external",
-            "function usedPayloads(bytes32) external view returns (bool)"
-        ];
+        // YieldMax ABI generated from the compiled artifact (see yieldmax-sdk.js)
+        this.yieldMaxABI = YieldMaxSDK.abi.yieldMax;
         
         this.erc20ABI = [
             "function balanceOf(address) external view returns (uint256)",
@@ -54,140 +33,105 @@ class OnChainDebugger {
         ];
     }
 
+    /**
+     * Structured debug report for a transaction (null fields when the tx is not found)
+     */
     async debugTransaction(txHash) {
-        console.log(`\n🔍 Debugging Transaction: ${txHash}`);
-        console.log(`📍 Chain: ${this.chainName}\n`);
+        const report = { chain: this.chainName, txHash, found: false };
 
-        try {
-            // Get transaction receipt
-            const receipt = await this.provider.getTransactionReceipt(txHash);
-            if (!receipt) {
-                console.log("❌ Transaction not found or still pending");
-                return;
-            }
-
-            console.log("📋 Transaction Summary:");
-            console.log(`   Status: ${receipt.status === 1 ? '✅ Success' : '❌ Failed'}`);
-            console.log(`   Block: ${receipt.blockNumber}`);
-            console.log(`   Gas Used: ${receipt.gasUsed.toString()}`);
-            console.log(`   From: ${receipt.from}`);
-            console.log(`   To: ${receipt.to}`);
+        // Get transaction receipt
+        const receipt = await this.provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            return report;
+        }
 
+        Object.assign(report, {
+            found: true,
+            status: receipt.status === 1 ? 'success' : 'failed',
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            from: receipt.from,
+            to: receipt.to,
             // Analyze events
-            await this.analyzeEvents(receipt);
+            events: await this.analyzeEvents(receipt)
+        });
 
-            // Get transaction details
-            const tx = await this.provider.getTransaction(txHash);
-            await this.analyzeTransactionData(tx);
+        // Get transaction details
+        const tx = await this.provider.getTransaction(txHash);
+        report.transaction = await this.analyzeTransactionData(tx);
 
-        } catch (error) {
-            console.error("❌ Error debugging transaction:", error.message);
-        }
+        return report;
     }
 
     async analyzeEvents(receipt) {
-        console.log("\n📡 Event Analysis:");
-        
-        if (receipt.logs.length === 0) {
-            console.log("   No events emitted");
-            return;
-        }
-
-        const yieldMaxInterface = new ethers.utils.Interface(this.yieldMaxABI);
+        const yieldMaxInterface = YieldMaxSDK.interfaces.yieldMax;
+        const events = [];
         
         for (const log of receipt.logs) {
+            let parsed;
             try {
-                const parsed = yieldMaxInterface.parseLog(log);
-                console.log(`   🎯 ${parsed.name}:`);
-                
-                switch (parsed.name) {
-                    case 'ExecutorCreated':
-                        console.log(`      Executor: ${parsed.args.executor}`);
-                        console.log(`      Target: ${parsed.args.target}`);
-                        console.log(`      Deadline: ${new Date(parsed.args.deadline * 1000).toISOString()}`);
-                        
-                        // Check if target has code
-                        await this.checkTargetContract(parsed.args.target);
-                        break;
-                        
-                    case 'ExecutorExecuted':
-                        console.log(`      Executor: ${parsed.args.executor}`);
-                        console.log(`      Success: ${parsed.args.success ? '✅' : '❌'}`);
-                        
-                        if (!parsed.args.success) {
-                            console.log("      ⚠️  Executor execution failed!");
-                            await this.debugExecutorFailure(parsed.args.executor);
-                        }
-                        break;
-                        
-                    case 'CrossTxExecuted':
-                        console.log(`      Sender: ${parsed.args.sender}`);
-                        console.log(`      Target: ${parsed.args.target}`);
-                        console.log(`      Value: ${parsed.args.value} wei`);
-                        console.log(`      Data: ${parsed.args.data}`);
-                        break;
-                        
-                    case 'ERC20Received':
-                        console.log(`      Token: ${parsed.args.token}`);
-                        console.log(`      Sender: ${parsed.args.sender}`);
-                        console.log(`      Amount: ${parsed.args.amount}`);
-                        
-                        await this.analyzeToken(parsed.args.token);
-                        break;
-                        
-                    case 'MessageFailed':
-                        console.log(`      Message ID: ${parsed.args.messageId}`);
-                        console.log(`      Reason: ${parsed.args.reason}`);
-                        break;
-                        
-                    case 'MessageRecovered':
-                        console.log(`      Message ID: ${parsed.args.messageId}`);
-                        break;
-                        
-                    case 'EscrowRescued':
-                        console.log(`      User: ${parsed.args.user}`);
-                        console.log(`      Amount: ${ethers.utils.formatEther(parsed.args.amount)} ETH`);
-                        break;
-                        
-                    case 'ERC20EscrowRescued':
-                        console.log(`      User: ${parsed.args.user}`);
-                        console.log(`      Token: ${parsed.args.token}`);
-                        console.log(`      Amount: ${parsed.args.amount}`);
-                        await this.analyzeToken(parsed.args.token);
-                        break;
-                        
-                    case 'OwnershipTransferred':
-                        console.log(`      Previous Owner: ${parsed.args.previousOwner}`);
-                        console.log(`      New Owner: ${parsed.args.newOwner}`);
-                        break;
-                }
+                parsed = yieldMaxInterface.parseLog(log);
             } catch (error) {
-                // Not a YieldMax event, try to decode as generic event
-                console.log(`   📝 Raw Log: ${log.topics[0]} (${log.address})`);
+                // Not a YieldMax event, keep the raw topic and name it from the signature database
+                events.push({
+                    logIndex: log.logIndex,
+                    address: log.address,
+                    name: null,
+                    topic: log.topics[0],
+                    signature: log.topics[0] ? SignatureDb.describe(SignatureDb.load().lookupEvent(log.topics[0])) : null
+                });
+                continue;
+            }
+
+            const event = { logIndex: log.logIndex, address: log.address, name: parsed.name, args: parsed.args };
+                
+            switch (parsed.name) {
+                case 'ExecutorCreated':
+                case 'ExecutorReused':
+                    // Check if target has code
+                    event.targetCheck = await this.checkTargetContract(parsed.args.target);
+                    break;
+                    
+                case 'ExecutorExecuted':
+                    if (!parsed.args.success) {
+                        event.executorFailure = await this.debugExecutorFailure(parsed.args.executor);
+                    }
+                    break;
+                    
+                case 'ERC20Received':
+                case 'ERC20EscrowRescued':
+                    event.token = await this.analyzeToken(parsed.args.token);
+                    break;
+                    
+                case 'MessageFailed':
+                    event.revert = RevertDecoder.decode(parsed.args.reason);
+                    break;
             }
+
+            events.push(event);
         }
+
+        return events;
     }
 
     async checkTargetContract(targetAddress) {
         const code = await this.provider.getCode(targetAddress);
-        if (code === '0x') {
-            console.log(`      ⚠️  WARNING: Target ${targetAddress} has no code (EOA or non-deployed contract)`);
-        } else {
-            console.log(`      ✅ Target ${targetAddress} is a valid contract`);
-            
+        const check = { address: targetAddress, hasCode: code !== '0x', token: null };
+
+        if (check.hasCode) {
             // Try to identify if it's an ERC20
-            try {
-                const contract = new ethers.Contract(targetAddress, this.erc20ABI, this.provider);
-                const [name, symbol, decimals] = await Promise.all([
-                    contract.name().catch(() => 'Unknown'),
-                    contract.symbol().catch(() => 'Unknown'),
-                    contract.decimals().catch(() => 0)
-                ]);
-                console.log(`      📄 Token Info: ${name} (${symbol}) - ${decimals} decimals`);
-            } catch (error) {
-                console.log(`      📄 Contract type: Unknown (not standard ERC20)`);
+            const contract = new ethers.Contract(targetAddress, this.erc20ABI, this.provider);
+            const [name, symbol, decimals] = await Promise.all([
+                contract.name().catch(() => null),
+                contract.symbol().catch(() => null),
+                contract.decimals().catch(() => null)
+            ]);
+            if (name && symbol) {
+                check.token = { name, symbol, decimals };
             }
         }
+
+        return check;
     }
 
     async analyzeToken(tokenAddress) {
@@ -198,154 +142,301 @@ class OnChainDebugger {
                 contract.symbol(),
                 contract.decimals()
             ]);
-            console.log(`      📄 ${name} (${symbol}) - ${decimals} decimals`);
+            return { address: tokenAddress, name, symbol, decimals };
         } catch (error) {
-            console.log(`      📄 Token info unavailable`);
+            return null;
         }
     }
 
     async debugExecutorFailure(executorAddress) {
-        console.log(`\n🔧 Debugging Executor Failure: ${executorAddress}`);
-        
-        // Check if executor still exists
-        const code = await this.provider.getCode(executorAddress);
-        if (code === '0x') {
-            console.log("   ✅ Executor self-destructed (normal cleanup)");
-        } else {
-            console.log("   ⚠️  Executor still exists - might indicate incomplete execution");
-        }
-        
-        // Check executor balance
-        const balance = await this.provider.getBalance(executorAddress);
-        if (balance.gt(0)) {
-            console.log(`   💰 Executor has remaining ETH: ${ethers.utils.formatEther(balance)}`);
-        }
+        // Executor state, tracked tokens and leftover balances
+        return new ExecutorInspector(this.provider).inspectExecutor(executorAddress);
     }
 
     async analyzeTransactionData(tx) {
-        console.log("\n📤 Transaction Data Analysis:");
-        console.log(`   Value: ${ethers.utils.formatEther(tx.value)} ETH`);
-        console.log(`   Gas Limit: ${tx.gasLimit.toString()}`);
-        console.log(`   Gas Price: ${ethers.utils.formatUnits(tx.gasPrice, 'gwei')} gwei`);
+        const analysis = {
+            value: tx.value,
+            gasLimit: tx.gasLimit,
+            gasPrice: tx.gasPrice,
+            dataLength: tx.data && tx.data !== '0x' ? ethers.utils.hexDataLength(tx.data) : 0,
+            sendCrossChainExecution: null,
+            callData: null
+        };
         
-        if (tx.data && tx.data !== '0x') {
-            console.log(`   Data Length: ${tx.data.length / 2 - 1} bytes`);
-            
+        if (analysis.dataLength > 0) {
             // Try to decode function call
             try {
-                const yieldMaxInterface = new ethers.utils.Interface([
-                    "function sendCrossChainExecution(uint64 destinationChainSelector, address receiver, address targetContract, uint256 value, address[] calldata tokenAddresses, uint256[] calldata tokenAmounts, bytes calldata callData) external payable"
-                ]);
-                
-                const decoded = yieldMaxInterface.decodeFunctionData("sendCrossChainExecution", tx.data);
-                console.log("   🎯 Decoded sendCrossChainExecution:");
-                console.log(`      Destination Chain: ${decoded.destinationChainSelector}`);
-                console.log(`      Receiver: ${decoded.receiver}`);
-                console.log(`      Target Contract: ${decoded.targetContract}`);
-                console.log(`      ETH Value: ${decoded.value} wei`);
-                console.log(`      Token Addresses: [${decoded.tokenAddresses.join(', ')}]`);
-                console.log(`      Token Amounts: [${decoded.tokenAmounts.join(', ')}]`);
-                console.log(`      Call Data: ${decoded.callData}`);
+                const decoded = YieldMaxSDK.interfaces.yieldMax.decodeFunctionData("sendCrossChainExecution", tx.data);
+                analysis.sendCrossChainExecution = {
+                    destinationChainSelector: decoded.destinationChainSelector,
+                    receiver: decoded.receiver,
+                    targetContract: decoded.targetContract,
+                    value: decoded.value,
+                    tokenAddresses: decoded.tokenAddresses,
+                    tokenAmounts: decoded.tokenAmounts,
+                    callData: decoded.callData,
+                    gasLimit: decoded.gasLimit
+                };
                 
                 // Decode the inner call data
-                await this.decodeCallData(decoded.callData);
-                
+                analysis.callData = this.decodeCallData(decoded.callData, decoded.destinationChainSelector, decoded.targetContract);
             } catch (error) {
-                console.log("   📝 Could not decode as sendCrossChainExecution");
+                // Not a sendCrossChainExecution call
             }
         }
+
+        return analysis;
+    }
+
+    decodeCallData(callData, destinationChainSelector, targetContract) {
+        if (!callData || callData === '0x') {
+            return null;
+        }
+
+        // Inner calls run on the destination chain, so token amounts use its registry entries
+        const destination = ChainRegistry.bySelector(destinationChainSelector.toString());
+        return this.calldataDecoder.decode(callData, {
+            chain: destination ? destination.key : null,
+            target: targetContract
+        });
+    }
+
+    async checkFailedMessages(yieldMaxAddress) {
+        const inspector = new FailedMessageInspector(this.provider, yieldMaxAddress);
+        return inspector.inspect();
     }
 
-    async decodeCallData(callData) {
-        if (!callData || callData === '0x' || callData.length < 10) {
-            console.log("      📝 No call data or too short");
+    printReport(report) {
+        console.log(`\n🔍 Debugging Transaction: ${report.txHash}`);
+        console.log(`📍 Chain: ${report.chain}\n`);
+
+        if (!report.found) {
+            console.log("❌ Transaction not found or still pending");
             return;
         }
 
-        const selector = callData.substring(0, 10);
-        console.log(`      🎯 Function Selector: ${selector}`);
+        console.log("📋 Transaction Summary:");
+        console.log(`   Status: ${report.status === 'success' ? '✅ Success' : '❌ Failed'}`);
+        console.log(`   Block: ${report.blockNumber}`);
+        console.log(`   Gas Used: ${report.gasUsed.toString()}`);
+        console.log(`   From: ${report.from}`);
+        console.log(`   To: ${report.to}`);
 
-        // Common ERC20 function selectors
-        const knownSelectors = {
-            '0xa9059cbb': 'transfer(address,uint256)',
-            '0x095ea7b3': 'approve(address,uint256)',
-            '0x23b872dd': 'transferFrom(address,address,uint256)',
-            '0xcaa5c23f': 'multicall(tuple(address,bytes)[])',
-            '0x70a08231': 'balanceOf(address)'
-        };
+        this.printEvents(report.events);
+        this.printTransactionData(report.transaction);
+    }
+
+    printEvents(events) {
+        console.log("\n📡 Event Analysis:");
+        
+        if (events.length === 0) {
+            console.log("   No events emitted");
+            return;
+        }
 
-        if (knownSelectors[selector]) {
-            console.log(`      📋 Function: ${knownSelectors[selector]}`);
+        for (const event of events) {
+            if (!event.name) {
+                console.log(`   📝 Raw Log: ${event.signature || `unknown topic ${event.topic}`} (${event.address})`);
+                continue;
+            }
+
+            const { args } = event;
+            console.log(`   🎯 ${event.name}:`);
             
-            if (selector === '0xa9059cbb') {
-                // Decode transfer
-                try {
-                    const iface = new ethers.utils.Interface(['function transfer(address,uint256)']);
-                    const decoded = iface.decodeFunctionData('transfer', callData);
-                    console.log(`      📤 Transfer to: ${decoded[0]}`);
-                    console.log(`      💰 Amount: ${decoded[1].toString()}`);
-                } catch (error) {
-                    console.log("      ❌ Failed to decode transfer parameters");
-                }
+            switch (event.name) {
+                case 'ExecutorCreated':
+                case 'ExecutorReused':
+                    console.log(`      Executor: ${args.executor}`);
+                    console.log(`      Target: ${args.target}`);
+                    console.log(`      Deadline: ${new Date(args.deadline * 1000).toISOString()}`);
+                    this.printTargetCheck(event.targetCheck);
+                    break;
+                    
+                case 'ExecutorExecuted':
+                    console.log(`      Executor: ${args.executor}`);
+                    console.log(`      Success: ${args.success ? '✅' : '❌'}`);
+                    
+                    if (event.executorFailure) {
+                        console.log("      ⚠️  Executor execution failed!");
+                        this.printExecutorFailure(event.executorFailure);
+                    }
+                    break;
+                    
+                case 'CrossTxExecuted':
+                    console.log(`      Sender: ${args.sender}`);
+                    console.log(`      Target: ${args.target}`);
+                    console.log(`      Value: ${args.value} wei`);
+                    console.log(`      Data: ${args.data}`);
+                    break;
+                    
+                case 'ERC20Received':
+                    console.log(`      Token: ${args.token}`);
+                    console.log(`      Sender: ${args.sender}`);
+                    console.log(`      Amount: ${args.amount}`);
+                    this.printToken(event.token);
+                    break;
+                    
+                case 'MessageFailed':
+                    console.log(`      Message ID: ${args.messageId}`);
+                    const [reason, ...help] = RevertDecoder.describe(event.revert);
+                    console.log(`      Reason: ${reason}`);
+                    help.forEach(line => console.log(`      💡 ${line}`));
+                    break;
+                    
+                case 'MessageRecovered':
+                    console.log(`      Message ID: ${args.messageId}`);
+                    break;
+                    
+                case 'EscrowRescued':
+                    console.log(`      User: ${args.user}`);
+                    console.log(`      Amount: ${ethers.utils.formatEther(args.amount)} ETH`);
+                    break;
+                    
+                case 'ERC20EscrowRescued':
+                    console.log(`      User: ${args.user}`);
+                    console.log(`      Token: ${args.token}`);
+                    console.log(`      Amount: ${args.amount}`);
+                    this.printToken(event.token);
+                    break;
+                    
+                case 'OwnershipTransferred':
+                    console.log(`      Previous Owner: ${args.previousOwner}`);
+                    console.log(`      New Owner: ${args.newOwner}`);
+                    break;
             }
+        }
+    }
+
+    printTargetCheck(check) {
+        if (!check.hasCode) {
+            console.log(`      ⚠️  WARNING: Target ${check.address} has no code (EOA or non-deployed contract)`);
+            return;
+        }
+
+        console.log(`      ✅ Target ${check.address} is a valid contract`);
+        if (check.token) {
+            console.log(`      📄 Token Info: ${check.token.name} (${check.token.symbol}) - ${check.token.decimals} decimals`);
         } else {
-            console.log("      📝 Unknown function selector");
+            console.log(`      📄 Contract type: Unknown (not standard ERC20)`);
         }
     }
 
-    async checkFailedMessages(yieldMaxAddress) {
-        console.log(`\n📋 Checking Failed Messages on ${yieldMaxAddress}:`);
+    printToken(token) {
+        if (token) {
+            console.log(`      📄 ${token.name} (${token.symbol}) - ${token.decimals} decimals`);
+        } else {
+            console.log(`      📄 Token info unavailable`);
+        }
+    }
+
+    printExecutorFailure(failure) {
+        console.log(`\n🔧 Debugging Executor Failure: ${failure.executor}`);
+        new ExecutorInspector(this.provider).printState(failure);
+    }
+
+    printTransactionData(analysis) {
+        console.log("\n📤 Transaction Data Analysis:");
+        console.log(`   Value: ${ethers.utils.formatEther(analysis.value)} ETH`);
+        console.log(`   Gas Limit: ${analysis.gasLimit.toString()}`);
+        if (analysis.gasPrice) {
+            console.log(`   Gas Price: ${ethers.utils.formatUnits(analysis.gasPrice, 'gwei')} gwei`);
+        }
         
-        try {
-            const contract = new ethers.Contract(yieldMaxAddress, this.yieldMaxABI, this.provider);
-            const failedMessages = await contract.getFailedMessages(0, 10);
-            
-            if (failedMessages.length === 0) {
-                console.log("   ✅ No failed messages found");
-            } else {
-                console.log(`   ⚠️  Found ${failedMessages.length} failed messages:`);
-                failedMessages.forEach((msg, index) => {
-                    console.log(`      ${index + 1}. Message ID: ${msg.messageId}`);
-                    console.log(`         Source Chain: ${msg.sourceChainSelector}`);
-                    console.log(`         Tokens: ${msg.tokens.length} token(s)`);
-                });
-            }
-        } catch (error) {
-            console.log("   ❌ Could not check failed messages:", error.message);
+        if (analysis.dataLength === 0) return;
+        console.log(`   Data Length: ${analysis.dataLength} bytes`);
+
+        const decoded = analysis.sendCrossChainExecution;
+        if (!decoded) {
+            console.log("   📝 Could not decode as sendCrossChainExecution");
+            return;
+        }
+
+        console.log("   🎯 Decoded sendCrossChainExecution:");
+        console.log(`      Destination Chain: ${decoded.destinationChainSelector}`);
+        console.log(`      Receiver: ${decoded.receiver}`);
+        console.log(`      Target Contract: ${decoded.targetContract}`);
+        console.log(`      ETH Value: ${decoded.value} wei`);
+        console.log(`      Token Addresses: [${decoded.tokenAddresses.join(', ')}]`);
+        console.log(`      Token Amounts: [${decoded.tokenAmounts.join(', ')}]`);
+        console.log(`      Call Data: ${decoded.callData}`);
+        console.log(`      Gas Limit: ${decoded.gasLimit.toString()}`);
+
+        if (!analysis.callData) {
+            console.log("      📝 No call data");
+            return;
         }
+
+        console.log("      🌳 Decoded Call Data:");
+        this.calldataDecoder.render(analysis.callData, '         ').forEach(line => console.log(line));
     }
 }
 
 // CLI Usage
 async function main() {
     const args = process.argv.slice(2);
+    const format = takeFormat(args);
     
-    if (args.length < 3) {
+    // Registry shorthand: <chain> <TX_HASH> [YIELDMAX_ADDRESS]
+    const registryChain = args.length >= 2 && !args[0].startsWith('http') ? ChainRegistry.resolve(args[0]) : null;
+    
+    if (!registryChain && args.length < 3) {
         console.log(`
 Usage: node debug-transaction.js <RPC_URL> <CHAIN_NAME> <TX_HASH> [YIELDMAX_ADDRESS]
+       node debug-transaction.js <chain> <TX_HASH> [YIELDMAX_ADDRESS]
+
+Options:
+  --format <text|json|ndjson|table>   Output format (ndjson/table emit one row per event)
+
+Chains: ${ChainRegistry.list().map(chain => chain.key).join(', ')}
 
 Examples:
   # Debug Base transaction
   node debug-transaction.js "https://mainnet.base.org" "Base" "0x..."
   
+  # Same, using the chain registry
+  node debug-transaction.js base "0x..."
+  
   # Debug Avalanche transaction
   node debug-transaction.js "https://api.avax.network/ext/bc/C/rpc" "Avalanche" "0x..."
   
   # Also check failed messages
-  node debug-transaction.js "https://mainnet.base.org" "Base" "0x..." "0xe97978aB28f4d340494293a519B8Ba7Ab6E9640F"
+  node debug-transaction.js "https://mainnet.base.org" "Base" "0x..." "${ChainRegistry.get('base').yieldMax}"
+  
+  # Machine-readable report
+  node debug-transaction.js base "0x..." --format json | jq '.events[].name'
         `);
         process.exit(1);
     }
 
-    const [rpcUrl, chainName, txHash, yieldMaxAddress] = args;
+    const [rpcUrl, chainName, txHash, yieldMaxAddress] = registryChain
+        ? [registryChain.rpc, registryChain.name, args[1], args[2]]
+        : args;
     
     const txDebugger = new OnChainDebugger(rpcUrl, chainName);
     
-    await txDebugger.debugTransaction(txHash);
+    const report = await txDebugger.debugTransaction(txHash);
     
     if (yieldMaxAddress) {
-        await txDebugger.checkFailedMessages(yieldMaxAddress);
+        try {
+            report.failedMessages = await txDebugger.checkFailedMessages(yieldMaxAddress);
+        } catch (error) {
+            report.failedMessagesError = error.message;
+        }
     }
+
+    printResult(format, report, {
+        rows: report.events,
+        text: () => {
+            txDebugger.printReport(report);
+            if (!yieldMaxAddress) return;
+            console.log(`\n📋 Checking Failed Messages on ${yieldMaxAddress}:`);
+            if (report.failedMessagesError) {
+                console.log("   ❌ Could not check failed messages:", report.failedMessagesError);
+            } else {
+                new FailedMessageInspector(txDebugger.provider, yieldMaxAddress).printMessages(report.failedMessages);
+            }
+        }
+    });
 }
 
 if (require.main === module) {
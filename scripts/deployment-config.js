@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const TransactionEncoder = require('./encode-transactions');
+const RecipeCompiler = require('./recipe-compiler');
+const { takeFormat, takeOption, takeFlag, printResult } = require('./cli-output');
+
+/**
+ * Deployment Config
+ * Compares the owner, chain allowlists and multicall registry of each YieldMax deployment
+ * with a declarative config (deployments.yaml) and builds the owner transactions that
+ * reconcile the drift. The allowlist mappings are not enumerable, so every registry chain
+ * plus every selector named in the config is read.
+ */
+
+const DEFAULT_CONFIG = path.join(__dirname, 'deployments.yaml');
+
+/**
+ * Read a deployments config (YAML or JSON) and resolve chains, selectors and addresses
+ */
+function loadConfig(file) {
+    const config = RecipeCompiler.parseRecipe(fs.readFileSync(file, 'utf8'), file);
+    if (!config || !Array.isArray(config.deployments)) {
+        throw new Error(`${file} needs a "deployments" list`);
+    }
+    return config.deployments.map(entry => normalizeDeployment(entry));
+}
+
+function resolveSelector(nameOrSelector, field) {
+    const chain = ChainRegistry.resolve(nameOrSelector);
+    if (chain) return chain.selector;
+    if (/^\d+$/.test(String(nameOrSelector))) return String(nameOrSelector);
+    throw new Error(`${field}: unknown chain "${nameOrSelector}" (use a registry chain or a CCIP selector)`);
+}
+
+function normalizeDeployment(entry) {
+    const { chain, yieldMax } = ChainRegistry.resolveDeployment(entry.chain, entry, 'set yieldMax in the config');
+
+    const multicall = Object.entries(entry.multicall || {}).map(([address, expected]) => {
+        if (typeof expected !== 'boolean') throw new Error(`${chain.key}.multicall.${address} must be true or false`);
+        return { address: ethers.utils.getAddress(address), expected };
+    });
+
+    return {
+        chain: chain.key,
+        rpc: entry.rpc || chain.rpc,
+        yieldMax: ethers.utils.getAddress(yieldMax),
+        owner: entry.owner ? ethers.utils.getAddress(entry.owner) : null,
+        destinations: (entry.destinations || []).map(value => resolveSelector(value, `${chain.key}.destinations`)),
+        sources: (entry.sources || []).map(value => resolveSelector(value, `${chain.key}.sources`)),
+        multicall
+    };
+}
+
+function selectorLabel(selector) {
+    const chain = ChainRegistry.bySelector(selector);
+    return chain ? chain.key : selector;
+}
+
+class DeploymentConfigChecker {
+    /**
+     * @param {object} options - { providers: { [chainKey]: provider } } overrides the config RPCs
+     */
+    constructor(options = {}) {
+        this.providers = options.providers || {};
+        this.encoder = new TransactionEncoder();
+    }
+
+    provider(deployment) {
+        if (!this.providers[deployment.chain]) {
+            this.providers[deployment.chain] = new ethers.providers.JsonRpcProvider(deployment.rpc);
+        }
+        return this.providers[deployment.chain];
+    }
+
+    /**
+     * Expected vs actual value of every checked entry of one deployment
+     * @returns {object} { chain, rpc, yieldMax, entries: [{ field, key, expected, actual, drift }], drift }
+     */
+    async diff(deployment) {
+        const contract = YieldMaxSDK.connect(deployment.yieldMax, this.provider(deployment));
+        const ownSelector = ChainRegistry.get(deployment.chain).selector;
+        const selectors = [...new Set([
+            ...ChainRegistry.list().map(chain => chain.selector),
+            ...deployment.destinations,
+            ...deployment.sources
+        ])].filter(selector => selector !== ownSelector);
+
+        const [owner, destinations, sources, multicall] = await Promise.all([
+            contract.owner(),
+            Promise.all(selectors.map(selector => contract.allowlistedDestinationChains(selector))),
+            Promise.all(selectors.map(selector => contract.allowlistedSourceChains(selector))),
+            Promise.all(deployment.multicall.map(entry => contract.isMulticallContract(entry.address)))
+        ]);
+
+        const entries = [];
+        const add = (field, key, expected, actual) => entries.push({ field, key, expected, actual, drift: expected !== actual });
+
+        if (deployment.owner) add('owner', '', deployment.owner, owner);
+        selectors.forEach((selector, i) => {
+            add('destination', selector, deployment.destinations.includes(selector), destinations[i]);
+        });
+        selectors.forEach((selector, i) => {
+            add('source', selector, deployment.sources.includes(selector), sources[i]);
+        });
+        deployment.multicall.forEach((entry, i) => add('multicall', entry.address, entry.expected, multicall[i]));
+
+        return {
+            chain: deployment.chain,
+            rpc: deployment.rpc,
+            yieldMax: deployment.yieldMax,
+            owner,
+            entries,
+            drift: entries.filter(entry => entry.drift).length
+        };
+    }
+
+    /**
+     * Minimal owner transactions for a diff: one call per drifted entry, ownership last
+     * (and only with includeOwnership, since the old owner cannot send anything after it).
+     * Each transaction carries the equivalent admin.js command.
+     */
+    reconcile(diff, options = {}) {
+        const transactions = [];
+        const unreconciled = [];
+        // admin.js defaults to the registry deployment and RPC; point it at this one when they differ
+        const registry = ChainRegistry.get(diff.chain);
+        const overrides = [];
+        if (!registry.yieldMax || registry.yieldMax.toLowerCase() !== diff.yieldMax.toLowerCase()) overrides.push('--yieldmax', diff.yieldMax);
+        if (diff.rpc && diff.rpc !== registry.rpc) overrides.push('--rpc', diff.rpc);
+
+        const call = (name, params, description) => {
+            transactions.push({
+                to: diff.yieldMax,
+                data: this.encoder.encodeOwnerCall(name, params),
+                value: '0x0',
+                function: name,
+                args: params,
+                description,
+                command: ['node scripts/admin.js', diff.chain, name, ...params, ...overrides].join(' ')
+            });
+        };
+
+        for (const entry of diff.entries.filter(e => e.drift && e.field !== 'owner')) {
+            if (entry.field === 'destination') {
+                call('allowlistDestinationChain', [entry.key, entry.expected], `${entry.expected ? 'Allow' : 'Disallow'} destination ${selectorLabel(entry.key)}`);
+            } else if (entry.field === 'source') {
+                call('allowlistSourceChain', [entry.key, entry.expected], `${entry.expected ? 'Allow' : 'Disallow'} source ${selectorLabel(entry.key)}`);
+            } else {
+                call('setMulticallContract', [entry.key, entry.expected], `${entry.expected ? 'Register' : 'Unregister'} multicall ${entry.key}`);
+            }
+        }
+
+        const ownerDrift = diff.entries.find(e => e.drift && e.field === 'owner');
+        if (ownerDrift && options.includeOwnership) {
+            call('transferOwnership', [ownerDrift.expected], `Transfer ownership ${ownerDrift.actual} → ${ownerDrift.expected}`);
+        } else if (ownerDrift) {
+            unreconciled.push(`owner is ${ownerDrift.actual}, expected ${ownerDrift.expected} (pass --include-ownership to add transferOwnership)`);
+        }
+
+        return { chain: diff.chain, yieldMax: diff.yieldMax, owner: diff.owner, transactions, unreconciled };
+    }
+}
+
+function entryLabel(entry) {
+    return entry.field === 'owner' ? 'owner' : `${entry.field} ${entry.field === 'multicall' ? entry.key : selectorLabel(entry.key)}`;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length < 1 || args.includes('--help')) {
+        console.log(`
+🗂️  YieldMax Deployment Config
+
+Usage: node deployment-config.js diff [config] [options]
+       node deployment-config.js apply [config] [options]
+
+  diff   Report where owner(), allowlistedDestinationChains, allowlistedSourceChains and
+         isMulticallContract differ from the config (exit code 1 on drift)
+  apply  Print the owner transactions that reconcile the drift (nothing is sent;
+         run them with admin.js or load the Safe batches)
+
+The config defaults to scripts/deployments.yaml (see its header for the format).
+
+Options:
+  --chain <chain>                    Only this deployment's chain
+  --include-ownership                apply: add transferOwnership (last) for owner drift
+  --safe <prefix>                    apply: write <prefix>-<chain>.json Safe batches
+  --all                              diff: list matching entries too
+  --format <text|json|ndjson|table>  Output format (ndjson and table emit one row per entry / transaction)
+
+Examples:
+  node deployment-config.js diff
+  node deployment-config.js apply --chain base --safe reconcile
+        `);
+        return;
+    }
+
+    const format = takeFormat(args);
+    const onlyChain = takeOption(args, '--chain');
+    const safePrefix = takeOption(args, '--safe');
+    const includeOwnership = takeFlag(args, '--include-ownership');
+    const showAll = takeFlag(args, '--all');
+    const [command, file = DEFAULT_CONFIG] = args;
+
+    if (!['diff', 'apply'].includes(command)) {
+        throw new Error(`Unknown command: ${command} (expected diff or apply)`);
+    }
+
+    let deployments = loadConfig(file);
+    if (onlyChain) {
+        const chain = ChainRegistry.get(onlyChain);
+        deployments = deployments.filter(deployment => deployment.chain === chain.key);
+        if (deployments.length === 0) throw new Error(`${file} has no deployment on ${chain.name}`);
+    }
+
+    const checker = new DeploymentConfigChecker();
+    const diffs = [];
+    for (const deployment of deployments) {
+        diffs.push(await checker.diff(deployment));
+    }
+    const drift = diffs.reduce((total, diff) => total + diff.drift, 0);
+
+    if (command === 'diff') {
+        const result = { type: 'config-diff', config: file, drift, deployments: diffs };
+        printResult(format, result, {
+            rows: diffs.flatMap(diff => diff.entries
+                .filter(entry => showAll || entry.drift)
+                .map(entry => ({ chain: diff.chain, yieldMax: diff.yieldMax, ...entry }))),
+            text: () => {
+                diffs.forEach(diff => {
+                    console.log(`\n🗂️  ${diff.chain} YieldMax ${diff.yieldMax} (owner ${diff.owner})`);
+                    const shown = diff.entries.filter(entry => showAll || entry.drift);
+                    if (shown.length === 0) console.log('   ✅ matches the config');
+                    shown.forEach(entry => {
+                        console.log(`   ${entry.drift ? '❌' : '✅'} ${entryLabel(entry)}: expected ${entry.expected}, actual ${entry.actual}`);
+                    });
+                });
+                console.log(`\n${drift ? `⚠️  ${drift} drifted entr${drift === 1 ? 'y' : 'ies'}` : '✅ No drift'} (${diffs.length} deployment(s), ${file})`);
+            }
+        });
+        if (drift) process.exitCode = 1;
+        return;
+    }
+
+    const plans = diffs.map(diff => checker.reconcile(diff, { includeOwnership }));
+    const files = [];
+    if (safePrefix) {
+        for (const plan of plans.filter(p => p.transactions.length)) {
+            const batchFile = `${safePrefix}-${plan.chain}.json`;
+            const batch = checker.encoder.buildSafeBatch(plan.transactions, {
+                chain: plan.chain,
+                safe: plan.owner,
+                name: `Reconcile ${plan.chain} YieldMax config`,
+                description: plan.transactions.map(tx => tx.description).join('; ')
+            });
+            fs.writeFileSync(batchFile, JSON.stringify(batch, null, 2));
+            files.push(batchFile);
+        }
+    }
+
+    const result = { type: 'config-apply', config: file, deployments: plans, files };
+    printResult(format, result, {
+        rows: plans.flatMap(plan => plan.transactions.map(tx => ({ chain: plan.chain, ...tx }))),
+        text: () => {
+            plans.forEach(plan => {
+                console.log(`\n🔑 ${plan.chain} YieldMax ${plan.yieldMax} (send from owner ${plan.owner})`);
+                if (plan.transactions.length === 0 && plan.unreconciled.length === 0) console.log('   ✅ nothing to do');
+                plan.transactions.forEach((tx, i) => {
+                    console.log(`   ${i + 1}. ${tx.description}`);
+                    console.log(`      ${tx.command}`);
+                    console.log(`      data: ${tx.data}`);
+                });
+                plan.unreconciled.forEach(note => console.log(`   ⚠️  ${note}`));
+            });
+            files.forEach(batchFile => console.log(`\n🔐 Safe batch written to ${batchFile}`));
+        }
+    });
+}
+
+module.exports = { DeploymentConfigChecker, loadConfig, normalizeDeployment, DEFAULT_CONFIG };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
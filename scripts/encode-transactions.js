@@ -1,6 +1,13 @@
 #!/usr/bin/env node
 
 const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const MulticallComposer = require('./multicall-composer');
+const RecipeCompiler = require('./recipe-compiler');
+const SafeBatch = require('./safe-batch');
+const { CalldataDecoder } = require('./calldata-decoder');
+const { takeFormat, takeOption, takeFlag, toPlain, printResult } = require('./cli-output');
 
 /**
  * Transaction Encoding Utility Script
@@ -28,32 +35,38 @@ class TransactionEncoder {
                 "function echoWithValue(string calldata message) payable"
             ]),
             
-            yieldMax: new ethers.utils.Interface([
-                "function sendCrossChainExecution(uint64 destinationChainSelector, address receiver, address targetContract, uint256 value, address[] calldata tokenAddresses, uint256[] calldata tokenAmounts, bytes calldata callData) payable"
-            ])
+            yieldMax: YieldMaxSDK.interfaces.yieldMax
         };
         
-        // Common chain selectors
-        this.chainSelectors = {
-            ethereum: "5009297550715157269",
-            base: "10344971235874465080",
-            avalanche: "14767482510784806043",
-            arbitrum: "4949039107694359620",
-            polygon: "4051577828743386545",
-            optimism: "3734403246176062136"
+        // Destination gas model used by suggestGasLimit (rough upper bounds from forge traces)
+        this.gasModel = {
+            base: 150000,          // ccipReceive -> processMessage, replay check, executor create/reuse, events
+            perToken: 60000,       // safeTransfer to executor, addTrackedToken, return in _returnAllAssets
+            perCall: 50000,        // each target call (one per multicall entry)
+            perCallDataByte: 16,   // payload decode and copy into the executor call
+            marginPercent: 20,
+            roundTo: 10000
         };
         
-        // Common token addresses
-        this.tokens = {
-            base: {
-                usdc: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
-                weth: "0x4200000000000000000000000000000000000006"
-            },
-            ethereum: {
-                usdc: "0xA0b86a33E6441b8bF4C4d8C5a7F5d4F7E3F4A4A4",
-                weth: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2"
+        // Known batch encodings, used to count inner calls for gas suggestions
+        this.batchInterfaces = new ethers.utils.Interface([
+            "function multicall(bytes[] data)",
+            "function multicall(tuple(address target, bytes callData)[] calls)",
+            "function aggregate(tuple(address target, bytes callData)[] calls)",
+            "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls)",
+            "function aggregate3Value(tuple(address target, bool allowFailure, uint256 value, bytes callData)[] calls)"
+        ]);
+        
+        // Chain selectors and token addresses from the shared chain registry
+        this.chainSelectors = {};
+        this.tokens = {};
+        for (const chain of ChainRegistry.list()) {
+            this.chainSelectors[chain.key] = chain.selector;
+            this.tokens[chain.key] = {};
+            for (const [symbol, info] of Object.entries(chain.tokens)) {
+                this.tokens[chain.key][symbol] = info.address;
             }
-        };
+        }
     }
 
     /**
@@ -99,14 +112,36 @@ class TransactionEncoder {
     }
 
     /**
-     * Multicall encoder
+     * Multicall encoder (plain bytes[] self-multicall)
      */
     encodeMulticall(calls) {
         return this.interfaces.multicall.encodeFunctionData("multicall", [calls]);
     }
 
+    /**
+     * Batch { target, data, value?, allowFailure? } calls as aggregate3, aggregate3Value,
+     * multicall((address,bytes)[]) or bytes[] (see MulticallComposer.FORMATS)
+     */
+    composeMulticall(calls, options = {}) {
+        return MulticallComposer.compose(calls, options);
+    }
+
+    /**
+     * Predict whether the executor will call or delegatecall the batch target and collect warnings
+     * Without an RPC only the constructor default registration (Multicall3) is assumed.
+     * @param {object} options - { yieldMax, rpcUrl, expect, messageValue }
+     */
+    async analyzeMulticall(batch, target, options = {}) {
+        const registry = options.rpcUrl
+            ? await MulticallComposer.checkRegistry(new ethers.providers.JsonRpcProvider(options.rpcUrl), options.yieldMax, target)
+            : MulticallComposer.assumedRegistry(target);
+
+        return MulticallComposer.analyze(batch, target, registry, options);
+    }
+
     /**
      * YieldMax cross-chain execution encoder
+     * gasLimit defaults to suggestGasLimit() and is validated like the contract's _validateGasLimit
      */
     encodeCrossChainExecution(params) {
         const {
@@ -116,11 +151,13 @@ class TransactionEncoder {
             value = 0,
             tokenAddresses = [],
             tokenAmounts = [],
-            callData = "0x"
+            callData = "0x",
+            gasLimit = this.suggestGasLimit(params).gasLimit
         } = params;
 
         const chainSelector = this.chainSelectors[destinationChain] || destinationChain;
         const parsedValue = typeof value === 'string' ? ethers.utils.parseEther(value) : value;
+        const validatedGasLimit = this.validateGasLimit(gasLimit);
         
         return this.interfaces.yieldMax.encodeFunctionData("sendCrossChainExecution", [
             chainSelector,
@@ -129,14 +166,71 @@ class TransactionEncoder {
             parsedValue,
             tokenAddresses,
             tokenAmounts,
-            callData
+            callData,
+            validatedGasLimit
         ]);
     }
 
+    /**
+     * Gas limit validation against MIN_GAS_LIMIT / MAX_GAS_LIMIT
+     * Throws GasLimitTooLow / GasLimitTooHigh errors mirroring the contract
+     */
+    validateGasLimit(gasLimit, bounds = YieldMaxSDK.GAS_LIMIT_BOUNDS) {
+        return YieldMaxSDK.validateGasLimit(gasLimit, bounds);
+    }
+
+    /**
+     * Count the calls inside a multicall payload (1 for a plain call, 0 for empty data)
+     */
+    countInnerCalls(callData) {
+        if (!callData || callData === '0x') return 0;
+
+        try {
+            const parsed = this.batchInterfaces.parseTransaction({ data: callData });
+            return parsed.args[0].length;
+        } catch (error) {
+            return 1;
+        }
+    }
+
+    /**
+     * Suggest a destination gas limit from the token count and inner call data
+     */
+    suggestGasLimit(params = {}) {
+        const { tokenAddresses = [], callData = "0x" } = params;
+        const model = this.gasModel;
+
+        const callCount = this.countInnerCalls(callData);
+        const callDataBytes = callData === '0x' ? 0 : ethers.utils.hexDataLength(callData);
+
+        const breakdown = {
+            base: model.base,
+            tokens: tokenAddresses.length * model.perToken,
+            calls: callCount * model.perCall,
+            callData: callDataBytes * model.perCallDataByte
+        };
+        const subtotal = Object.values(breakdown).reduce((sum, gas) => sum + gas, 0);
+        breakdown.margin = Math.ceil(subtotal * model.marginPercent / 100);
+
+        const bounds = YieldMaxSDK.GAS_LIMIT_BOUNDS;
+        const rounded = Math.ceil((subtotal + breakdown.margin) / model.roundTo) * model.roundTo;
+        const gasLimit = Math.min(Math.max(rounded, bounds.min), bounds.max);
+
+        return {
+            gasLimit,
+            tokenCount: tokenAddresses.length,
+            callCount,
+            callDataBytes,
+            breakdown,
+            capped: rounded > bounds.max
+        };
+    }
+
     /**
      * Batch encoder for multiple operations
+     * options.format selects a MulticallComposer format; operations then need a `target`
      */
-    encodeBatch(operations) {
+    encodeBatch(operations, options = {}) {
         const encodedCalls = operations.map(op => {
             switch (op.type) {
                 case 'erc20Transfer':
@@ -151,8 +245,215 @@ class TransactionEncoder {
                     throw new Error(`Unknown operation type: ${op.type}`);
             }
         });
-        
-        return this.encodeMulticall(encodedCalls);
+
+        if (!options.format || options.format === 'bytes') {
+            return this.encodeMulticall(encodedCalls);
+        }
+
+        const calls = operations.map((op, i) => {
+            if (!op.target) throw new Error(`Operation ${i + 1} (${op.type}) needs a target for ${options.format}`);
+            return { target: op.target, data: encodedCalls[i], value: op.value, allowFailure: op.allowFailure };
+        });
+        return this.composeMulticall(calls, options).data;
+    }
+
+    /**
+     * Calls file entries: { target, data } or { target, signature, params }, plus optional value / allowFailure
+     */
+    parseMulticallCalls(entries) {
+        if (!Array.isArray(entries)) throw new Error('Calls file must contain a JSON array');
+
+        return entries.map((entry, i) => {
+            if (!entry.target && !entry.data) throw new Error(`Call ${i + 1} needs a target`);
+            const data = entry.data || this.encodeFunction(entry.signature, entry.params || []);
+            return {
+                target: entry.target ? ethers.utils.getAddress(entry.target) : null,
+                data,
+                value: entry.value,
+                allowFailure: entry.allowFailure
+            };
+        });
+    }
+
+    /**
+     * Offline executor address for a sender (same CREATE2 derivation as predictExecutorAddress)
+     * @param {string} yieldMaxOrChain - YieldMax address, or a registry chain with a deployment
+     */
+    predictExecutor(sender, yieldMaxOrChain) {
+        const { chain, yieldMax } = ethers.utils.isAddress(yieldMaxOrChain)
+            ? { chain: null, yieldMax: ethers.utils.getAddress(yieldMaxOrChain) }
+            : ChainRegistry.resolveDeployment(yieldMaxOrChain);
+        const executorTemplate = (chain && chain.executorTemplate) || ethers.utils.getContractAddress({ from: yieldMax, nonce: 1 });
+
+        return {
+            sender: ethers.utils.getAddress(sender),
+            yieldMax,
+            executorTemplate,
+            executor: YieldMaxSDK.predictExecutorAddress(sender, yieldMax, executorTemplate)
+        };
+    }
+
+    /**
+     * Predict executors for every sender in a CSV (first address-looking column, header optional)
+     */
+    predictExecutorsFromCsv(csv, yieldMaxOrChain) {
+        const rows = [];
+        csv.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            const sender = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')).find(cell => ethers.utils.isAddress(cell));
+            if (!sender) {
+                if (i === 0) return; // header
+                throw new Error(`Line ${i + 1} has no sender address: ${line}`);
+            }
+            rows.push(this.predictExecutor(sender, yieldMaxOrChain));
+        });
+        return rows;
+    }
+
+    /**
+     * Compare offline predictions with predictExecutorAddress on-chain
+     */
+    async crossCheckExecutors(predictions, rpcUrl) {
+        const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+        const contracts = {};
+
+        for (const prediction of predictions) {
+            const yieldMax = contracts[prediction.yieldMax] ||
+                (contracts[prediction.yieldMax] = YieldMaxSDK.connect(prediction.yieldMax, provider));
+            prediction.onChain = await yieldMax.predictExecutorAddress(prediction.sender);
+            prediction.match = prediction.onChain === prediction.executor;
+        }
+        return predictions;
+    }
+
+    /**
+     * Compile a recipe (see recipe-compiler.js) into sendCrossChainExecution calldata,
+     * source approvals, gas limit and, with an RPC, the fee and msg.value
+     * @param {object} options - { variables, rpcUrl, gasLimit }
+     */
+    async compileRecipe(recipe, options = {}) {
+        const built = RecipeCompiler.build(recipe, options.variables || {});
+        const params = built.params;
+
+        const suggestion = this.suggestGasLimit(params);
+        params.gasLimit = options.gasLimit || params.gasLimit || suggestion.gasLimit;
+        const data = this.encodeCrossChainExecution(params);
+
+        let fee = null;
+        if (options.rpcUrl) {
+            const yieldMax = YieldMaxSDK.connect(built.yieldMax, new ethers.providers.JsonRpcProvider(options.rpcUrl));
+            fee = await yieldMax.estimateFee(
+                params.destinationChain,
+                params.receiver,
+                params.targetContract,
+                params.value,
+                params.tokenAddresses,
+                params.tokenAmounts,
+                params.callData,
+                params.gasLimit
+            );
+        }
+
+        const multicall = built.batch
+            ? MulticallComposer.analyze(built.batch, params.targetContract, MulticallComposer.assumedRegistry(params.targetContract), { messageValue: params.value })
+            : null;
+
+        return {
+            type: 'recipe',
+            name: built.name,
+            description: built.description,
+            source: built.source,
+            destination: built.destination,
+            to: built.yieldMax,
+            data,
+            fee,
+            // Without a fee estimate this is only the value forwarded to the target
+            msgValue: fee ? fee.add(params.value) : params.value,
+            gasLimit: Number(params.gasLimit),
+            suggestedGasLimit: suggestion.gasLimit,
+            params,
+            approvals: built.approvals,
+            steps: built.steps,
+            multicall: multicall && { format: built.batch.format, mode: multicall.mode, warnings: multicall.warnings },
+            variables: built.variables
+        };
+    }
+
+    /**
+     * Encode a YieldMax owner call (see YieldMaxSDK.OWNER_FUNCTIONS). Chain selector arguments
+     * also accept registry chain names.
+     * @param {Array|object} params - positional arguments or an object keyed by parameter name
+     */
+    encodeOwnerCall(name, params = []) {
+        if (!YieldMaxSDK.OWNER_FUNCTIONS.includes(name)) {
+            throw new Error(`${name} is not a YieldMax owner function (expected ${YieldMaxSDK.OWNER_FUNCTIONS.join(', ')})`);
+        }
+        const fragment = this.interfaces.yieldMax.getFunction(name);
+        const args = YieldMaxSDK.toArgs(fragment, params).map((value, i) => {
+            const input = fragment.inputs[i];
+            if (input.type === 'uint64' && /ChainSelector$/.test(input.name)) {
+                const chain = ChainRegistry.resolve(value);
+                return chain ? chain.selector : value;
+            }
+            if (input.type === 'bool' && typeof value === 'string') {
+                if (!['true', 'false'].includes(value)) throw new Error(`${input.name} must be true or false, got "${value}"`);
+                return value === 'true';
+            }
+            return value;
+        });
+        return this.interfaces.yieldMax.encodeFunctionData(fragment, args);
+    }
+
+    /**
+     * Collect transactions from encoder outputs for a Safe batch: encoder results (with a
+     * `type`) are calls to `defaultTo` unless they carry their own target (owner, recipe),
+     * anything else is read as { to, data, value }. Arrays and { transactions: [...] }
+     * (bundle planner, revoke batches) are flattened.
+     */
+    collectTransactions(outputs, defaultTo) {
+        const transactions = [];
+        const sendSelector = this.interfaces.yieldMax.getSighash('sendCrossChainExecution');
+        // sendCrossChainExecution pays the CCIP fee out of msg.value: without it the call reverts
+        const requireFee = (entry, value) => {
+            if (entry.data.slice(0, 10).toLowerCase() !== sendSelector) return;
+            if (entry.type ? !entry.fee : ethers.BigNumber.from(value).isZero()) {
+                throw new Error(`sendCrossChainExecution${entry.type ? ` (${entry.type} output)` : ''} has no estimated CCIP fee in its value and would revert; batch a recipe compiled with an RPC (not --offline) or a bundle plan instead`);
+            }
+        };
+        const visit = (entry) => {
+            if (Array.isArray(entry)) return entry.forEach(visit);
+            if (!entry || typeof entry !== 'object') throw new Error(`Not a transaction: ${JSON.stringify(entry)}`);
+            if (Array.isArray(entry.transactions)) return entry.transactions.forEach(visit);
+            if (!entry.data) throw new Error(`Entry has no data: ${JSON.stringify(entry).slice(0, 120)}`);
+
+            if (entry.type) {
+                const to = ['owner', 'recipe'].includes(entry.type) && entry.to ? entry.to : defaultTo;
+                if (!to) throw new Error(`No target for the ${entry.type} output; pass --to <address>`);
+                // Encoder `value` fields are forwarded to the destination target; only msgValue is sent
+                requireFee(entry, entry.msgValue || 0);
+                transactions.push({ to, data: entry.data, value: entry.msgValue || 0 });
+            } else {
+                requireFee(entry, entry.value || 0);
+                transactions.push({ to: entry.to || defaultTo, data: entry.data, value: entry.value || 0 });
+            }
+        };
+        visit(outputs);
+        return transactions;
+    }
+
+    /**
+     * Safe Transaction Builder batch from encoder outputs
+     * @param {object} options - { chain, safe, to, name, description }
+     */
+    buildSafeBatch(outputs, options = {}) {
+        const chain = ChainRegistry.get(options.chain);
+        const transactions = this.collectTransactions(outputs, options.to || chain.yieldMax);
+        return SafeBatch.build(transactions, {
+            chainId: chain.chainId,
+            safe: options.safe,
+            name: options.name,
+            description: options.description
+        });
     }
 
     /**
@@ -204,8 +505,8 @@ class TransactionEncoder {
         echoWithTokens: (message, tokenAddress, amount, decimals = 18) => ({
             type: 'crossChain',
             destinationChain: 'avalanche',
-            receiver: "0x379154D8C0b0B19B773f841554f7b7Ad445cA244",
-            targetContract: "0x379154D8C0b0B19B773f841554f7b7Ad445cA244",
+            receiver: ChainRegistry.get('avalanche').yieldMax,
+            targetContract: ChainRegistry.get('avalanche').yieldMax,
             tokenAddresses: [tokenAddress],
             tokenAmounts: [this.formatAmount(amount, decimals)],
             callData: this.encodeEcho(message)
@@ -215,8 +516,8 @@ class TransactionEncoder {
         multiStep: (operations) => ({
             type: 'crossChain',
             destinationChain: 'avalanche',
-            receiver: "0x379154D8C0b0B19B773f841554f7b7Ad445cA244",
-            targetContract: "0x379154D8C0b0B19B773f841554f7b7Ad445cA244",
+            receiver: ChainRegistry.get('avalanche').yieldMax,
+            targetContract: ChainRegistry.get('avalanche').yieldMax,
             callData: this.encodeBatch(operations)
         })
     };
@@ -239,76 +540,407 @@ Commands:
   echo <message>                              - Encode echo call
   function <signature> <params...>            - Encode custom function
   cross-chain <template> [args...]            - Encode cross-chain execution
+                                                (--gas-limit <n> overrides the suggested gas limit)
+  suggest-gas <callData> [tokenCount]         - Suggest a destination gas limit
   decode <data> <signature>                   - Decode transaction data
+  decode <data>                               - Resolve selectors offline and decode nested payloads
+                                                (sendCrossChainExecution, CCIP message data, multicalls)
+                                                as a tree (--chain <source chain>, --target <address>)
+  predict-executor <chain|yieldMax> <sender>  - Executor clone address, computed offline
+  predict-executor <chain|yieldMax> --csv <file>
+                                              - Batch: CSV of senders -> sender,executor CSV
+                                                (--check [--rpc <url>] cross-checks on-chain)
+  multicall <chain|yieldMax> <target> <calls.json>
+                                              - Compose a batch for the executor's target and report
+                                                whether it runs via call or delegatecall
+                                                (--batch aggregate3|aggregate3Value|multicall|bytes,
+                                                 --expect call|delegatecall, --value <wei>,
+                                                 --check [--rpc <url>] reads isMulticallContract)
+  owner <function> [args...]                  - Encode a YieldMax owner call (allowlistDestinationChain,
+                                                allowlistSourceChain, setMulticallContract,
+                                                retryFailedMessage, emergencyWithdraw(Token),
+                                                transferOwnership); selectors accept chain names
+                                                (--chain <chain> sets the YieldMax target)
+  safe-batch <chain> <file...>                - Safe Transaction Builder JSON from encoder outputs
+                                                (--format json results, arrays, ndjson or "-" for
+                                                stdin) with YieldMax method metadata
+                                                (--safe <address>, --to <default target>,
+                                                 --name <batch name>, --out <file>)
+  recipe <file.yaml|file.json>                - Compile a recipe into calldata, source approvals,
+                                                fee and msg.value (--var name=value overrides a
+                                                variable, --gas-limit <n>, --rpc <url>,
+                                                --offline skips the fee estimate)
+
+Options:
+  --format <text|json|ndjson|table>           - Output format (default: text)
 
 Examples:
   node encode-transactions.js erc20-transfer 0x742d35Cc 100 6
   node encode-transactions.js echo "Hello World"
   node encode-transactions.js function "function mint(address,uint256)" 0x742d35Cc 1000
-  node encode-transactions.js cross-chain usdc-transfer 0x742d35Cc 100
+  node encode-transactions.js cross-chain usdcTransfer 0x742d35Cc 100 --gas-limit 300000
+  node encode-transactions.js suggest-gas 0xac9650d8... 2
+  node encode-transactions.js cross-chain usdcTransfer 0x742d35Cc 100 --format json | jq -r .data
+  node encode-transactions.js decode 0x335592ba... --chain base
+  node encode-transactions.js predict-executor base --csv senders.csv --check
+  node encode-transactions.js multicall avalanche 0xcA11bde05977b3631167028862bE2a173976CA11 calls.json --check
+  node encode-transactions.js recipe recipes/usdc-transfer.yaml --var recipient=0x742d35Cc... --var amount=250
+  node encode-transactions.js owner allowlistDestinationChain avalanche true --chain base --format json > allow.json
+  node encode-transactions.js safe-batch base allow.json --safe 0xSafe --out batch.json
         `);
         return;
     }
 
     const command = args[0];
     
+    // Optional --gas-limit flag for cross-chain encodings
+    const gasLimitOverride = takeOption(args, '--gas-limit');
+    
     try {
+        const format = takeFormat(args);
+        let result;
+        let text;
+
         switch (command) {
             case 'erc20-transfer':
                 const [to, amount, decimals = 18] = args.slice(1);
-                const transferData = encoder.encodeERC20Transfer(to, amount, decimals);
-                console.log('📤 ERC20 Transfer Calldata:');
-                console.log(transferData);
+                result = { type: command, to, amount, decimals: Number(decimals), data: encoder.encodeERC20Transfer(to, amount, decimals) };
+                text = () => {
+                    console.log('📤 ERC20 Transfer Calldata:');
+                    console.log(result.data);
+                };
                 break;
 
             case 'erc20-approve':
                 const [spender, approveAmount, approveDecimals = 18] = args.slice(1);
-                const approveData = encoder.encodeERC20Approve(spender, approveAmount, approveDecimals);
-                console.log('✅ ERC20 Approve Calldata:');
-                console.log(approveData);
+                result = { type: command, spender, amount: approveAmount, decimals: Number(approveDecimals), data: encoder.encodeERC20Approve(spender, approveAmount, approveDecimals) };
+                text = () => {
+                    console.log('✅ ERC20 Approve Calldata:');
+                    console.log(result.data);
+                };
                 break;
 
             case 'echo':
                 const [message] = args.slice(1);
-                const echoData = encoder.encodeEcho(message);
-                console.log('📢 Echo Calldata:');
-                console.log(echoData);
+                result = { type: command, message, data: encoder.encodeEcho(message) };
+                text = () => {
+                    console.log('📢 Echo Calldata:');
+                    console.log(result.data);
+                };
                 break;
 
             case 'function':
                 const [signature, ...params] = args.slice(1);
-                const functionData = encoder.encodeFunction(signature, params);
-                console.log('🔧 Custom Function Calldata:');
-                console.log(functionData);
+                result = { type: command, signature, params, data: encoder.encodeFunction(signature, params) };
+                text = () => {
+                    console.log('🔧 Custom Function Calldata:');
+                    console.log(result.data);
+                };
                 break;
 
             case 'cross-chain':
                 const [template, ...templateArgs] = args.slice(1);
-                if (encoder.templates[template]) {
-                    const config = encoder.templates[template](...templateArgs);
-                    const crossChainData = encoder.encodeCrossChainExecution(config);
-                    console.log('🌉 Cross-Chain Execution Calldata:');
-                    console.log(crossChainData);
-                    console.log('\n📋 Configuration:');
-                    console.log(JSON.stringify(config, null, 2));
-                } else {
+                if (!encoder.templates[template]) {
                     console.log('❌ Unknown template:', template);
                     console.log('Available templates:', Object.keys(encoder.templates));
+                    return;
                 }
+                const config = encoder.templates[template](...templateArgs);
+                const suggestion = encoder.suggestGasLimit(config);
+                config.gasLimit = gasLimitOverride || suggestion.gasLimit;
+                result = {
+                    type: command,
+                    template,
+                    data: encoder.encodeCrossChainExecution(config),
+                    gasLimit: Number(config.gasLimit),
+                    suggestedGasLimit: suggestion.gasLimit,
+                    config
+                };
+                text = () => {
+                    console.log('🌉 Cross-Chain Execution Calldata:');
+                    console.log(result.data);
+                    console.log(`\n⛽ Gas Limit: ${config.gasLimit}${gasLimitOverride ? ` (suggested: ${suggestion.gasLimit})` : ' (suggested)'}`);
+                    console.log('\n📋 Configuration:');
+                    console.log(JSON.stringify(config, null, 2));
+                };
+                break;
+
+            case 'suggest-gas':
+                const [gasCallData = '0x', tokenCount = 0] = args.slice(1);
+                result = encoder.suggestGasLimit({
+                    callData: gasCallData,
+                    tokenAddresses: new Array(parseInt(tokenCount)).fill(ethers.constants.AddressZero)
+                });
+                text = () => {
+                    console.log('⛽ Suggested Gas Limit:');
+                    console.log(result.gasLimit);
+                    console.log('\n📋 Breakdown:');
+                    console.log(JSON.stringify(result, null, 2));
+                    if (result.capped) {
+                        console.log(`\n⚠️  Estimate exceeds MAX_GAS_LIMIT, capped at ${YieldMaxSDK.GAS_LIMIT_BOUNDS.max}`);
+                    }
+                };
                 break;
 
             case 'decode':
+                const decodeChainName = takeOption(args, '--chain');
+                const decodeChain = decodeChainName ? ChainRegistry.get(decodeChainName).key : null;
+                const decodeTarget = takeOption(args, '--target') || null;
+
                 const [data, decodeSignature] = args.slice(1);
+                if (!decodeSignature) {
+                    const decoder = new CalldataDecoder();
+                    result = decoder.decode(data, { chain: decodeChain, target: decodeTarget });
+                    text = () => {
+                        console.log('🌳 Decoded Calldata:');
+                        decoder.render(result).forEach(line => console.log(line));
+                    };
+                    break;
+                }
                 const decoded = encoder.decodeTransaction(data, decodeSignature);
-                console.log('🔍 Decoded Transaction:');
-                console.log(JSON.stringify(decoded, null, 2));
+                result = {
+                    type: command,
+                    name: decoded.name,
+                    signature: decoded.signature,
+                    selector: decoded.sighash,
+                    args: decoded.args
+                };
+                text = () => {
+                    console.log('🔍 Decoded Transaction:');
+                    console.log(JSON.stringify(toPlain(result), null, 2));
+                };
+                break;
+
+            case 'predict-executor':
+                const csvFile = takeOption(args, '--csv');
+                const rpcOverride = takeOption(args, '--rpc');
+                const check = takeFlag(args, '--check');
+
+                const [yieldMaxOrChain, executorSender] = args.slice(1);
+                if (!yieldMaxOrChain || (!csvFile && !executorSender)) {
+                    throw new Error('Usage: predict-executor <chain|yieldMax> <sender> | --csv <file> [--check] [--rpc url]');
+                }
+
+                const predictions = csvFile
+                    ? encoder.predictExecutorsFromCsv(require('fs').readFileSync(csvFile, 'utf8'), yieldMaxOrChain)
+                    : [encoder.predictExecutor(executorSender, yieldMaxOrChain)];
+
+                if (check) {
+                    const rpcUrl = rpcOverride || (ChainRegistry.resolve(yieldMaxOrChain) || {}).rpc;
+                    if (!rpcUrl) throw new Error('--check needs --rpc when a YieldMax address is given');
+                    await encoder.crossCheckExecutors(predictions, rpcUrl);
+                }
+                const mismatches = predictions.filter(p => p.match === false);
+
+                if (!csvFile) {
+                    result = predictions[0];
+                    text = () => {
+                        console.log('🔮 Predicted Executor Address (offline):');
+                        console.log(result.executor);
+                        console.log(`\n   Sender: ${result.sender}`);
+                        console.log(`   YieldMax: ${result.yieldMax}`);
+                        console.log(`   Template: ${result.executorTemplate}`);
+                        if (check) {
+                            console.log(result.match ? '\n✅ Matches predictExecutorAddress on-chain' : `\n❌ On-chain predictExecutorAddress returned ${result.onChain}`);
+                        }
+                    };
+                    break;
+                }
+
+                result = { type: command, yieldMax: predictions.length ? predictions[0].yieldMax : null, checked: check, mismatches: mismatches.length, executors: predictions };
+                text = () => {
+                    // CSV in, CSV out
+                    console.log(check ? 'sender,executor,onChain,match' : 'sender,executor');
+                    for (const p of predictions) {
+                        console.log(check ? `${p.sender},${p.executor},${p.onChain},${p.match}` : `${p.sender},${p.executor}`);
+                    }
+                    if (check) {
+                        console.error(mismatches.length ? `❌ ${mismatches.length} of ${predictions.length} differ from on-chain` : `✅ All ${predictions.length} match on-chain`);
+                    }
+                };
+                printResult(format, result, { rows: predictions, text });
+                if (mismatches.length) process.exitCode = 1;
+                return;
+
+            case 'multicall':
+                const batchFormat = takeOption(args, '--batch') || 'aggregate3';
+                const expect = takeOption(args, '--expect');
+                const messageValue = takeOption(args, '--value');
+                const multicallRpc = takeOption(args, '--rpc');
+                const multicallCheck = takeFlag(args, '--check');
+
+                const [destination, batchTarget, callsFile] = args.slice(1);
+                if (!destination || !batchTarget || !callsFile) {
+                    throw new Error('Usage: multicall <chain|yieldMax> <target> <calls.json> [--batch format] [--expect call|delegatecall] [--value wei] [--check] [--rpc url]');
+                }
+                if (expect && !['call', 'delegatecall'].includes(expect)) {
+                    throw new Error(`--expect must be call or delegatecall, got "${expect}"`);
+                }
+
+                const destinationChain = ethers.utils.isAddress(destination) ? null : ChainRegistry.get(destination);
+                // --check reads the registry of the deployment, so the chain needs one
+                const destinationYieldMax = !destinationChain
+                    ? ethers.utils.getAddress(destination)
+                    : multicallCheck ? ChainRegistry.resolveDeployment(destinationChain.key).yieldMax : destinationChain.yieldMax;
+                const target = ethers.utils.getAddress(batchTarget);
+                const calls = encoder.parseMulticallCalls(JSON.parse(require('fs').readFileSync(callsFile, 'utf8')));
+                const batch = encoder.composeMulticall(calls, { format: batchFormat });
+
+                let rpcUrl = null;
+                if (multicallCheck) {
+                    rpcUrl = multicallRpc || (destinationChain || {}).rpc;
+                    if (!rpcUrl) throw new Error('--check needs --rpc when a YieldMax address is given');
+                }
+                const analysis = await encoder.analyzeMulticall(batch, target, {
+                    yieldMax: destinationYieldMax,
+                    rpcUrl,
+                    expect,
+                    messageValue
+                });
+
+                result = {
+                    type: command,
+                    format: batch.format,
+                    signature: batch.signature,
+                    target,
+                    yieldMax: destinationYieldMax,
+                    data: batch.data,
+                    value: batch.value,
+                    mode: analysis.mode,
+                    registry: analysis.registry,
+                    warnings: analysis.warnings,
+                    calls
+                };
+                text = () => {
+                    console.log(`📦 ${batch.format} Calldata (${calls.length} calls):`);
+                    console.log(result.data);
+                    console.log(`\n   Signature: ${result.signature}`);
+                    if (batch.format === 'aggregate3Value') {
+                        console.log(`   msg.value: ${result.value} wei (send this as the message value)`);
+                    }
+                    console.log(`   Executor runs it via: ${result.mode} (isMulticallContract: ${result.registry.registered}, ${result.registry.source})`);
+                    if (result.warnings.length === 0) {
+                        console.log('\n✅ No warnings');
+                    }
+                    result.warnings.forEach(warning => console.log(`\n⚠️  ${warning}`));
+                };
+                break;
+
+            case 'owner':
+                const ownerChainName = takeOption(args, '--chain');
+                const ownerTo = ownerChainName ? ChainRegistry.resolveDeployment(ownerChainName).yieldMax : null;
+                const [ownerFunction, ...ownerArgs] = args.slice(1);
+                if (!ownerFunction) throw new Error('Usage: owner <function> [args...] [--chain <chain>]');
+                const ownerData = encoder.encodeOwnerCall(ownerFunction, ownerArgs);
+                const ownerCall = YieldMaxSDK.decodeFunction(ownerData);
+                result = {
+                    type: command,
+                    function: ownerFunction,
+                    signature: ownerCall.signature,
+                    args: ownerCall.args,
+                    to: ownerTo,
+                    data: ownerData
+                };
+                text = () => {
+                    console.log(`🔑 ${result.signature} (owner only):`);
+                    Object.entries(toPlain(result.args)).forEach(([name, value]) => console.log(`   ${name}: ${value}`));
+                    if (result.to) console.log(`   to: ${result.to}`);
+                    console.log(result.data);
+                };
+                break;
+
+            case 'safe-batch':
+                const safeAddress = takeOption(args, '--safe');
+                const defaultTo = takeOption(args, '--to');
+                const batchName = takeOption(args, '--name');
+                const outFile = takeOption(args, '--out');
+                const [batchChain, ...inputFiles] = args.slice(1);
+                if (!batchChain || inputFiles.length === 0) {
+                    throw new Error('Usage: safe-batch <chain> <file...|-> [--safe <address>] [--to <address>] [--name <name>] [--out <file>]');
+                }
+
+                const outputs = inputFiles.map(file => {
+                    const content = require('fs').readFileSync(file === '-' ? 0 : file, 'utf8');
+                    try {
+                        return JSON.parse(content);
+                    } catch (error) {
+                        // ndjson: one encoder output per line
+                        return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+                    }
+                });
+                const safeBatch = encoder.buildSafeBatch(outputs, { chain: batchChain, safe: safeAddress, to: defaultTo, name: batchName });
+
+                if (!outFile) {
+                    console.log(JSON.stringify(safeBatch, null, 2));
+                    return;
+                }
+                require('fs').writeFileSync(outFile, JSON.stringify(safeBatch, null, 2));
+                result = { type: command, file: outFile, chainId: safeBatch.chainId, transactions: safeBatch.transactions };
+                text = () => {
+                    console.log(`🔐 Safe batch with ${safeBatch.transactions.length} transaction(s) written to ${outFile}:`);
+                    safeBatch.transactions.forEach((tx, i) => {
+                        const method = tx.contractMethod
+                            ? `${tx.contractMethod.name}(${Object.entries(tx.contractInputsValues).map(([name, value]) => `${name}=${value}`).join(', ')})`
+                            : `raw data ${tx.data.slice(0, 10)}…`;
+                        console.log(`   ${i + 1}. ${tx.to}: ${method}${tx.value !== '0' ? ` value ${tx.value}` : ''}`);
+                    });
+                };
+                break;
+
+            case 'recipe':
+                const variables = RecipeCompiler.takeVariableArgs(args);
+                const recipeRpc = takeOption(args, '--rpc');
+                const offline = takeFlag(args, '--offline');
+
+                const [recipeFile] = args.slice(1);
+                if (!recipeFile) {
+                    throw new Error('Usage: recipe <file> [--var name=value ...] [--gas-limit n] [--rpc url] [--offline]');
+                }
+                const recipe = RecipeCompiler.loadRecipe(recipeFile);
+                result = await encoder.compileRecipe(recipe, {
+                    variables,
+                    gasLimit: gasLimitOverride,
+                    rpcUrl: offline ? null : (recipeRpc || ChainRegistry.get(recipe.source).rpc)
+                });
+                text = () => {
+                    const source = ChainRegistry.get(result.source);
+                    console.log(`📜 Recipe ${result.name || recipeFile}: ${source.name} → ${ChainRegistry.get(result.destination).name}`);
+                    if (result.description) console.log(`   ${result.description}`);
+
+                    console.log(`\n1️⃣  Source approvals (${result.approvals.length}):`);
+                    if (result.approvals.length === 0) console.log('   none');
+                    result.approvals.forEach(approval => {
+                        console.log(`   ${approval.token}: approve(${approval.spender}, ${approval.amount})`);
+                        console.log(`   to: ${approval.to}`);
+                        console.log(`   data: ${approval.data}`);
+                    });
+
+                    console.log('\n2️⃣  sendCrossChainExecution:');
+                    console.log(`   to: ${result.to}`);
+                    console.log(`   data: ${result.data}`);
+                    if (result.fee) {
+                        console.log(`   fee: ${ethers.utils.formatEther(result.fee)} ${source.nativeSymbol}`);
+                        console.log(`   msg.value: ${result.msgValue} wei (${ethers.utils.formatEther(result.msgValue)} ${source.nativeSymbol} = fee + value)`);
+                    } else {
+                        console.log(`   msg.value: ${result.msgValue} wei + CCIP fee (not estimated, run without --offline)`);
+                    }
+                    console.log(`   gasLimit: ${result.gasLimit}${result.gasLimit !== result.suggestedGasLimit ? ` (suggested: ${result.suggestedGasLimit})` : ' (suggested)'}`);
+
+                    console.log(`\n🎯 Destination steps${result.multicall ? ` (${result.multicall.format} via ${result.params.targetContract}, ${result.multicall.mode})` : ''}:`);
+                    result.steps.forEach((step, i) => console.log(`   ${i + 1}. ${step.description}`));
+                    (result.multicall ? result.multicall.warnings : []).forEach(warning => console.log(`\n⚠️  ${warning}`));
+                };
                 break;
 
             default:
                 console.log('❌ Unknown command:', command);
+                return;
         }
+
+        printResult(format, result, { text });
     } catch (error) {
         console.error('❌ Error:', error.message);
+        process.exitCode = 1;
     }
 }
 
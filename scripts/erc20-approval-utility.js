@@ -1,73 +1,63 @@
 #!/usr/bin/env node
 
-const Web3 = require('web3');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const ChainRegistry = require('./chain-registry');
+const PermitSigner = require('./permit-signer');
+const RecipeCompiler = require('./recipe-compiler');
+const TransactionEncoder = require('./encode-transactions');
+const { takeFormat, takeOption, takeFlag, printResult } = require('./cli-output');
 
 /**
  * ERC20 Approval Utility
- * Supports encoding approve function calls using web3.js
+ * Encodes approve calls and, with a provider, reads allowances, decimals and symbols
+ * on-chain to list what an account has granted to known spenders and build revoke batches.
+ * Tokens with EIP-2612 permit can be approved with a signature instead (see PermitSigner).
  */
 
 class ERC20ApprovalUtility {
-    constructor() {
-        this.web3 = new Web3();
-        
-        // Standard ERC20 approve function ABI
-        this.approveABI = {
-            name: 'approve',
-            type: 'function',
-            inputs: [
-                { type: 'address', name: 'spender' },
-                { type: 'uint256', name: 'amount' }
-            ]
-        };
-        
-        // Common token configurations
-        this.tokens = {
-            // Base network tokens
-            base: {
-                usdc: {
-                    address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-                    decimals: 6,
-                    symbol: 'USDC'
-                },
-                weth: {
-                    address: '0x4200000000000000000000000000000000000006',
-                    decimals: 18,
-                    symbol: 'WETH'
-                }
-            },
-            // Ethereum mainnet tokens
-            ethereum: {
-                usdc: {
-                    address: '0xA0b86a33E6441b8bF4C4d8C5a7F5d4F7E3F4A4A4',
-                    decimals: 6,
-                    symbol: 'USDC'
-                },
-                weth: {
-                    address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-                    decimals: 18,
-                    symbol: 'WETH'
-                }
-            }
-        };
-        
+    /**
+     * @param {string|object} providerOrRpcUrl - optional; only the on-chain helpers need it
+     */
+    constructor(providerOrRpcUrl) {
+        this.provider = typeof providerOrRpcUrl === 'string'
+            ? new ethers.providers.JsonRpcProvider(providerOrRpcUrl)
+            : providerOrRpcUrl || null;
+
+        this.erc20Interface = new ethers.utils.Interface([
+            "function approve(address spender, uint256 amount) returns (bool)",
+            "function allowance(address owner, address spender) view returns (uint256)",
+            "function balanceOf(address account) view returns (uint256)",
+            "function decimals() view returns (uint8)",
+            "function symbol() view returns (string)"
+        ]);
+
+        // Known tokens per network from the shared chain registry
+        this.tokens = {};
+        for (const chain of ChainRegistry.list()) {
+            this.tokens[chain.key] = chain.tokens;
+        }
+
         // Common spender addresses (DeFi protocols, bridges, etc.)
         this.commonSpenders = {
-            yieldMaxBase: '0xe97978aB28f4d340494293a519B8Ba7Ab6E9640F',
-            yieldMaxAvalanche: '0x379154D8C0b0B19B773f841554f7b7Ad445cA244',
+            yieldMaxBase: ChainRegistry.get('base').yieldMax,
+            yieldMaxAvalanche: ChainRegistry.get('avalanche').yieldMax,
             uniswapRouter: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
             oneInchRouter: '0x1111111254EEB25477B68fb85Ed929f73A960582'
         };
+
+        // token address -> { decimals, symbol }
+        this.metadataCache = {};
     }
 
     /**
-     * Encode approve function call using web3.js
+     * Encode approve function call
      */
     encodeApprove(spender, amount) {
         try {
-            return this.web3.eth.abi.encodeFunctionCall(this.approveABI, [spender, amount]);
+            return this.erc20Interface.encodeFunctionData('approve', [spender, amount]);
         } catch (error) {
-            throw new Error(`Failed to encode approve: ${error.message}`);
+            throw new Error(`Failed to encode approve: ${error.reason || error.message}`);
         }
     }
 
@@ -75,44 +65,21 @@ class ERC20ApprovalUtility {
      * Encode approve with human-readable amount
      */
     encodeApproveWithDecimals(spender, amount, decimals = 18) {
-        try {
-            const amountWei = this.web3.utils.toWei(amount.toString(), this.getUnit(decimals));
-            return this.encodeApprove(spender, amountWei);
-        } catch (error) {
-            // Fallback for non-standard decimals
-            const multiplier = Math.pow(10, decimals);
-            const amountBN = this.web3.utils.toBN(Math.floor(amount * multiplier));
-            return this.encodeApprove(spender, amountBN.toString());
-        }
+        return this.encodeApprove(spender, ethers.utils.parseUnits(amount.toString(), decimals));
     }
 
     /**
      * Encode unlimited approval (max uint256)
      */
     encodeUnlimitedApprove(spender) {
-        const maxUint256 = '0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff';
-        return this.encodeApprove(spender, maxUint256);
+        return this.encodeApprove(spender, ethers.constants.MaxUint256);
     }
 
     /**
      * Encode approval revocation (set to 0)
      */
     encodeRevokeApproval(spender) {
-        return this.encodeApprove(spender, '0');
-    }
-
-    /**
-     * Get appropriate unit for web3.utils.toWei based on decimals
-     */
-    getUnit(decimals) {
-        const units = {
-            18: 'ether',
-            9: 'gwei',
-            6: 'mwei',
-            3: 'kwei',
-            0: 'wei'
-        };
-        return units[decimals] || 'wei';
+        return this.encodeApprove(spender, 0);
     }
 
     /**
@@ -133,7 +100,7 @@ class ERC20ApprovalUtility {
      */
     generateApprovalTransaction(tokenAddress, spender, amount, decimals = 18, options = {}) {
         const data = this.encodeApproveWithDecimals(spender, amount, decimals);
-        
+
         return {
             to: tokenAddress,
             data: data,
@@ -147,23 +114,184 @@ class ERC20ApprovalUtility {
     }
 
     /**
-     * Decode approval transaction
+     * Decode approval transaction, formatting the amount with the token's decimals
      */
-    decodeApproval(data) {
+    decodeApproval(data, decimals = 18, symbol = null) {
+        let decoded;
         try {
-            const decoded = this.web3.eth.abi.decodeParameters(
-                ['address', 'uint256'],
-                data.slice(10) // Remove function selector (first 4 bytes)
-            );
-            
-            return {
-                spender: decoded[0],
-                amount: decoded[1],
-                amountFormatted: this.web3.utils.fromWei(decoded[1], 'ether')
-            };
+            decoded = this.erc20Interface.decodeFunctionData('approve', data);
         } catch (error) {
-            throw new Error(`Failed to decode approval: ${error.message}`);
+            throw new Error(`Failed to decode approval: ${error.reason || error.message}`);
         }
+
+        const unlimited = decoded.amount.eq(ethers.constants.MaxUint256);
+        return {
+            spender: decoded.spender,
+            amount: decoded.amount,
+            amountFormatted: unlimited ? 'unlimited' : ethers.utils.formatUnits(decoded.amount, decimals),
+            decimals,
+            symbol
+        };
+    }
+
+    /**
+     * Decode approval data sent to `tokenAddress`, reading decimals and symbol on-chain
+     */
+    async decodeApprovalFor(data, tokenAddress) {
+        const { decimals, symbol } = await this.getTokenMetadata(tokenAddress);
+        return { token: tokenAddress, ...this.decodeApproval(data, decimals, symbol) };
+    }
+
+    requireProvider() {
+        if (!this.provider) throw new Error('This command reads on-chain state; pass a chain or --rpc <url>');
+        return this.provider;
+    }
+
+    token(address) {
+        return new ethers.Contract(address, this.erc20Interface, this.requireProvider());
+    }
+
+    /**
+     * decimals() and symbol() on-chain, falling back to the chain registry for tokens
+     * that do not implement the optional metadata functions
+     */
+    async getTokenMetadata(tokenAddress) {
+        const key = tokenAddress.toLowerCase();
+        if (this.metadataCache[key]) return this.metadataCache[key];
+
+        const contract = this.token(tokenAddress);
+        const [decimals, symbol] = await Promise.all([
+            contract.decimals().catch(() => null),
+            contract.symbol().catch(() => null)
+        ]);
+
+        const known = ChainRegistry.list().map(chain => ChainRegistry.token(chain.key, tokenAddress)).find(Boolean);
+        if (decimals === null && !known) {
+            throw new Error(`${tokenAddress} has no decimals() and is not in the chain registry`);
+        }
+
+        const metadata = {
+            decimals: decimals !== null ? decimals : known.decimals,
+            symbol: symbol || (known ? known.symbol : null)
+        };
+        this.metadataCache[key] = metadata;
+        return metadata;
+    }
+
+    /**
+     * allowance(owner, spender) with the token's decimals and symbol
+     */
+    async getAllowance(tokenAddress, owner, spender) {
+        const [allowance, metadata] = await Promise.all([
+            this.token(tokenAddress).allowance(owner, spender),
+            this.getTokenMetadata(tokenAddress)
+        ]);
+        return {
+            token: ethers.utils.getAddress(tokenAddress),
+            symbol: metadata.symbol,
+            decimals: metadata.decimals,
+            owner: ethers.utils.getAddress(owner),
+            spender: ethers.utils.getAddress(spender),
+            allowance,
+            formatted: allowance.eq(ethers.constants.MaxUint256) ? 'unlimited' : ethers.utils.formatUnits(allowance, metadata.decimals)
+        };
+    }
+
+    /**
+     * Spenders worth checking on a chain: its YieldMax deployments, the CCIP router and the
+     * chain-agnostic DEX routers from commonSpenders
+     */
+    spendersFor(chainName) {
+        const chain = ChainRegistry.get(chainName);
+        const spenders = [];
+        const add = (name, address) => {
+            if (address && !spenders.some(s => s.address.toLowerCase() === address.toLowerCase())) {
+                spenders.push({ name, address: ethers.utils.getAddress(address) });
+            }
+        };
+
+        for (const [name, address] of Object.entries(this.commonSpenders)) {
+            const deployment = ChainRegistry.byYieldMax(address);
+            if (!deployment || deployment.key === chain.key) add(name, address);
+        }
+        (chain.additionalYieldMax || []).forEach((address, i) => add(`yieldMaxAdditional${i + 1}`, address));
+        add('ccipRouter', chain.router);
+        return spenders;
+    }
+
+    /**
+     * Every allowance `owner` has granted on a chain's registry tokens to the known spenders
+     * @param {object} options - { includeZero, spenders: [{ name, address }], tokens: [address] }
+     */
+    async listAllowances(chainName, owner, options = {}) {
+        const chain = ChainRegistry.get(chainName);
+        const spenders = options.spenders || this.spendersFor(chain.key);
+        const tokens = options.tokens || Object.values(chain.tokens).map(token => token.address);
+
+        const results = [];
+        for (const tokenAddress of tokens) {
+            const allowances = await Promise.all(spenders.map(spender => this.getAllowance(tokenAddress, owner, spender.address)));
+            allowances.forEach((entry, i) => {
+                if (options.includeZero || !entry.allowance.isZero()) {
+                    results.push({ ...entry, spenderName: spenders[i].name });
+                }
+            });
+        }
+        return results;
+    }
+
+    /**
+     * approve(spender, 0) transactions for non-zero allowances, ready to send in order
+     * or to wrap in a multisig batch
+     */
+    buildRevokeTransactions(allowances) {
+        return allowances
+            .filter(entry => !ethers.BigNumber.from(entry.allowance).isZero())
+            .map(entry => ({
+                to: entry.token,
+                data: this.encodeRevokeApproval(entry.spender),
+                value: '0x0',
+                description: `Revoke ${entry.symbol || entry.token} allowance of ${entry.spenderName || entry.spender} (was ${entry.formatted})`
+            }));
+    }
+
+    /**
+     * EIP-2612 and Permit2 support of a token for `owner` (see PermitSigner.detect)
+     */
+    async detectPermit(tokenAddress, owner, spender) {
+        return PermitSigner.detect(this.requireProvider(), tokenAddress, owner, { spender });
+    }
+
+    /**
+     * Typed data approving `spender` for `amount` with a signature. With options.signer the
+     * data is signed and the permit transaction built; otherwise the eth_signTypedData_v4
+     * request is returned for an external wallet.
+     * @param {string|BigNumber} amount - human units, 'unlimited', or base units as a BigNumber
+     * @param {object} options - { signer, mode: 'eip2612' | 'permit2', deadline: seconds from now }
+     */
+    async buildPermit(tokenAddress, owner, spender, amount, options = {}) {
+        const { decimals, symbol } = await this.getTokenMetadata(tokenAddress);
+        let units;
+        if (ethers.BigNumber.isBigNumber(amount)) units = amount;
+        else if (amount === 'unlimited') units = ethers.constants.MaxUint256;
+        else units = ethers.utils.parseUnits(amount.toString(), decimals);
+
+        const prepared = await PermitSigner.prepare(this.requireProvider(), tokenAddress, owner, spender, units, options);
+        const result = {
+            ...prepared,
+            token: ethers.utils.getAddress(tokenAddress),
+            symbol,
+            amount: units,
+            formatted: units.eq(ethers.constants.MaxUint256) ? 'unlimited' : ethers.utils.formatUnits(units, decimals)
+        };
+
+        if (options.signer) {
+            result.signed = await PermitSigner.sign(options.signer, prepared.typedData);
+            result.transaction = PermitSigner.transaction(prepared.typedData, result.signed);
+        } else {
+            result.signRequest = PermitSigner.toJsonRpc(prepared.typedData);
+        }
+        return result;
     }
 
     /**
@@ -213,11 +341,30 @@ class ERC20ApprovalUtility {
     };
 }
 
+// PRIVATE_KEY signer for the permit commands, null to print unsigned typed data
+function permitSigner(provider) {
+    return process.env.PRIVATE_KEY ? new ethers.Wallet(process.env.PRIVATE_KEY, provider) : null;
+}
+
+function printPermit(permit, indent = '') {
+    const label = permit.mode === 'eip2612' ? 'EIP-2612 permit' : 'Permit2 PermitSingle';
+    console.log(`${indent}✍️  ${label}: ${permit.formatted} ${permit.symbol || ''} of ${permit.token}`);
+    console.log(`${indent}   deadline: ${permit.typedData.message.deadline || permit.typedData.message.sigDeadline}`);
+    permit.warnings.forEach(warning => console.log(`${indent}   ⚠️  ${warning}`));
+    if (permit.signed) {
+        console.log(`${indent}   signature: ${permit.signed.signature}`);
+        console.log(`${indent}   submit: to ${permit.transaction.to}`);
+        console.log(`${indent}   data: ${permit.transaction.data}`);
+    } else {
+        console.log(`${indent}   eth_signTypedData_v4 request (no PRIVATE_KEY set):`);
+        console.log(JSON.stringify(permit.signRequest, null, 2).replace(/^/gm, `${indent}   `));
+    }
+}
+
 // CLI interface
 async function main() {
-    const utility = new ERC20ApprovalUtility();
     const args = process.argv.slice(2);
-    
+
     if (args.length === 0) {
         console.log(`
 🔐 ERC20 Approval Utility
@@ -230,9 +377,35 @@ Commands:
   unlimited <spender>                      - Encode unlimited approval
   revoke <spender>                         - Encode approval revocation
   transaction <token> <spender> <amount> [decimals] - Generate full transaction
-  decode <data>                            - Decode approval data
+  decode <data> [decimals]                 - Decode approval data
+  decode <data> --token <address> --chain <chain>
+                                           - Decode with the token's on-chain decimals and symbol
   preset <name> [amount]                   - Use preset configuration
   batch <file>                             - Batch encode from JSON file
+  allowance <chain> <token> <owner> <spender>
+                                           - Read a current allowance (token: registry key or address)
+  allowances <chain> <owner> [--all]       - Allowances granted to known spenders (YieldMax,
+                                             CCIP router, DEX routers); --all includes zeros
+  revoke-batch <chain> <owner>             - approve(spender, 0) transactions for every non-zero
+                                             allowance listed by \`allowances\`
+  permit-detect <chain> <token> <owner> [spender]
+                                           - EIP-2612 and Permit2 support (spender: default the chain's YieldMax)
+  permit <chain> <token> <amount> [--spender <address>] [--owner <address>]
+                                           - Signed permit instead of an approve (amount: units or 'unlimited')
+  permit-recipe <recipe> [--var name=value]
+                                           - Signed permits for a recipe's source tokens, followed by its
+                                             sendCrossChainExecution transaction
+
+Options:
+  --format <text|json|ndjson|table>        - Output format (batch, allowances and revoke-batch emit one row per entry)
+  --rpc <url>                              - RPC override for on-chain commands (default: chain registry)
+  --permit2                                - Sign a Permit2 PermitSingle instead of an EIP-2612 permit
+  --deadline <seconds>                     - Permit validity from now (default: 3600)
+
+Permit commands sign with PRIVATE_KEY from the environment. Without it they print the
+eth_signTypedData_v4 request for --owner to sign in a wallet. YieldMax pulls tokens with
+transferFrom, so the permit transaction (sendable by anyone) must be mined before the send;
+Permit2 allowances are reported but YieldMax does not pull through Permit2.
 
 Presets:
   yieldmax-usdc [amount]                   - Approve YieldMax for USDC
@@ -244,102 +417,309 @@ Examples:
   node erc20-approval-utility.js unlimited 0xSpender
   node erc20-approval-utility.js preset yieldmax-usdc 1000
   node erc20-approval-utility.js transaction 0xToken 0xSpender 100 18
+  node erc20-approval-utility.js allowances base 0xOwner --format table
+  node erc20-approval-utility.js revoke-batch base 0xOwner --format json
+  node erc20-approval-utility.js permit-detect base usdc 0xOwner
+  PRIVATE_KEY=0x... node erc20-approval-utility.js permit-recipe recipes/usdc-transfer.yaml --var recipient=0x742d35Cc... --format json
         `);
         return;
     }
 
     const command = args[0];
-    
+
     try {
+        const format = takeFormat(args);
+        const rpcOverride = takeOption(args, '--rpc');
+        // On-chain commands take the chain registry RPC unless --rpc is given
+        const connect = (chainName) => new ERC20ApprovalUtility(rpcOverride || ChainRegistry.get(chainName).rpc);
+        const resolveToken = (chainName, token) => {
+            const known = ChainRegistry.token(chainName, token);
+            if (known) return known.address;
+            if (!ethers.utils.isAddress(token)) throw new Error(`Unknown token "${token}" on ${chainName}`);
+            return token;
+        };
+
+        const utility = new ERC20ApprovalUtility();
+        let result;
+        let text;
+
         switch (command) {
             case 'encode':
                 const [spender, amount, decimals = 18] = args.slice(1);
-                const encoded = utility.encodeApproveWithDecimals(spender, amount, parseInt(decimals));
-                console.log('🔐 Encoded Approval:');
-                console.log(encoded);
+                result = { type: command, spender, amount, decimals: parseInt(decimals), data: utility.encodeApproveWithDecimals(spender, amount, parseInt(decimals)) };
+                text = () => {
+                    console.log('🔐 Encoded Approval:');
+                    console.log(result.data);
+                };
                 break;
 
             case 'encode-raw':
                 const [rawSpender, rawAmount] = args.slice(1);
-                const rawEncoded = utility.encodeApprove(rawSpender, rawAmount);
-                console.log('🔐 Encoded Approval (Raw):');
-                console.log(rawEncoded);
+                result = { type: command, spender: rawSpender, amount: rawAmount, data: utility.encodeApprove(rawSpender, rawAmount) };
+                text = () => {
+                    console.log('🔐 Encoded Approval (Raw):');
+                    console.log(result.data);
+                };
                 break;
 
             case 'unlimited':
                 const [unlimitedSpender] = args.slice(1);
-                const unlimitedEncoded = utility.encodeUnlimitedApprove(unlimitedSpender);
-                console.log('♾️ Unlimited Approval:');
-                console.log(unlimitedEncoded);
+                result = { type: command, spender: unlimitedSpender, data: utility.encodeUnlimitedApprove(unlimitedSpender) };
+                text = () => {
+                    console.log('♾️ Unlimited Approval:');
+                    console.log(result.data);
+                };
                 break;
 
             case 'revoke':
                 const [revokeSpender] = args.slice(1);
-                const revokeEncoded = utility.encodeRevokeApproval(revokeSpender);
-                console.log('🚫 Revoke Approval:');
-                console.log(revokeEncoded);
+                result = { type: command, spender: revokeSpender, data: utility.encodeRevokeApproval(revokeSpender) };
+                text = () => {
+                    console.log('🚫 Revoke Approval:');
+                    console.log(result.data);
+                };
                 break;
 
             case 'transaction':
                 const [token, txSpender, txAmount, txDecimals = 18] = args.slice(1);
-                const transaction = utility.generateApprovalTransaction(
-                    token, 
-                    txSpender, 
-                    txAmount, 
+                result = utility.generateApprovalTransaction(
+                    token,
+                    txSpender,
+                    txAmount,
                     parseInt(txDecimals)
                 );
-                console.log('📋 Transaction Object:');
-                console.log(JSON.stringify(transaction, null, 2));
+                text = () => {
+                    console.log('📋 Transaction Object:');
+                    console.log(JSON.stringify(result, null, 2));
+                };
                 break;
 
             case 'decode':
-                const [data] = args.slice(1);
-                const decoded = utility.decodeApproval(data);
-                console.log('🔍 Decoded Approval:');
-                console.log(JSON.stringify(decoded, null, 2));
+                const decodeToken = takeOption(args, '--token');
+                const decodeChain = takeOption(args, '--chain');
+                const [data, decodeDecimals] = args.slice(1);
+                if (decodeToken) {
+                    if (!decodeChain && !rpcOverride) throw new Error('--token needs --chain or --rpc to read decimals');
+                    const onChain = decodeChain ? connect(decodeChain) : new ERC20ApprovalUtility(rpcOverride);
+                    result = await onChain.decodeApprovalFor(data, decodeChain ? resolveToken(decodeChain, decodeToken) : decodeToken);
+                } else {
+                    result = utility.decodeApproval(data, decodeDecimals === undefined ? 18 : parseInt(decodeDecimals));
+                }
+                text = () => {
+                    console.log('🔍 Decoded Approval:');
+                    console.log(`   Spender: ${result.spender}`);
+                    console.log(`   Amount: ${result.amountFormatted}${result.symbol ? ` ${result.symbol}` : ''} (${result.amount} raw, ${result.decimals} decimals)`);
+                };
                 break;
 
             case 'preset':
                 const [presetName, presetAmount] = args.slice(1);
-                const presetKey = presetName.replace('-', '');
-                if (utility.presets[presetKey]) {
-                    const config = utility.presets[presetKey](presetAmount);
-                    let encodedData;
-                    
-                    if (config.amount === 'unlimited') {
-                        encodedData = utility.encodeUnlimitedApprove(config.spender);
-                    } else if (config.amount === 0) {
-                        encodedData = utility.encodeRevokeApproval(config.spender);
-                    } else {
-                        encodedData = utility.encodeApproveWithDecimals(
-                            config.spender, 
-                            config.amount, 
-                            config.decimals
-                        );
-                    }
-                    
+                const presetKey = Object.keys(utility.presets).find(key => key.toLowerCase() === presetName.replace(/-/g, '').toLowerCase());
+                if (!presetKey) {
+                    console.log('❌ Unknown preset:', presetName);
+                    console.log('Available presets:', Object.keys(utility.presets));
+                    return;
+                }
+
+                const config = utility.presets[presetKey](presetAmount);
+                let encodedData;
+
+                if (config.amount === 'unlimited') {
+                    encodedData = utility.encodeUnlimitedApprove(config.spender);
+                } else if (config.amount === 0) {
+                    encodedData = utility.encodeRevokeApproval(config.spender);
+                } else {
+                    encodedData = utility.encodeApproveWithDecimals(
+                        config.spender,
+                        config.amount,
+                        config.decimals
+                    );
+                }
+
+                result = { ...config, preset: presetName, data: encodedData };
+                text = () => {
                     console.log('🎯 Preset Configuration:');
                     console.log(JSON.stringify(config, null, 2));
                     console.log('\n🔐 Encoded Data:');
                     console.log(encodedData);
-                } else {
-                    console.log('❌ Unknown preset:', presetName);
-                    console.log('Available presets:', Object.keys(utility.presets));
-                }
+                };
                 break;
 
             case 'batch':
                 const [file] = args.slice(1);
-                const fs = require('fs');
                 const approvals = JSON.parse(fs.readFileSync(file, 'utf8'));
                 const batchResult = utility.encodeBatchApprovals(approvals);
-                console.log('📦 Batch Approvals:');
-                console.log(JSON.stringify(batchResult, null, 2));
+                result = { type: command, approvals: batchResult };
+                text = () => {
+                    console.log('📦 Batch Approvals:');
+                    console.log(JSON.stringify(batchResult, null, 2));
+                };
+                printResult(format, result, { rows: batchResult, text });
+                return;
+
+            case 'allowance':
+                const [allowanceChain, allowanceToken, allowanceOwner, allowanceSpender] = args.slice(1);
+                if (!allowanceSpender) throw new Error('Usage: allowance <chain> <token> <owner> <spender>');
+                const spenderAddress = utility.getSpenderAddress(allowanceSpender) || allowanceSpender;
+                result = await connect(allowanceChain).getAllowance(resolveToken(allowanceChain, allowanceToken), allowanceOwner, spenderAddress);
+                text = () => {
+                    console.log(`🔎 Allowance: ${result.formatted} ${result.symbol || ''}`);
+                    console.log(`   Token: ${result.token}`);
+                    console.log(`   Owner: ${result.owner}`);
+                    console.log(`   Spender: ${result.spender}`);
+                };
+                break;
+
+            case 'allowances':
+            case 'revoke-batch':
+                const includeZero = takeFlag(args, '--all') && command === 'allowances';
+
+                const [listChain, listOwner] = args.slice(1);
+                if (!listOwner) throw new Error(`Usage: ${command} <chain> <owner>`);
+                const onChain = connect(listChain);
+                const allowances = await onChain.listAllowances(listChain, listOwner, { includeZero });
+
+                if (command === 'allowances') {
+                    const rows = allowances.map(entry => ({
+                        token: entry.symbol || entry.token,
+                        spender: entry.spenderName,
+                        allowance: entry.formatted,
+                        spenderAddress: entry.spender,
+                        tokenAddress: entry.token
+                    }));
+                    result = { type: command, chain: ChainRegistry.get(listChain).key, owner: listOwner, allowances };
+                    text = () => {
+                        console.log(`🔐 Allowances granted by ${listOwner} on ${ChainRegistry.get(listChain).name}:`);
+                        if (rows.length === 0) console.log('   none to known spenders');
+                        rows.forEach(row => console.log(`   ${row.token} → ${row.spender} (${row.spenderAddress}): ${row.allowance}`));
+                    };
+                    printResult(format, result, { rows, text });
+                    return;
+                }
+
+                const transactions = onChain.buildRevokeTransactions(allowances);
+                result = { type: command, chain: ChainRegistry.get(listChain).key, owner: listOwner, transactions };
+                text = () => {
+                    console.log(`🚫 Revoke Batch (${transactions.length} transactions, send from ${listOwner}):`);
+                    transactions.forEach((tx, i) => {
+                        console.log(`\n${i + 1}. ${tx.description}`);
+                        console.log(`   to: ${tx.to}`);
+                        console.log(`   data: ${tx.data}`);
+                    });
+                };
+                printResult(format, result, { rows: transactions, text });
+                return;
+
+            case 'permit-detect':
+                const [detectChain, detectToken, detectOwner, detectSpender] = args.slice(1);
+                if (!detectOwner) throw new Error('Usage: permit-detect <chain> <token> <owner> [spender]');
+                const detectSpenderAddress = detectSpender
+                    ? utility.getSpenderAddress(detectSpender) || detectSpender
+                    : ChainRegistry.get(detectChain).yieldMax;
+                result = await connect(detectChain).detectPermit(resolveToken(detectChain, detectToken), detectOwner, detectSpenderAddress);
+                text = () => {
+                    const { eip2612, permit2 } = result;
+                    console.log(`✍️  Permit support of ${result.token} for ${result.owner}:`);
+                    console.log(`   EIP-2612: ${eip2612.supported ? `yes (nonce ${eip2612.nonce})` : 'no'}`);
+                    if (eip2612.supported) {
+                        console.log(`   Domain: ${eip2612.domain ? `${eip2612.domain.name} v${eip2612.domain.version}` : 'unknown'} ${eip2612.domainMatches ? '(matches DOMAIN_SEPARATOR)' : '⚠️  (does not match DOMAIN_SEPARATOR)'}`);
+                    }
+                    console.log(`   Permit2: ${permit2.deployed ? 'deployed' : 'not deployed'}${permit2.deployed ? `, token approved to Permit2: ${permit2.approved ? 'yes' : 'no'}` : ''}`);
+                    if (permit2.nonce !== null) {
+                        console.log(`   Permit2 allowance to ${detectSpenderAddress}: ${permit2.amount} (nonce ${permit2.nonce}, expires ${permit2.expiration})`);
+                    }
+                };
+                break;
+
+            case 'permit':
+            case 'permit-recipe':
+                const permitOptions = {
+                    mode: takeFlag(args, '--permit2') ? 'permit2' : undefined,
+                    deadline: takeOption(args, '--deadline')
+                };
+                const permitSpender = takeOption(args, '--spender');
+                let permitOwner = takeOption(args, '--owner');
+
+                if (command === 'permit') {
+                    const [permitChain, permitToken, permitAmount] = args.slice(1);
+                    if (!permitAmount) throw new Error('Usage: permit <chain> <token> <amount> [--spender <address>] [--owner <address>]');
+                    const onChain = connect(permitChain);
+                    const signer = permitSigner(onChain.provider);
+                    if (signer) permitOwner = await signer.getAddress();
+                    if (!permitOwner) throw new Error('Set PRIVATE_KEY to sign, or pass --owner to print the typed data');
+
+                    result = await onChain.buildPermit(
+                        resolveToken(permitChain, permitToken),
+                        permitOwner,
+                        permitSpender ? utility.getSpenderAddress(permitSpender) || permitSpender : ChainRegistry.get(permitChain).yieldMax,
+                        permitAmount,
+                        { ...permitOptions, signer }
+                    );
+                    text = () => printPermit(result);
+                    break;
+                }
+
+                const variables = RecipeCompiler.takeVariableArgs(args);
+                const [recipeFile] = args.slice(1);
+                if (!recipeFile) throw new Error('Usage: permit-recipe <recipe> [--var name=value]');
+                const recipe = RecipeCompiler.loadRecipe(recipeFile);
+                const sourceChain = connect(recipe.source);
+                const recipeSigner = permitSigner(sourceChain.provider);
+                if (recipeSigner) permitOwner = await recipeSigner.getAddress();
+                if (!permitOwner) throw new Error('Set PRIVATE_KEY to sign, or pass --owner to print the typed data');
+
+                const compiled = await new TransactionEncoder().compileRecipe(recipe, {
+                    variables: { sender: permitOwner, ...variables },
+                    rpcUrl: rpcOverride || ChainRegistry.get(recipe.source).rpc
+                });
+
+                // One permit per source token, covering every amount of it in tokenAmounts
+                const totals = {};
+                compiled.params.tokenAddresses.forEach((address, i) => {
+                    const key = address.toLowerCase();
+                    totals[key] = { address, units: (totals[key] ? totals[key].units : ethers.BigNumber.from(0)).add(compiled.params.tokenAmounts[i]) };
+                });
+                const permits = [];
+                for (const { address, units } of Object.values(totals)) {
+                    permits.push(await sourceChain.buildPermit(address, permitOwner, compiled.to, units, { ...permitOptions, signer: recipeSigner }));
+                }
+
+                const send = {
+                    to: compiled.to,
+                    data: compiled.data,
+                    value: ethers.BigNumber.from(compiled.msgValue).toHexString(),
+                    description: `sendCrossChainExecution ${compiled.source} → ${compiled.destination} (fee + value)`
+                };
+                result = {
+                    type: command,
+                    name: compiled.name,
+                    source: compiled.source,
+                    destination: compiled.destination,
+                    owner: permitOwner,
+                    permits,
+                    send,
+                    // Permit submissions first (any account may send them), then the owner's send
+                    transactions: recipeSigner ? [...permits.filter(permit => permit.usableByYieldMax).map(permit => permit.transaction), send] : null
+                };
+                text = () => {
+                    console.log(`📜 Recipe ${result.name || recipeFile}: ${ChainRegistry.get(result.source).name} → ${ChainRegistry.get(result.destination).name}`);
+                    permits.forEach((permit, i) => {
+                        console.log(`\n${i + 1}. Permit ${permit.symbol || permit.token}:`);
+                        printPermit(permit, '   ');
+                    });
+                    console.log(`\n🚀 sendCrossChainExecution (from ${permitOwner}):`);
+                    console.log(`   to: ${send.to}`);
+                    console.log(`   value: ${ethers.utils.formatEther(send.value)} (${compiled.fee ? 'fee + value' : 'value only, no fee estimate'})`);
+                    console.log(`   data: ${send.data}`);
+                };
                 break;
 
             default:
                 console.log('❌ Unknown command:', command);
+                return;
         }
+
+        printResult(format, result, { text });
     } catch (error) {
         console.error('❌ Error:', error.message);
     }
@@ -351,4 +731,4 @@ module.exports = ERC20ApprovalUtility;
 // Run CLI if called directly
 if (require.main === module) {
     main();
-} 
\ No newline at end of file
+}
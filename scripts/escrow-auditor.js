@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const ERC20ApprovalUtility = require('./erc20-approval-utility');
+const { takeFormat, takeOption, takeFlag, printResult } = require('./cli-output');
+
+/**
+ * Escrow Auditor
+ * pendingEscrowNative / pendingEscrowERC20 are not enumerable, so candidate users are
+ * reconstructed from history: YieldMax events (ERC20Received, EscrowRescued,
+ * ERC20EscrowRescued, CrossTxExecuted), token Transfers into YieldMax (the safeTransferFrom
+ * of every token send) and, optionally, the sendCrossChainExecution transactions themselves.
+ * Their escrow is totalled per asset against YieldMax's actual balance; whatever the escrow
+ * does not explain is what emergencyWithdraw / emergencyWithdrawToken would sweep.
+ *
+ * _sendMessage credits and clears the escrow in the same transaction, so non-zero escrow
+ * only exists where that pattern was broken; msg.value above the CCIP fee stays in the
+ * contract without being escrowed.
+ */
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const BATCH_SIZE = 25;
+
+class EscrowAuditor {
+    /**
+     * @param {string} chainName - registry chain the YieldMax is deployed on
+     * @param {object} options - { provider, rpcUrl, yieldMax, chunkSize }
+     */
+    constructor(chainName, options = {}) {
+        this.chain = ChainRegistry.get(chainName);
+        this.provider = options.provider || new ethers.providers.JsonRpcProvider(options.rpcUrl || this.chain.rpc);
+        this.yieldMax = ethers.utils.getAddress(ChainRegistry.resolveDeployment(this.chain.key, options, 'pass --yieldmax <address>').yieldMax);
+        this.contract = YieldMaxSDK.connect(this.yieldMax, this.provider);
+        this.tokens = new ERC20ApprovalUtility(this.provider);
+        this.chunkSize = options.chunkSize || 2000;
+        this.minChunkSize = 10;
+    }
+
+    /**
+     * Earliest block where YieldMax has code (binary search, needs an archive RPC)
+     */
+    async findDeploymentBlock() {
+        let low = 0;
+        let high = await this.provider.getBlockNumber();
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const code = await this.provider.getCode(this.yieldMax, mid);
+            if (code === '0x') {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * getLogs for one range, halving the range when the RPC rejects it as too large
+     */
+    async fetchRange(filter, fromBlock, toBlock) {
+        try {
+            return await this.provider.getLogs({ ...filter, fromBlock, toBlock });
+        } catch (error) {
+            if (toBlock - fromBlock + 1 <= this.minChunkSize) throw error;
+            const mid = Math.floor((fromBlock + toBlock) / 2);
+            this.chunkSize = Math.max(this.minChunkSize, Math.floor(this.chunkSize / 2));
+            return [...await this.fetchRange(filter, fromBlock, mid), ...await this.fetchRange(filter, mid + 1, toBlock)];
+        }
+    }
+
+    async fetchLogs(filter, fromBlock, toBlock) {
+        const logs = [];
+        // fetchRange may shrink chunkSize, so continue after the range actually fetched
+        for (let start = fromBlock; start <= toBlock;) {
+            const end = Math.min(start + this.chunkSize - 1, toBlock);
+            logs.push(...await this.fetchRange(filter, start, end));
+            start = end + 1;
+        }
+        return logs;
+    }
+
+    /**
+     * Parsed YieldMax events and ERC-20 Transfer logs into YieldMax between fromBlock and toBlock
+     * @returns {object} { events: [{ ...parsed, log }], transfers: [{ token, from, amount, log }] }
+     */
+    async history(fromBlock, toBlock) {
+        const events = [];
+        for (const log of await this.fetchLogs({ address: this.yieldMax }, fromBlock, toBlock)) {
+            const parsed = YieldMaxSDK.parseLog(log);
+            if (parsed) events.push({ ...parsed, log });
+        }
+
+        const transfers = await this.transfersTo([this.yieldMax], fromBlock, toBlock);
+        return { events, transfers };
+    }
+
+    /**
+     * ERC-20 Transfer logs into any of `addresses` between fromBlock and toBlock
+     * (BATCH_SIZE recipients per getLogs topic filter)
+     * @returns {Array} [{ token, from, to, amount, log }]
+     */
+    async transfersTo(addresses, fromBlock, toBlock) {
+        const transfers = [];
+        for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
+            const recipients = addresses.slice(i, i + BATCH_SIZE).map(address => ethers.utils.hexZeroPad(address, 32));
+            const logs = await this.fetchLogs({ topics: [TRANSFER_TOPIC, null, recipients] }, fromBlock, toBlock);
+            for (const log of logs) {
+                // ERC-721 Transfers index the token id as a fourth topic and carry no data
+                if (log.topics.length !== 3 || ethers.utils.hexDataLength(log.data) !== 32) continue;
+                transfers.push({
+                    token: ethers.utils.getAddress(log.address),
+                    from: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12)),
+                    to: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12)),
+                    amount: ethers.BigNumber.from(log.data),
+                    log
+                });
+            }
+        }
+        return transfers;
+    }
+
+    /**
+     * Candidate users and tokens between fromBlock and toBlock
+     * @param {object} options - { fromBlock, toBlock, history, scanTransactions, users: extra addresses }
+     * @returns {object} { users: Map(address -> Set of sources), tokens: Set of addresses }
+     */
+    async candidates(options) {
+        const users = new Map();
+        const tokens = new Set(Object.values(this.chain.tokens || {}).map(token => ethers.utils.getAddress(token.address)));
+        const addUser = (address, source) => {
+            const user = ethers.utils.getAddress(address);
+            if (user === ethers.constants.AddressZero || user === this.yieldMax) return;
+            if (!users.has(user)) users.set(user, new Set());
+            users.get(user).add(source);
+        };
+
+        const { events, transfers } = options.history || await this.history(options.fromBlock, options.toBlock);
+        for (const event of events) {
+            switch (event.name) {
+                case 'ERC20Received':
+                    addUser(event.args.sender, event.name);
+                    tokens.add(ethers.utils.getAddress(event.args.token));
+                    break;
+                case 'ERC20EscrowRescued':
+                    addUser(event.args.user, event.name);
+                    tokens.add(ethers.utils.getAddress(event.args.token));
+                    break;
+                case 'EscrowRescued':
+                    addUser(event.args.user, event.name);
+                    break;
+                case 'CrossTxExecuted':
+                    addUser(event.args.sender, event.name);
+                    break;
+            }
+        }
+
+        for (const transfer of transfers) {
+            addUser(transfer.from, 'Transfer');
+            tokens.add(transfer.token);
+        }
+
+        if (options.scanTransactions) {
+            const selector = YieldMaxSDK.interfaces.yieldMax.getSighash('sendCrossChainExecution');
+            for (let block = options.fromBlock; block <= options.toBlock; block++) {
+                const { transactions } = await this.provider.getBlockWithTransactions(block);
+                transactions
+                    .filter(tx => tx.to && ethers.utils.getAddress(tx.to) === this.yieldMax && tx.data.startsWith(selector))
+                    .forEach(tx => addUser(tx.from, 'sendCrossChainExecution'));
+            }
+        }
+
+        (options.users || []).forEach(user => addUser(user, 'candidates file'));
+        return { users, tokens };
+    }
+
+    /**
+     * Run `read` for every item, BATCH_SIZE calls at a time
+     */
+    async batched(items, read) {
+        const results = [];
+        for (let i = 0; i < items.length; i += BATCH_SIZE) {
+            results.push(...await Promise.all(items.slice(i, i + BATCH_SIZE).map(read)));
+        }
+        return results;
+    }
+
+    /**
+     * Escrow per candidate and asset, totalled against YieldMax's balances
+     * @param {object} options - as for candidates(); fromBlock defaults to the deployment block
+     * @returns {object} { native: { balance, escrowed, surplus, holders }, tokens: [...], ... }
+     */
+    async audit(options = {}) {
+        const toBlock = options.toBlock === undefined ? await this.provider.getBlockNumber() : options.toBlock;
+        const fromBlock = options.fromBlock === undefined ? await this.findDeploymentBlock() : options.fromBlock;
+        const { users, tokens } = await this.candidates({ ...options, fromBlock, toBlock });
+        const userList = [...users.keys()];
+
+        const nativeEscrow = await this.batched(userList, user => this.contract.pendingEscrowNative(user));
+        const nativeHolders = userList
+            .map((user, i) => ({ user, amount: nativeEscrow[i] }))
+            .filter(entry => !entry.amount.isZero());
+        const nativeBalance = await this.provider.getBalance(this.yieldMax);
+        const nativeEscrowed = nativeHolders.reduce((total, entry) => total.add(entry.amount), ethers.BigNumber.from(0));
+
+        const tokenResults = [];
+        for (const token of tokens) {
+            // Transfer logs also come from ERC-20 lookalikes without balanceOf / decimals
+            const [balance, metadata] = await Promise.all([
+                this.tokens.token(token).balanceOf(this.yieldMax).catch(() => null),
+                this.tokens.getTokenMetadata(token).catch(() => null)
+            ]);
+            if (balance === null || metadata === null) continue;
+
+            const escrow = await this.batched(userList, user => this.contract.pendingEscrowERC20(user, token));
+            const holders = userList
+                .map((user, i) => ({ user, amount: escrow[i] }))
+                .filter(entry => !entry.amount.isZero());
+            const escrowed = holders.reduce((total, entry) => total.add(entry.amount), ethers.BigNumber.from(0));
+            if (balance.isZero() && escrowed.isZero()) continue;
+
+            tokenResults.push({
+                token,
+                symbol: metadata.symbol,
+                decimals: metadata.decimals,
+                balance,
+                escrowed,
+                surplus: balance.sub(escrowed),
+                holders
+            });
+        }
+
+        return {
+            type: 'escrow-audit',
+            chain: this.chain.key,
+            yieldMax: this.yieldMax,
+            fromBlock,
+            toBlock,
+            candidates: userList.map(user => ({ user, sources: [...users.get(user)] })),
+            native: {
+                symbol: this.chain.nativeSymbol,
+                decimals: 18,
+                balance: nativeBalance,
+                escrowed: nativeEscrowed,
+                surplus: nativeBalance.sub(nativeEscrowed),
+                holders: nativeHolders
+            },
+            tokens: tokenResults
+        };
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length < 1 || args.includes('--help')) {
+        console.log(`
+🔎 YieldMax Escrow Auditor
+
+Usage: node escrow-auditor.js <chain> [options]
+
+Finds users with pendingEscrowNative / pendingEscrowERC20 and compares the total escrow
+with YieldMax's balances. Surplus is unexplained by escrow and would be swept by
+emergencyWithdraw / emergencyWithdrawToken; a shortfall means escrow cannot be rescued in full.
+
+Options:
+  --from-block <n>                   First block to scan (default: deployment block, needs an archive RPC)
+  --to-block <n>                     Last block to scan (default: latest)
+  --scan-transactions                Also read every block for sendCrossChainExecution senders (slow)
+  --candidates <file>                Extra candidate addresses, one per line (e.g. an explorer export)
+  --rpc <url>                        RPC override (default: chain registry)
+  --yieldmax <address>               YieldMax override (default: the chain deployment)
+  --format <text|json|ndjson|table>  Output format (ndjson and table emit one row per asset)
+
+Examples:
+  node escrow-auditor.js base --from-block 30000000
+  node escrow-auditor.js avalanche --candidates senders.txt --format json
+        `);
+        return;
+    }
+
+    const format = takeFormat(args);
+    const fromBlock = takeOption(args, '--from-block');
+    const toBlock = takeOption(args, '--to-block');
+    const candidatesFile = takeOption(args, '--candidates');
+    const rpcUrl = takeOption(args, '--rpc');
+    const yieldMaxOverride = takeOption(args, '--yieldmax');
+    const scanTransactions = takeFlag(args, '--scan-transactions');
+    const [chainName] = args;
+
+    const users = candidatesFile
+        ? fs.readFileSync(candidatesFile, 'utf8').split(/\s+/).filter(line => ethers.utils.isAddress(line))
+        : [];
+
+    const auditor = new EscrowAuditor(chainName, { rpcUrl, yieldMax: yieldMaxOverride });
+    const result = await auditor.audit({
+        fromBlock: fromBlock === undefined ? undefined : Number(fromBlock),
+        toBlock: toBlock === undefined ? undefined : Number(toBlock),
+        scanTransactions,
+        users
+    });
+
+    const assets = [result.native, ...result.tokens];
+    printResult(format, result, {
+        rows: assets.map(asset => ({
+            asset: asset.symbol || asset.token,
+            token: asset.token || null,
+            balance: ethers.utils.formatUnits(asset.balance, asset.decimals),
+            escrowed: ethers.utils.formatUnits(asset.escrowed, asset.decimals),
+            surplus: ethers.utils.formatUnits(asset.surplus, asset.decimals),
+            holders: asset.holders.length
+        })),
+        text: () => {
+            console.log(`🔎 Escrow audit of YieldMax ${result.yieldMax} on ${auditor.chain.name}`);
+            console.log(`   Blocks ${result.fromBlock} - ${result.toBlock}, ${result.candidates.length} candidate user(s)`);
+
+            assets.forEach(asset => {
+                const format = amount => `${ethers.utils.formatUnits(amount, asset.decimals)} ${asset.symbol || asset.token}`;
+                console.log(`\n💰 ${asset.symbol || asset.token}${asset.token ? ` (${asset.token})` : ''}`);
+                console.log(`   Balance:  ${format(asset.balance)}`);
+                console.log(`   Escrowed: ${format(asset.escrowed)} across ${asset.holders.length} user(s)`);
+                asset.holders.forEach(holder => console.log(`      ${holder.user}: ${format(holder.amount)}`));
+                if (asset.surplus.isNegative()) {
+                    console.log(`   ❌ Shortfall: ${format(asset.surplus.abs())} of escrow is not backed by the balance`);
+                } else if (asset.surplus.isZero()) {
+                    console.log('   ✅ Fully explained by escrow');
+                } else {
+                    console.log(`   ⚠️  Unexplained surplus: ${format(asset.surplus)} (swept by ${asset.token ? 'emergencyWithdrawToken' : 'emergencyWithdraw'})`);
+                }
+            });
+
+            const holders = new Set(assets.flatMap(asset => asset.holders.map(holder => holder.user)));
+            if (holders.size) {
+                console.log(`\n🛟 ${holders.size} user(s) can rescue escrow with rescueEscrow() / rescueERC20Escrow(token)`);
+            }
+        }
+    });
+}
+
+module.exports = EscrowAuditor;
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
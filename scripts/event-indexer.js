@@ -0,0 +1,466 @@
+#!/usr/bin/env node
+
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const { takeOption } = require('./cli-output');
+
+/**
+ * YieldMax Event Indexer
+ * Backfills every YieldMax event into a local SQLite file (one table per event type),
+ * resumes from a checkpoint and rolls back blocks that were reorged out.
+ */
+
+// Address columns that answer "everything for this sender / executor / target"
+const QUERY_ROLES = {
+    sender: ['sender', 'user'],
+    executor: ['executor'],
+    target: ['target'],
+    token: ['token']
+};
+
+const DEFAULT_DB_PATH = 'yieldmax-events.sqlite';
+
+/**
+ * CrossTxExecuted -> cross_tx_executed
+ */
+function tableName(eventName) {
+    return eventName
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+        .toLowerCase();
+}
+
+function columnName(input, i) {
+    return tableName(input.name || `arg${i}`);
+}
+
+/**
+ * Store booleans as 0/1, integers as decimal strings and everything else as hex/checksum strings
+ */
+function toColumnValue(value, type) {
+    if (type === 'bool') return value ? 1 : 0;
+    if (type.startsWith('uint') || type.startsWith('int')) return value.toString();
+    return value;
+}
+
+class EventIndexer {
+    constructor(provider, contractAddress, options = {}) {
+        this.provider = provider;
+        this.contractAddress = ethers.utils.getAddress(contractAddress);
+        this.interface = YieldMaxSDK.interfaces.yieldMax;
+
+        this.chunkSize = options.chunkSize || 2000;
+        this.minChunkSize = 10;
+        this.confirmations = options.confirmations === undefined ? 5 : options.confirmations;
+        this.reorgWindow = options.reorgWindow || 256;
+
+        this.chainId = options.chainId;
+
+        this.db = new Database(options.dbPath || DEFAULT_DB_PATH);
+        this.db.pragma('journal_mode = WAL');
+        this.events = Object.values(this.interface.events);
+        this.createSchema();
+    }
+
+    createSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS checkpoints (
+                chain_id INTEGER NOT NULL,
+                contract TEXT NOT NULL,
+                block_number INTEGER NOT NULL,
+                PRIMARY KEY (chain_id, contract)
+            );
+            CREATE TABLE IF NOT EXISTS block_hashes (
+                chain_id INTEGER NOT NULL,
+                contract TEXT NOT NULL,
+                block_number INTEGER NOT NULL,
+                block_hash TEXT NOT NULL,
+                PRIMARY KEY (chain_id, contract, block_number)
+            );
+        `);
+
+        for (const fragment of this.events) {
+            const table = tableName(fragment.name);
+            const columns = fragment.inputs.map((input, i) =>
+                `${columnName(input, i)} ${input.type === 'bool' ? 'INTEGER' : 'TEXT'}`
+            );
+
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    chain_id INTEGER NOT NULL,
+                    contract TEXT NOT NULL,
+                    block_number INTEGER NOT NULL,
+                    block_hash TEXT NOT NULL,
+                    block_timestamp INTEGER NOT NULL,
+                    transaction_hash TEXT NOT NULL,
+                    log_index INTEGER NOT NULL,
+                    ${columns.length ? `${columns.join(',\n                    ')},` : ''}
+                    PRIMARY KEY (chain_id, transaction_hash, log_index)
+                );
+                CREATE INDEX IF NOT EXISTS ${table}_block ON ${table} (chain_id, contract, block_number);
+            `);
+
+            fragment.inputs.forEach((input, i) => {
+                if (input.type !== 'address' && input.type !== 'bytes32') return;
+                const column = columnName(input, i);
+                this.db.exec(`CREATE INDEX IF NOT EXISTS ${table}_${column} ON ${table} (${column})`);
+            });
+        }
+    }
+
+    async init() {
+        if (!this.chainId) {
+            this.chainId = (await this.provider.getNetwork()).chainId;
+        }
+    }
+
+    getCheckpoint() {
+        const row = this.db.prepare('SELECT block_number FROM checkpoints WHERE chain_id = ? AND contract = ?')
+            .get(this.chainId, this.contractAddress);
+        return row ? row.block_number : null;
+    }
+
+    /**
+     * Earliest block where the contract has code (binary search, needs an archive RPC)
+     */
+    async findDeploymentBlock() {
+        let low = 0;
+        let high = await this.provider.getBlockNumber();
+
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const code = await this.provider.getCode(this.contractAddress, mid);
+            if (code === '0x') {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Walk back through recorded block hashes until one still matches the chain, then drop
+     * everything indexed after it. Returns the number of the block rolled back to, or null.
+     */
+    async handleReorg() {
+        const recorded = this.db.prepare(`
+            SELECT block_number, block_hash FROM block_hashes
+            WHERE chain_id = ? AND contract = ? ORDER BY block_number DESC
+        `).all(this.chainId, this.contractAddress);
+
+        for (let i = 0; i < recorded.length; i++) {
+            const block = await this.provider.getBlock(recorded[i].block_number);
+            if (block && block.hash === recorded[i].block_hash) {
+                if (i === 0) return null;
+                this.rollback(recorded[i].block_number);
+                return recorded[i].block_number;
+            }
+        }
+
+        if (recorded.length > 0) {
+            throw new Error(`Reorg deeper than the ${this.reorgWindow}-block window; delete the database and re-index`);
+        }
+        return null;
+    }
+
+    rollback(blockNumber) {
+        this.db.transaction(() => {
+            for (const fragment of this.events) {
+                this.db.prepare(`DELETE FROM ${tableName(fragment.name)} WHERE chain_id = ? AND contract = ? AND block_number > ?`)
+                    .run(this.chainId, this.contractAddress, blockNumber);
+            }
+            this.db.prepare('DELETE FROM block_hashes WHERE chain_id = ? AND contract = ? AND block_number > ?')
+                .run(this.chainId, this.contractAddress, blockNumber);
+            this.setCheckpoint(blockNumber);
+        })();
+    }
+
+    setCheckpoint(blockNumber) {
+        this.db.prepare(`
+            INSERT INTO checkpoints (chain_id, contract, block_number) VALUES (?, ?, ?)
+            ON CONFLICT (chain_id, contract) DO UPDATE SET block_number = excluded.block_number
+        `).run(this.chainId, this.contractAddress, blockNumber);
+    }
+
+    /**
+     * getLogs for one range, halving the range when the RPC rejects it as too large
+     */
+    async fetchLogs(fromBlock, toBlock) {
+        try {
+            return await this.provider.getLogs({ address: this.contractAddress, fromBlock, toBlock });
+        } catch (error) {
+            if (toBlock - fromBlock + 1 <= this.minChunkSize) throw error;
+            const mid = Math.floor((fromBlock + toBlock) / 2);
+            this.chunkSize = Math.max(this.minChunkSize, Math.floor(this.chunkSize / 2));
+            return [...await this.fetchLogs(fromBlock, mid), ...await this.fetchLogs(mid + 1, toBlock)];
+        }
+    }
+
+    /**
+     * Persist one chunk: decoded events, ancestor hashes and the new checkpoint, atomically
+     */
+    async storeChunk(logs, toBlock) {
+        const blockNumbers = [...new Set([...logs.map(log => log.blockNumber), toBlock])];
+        const blocks = {};
+        for (const number of blockNumbers) {
+            blocks[number] = await this.provider.getBlock(number);
+        }
+
+        const rows = [];
+        for (const log of logs) {
+            let parsed;
+            try {
+                parsed = this.interface.parseLog(log);
+            } catch (error) {
+                continue;
+            }
+            rows.push({ log, parsed });
+        }
+
+        this.db.transaction(() => {
+            for (const { log, parsed } of rows) {
+                const fragment = parsed.eventFragment;
+                const columns = fragment.inputs.map(columnName);
+                const values = fragment.inputs.map((input, i) => toColumnValue(parsed.args[i], input.type));
+
+                this.db.prepare(`
+                    INSERT OR REPLACE INTO ${tableName(fragment.name)}
+                    (chain_id, contract, block_number, block_hash, block_timestamp, transaction_hash, log_index${columns.map(c => `, ${c}`).join('')})
+                    VALUES (?, ?, ?, ?, ?, ?, ?${columns.map(() => ', ?').join('')})
+                `).run(
+                    this.chainId,
+                    this.contractAddress,
+                    log.blockNumber,
+                    log.blockHash,
+                    blocks[log.blockNumber].timestamp,
+                    log.transactionHash,
+                    log.logIndex,
+                    ...values
+                );
+            }
+
+            const recordHash = this.db.prepare(`
+                INSERT OR REPLACE INTO block_hashes (chain_id, contract, block_number, block_hash) VALUES (?, ?, ?, ?)
+            `);
+            for (const number of blockNumbers) {
+                recordHash.run(this.chainId, this.contractAddress, number, blocks[number].hash);
+            }
+            this.db.prepare('DELETE FROM block_hashes WHERE chain_id = ? AND contract = ? AND block_number < ?')
+                .run(this.chainId, this.contractAddress, toBlock - this.reorgWindow);
+
+            this.setCheckpoint(toBlock);
+        })();
+
+        return rows.length;
+    }
+
+    /**
+     * Index from the checkpoint (or fromBlock / the deployment block) up to head - confirmations
+     */
+    async sync(options = {}) {
+        await this.init();
+        const onProgress = options.onProgress || (() => {});
+
+        const rolledBackTo = await this.handleReorg();
+        if (rolledBackTo !== null) onProgress({ type: 'reorg', blockNumber: rolledBackTo });
+
+        const checkpoint = this.getCheckpoint();
+        let start;
+        if (checkpoint !== null) {
+            start = checkpoint + 1;
+        } else if (options.fromBlock !== undefined) {
+            start = options.fromBlock;
+        } else {
+            start = await this.findDeploymentBlock();
+        }
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const end = options.toBlock !== undefined ? Math.min(options.toBlock, head) : head;
+        let stored = 0;
+
+        while (start <= end) {
+            const toBlock = Math.min(start + this.chunkSize - 1, end);
+            const logs = await this.fetchLogs(start, toBlock);
+            const count = await this.storeChunk(logs, toBlock);
+            stored += count;
+            onProgress({ type: 'chunk', fromBlock: start, toBlock, events: count, head: end });
+            start = toBlock + 1;
+        }
+
+        return { stored, checkpoint: this.getCheckpoint() };
+    }
+
+    /**
+     * Event counts per table for this chain and contract
+     */
+    async stats() {
+        await this.init();
+        const counts = {};
+        for (const fragment of this.events) {
+            const table = tableName(fragment.name);
+            counts[fragment.name] = this.db.prepare(`SELECT COUNT(*) AS n FROM ${table} WHERE chain_id = ? AND contract = ?`)
+                .get(this.chainId, this.contractAddress).n;
+        }
+        return counts;
+    }
+
+    /**
+     * All indexed events where a sender/executor/target/token column equals `address`
+     */
+    async query(role, address) {
+        await this.init();
+        const columns = QUERY_ROLES[role];
+        if (!columns) {
+            throw new Error(`Unknown query role "${role}" (expected ${Object.keys(QUERY_ROLES).join(', ')})`);
+        }
+        const wanted = ethers.utils.getAddress(address);
+
+        const results = [];
+        for (const fragment of this.events) {
+            const table = tableName(fragment.name);
+            const matching = fragment.inputs
+                .map(columnName)
+                .filter(column => columns.includes(column));
+            if (matching.length === 0) continue;
+
+            const rows = this.db.prepare(`
+                SELECT * FROM ${table}
+                WHERE chain_id = ? AND contract = ? AND (${matching.map(c => `${c} = ?`).join(' OR ')})
+            `).all(this.chainId, this.contractAddress, ...matching.map(() => wanted));
+
+            results.push(...rows.map(row => ({ event: fragment.name, ...row })));
+        }
+
+        return results.sort((a, b) => a.block_number - b.block_number || a.log_index - b.log_index);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+function formatRow(row) {
+    const skip = ['event', 'chain_id', 'contract', 'block_hash', 'block_timestamp', 'transaction_hash', 'log_index', 'block_number'];
+    const fields = Object.entries(row)
+        .filter(([key]) => !skip.includes(key))
+        .map(([key, value]) => `${key}=${value}`);
+    const time = new Date(row.block_timestamp * 1000).toISOString();
+    return `  #${row.block_number} ${time} ${row.event.padEnd(20)} ${fields.join(' ')}\n     tx ${row.transaction_hash}`;
+}
+
+// CLI Usage
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length < 2 || args.includes('--help')) {
+        console.log(`
+🗄️  YieldMax Event Indexer
+
+Usage: node event-indexer.js sync <chain|RPC_URL> [options]
+       node event-indexer.js query <chain|RPC_URL> <${Object.keys(QUERY_ROLES).join('|')}> <address> [options]
+       node event-indexer.js stats <chain|RPC_URL> [options]
+
+Chains: ${ChainRegistry.list({ withYieldMax: true }).map(chain => chain.key).join(', ')}
+
+Options:
+  --contract <address>       YieldMax address (default: registry deployment)
+  --db <file>                SQLite file (default: ${DEFAULT_DB_PATH})
+  --from-block <n>           First block for a fresh index (default: deployment block via getCode search)
+  --to-block <n>             Stop indexing at this block
+  --confirmations <n>        Stay this many blocks behind head (default: 5)
+  --chunk <n>                Blocks per getLogs request (default: 2000, halved on RPC range errors)
+
+Examples:
+  node event-indexer.js sync base --from-block 30000000
+  node event-indexer.js query base sender 0x742d35Cc6634C0532925a3b844Bc454e4438f44e
+  node event-indexer.js query avalanche executor 0x1234...
+        `);
+        return;
+    }
+
+    const takeNumber = (name) => {
+        const value = takeOption(args, name);
+        return value === undefined ? undefined : parseInt(value);
+    };
+
+    const contract = takeOption(args, '--contract');
+    const dbPath = takeOption(args, '--db');
+    const fromBlock = takeNumber('--from-block');
+    const toBlock = takeNumber('--to-block');
+    const confirmations = takeNumber('--confirmations');
+    const chunkSize = takeNumber('--chunk');
+
+    const [command, chainArg] = args;
+    const registryChain = chainArg.startsWith('http') ? null : ChainRegistry.get(chainArg);
+    const rpcUrl = registryChain ? registryChain.rpc : chainArg;
+    const yieldMaxAddress = contract || (registryChain && registryChain.yieldMax);
+    if (!yieldMaxAddress) {
+        throw new Error('YieldMax address required (--contract)');
+    }
+
+    const indexer = new EventIndexer(new ethers.providers.JsonRpcProvider(rpcUrl), yieldMaxAddress, {
+        dbPath,
+        chunkSize,
+        confirmations,
+        chainId: registryChain ? registryChain.chainId : undefined
+    });
+
+    try {
+        switch (command) {
+            case 'sync': {
+                console.log(`🗄️  Indexing ${indexer.contractAddress}${registryChain ? ` on ${registryChain.name}` : ''}...`);
+                const result = await indexer.sync({
+                    fromBlock,
+                    toBlock,
+                    onProgress: (progress) => {
+                        if (progress.type === 'reorg') {
+                            console.log(`⚠️  Reorg detected - rolled back to block ${progress.blockNumber}`);
+                        } else {
+                            console.log(`   📦 ${progress.fromBlock}-${progress.toBlock} / ${progress.head}: ${progress.events} events`);
+                        }
+                    }
+                });
+                console.log(`✅ Stored ${result.stored} events, checkpoint at block ${result.checkpoint}`);
+                break;
+            }
+
+            case 'query': {
+                const [, , role, address] = args;
+                if (!role || !address) {
+                    console.error(`Usage: query <chain> <${Object.keys(QUERY_ROLES).join('|')}> <address>`);
+                    process.exit(1);
+                }
+                const rows = await indexer.query(role, address);
+                console.log(`\n🔎 ${rows.length} events with ${role} ${ethers.utils.getAddress(address)}:`);
+                rows.forEach(row => console.log(formatRow(row)));
+                break;
+            }
+
+            case 'stats': {
+                const counts = await indexer.stats();
+                const checkpoint = indexer.getCheckpoint();
+                console.log(`\n📊 Indexed events (checkpoint: ${checkpoint === null ? 'none' : checkpoint}):`);
+                Object.entries(counts).forEach(([name, count]) => console.log(`  ${name.padEnd(22)} ${count}`));
+                break;
+            }
+
+            default:
+                console.error(`Unknown command: ${command}`);
+                process.exit(1);
+        }
+    } finally {
+        indexer.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { EventIndexer, tableName, QUERY_ROLES };
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const RevertDecoder = require('./revert-decoder');
+
+/**
+ * YieldMax Event Stream
+ * Follows new blocks (HTTP polling or WebSocket subscription), decodes YieldMax events
+ * as they arrive and fans them out to console / JSONL / webhook sinks.
+ */
+
+// Event args that a --sender / --target filter is matched against
+const FILTER_FIELDS = {
+    sender: ['sender', 'user'],
+    target: ['target']
+};
+
+/**
+ * Plain JSON view of a decoded log: BigNumbers as decimal strings, named args only.
+ * MessageFailed also carries the decoded revert reason so alerts are readable as-is.
+ */
+function serializeEvent(parsed, log, context = {}) {
+    const args = {};
+    parsed.eventFragment.inputs.forEach((input, i) => {
+        const value = parsed.args[i];
+        args[input.name || `arg${i}`] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+
+    const event = {
+        chain: context.chain || null,
+        contract: log.address,
+        event: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        timestamp: context.timestamp || null,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        args
+    };
+
+    if (parsed.name === 'MessageFailed') {
+        event.revertReason = RevertDecoder.decode(args.reason).message;
+    }
+    return event;
+}
+
+/**
+ * Record for a log whose topic is a YieldMax event but which does not decode, so sinks
+ * still see it instead of the stream dropping it (or stalling on it)
+ */
+function serializeUndecoded(log, error, context = {}) {
+    return {
+        chain: context.chain || null,
+        contract: log.address,
+        event: context.event || null,
+        undecoded: true,
+        error: error.message,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        timestamp: context.timestamp || null,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        topics: log.topics,
+        data: log.data
+    };
+}
+
+/**
+ * Build a predicate from { events, sender, target, failuresOnly }
+ * failuresOnly keeps MessageFailed and ExecutorExecuted(success=false) - the alerting case
+ */
+function createFilter(options = {}) {
+    const events = options.events && options.events.length ? options.events : null;
+    const addressFilters = Object.keys(FILTER_FIELDS)
+        .filter(key => options[key])
+        .map(key => ({ fields: FILTER_FIELDS[key], address: ethers.utils.getAddress(options[key]) }));
+
+    return (event) => {
+        // Undecoded records cannot be matched against args; always let them through
+        if (event.undecoded) return true;
+        if (events && !events.includes(event.event)) return false;
+
+        if (options.failuresOnly) {
+            const failed = event.event === 'MessageFailed' ||
+                (event.event === 'ExecutorExecuted' && event.args.success === false);
+            if (!failed) return false;
+        }
+
+        return addressFilters.every(({ fields, address }) =>
+            fields.some(field => event.args[field] === address)
+        );
+    };
+}
+
+class JsonlSink {
+    /**
+     * @param {string} filePath - file to append to, or '-' for stdout
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.stream = filePath === '-' ? process.stdout : fs.createWriteStream(filePath, { flags: 'a' });
+    }
+
+    async write(event) {
+        this.stream.write(JSON.stringify(event) + '\n');
+    }
+
+    async close() {
+        if (this.stream === process.stdout) return;
+        await new Promise(resolve => this.stream.end(resolve));
+    }
+}
+
+class WebhookSink {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.retries = options.retries === undefined ? 5 : options.retries;
+        this.backoffMs = options.backoffMs || 1000;
+        this.headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+    }
+
+    /**
+     * POST one event, retrying with exponential backoff on network errors and 5xx/429 responses
+     */
+    async write(event) {
+        let lastError;
+
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.backoffMs * 2 ** (attempt - 1)));
+            }
+
+            try {
+                const response = await fetch(this.url, {
+                    method: 'POST',
+                    headers: this.headers,
+                    body: JSON.stringify(event)
+                });
+                if (response.ok) return;
+
+                lastError = new Error(`Webhook responded ${response.status} ${response.statusText}`);
+                if (response.status < 500 && response.status !== 429) break;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    async close() {}
+}
+
+class ConsoleSink {
+    /**
+     * @param {function} format - optional async (event, parsed, log) printer, e.g. UniversalEventDecoder.formatEvent
+     */
+    constructor(format) {
+        this.format = format;
+    }
+
+    async write(event, parsed, log) {
+        if (event.undecoded) {
+            console.log(`⚠️  #${event.blockNumber} undecoded ${event.event || event.topics[0]}: ${event.error}`);
+            console.log(`   tx ${event.transactionHash} log ${event.logIndex}`);
+            return;
+        }
+
+        if (this.format) {
+            console.log(`🎯 ${event.event}`);
+            await this.format({ parsed, log, blockNumber: log.blockNumber, transactionHash: log.transactionHash });
+            console.log('');
+            return;
+        }
+
+        const args = Object.entries(event.args).map(([key, value]) => `${key}=${value}`).join(' ');
+        console.log(`🎯 #${event.blockNumber} ${event.event} ${args}`);
+        console.log(`   tx ${event.transactionHash}`);
+    }
+
+    async close() {}
+}
+
+class EventStream {
+    constructor(rpcUrl, contractAddress, options = {}) {
+        this.provider = /^wss?:\/\//.test(rpcUrl)
+            ? new ethers.providers.WebSocketProvider(rpcUrl)
+            : new ethers.providers.JsonRpcProvider(rpcUrl);
+        if (options.pollingInterval) this.provider.pollingInterval = options.pollingInterval;
+
+        this.contractAddress = ethers.utils.getAddress(contractAddress);
+        this.interface = YieldMaxSDK.interfaces.yieldMax;
+        this.chain = options.chain || null;
+        this.confirmations = options.confirmations || 0;
+        this.chunkSize = options.chunkSize || 2000;
+        this.filter = createFilter(options.filter);
+        this.sinks = options.sinks || [new ConsoleSink()];
+        this.onError = options.onError || ((error) => console.error(`❌ ${error.message}`));
+
+        this.lastBlock = null;
+        // Last delivered log within a partially dispatched chunk, so a retried chunk skips it
+        this.lastLog = null;
+        this.queue = Promise.resolve();
+        this.listener = null;
+    }
+
+    /**
+     * Start following. Without fromBlock only blocks mined after start are processed.
+     */
+    async start(fromBlock) {
+        const head = await this.provider.getBlockNumber();
+        this.lastBlock = fromBlock === undefined ? head - this.confirmations : fromBlock - 1;
+
+        this.listener = (blockNumber) => {
+            // Serialize catch-ups so events are delivered in order
+            this.queue = this.queue
+                .then(() => this.catchUp(blockNumber - this.confirmations))
+                .catch(this.onError);
+        };
+        this.provider.on('block', this.listener);
+
+        return this.lastBlock;
+    }
+
+    async catchUp(toBlock) {
+        while (this.lastBlock < toBlock) {
+            const fromBlock = this.lastBlock + 1;
+            const chunkEnd = Math.min(fromBlock + this.chunkSize - 1, toBlock);
+            const logs = await this.provider.getLogs({ address: this.contractAddress, fromBlock, toBlock: chunkEnd });
+
+            await this.dispatch(logs);
+            this.lastBlock = chunkEnd;
+            this.lastLog = null;
+        }
+    }
+
+    delivered(log) {
+        return this.lastLog !== null && (log.blockNumber < this.lastLog.blockNumber ||
+            (log.blockNumber === this.lastLog.blockNumber && log.logIndex <= this.lastLog.logIndex));
+    }
+
+    async dispatch(logs) {
+        const timestamps = {};
+
+        for (const log of logs) {
+            if (this.delivered(log)) continue;
+
+            let eventName = null;
+            try {
+                eventName = this.interface.getEvent(log.topics[0]).name;
+            } catch (error) {
+                // Not a YieldMax event
+                this.lastLog = { blockNumber: log.blockNumber, logIndex: log.logIndex };
+                continue;
+            }
+
+            if (!(log.blockNumber in timestamps)) {
+                timestamps[log.blockNumber] = (await this.provider.getBlock(log.blockNumber)).timestamp;
+            }
+            const context = { chain: this.chain, timestamp: timestamps[log.blockNumber], event: eventName };
+
+            let parsed = null;
+            let event;
+            try {
+                parsed = this.interface.parseLog(log);
+                event = serializeEvent(parsed, log, context);
+            } catch (error) {
+                event = serializeUndecoded(log, error, context);
+            }
+            this.lastLog = { blockNumber: log.blockNumber, logIndex: log.logIndex };
+            if (!this.filter(event)) continue;
+
+            for (const sink of this.sinks) {
+                try {
+                    await sink.write(event, parsed, log);
+                } catch (error) {
+                    this.onError(new Error(`${sink.constructor.name} failed for ${event.event} in ${event.transactionHash}: ${error.message}`));
+                }
+            }
+        }
+    }
+
+    /**
+     * Stop listening, wait for in-flight deliveries and close the sinks
+     */
+    async stop() {
+        if (this.listener) this.provider.off('block', this.listener);
+        await this.queue;
+        await Promise.all(this.sinks.map(sink => sink.close()));
+        if (this.provider instanceof ethers.providers.WebSocketProvider) {
+            await this.provider.destroy();
+        }
+    }
+}
+
+module.exports = { EventStream, ConsoleSink, JsonlSink, WebhookSink, createFilter, serializeEvent, serializeUndecoded };
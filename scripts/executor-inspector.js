@@ -0,0 +1,200 @@
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+
+/**
+ * Executor State Inspector
+ * Reads an ExecutorTemplate clone and explains whether it can take the next message.
+ */
+
+const EXECUTOR_STATES = {
+    NEVER_DEPLOYED: 'never-deployed',
+    IDLE: 'idle',
+    BUSY: 'busy',
+    STUCK: 'stuck'
+};
+
+// trackedTokens has no length getter and is never cleared, so stop reading at some point
+const MAX_TRACKED_TOKENS = 256;
+
+const ERC20_ABI = [
+    "function balanceOf(address) external view returns (uint256)",
+    "function symbol() external view returns (string)",
+    "function decimals() external view returns (uint8)"
+];
+
+class ExecutorInspector {
+    constructor(providerOrRpcUrl, yieldMaxAddress = null) {
+        this.provider = typeof providerOrRpcUrl === 'string'
+            ? new ethers.providers.JsonRpcProvider(providerOrRpcUrl)
+            : providerOrRpcUrl;
+        this.yieldMaxAddress = yieldMaxAddress;
+    }
+
+    /**
+     * Derive the sender's clone via predictExecutorAddress and inspect it
+     */
+    async inspect(sender) {
+        if (!this.yieldMaxAddress) {
+            throw new Error('YieldMax address required to predict the executor');
+        }
+
+        const yieldMax = YieldMaxSDK.connect(this.yieldMaxAddress, this.provider);
+        const executor = await yieldMax.predictExecutorAddress(sender);
+
+        return { sender, ...await this.inspectExecutor(executor) };
+    }
+
+    /**
+     * Read yieldMax, target, deadline, isInitialized, trackedTokens and balances of a clone
+     */
+    async inspectExecutor(executorAddress) {
+        const [code, ethBalance, latestBlock] = await Promise.all([
+            this.provider.getCode(executorAddress),
+            this.provider.getBalance(executorAddress),
+            this.provider.getBlock('latest')
+        ]);
+
+        const result = {
+            executor: executorAddress,
+            deployed: code !== '0x',
+            ethBalance,
+            chainTime: latestBlock.timestamp,
+            yieldMax: null,
+            target: null,
+            deadline: null,
+            initialized: false,
+            trackedTokens: [],
+            state: null,
+            explanation: null,
+            warnings: []
+        };
+
+        if (!result.deployed) {
+            return this.classify(result);
+        }
+
+        const executor = YieldMaxSDK.connectExecutor(executorAddress, this.provider);
+        const [yieldMax, target, deadline, initialized] = await Promise.all([
+            executor.yieldMax(),
+            executor.target(),
+            executor.deadline(),
+            executor.isInitialized()
+        ]);
+        Object.assign(result, { yieldMax, target, deadline: deadline.toNumber(), initialized });
+
+        if (this.yieldMaxAddress && yieldMax.toLowerCase() !== this.yieldMaxAddress.toLowerCase()) {
+            result.warnings.push(`executor belongs to ${yieldMax}, not ${this.yieldMaxAddress}`);
+        }
+
+        result.trackedTokens = await this.readTrackedTokens(executor);
+        if (result.trackedTokens.length === MAX_TRACKED_TOKENS) {
+            result.warnings.push(`only the first ${MAX_TRACKED_TOKENS} trackedTokens entries were read`);
+        }
+
+        return this.classify(result);
+    }
+
+    /**
+     * trackedTokens(i) until the getter reverts, with the executor's current balance of each token
+     */
+    async readTrackedTokens(executor) {
+        const tokens = [];
+        const balances = {};
+
+        for (let i = 0; i < MAX_TRACKED_TOKENS; i++) {
+            let token;
+            try {
+                token = await executor.trackedTokens(i);
+            } catch (error) {
+                break;
+            }
+
+            // addTrackedToken pushes on every message, so the same token repeats
+            if (!balances[token]) {
+                balances[token] = await this.tokenBalance(token, executor.address);
+            }
+            tokens.push({ index: i, ...balances[token] });
+        }
+
+        return tokens;
+    }
+
+    async tokenBalance(tokenAddress, holder) {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+        const [balance, symbol, decimals] = await Promise.all([
+            token.balanceOf(holder).catch(() => null),
+            token.symbol().catch(() => null),
+            token.decimals().catch(() => 18)
+        ]);
+
+        return {
+            token: tokenAddress,
+            symbol,
+            decimals,
+            balance,
+            formatted: balance ? ethers.utils.formatUnits(balance, decimals) : null
+        };
+    }
+
+    /**
+     * Mirrors _getOrCreateExecutor: a clone is reusable unless it is initialized and before its deadline
+     */
+    classify(result) {
+        if (!result.deployed) {
+            result.state = EXECUTOR_STATES.NEVER_DEPLOYED;
+            result.explanation = 'No clone yet; the next message from this sender deploys it (ExecutorCreated).';
+        } else if (!result.initialized) {
+            result.state = EXECUTOR_STATES.IDLE;
+            result.explanation = 'Last execution finished or was recovered; the next message reuses it (ExecutorReused).';
+        } else if (result.chainTime < result.deadline) {
+            result.state = EXECUTOR_STATES.BUSY;
+            result.secondsUntilDeadline = result.deadline - result.chainTime;
+            result.explanation = `Still initialized for ${result.target}; messages from this sender fail with "Executor still busy" until the deadline.`;
+        } else {
+            result.state = EXECUTOR_STATES.STUCK;
+            result.explanation = 'Initialized past its deadline; the next message force-recovers its assets to YieldMax (recoverTokens) and reuses it.';
+        }
+
+        const heldTokens = result.trackedTokens.filter(t => t.balance && t.balance.gt(0));
+        if (result.ethBalance.gt(0) || heldTokens.length > 0) {
+            result.warnings.push('executor holds assets; they return to YieldMax on the next cleanup, not to the sender');
+        }
+
+        return result;
+    }
+
+    printState(result) {
+        const icons = { 'never-deployed': '⚪', idle: '✅', busy: '⏳', stuck: '⚠️ ' };
+
+        console.log(`\n⚙️  Executor ${result.executor}${result.sender ? ` (sender ${result.sender})` : ''}`);
+        console.log(`   ${icons[result.state]} State: ${result.state.toUpperCase()}`);
+        console.log(`   💡 ${result.explanation}`);
+
+        if (result.deployed) {
+            console.log(`   🏦 YieldMax: ${result.yieldMax}`);
+            console.log(`   🎯 Target: ${result.target}`);
+            const deadline = new Date(result.deadline * 1000).toISOString();
+            if (result.state === EXECUTOR_STATES.BUSY) {
+                console.log(`   ⏳ Deadline: ${deadline} (${Math.ceil(result.secondsUntilDeadline / 60)} min left)`);
+            } else {
+                console.log(`   ⏳ Deadline: ${deadline}`);
+            }
+            console.log(`   🔒 Initialized: ${result.initialized ? 'yes' : 'no'}`);
+        }
+
+        console.log(`   💰 ETH Balance: ${ethers.utils.formatEther(result.ethBalance)}`);
+
+        if (result.trackedTokens.length > 0) {
+            const unique = [...new Map(result.trackedTokens.map(t => [t.token, t])).values()];
+            console.log(`   🪙 Tracked Tokens (${result.trackedTokens.length} entries, ${unique.length} unique):`);
+            for (const t of unique) {
+                const amount = t.formatted === null ? 'balance unavailable' : `${t.formatted} ${t.symbol || ''}`;
+                console.log(`      ${t.token}: ${amount}`);
+            }
+        }
+
+        result.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+    }
+}
+
+module.exports = { ExecutorInspector, EXECUTOR_STATES };
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const RevertDecoder = require('./revert-decoder');
+const { takeOption, takeFlag } = require('./cli-output');
+
+/**
+ * Failed Message Inspector
+ * Lists every entry of YieldMaxCCIP's failed-message map with its decoded payload and
+ * stuck tokens, and builds (or sends) retryFailedMessage transactions.
+ */
+
+// Mirrors YieldMaxCCIP.ErrorCode
+const ERROR_CODES = ['RESOLVED', 'FAILED'];
+const STATUS_FILTERS = ['failed', 'resolved', 'all'];
+
+class FailedMessageInspector {
+    constructor(providerOrRpcUrl, yieldMaxAddress) {
+        this.provider = typeof providerOrRpcUrl === 'string'
+            ? new ethers.providers.JsonRpcProvider(providerOrRpcUrl)
+            : providerOrRpcUrl;
+        this.yieldMaxAddress = yieldMaxAddress;
+        this.contract = YieldMaxSDK.connect(yieldMaxAddress, this.provider);
+        this.pageSize = 50;
+
+        this.payloadTypes = ['address', 'uint256', 'bytes', 'address'];
+        this.erc20Interface = new ethers.utils.Interface([
+            "event Transfer(address indexed from, address indexed to, uint256 value)",
+            "function symbol() external view returns (string)",
+            "function decimals() external view returns (uint8)"
+        ]);
+        this.routerInterface = new ethers.utils.Interface([
+            "event MessageExecuted(bytes32 messageId, uint64 sourceChainSelector, address offRamp, bytes32 calldataHash)"
+        ]);
+    }
+
+    /**
+     * Page through getFailedMessages until the map is exhausted
+     */
+    async fetchAll(pageSize = this.pageSize) {
+        const entries = [];
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await this.contract.getFailedMessages(offset, pageSize);
+            entries.push(...page.map(entry => ({
+                messageId: entry.messageId,
+                status: ERROR_CODES[entry.errorCode] || `UNKNOWN(${entry.errorCode})`
+            })));
+            if (page.length < pageSize) break;
+        }
+        return entries;
+    }
+
+    /**
+     * Decode the YieldMax payload: abi.encode(target, value, callData, sender)
+     */
+    decodePayload(data) {
+        try {
+            const [target, value, callData, sender] = ethers.utils.defaultAbiCoder.decode(this.payloadTypes, data);
+            return { target, value, callData, sender };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Read the stored Any2EVMMessage. The public getter omits destTokenAmounts.
+     */
+    async fetchContents(messageId) {
+        const contents = await this.contract.s_messageContents(messageId);
+        const sourceChain = ChainRegistry.bySelector(contents.sourceChainSelector.toString());
+
+        let sourceSender = null;
+        try {
+            [sourceSender] = ethers.utils.defaultAbiCoder.decode(['address'], contents.sender);
+        } catch (error) {
+            // Non-EVM or empty sender
+        }
+
+        return {
+            sourceChainSelector: contents.sourceChainSelector.toString(),
+            sourceChain: sourceChain ? sourceChain.name : null,
+            sourceSender,
+            payload: this.decodePayload(contents.data),
+            rawData: contents.data
+        };
+    }
+
+    /**
+     * Find the MessageFailed event and reconstruct destTokenAmounts from the delivery transaction.
+     * CCIP releases tokens to the receiver right before routing each message, so the Transfer logs
+     * into YieldMax since the previous router/YieldMax log belong to this message.
+     */
+    async fetchFailure(messageId, fromBlock = 0) {
+        let events;
+        try {
+            events = await this.contract.queryFilter(this.contract.filters.MessageFailed(messageId), fromBlock);
+        } catch (error) {
+            return { error: `MessageFailed lookup failed (${error.message}), try a later --from-block` };
+        }
+        if (events.length === 0) return null;
+
+        const event = events[events.length - 1];
+        const receipt = await event.getTransactionReceipt();
+        const yieldMax = this.yieldMaxAddress.toLowerCase();
+        const routerTopic = this.routerInterface.getEventTopic('MessageExecuted');
+        const transferTopic = this.erc20Interface.getEventTopic('Transfer');
+
+        const destTokenAmounts = [];
+        const failedIndex = receipt.logs.findIndex(log => log.logIndex === event.logIndex);
+        for (let i = failedIndex - 1; i >= 0; i--) {
+            const log = receipt.logs[i];
+            if (log.address.toLowerCase() === yieldMax || log.topics[0] === routerTopic) break;
+            if (log.topics[0] !== transferTopic || log.topics.length !== 3) continue;
+
+            const transfer = this.erc20Interface.parseLog(log);
+            if (transfer.args.to.toLowerCase() === yieldMax && transfer.args.from.toLowerCase() !== yieldMax) {
+                destTokenAmounts.unshift({ token: log.address, amount: transfer.args.value });
+            }
+        }
+
+        return {
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber,
+            reason: event.args.reason,
+            decodedReason: RevertDecoder.decode(event.args.reason),
+            destTokenAmounts: await Promise.all(destTokenAmounts.map(t => this.describeToken(t)))
+        };
+    }
+
+    async describeToken({ token, amount }) {
+        const contract = new ethers.Contract(token, this.erc20Interface, this.provider);
+        const [symbol, decimals] = await Promise.all([
+            contract.symbol().catch(() => null),
+            contract.decimals().catch(() => null)
+        ]);
+        return {
+            token,
+            amount,
+            symbol,
+            decimals,
+            formatted: decimals === null ? amount.toString() : ethers.utils.formatUnits(amount, decimals)
+        };
+    }
+
+    /**
+     * Full view of every failed-message entry
+     */
+    async inspect(options = {}) {
+        const { status = 'all', fromBlock = 0, pageSize = this.pageSize } = options;
+        if (!STATUS_FILTERS.includes(status)) {
+            throw new Error(`Unknown status "${status}" (expected ${STATUS_FILTERS.join(', ')})`);
+        }
+
+        const entries = (await this.fetchAll(pageSize))
+            .filter(entry => status === 'all' || entry.status === status.toUpperCase());
+
+        const messages = [];
+        for (const entry of entries) {
+            messages.push({
+                ...entry,
+                ...await this.fetchContents(entry.messageId),
+                failure: await this.fetchFailure(entry.messageId, fromBlock)
+            });
+        }
+        return messages;
+    }
+
+    /**
+     * Unsigned retryFailedMessage transaction (owner only)
+     */
+    buildRetry(messageId, tokenReceiver) {
+        if (!ethers.utils.isHexString(messageId, 32)) {
+            throw new Error(`Invalid messageId: ${messageId}`);
+        }
+        if (!ethers.utils.isAddress(tokenReceiver)) {
+            throw new Error(`Invalid token receiver: ${tokenReceiver}`);
+        }
+
+        return {
+            to: this.yieldMaxAddress,
+            data: YieldMaxSDK.encode.retryFailedMessage({ messageId, tokenReceiver }),
+            value: '0'
+        };
+    }
+
+    /**
+     * Send retryFailedMessage after checking ownership and the message status
+     */
+    async sendRetry(messageId, tokenReceiver, signer) {
+        const tx = this.buildRetry(messageId, tokenReceiver);
+        const [owner, signerAddress] = await Promise.all([this.contract.owner(), signer.getAddress()]);
+        if (owner.toLowerCase() !== signerAddress.toLowerCase()) {
+            throw new Error(`Signer ${signerAddress} is not the owner (${owner})`);
+        }
+
+        const entry = (await this.fetchAll()).find(e => e.messageId.toLowerCase() === messageId.toLowerCase());
+        if (!entry || entry.status !== 'FAILED') {
+            throw new Error(`MessageNotFailed(${messageId}): status is ${entry ? entry.status : 'unknown'}`);
+        }
+
+        const response = await signer.sendTransaction(tx);
+        return response.wait();
+    }
+
+    printMessages(messages) {
+        if (messages.length === 0) {
+            console.log("   ✅ No failed messages found");
+            return;
+        }
+
+        const failedCount = messages.filter(m => m.status === 'FAILED').length;
+        console.log(`   ⚠️  Found ${messages.length} message(s), ${failedCount} still FAILED:`);
+
+        messages.forEach((msg, index) => {
+            const icon = msg.status === 'FAILED' ? '❌' : '✅';
+            console.log(`\n   ${index + 1}. ${icon} ${msg.status} ${msg.messageId}`);
+            console.log(`      Source Chain: ${msg.sourceChain || 'Unknown'} (${msg.sourceChainSelector})`);
+            console.log(`      Source Sender: ${msg.sourceSender || 'n/a'}`);
+
+            if (msg.payload) {
+                console.log(`      Original Sender: ${msg.payload.sender}`);
+                console.log(`      Target: ${msg.payload.target}`);
+                console.log(`      Value: ${ethers.utils.formatEther(msg.payload.value)} native`);
+                console.log(`      Call Data: ${msg.payload.callData}`);
+            } else {
+                console.log(`      Payload: undecodable (${msg.rawData})`);
+            }
+
+            if (!msg.failure) {
+                console.log('      Tokens: MessageFailed event not found in the scanned range');
+            } else if (msg.failure.error) {
+                console.log(`      Tokens: ${msg.failure.error}`);
+            } else {
+                console.log(`      Failed In: ${msg.failure.transactionHash} (block ${msg.failure.blockNumber})`);
+                const [reason, ...help] = RevertDecoder.describe(msg.failure.decodedReason);
+                console.log(`      Reason: ${reason}`);
+                help.forEach(line => console.log(`      💡 ${line}`));
+                if (msg.failure.destTokenAmounts.length === 0) {
+                    console.log('      Tokens: none');
+                } else {
+                    console.log(`      Tokens${msg.status === 'FAILED' ? ' (stuck)' : ''}:`);
+                    for (const t of msg.failure.destTokenAmounts) {
+                        console.log(`         ${t.formatted} ${t.symbol || ''} (${t.token})`);
+                    }
+                }
+            }
+        });
+    }
+}
+
+// CLI Usage
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length === 0 || args.includes('--help')) {
+        console.log(`
+📋 Failed Message Inspector
+
+Usage: node failed-messages.js <chain> [YIELDMAX_ADDRESS] [options]
+       node failed-messages.js <RPC_URL> <YIELDMAX_ADDRESS> [options]
+
+Chains: ${ChainRegistry.list({ withYieldMax: true }).map(chain => chain.key).join(', ')}
+
+Options:
+  --status <failed|resolved|all>     Filter entries (default: all)
+  --from-block <n>                   First block to search for MessageFailed events
+  --retry <messageId> <receiver>     Build retryFailedMessage(messageId, tokenReceiver)
+  --send                             Send the retry with the PRIVATE_KEY signer (must be owner)
+
+Examples:
+  node failed-messages.js base --status failed
+  node failed-messages.js avalanche --from-block 60000000
+  node failed-messages.js base --retry 0x1234... 0x742d35Cc6634C0532925a3b844Bc454e4438f44e
+        `);
+        return;
+    }
+
+    const status = takeOption(args, '--status') || 'all';
+    const fromBlock = parseInt(takeOption(args, '--from-block') || '0');
+    const retry = takeOption(args, '--retry', 2);
+    const send = takeFlag(args, '--send');
+
+    const registryChain = args[0].startsWith('http') ? null : ChainRegistry.get(args[0]);
+    const rpcUrl = registryChain ? registryChain.rpc : args[0];
+    const yieldMaxAddress = args[1] || (registryChain && registryChain.yieldMax);
+    if (!yieldMaxAddress) {
+        throw new Error('YieldMax address required');
+    }
+
+    const inspector = new FailedMessageInspector(rpcUrl, yieldMaxAddress);
+
+    if (retry) {
+        const [messageId, tokenReceiver] = retry;
+        const tx = inspector.buildRetry(messageId, tokenReceiver);
+
+        if (!send) {
+            console.log('🔁 retryFailedMessage Transaction:');
+            console.log(JSON.stringify(tx, null, 2));
+            return;
+        }
+
+        if (!process.env.PRIVATE_KEY) {
+            throw new Error('--send requires PRIVATE_KEY in the environment');
+        }
+        const signer = new ethers.Wallet(process.env.PRIVATE_KEY, inspector.provider);
+        console.log(`🔁 Retrying ${messageId} from ${signer.address}...`);
+        const receipt = await inspector.sendRetry(messageId, tokenReceiver, signer);
+        console.log(`✅ MessageRecovered in ${receipt.transactionHash} (block ${receipt.blockNumber})`);
+        return;
+    }
+
+    const messages = await inspector.inspect({ status, fromBlock });
+    console.log(`\n📋 Failed Messages on ${yieldMaxAddress}${registryChain ? ` (${registryChain.name})` : ''}:`);
+    inspector.printMessages(messages);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { FailedMessageInspector, ERROR_CODES };
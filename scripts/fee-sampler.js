@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const TransactionEncoder = require('./encode-transactions');
+const { takeFormat, takeOption, printResult } = require('./cli-output');
+
+/**
+ * YieldMax Fee Sampler
+ * Calls estimateFee for a matrix of destination chains, token counts and callData sizes,
+ * stores every quote in a local SQLite file and reports percentiles, the trend over time
+ * and the marginal fee per extra token / per KB of callData, to size msg.value buffers.
+ */
+
+const DEFAULT_DB_PATH = 'yieldmax-fees.sqlite';
+const DEFAULT_TOKEN_COUNTS = [0, 1, 2];
+const DEFAULT_CALL_DATA_SIZES = [0, 256, 1024, 4096];
+const BUCKETS = { hour: 3600, day: 86400 };
+
+/**
+ * Nearest-rank percentile of BigNumbers sorted ascending
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.max(1, Math.ceil(p / 100 * sorted.length));
+    return sorted[rank - 1];
+}
+
+function sortFees(fees) {
+    return fees.slice().sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+}
+
+/**
+ * "7d", "12h", "30m" -> seconds
+ */
+function parseDuration(text) {
+    const match = /^(\d+)([dhm])$/.exec(text);
+    if (!match) throw new Error(`Durations look like 7d, 12h or 30m, got "${text}"`);
+    return Number(match[1]) * { d: 86400, h: 3600, m: 60 }[match[2]];
+}
+
+/**
+ * "900" -> 900 for `option`; `min` is 1 for counts and intervals, 0 where zero is a valid size
+ */
+function parseInteger(text, option, min = 1) {
+    if (!/^\d+$/.test(text) || Number(text) < min || !Number.isSafeInteger(Number(text))) {
+        throw new Error(`${option} must be a ${min > 0 ? 'positive' : 'non-negative'} integer, got "${text}"`);
+    }
+    return Number(text);
+}
+
+class FeeSampler {
+    /**
+     * @param {string} chainName - source chain (estimateFee is called on its YieldMax)
+     * @param {object} options - { provider, rpcUrl, yieldMax, dbPath }
+     */
+    constructor(chainName, options = {}) {
+        this.chain = ChainRegistry.get(chainName);
+        this.provider = options.provider || new ethers.providers.JsonRpcProvider(options.rpcUrl || this.chain.rpc);
+        this.yieldMax = ethers.utils.getAddress(ChainRegistry.resolveDeployment(this.chain.key, options, 'pass --yieldmax <address>').yieldMax);
+        this.contract = YieldMaxSDK.connect(this.yieldMax, this.provider);
+        this.encoder = new TransactionEncoder();
+
+        this.db = new Database(options.dbPath || DEFAULT_DB_PATH);
+        this.db.pragma('journal_mode = WAL');
+        this.createSchema();
+    }
+
+    createSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS fee_samples (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chain_id INTEGER NOT NULL,
+                contract TEXT NOT NULL,
+                destination TEXT NOT NULL,
+                destination_selector TEXT NOT NULL,
+                token_count INTEGER NOT NULL,
+                call_data_bytes INTEGER NOT NULL,
+                gas_limit INTEGER NOT NULL,
+                fee TEXT,
+                error TEXT,
+                block_number INTEGER NOT NULL,
+                sampled_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS fee_samples_lookup
+                ON fee_samples (chain_id, contract, destination, sampled_at);
+        `);
+    }
+
+    /**
+     * Every destination / token count / callData size combination to quote
+     * @param {object} options - { destinations, tokenCounts, callDataSizes, gasLimit }
+     */
+    matrix(options = {}) {
+        const destinations = options.destinations
+            ? options.destinations.map(name => ChainRegistry.get(name))
+            : ChainRegistry.list({ testnet: this.chain.testnet }).filter(chain => chain.key !== this.chain.key);
+        const tokens = Object.values(this.chain.tokens || {});
+        const tokenCounts = (options.tokenCounts || DEFAULT_TOKEN_COUNTS).filter(count => count <= tokens.length);
+        const callDataSizes = options.callDataSizes || DEFAULT_CALL_DATA_SIZES;
+
+        const cells = [];
+        for (const destination of destinations) {
+            for (const tokenCount of tokenCounts) {
+                for (const callDataBytes of callDataSizes) {
+                    const tokenList = tokens.slice(0, tokenCount);
+                    const params = {
+                        destinationChain: destination.selector,
+                        receiver: destination.yieldMax || this.yieldMax,
+                        targetContract: destination.yieldMax || this.yieldMax,
+                        value: 0,
+                        tokenAddresses: tokenList.map(token => token.address),
+                        // One whole token each; CCIP fees barely depend on the amount
+                        tokenAmounts: tokenList.map(token => ethers.utils.parseUnits('1', token.decimals)),
+                        callData: '0x' + '11'.repeat(callDataBytes)
+                    };
+                    params.gasLimit = options.gasLimit || this.encoder.suggestGasLimit(params).gasLimit;
+                    cells.push({ destination, tokenCount, callDataBytes, params });
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Quote the whole matrix once and store the results (failed quotes keep their error)
+     */
+    async sampleOnce(options = {}) {
+        const blockNumber = await this.provider.getBlockNumber();
+        const sampledAt = Math.floor(Date.now() / 1000);
+        const insert = this.db.prepare(`
+            INSERT INTO fee_samples (chain_id, contract, destination, destination_selector, token_count,
+                call_data_bytes, gas_limit, fee, error, block_number, sampled_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        const samples = [];
+        for (const cell of this.matrix(options)) {
+            const { params } = cell;
+            let fee = null;
+            let error = null;
+            try {
+                fee = await this.contract.estimateFee(
+                    params.destinationChain,
+                    params.receiver,
+                    params.targetContract,
+                    params.value,
+                    params.tokenAddresses,
+                    params.tokenAmounts,
+                    params.callData,
+                    params.gasLimit,
+                    { blockTag: blockNumber }
+                );
+            } catch (err) {
+                error = err.reason || err.message;
+            }
+            samples.push({
+                destination: cell.destination.key,
+                tokenCount: cell.tokenCount,
+                callDataBytes: cell.callDataBytes,
+                gasLimit: Number(params.gasLimit),
+                fee,
+                error
+            });
+        }
+
+        this.db.transaction(() => {
+            samples.forEach(sample => insert.run(
+                this.chain.chainId,
+                this.yieldMax,
+                sample.destination,
+                ChainRegistry.get(sample.destination).selector,
+                sample.tokenCount,
+                sample.callDataBytes,
+                sample.gasLimit,
+                sample.fee ? sample.fee.toString() : null,
+                sample.error,
+                blockNumber,
+                sampledAt
+            ));
+        })();
+
+        return { blockNumber, sampledAt, samples };
+    }
+
+    /**
+     * Stored quotes for this chain and contract, oldest first
+     * @param {object} options - { since: unix seconds, destination }
+     */
+    load(options = {}) {
+        const rows = this.db.prepare(`
+            SELECT * FROM fee_samples
+            WHERE chain_id = ? AND contract = ? AND fee IS NOT NULL AND sampled_at >= ?
+            ${options.destination ? 'AND destination = ?' : ''}
+            ORDER BY sampled_at, id
+        `).all(this.chain.chainId, this.yieldMax, options.since || 0, ...(options.destination ? [ChainRegistry.get(options.destination).key] : []));
+        return rows.map(row => ({ ...row, fee: ethers.BigNumber.from(row.fee) }));
+    }
+
+    /**
+     * Percentiles per matrix cell, the baseline trend per bucket and the marginal fees
+     * per extra token and per KB of callData (medians of same-round differences)
+     * @param {object} options - { since, destination, bucket: hour|day }
+     */
+    report(options = {}) {
+        const rows = this.load(options);
+        const bucketSeconds = BUCKETS[options.bucket || 'day'];
+        if (!bucketSeconds) throw new Error(`Unknown bucket "${options.bucket}" (expected ${Object.keys(BUCKETS).join(', ')})`);
+
+        const group = (list, keyOf) => {
+            const groups = new Map();
+            list.forEach(row => {
+                const key = keyOf(row);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            });
+            return groups;
+        };
+
+        const cells = [...group(rows, row => `${row.destination}|${row.token_count}|${row.call_data_bytes}`).values()].map(samples => {
+            const fees = sortFees(samples.map(sample => sample.fee));
+            const median = percentile(fees, 50);
+            const p90 = percentile(fees, 90);
+            return {
+                destination: samples[0].destination,
+                tokenCount: samples[0].token_count,
+                callDataBytes: samples[0].call_data_bytes,
+                samples: fees.length,
+                min: fees[0],
+                p50: median,
+                p90,
+                p99: percentile(fees, 99),
+                max: fees[fees.length - 1],
+                latest: samples[samples.length - 1].fee,
+                // Buffer over the median that covers 90% of the observed quotes
+                bufferPercent: median.isZero() ? 0 : Number(p90.sub(median).mul(10000).div(median)) / 100
+            };
+        });
+
+        const baseline = rows.filter(row => row.token_count === 0 && row.call_data_bytes === 0);
+        const trend = [...group(baseline, row => `${row.destination}|${Math.floor(row.sampled_at / bucketSeconds)}`).values()]
+            .map(samples => ({
+                destination: samples[0].destination,
+                bucket: new Date(Math.floor(samples[0].sampled_at / bucketSeconds) * bucketSeconds * 1000).toISOString(),
+                samples: samples.length,
+                p50: percentile(sortFees(samples.map(sample => sample.fee)), 50)
+            }));
+
+        const marginal = [...group(rows, row => row.destination).values()].map(samples => {
+            const perToken = [];
+            const perKb = [];
+            for (const round of group(samples, row => row.sampled_at).values()) {
+                const base = round.find(row => row.token_count === 0 && row.call_data_bytes === 0);
+                if (!base) continue;
+                round.forEach(row => {
+                    if (row.token_count > 0 && row.call_data_bytes === 0) {
+                        perToken.push(row.fee.sub(base.fee).div(row.token_count));
+                    }
+                    if (row.token_count === 0 && row.call_data_bytes > 0) {
+                        perKb.push(row.fee.sub(base.fee).mul(1024).div(row.call_data_bytes));
+                    }
+                });
+            }
+            return {
+                destination: samples[0].destination,
+                perToken: percentile(sortFees(perToken), 50),
+                perKb: percentile(sortFees(perKb), 50)
+            };
+        });
+
+        return {
+            type: 'fee-report',
+            chain: this.chain.key,
+            yieldMax: this.yieldMax,
+            samples: rows.length,
+            from: rows.length ? rows[0].sampled_at : null,
+            to: rows.length ? rows[rows.length - 1].sampled_at : null,
+            cells,
+            trend,
+            marginal
+        };
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length < 2 || args.includes('--help')) {
+        console.log(`
+⛽ YieldMax Fee Sampler
+
+Usage: node fee-sampler.js sample <chain> [options]
+       node fee-sampler.js report <chain> [options]
+
+  sample  Quote estimateFee for every destination x token count x callData size and store it
+  report  Percentiles per combination, baseline trend and fee per extra token / per KB
+
+Chains: ${ChainRegistry.list({ withYieldMax: true }).map(chain => chain.key).join(', ')}
+
+Options:
+  --db <file>                        SQLite file (default: ${DEFAULT_DB_PATH})
+  --rpc <url>                        RPC override (default: chain registry)
+  --yieldmax <address>               YieldMax override (default: the chain deployment)
+  --format <text|json|ndjson|table>  Output format (ndjson and table emit one row per sample / combination)
+
+Sample options:
+  --destinations <a,b>               Destination chains (default: every other registry chain)
+  --tokens <0,1,2>                   Token counts, using the source chain's registry tokens in order
+  --calldata <0,256,1024,4096>       callData sizes in bytes
+  --gas-limit <n>                    Fixed gasLimit (default: suggestGasLimit for each combination)
+  --interval <seconds>               Keep sampling every <seconds>
+  --rounds <n>                       Stop after n rounds (default: 1, or unlimited with --interval)
+
+Report options:
+  --since <7d|12h|30m>               Only samples this recent
+  --destination <chain>              Only this destination
+  --bucket <hour|day>                Trend bucket (default: day)
+
+Examples:
+  node fee-sampler.js sample base --interval 900
+  node fee-sampler.js report base --since 7d --destination avalanche
+        `);
+        return;
+    }
+
+    const format = takeFormat(args);
+    const takeList = (name) => {
+        const value = takeOption(args, name);
+        return value === undefined ? undefined : value.split(',').map(entry => entry.trim()).filter(Boolean);
+    };
+    const takeIntegers = (name, min) => {
+        const list = takeList(name);
+        return list && list.map(entry => parseInteger(entry, name, min));
+    };
+    const takeInteger = (name) => {
+        const value = takeOption(args, name);
+        return value === undefined ? undefined : parseInteger(value, name);
+    };
+    const dbPath = takeOption(args, '--db');
+    const rpcUrl = takeOption(args, '--rpc');
+    const yieldMaxOverride = takeOption(args, '--yieldmax');
+    const destinations = takeList('--destinations');
+    // Zero tokens and empty callData are valid matrix cells
+    const tokenCounts = takeIntegers('--tokens', 0);
+    const callDataSizes = takeIntegers('--calldata', 0);
+    const gasLimit = takeOption(args, '--gas-limit');
+    const interval = takeInteger('--interval');
+    const rounds = takeInteger('--rounds');
+    const since = takeOption(args, '--since');
+    const destination = takeOption(args, '--destination');
+    const bucket = takeOption(args, '--bucket');
+    const [command, chainName] = args;
+
+    const sampler = new FeeSampler(chainName, { rpcUrl, yieldMax: yieldMaxOverride, dbPath });
+    const symbol = sampler.chain.nativeSymbol;
+    const eth = amount => (amount === null ? 'n/a' : `${ethers.utils.formatEther(amount)} ${symbol}`);
+
+    try {
+        switch (command) {
+            case 'sample': {
+                const options = {
+                    destinations,
+                    tokenCounts,
+                    callDataSizes,
+                    gasLimit: gasLimit ? Number(gasLimit) : undefined
+                };
+                const maxRounds = rounds || (interval ? Infinity : 1);
+
+                for (let round = 1; round <= maxRounds; round++) {
+                    let result;
+                    try {
+                        result = await sampler.sampleOnce(options);
+                    } catch (error) {
+                        // A flaky RPC must not end a long-running --interval sampler
+                        if (!interval) throw error;
+                        console.error(`❌ Round ${round} failed: ${error.message}`);
+                    }
+                    if (result) {
+                        printResult(format, { type: 'fee-samples', chain: sampler.chain.key, ...result }, {
+                            rows: result.samples.map(sample => ({ sampledAt: result.sampledAt, blockNumber: result.blockNumber, ...sample })),
+                            text: () => {
+                                const failed = result.samples.filter(sample => sample.error);
+                                console.log(`⛽ ${new Date(result.sampledAt * 1000).toISOString()} block ${result.blockNumber}: ${result.samples.length - failed.length} quote(s) stored`);
+                                result.samples.filter(sample => sample.fee).forEach(sample => {
+                                    console.log(`   ${sample.destination.padEnd(14)} tokens ${sample.tokenCount} callData ${String(sample.callDataBytes).padStart(5)}B gas ${sample.gasLimit}: ${eth(sample.fee)}`);
+                                });
+                                failed.forEach(sample => console.log(`   ❌ ${sample.destination} tokens ${sample.tokenCount} callData ${sample.callDataBytes}B: ${sample.error}`));
+                            }
+                        });
+                    }
+                    if (round < maxRounds) await new Promise(resolve => setTimeout(resolve, interval * 1000));
+                }
+                break;
+            }
+
+            case 'report': {
+                const result = sampler.report({
+                    since: since ? Math.floor(Date.now() / 1000) - parseDuration(since) : undefined,
+                    destination,
+                    bucket
+                });
+                printResult(format, result, {
+                    rows: result.cells,
+                    text: () => {
+                        if (result.samples === 0) {
+                            console.log('⛽ No samples stored yet; run `sample` first');
+                            return;
+                        }
+                        console.log(`⛽ estimateFee on ${sampler.chain.name} YieldMax ${result.yieldMax}`);
+                        console.log(`   ${result.samples} quote(s) from ${new Date(result.from * 1000).toISOString()} to ${new Date(result.to * 1000).toISOString()}`);
+
+                        console.log('\n📊 Percentiles (p50 / p90 / p99, buffer = p90 over p50):');
+                        result.cells.forEach(cell => {
+                            console.log(`   ${cell.destination.padEnd(14)} tokens ${cell.tokenCount} callData ${String(cell.callDataBytes).padStart(5)}B  ${eth(cell.p50)} / ${eth(cell.p90)} / ${eth(cell.p99)}  +${cell.bufferPercent}% (${cell.samples} samples)`);
+                        });
+
+                        console.log('\n📈 Baseline trend (no tokens, no callData, median):');
+                        result.trend.forEach(entry => console.log(`   ${entry.destination.padEnd(14)} ${entry.bucket}  ${eth(entry.p50)} (${entry.samples})`));
+
+                        console.log('\n➕ Marginal fees (median of same-round differences):');
+                        result.marginal.forEach(entry => {
+                            console.log(`   ${entry.destination.padEnd(14)} per token ${eth(entry.perToken)}, per KB callData ${eth(entry.perKb)}`);
+                        });
+                    }
+                });
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown command: ${command} (expected sample or report)`);
+        }
+    } finally {
+        sampler.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { FeeSampler, percentile, DEFAULT_DB_PATH };
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * YieldMax SDK Generator
+ * Regenerates the shared ABI modules from the Foundry build artifacts so every
+ * CLI and HTML tool picks up contract changes after `forge build`.
+ */
+
+const ROOT = path.join(__dirname, '..');
+
+const ARTIFACTS = {
+    yieldMax: 'out/ym.sol/YieldMaxCCIP.json',
+    executor: 'out/ym.sol/ExecutorTemplate.json',
+    // EIP-2612 permit, used by permit-signer.js for gasless source-side approvals
+    erc20Permit: 'out/IERC20Permit.sol/IERC20Permit.json'
+};
+
+const TYPEDEF_PREFIXES = {
+    yieldMax: 'YieldMax',
+    executor: 'Executor',
+    erc20Permit: 'ERC20Permit'
+};
+
+const OUTPUTS = {
+    umd: path.join(__dirname, 'yieldmax-abi.js'),
+    esm: path.join(__dirname, 'abi.js')
+};
+
+function loadArtifact(relativePath) {
+    const file = path.join(ROOT, relativePath);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Artifact not found: ${relativePath} (run \`forge build\` first)`);
+    }
+    const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(artifact.abi)) {
+        throw new Error(`Artifact has no ABI: ${relativePath}`);
+    }
+    return artifact.abi;
+}
+
+/**
+ * Map a Solidity ABI type to the JS type accepted by ethers v5
+ */
+function jsType(param) {
+    const type = param.type;
+    if (type.endsWith(']')) {
+        const inner = { ...param, type: type.slice(0, type.lastIndexOf('[')) };
+        return `Array<${jsType(inner)}>`;
+    }
+    if (type === 'tuple') {
+        const fields = param.components.map(c => `${c.name}: ${jsType(c)}`);
+        return `{ ${fields.join(', ')} }`;
+    }
+    if (type === 'address' || type === 'string' || type.startsWith('bytes')) return 'string';
+    if (type === 'bool') return 'boolean';
+    if (type.startsWith('uint') || type.startsWith('int')) return 'BigNumberish';
+    return '*';
+}
+
+function typedefName(contract, entry) {
+    const prefix = TYPEDEF_PREFIXES[contract];
+    const suffix = { function: 'Args', event: 'Event', error: 'Error' }[entry.type];
+    return `${prefix}${entry.name.charAt(0).toUpperCase()}${entry.name.slice(1)}${suffix}`;
+}
+
+/**
+ * Emit JSDoc typedefs describing the arguments of every function, event and error
+ */
+function renderTypedefs(contract, abi) {
+    const lines = [];
+    for (const entry of abi) {
+        if (!['function', 'event', 'error'].includes(entry.type)) continue;
+        if (entry.inputs.length === 0) continue;
+        lines.push('/**');
+        lines.push(` * @typedef {Object} ${typedefName(contract, entry)}`);
+        entry.inputs.forEach((input, i) => {
+            lines.push(` * @property {${jsType(input)}} ${input.name || `arg${i}`}`);
+        });
+        lines.push(' */');
+    }
+    return lines.join('\n');
+}
+
+function renderUmd(abis) {
+    const typedefs = Object.entries(abis)
+        .map(([contract, abi]) => renderTypedefs(contract, abi))
+        .join('\n\n');
+    const body = JSON.stringify(abis, null, 4).replace(/\n/g, '\n    ');
+
+    return `// AUTO-GENERATED by scripts/generate-sdk.js from ${Object.values(ARTIFACTS).join(', ')}.
+// Do not edit by hand: run \`npm run generate-sdk\` after \`forge build\`.
+
+/** @typedef {string|number|bigint|import('ethers').BigNumber} BigNumberish */
+
+${typedefs}
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.YieldMaxABI = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    return ${body};
+});
+`;
+}
+
+function renderEsm(abi) {
+    return `export const abi = ${JSON.stringify(abi, null, '\t')}`;
+}
+
+function main() {
+    const abis = {};
+    for (const [contract, artifact] of Object.entries(ARTIFACTS)) {
+        abis[contract] = loadArtifact(artifact);
+    }
+
+    fs.writeFileSync(OUTPUTS.umd, renderUmd(abis));
+    fs.writeFileSync(OUTPUTS.esm, renderEsm(abis.yieldMax));
+
+    console.log('✅ YieldMax SDK ABIs regenerated:');
+    console.log(`   ${path.relative(ROOT, OUTPUTS.umd)}`);
+    console.log(`   ${path.relative(ROOT, OUTPUTS.esm)}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { loadArtifact, renderUmd, renderEsm };
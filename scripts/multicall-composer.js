@@ -0,0 +1,213 @@
+/**
+ * Multicall Composer
+ * Builds batch calldata for the executor's target and predicts how ExecutorTemplate will run it:
+ * executeAndCleanup uses delegatecall only when YieldMax.isMulticallContract(target) is set,
+ * otherwise a plain call (inner calls then see the multicall contract as msg.sender).
+ *
+ * Works as a CommonJS module and in the browser after ethers and yieldmax-sdk.js
+ * (exposed as `window.MulticallComposer`).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers').ethers, require('./yieldmax-sdk'));
+    } else {
+        root.MulticallComposer = factory(root.ethers, root.YieldMaxSDK);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, YieldMaxSDK) {
+    if (!ethers) throw new Error('MulticallComposer requires ethers v5 to be loaded first');
+
+    // Registered by the YieldMaxCCIP constructor on every chain
+    const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+    const FORMATS = {
+        // Multicall3: the multicall contract calls each target
+        aggregate3: 'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+        aggregate3Value: 'function aggregate3Value(tuple(address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+        // (address,bytes)[] multicall, as built by encode-ui.html
+        multicall: 'function multicall(tuple(address target, bytes data)[] calls) returns (bytes[] results)',
+        // Self-multicall: every entry is delegatecalled on the batch target itself (e.g. routers)
+        bytes: 'function multicall(bytes[] data) returns (bytes[] results)'
+    };
+
+    const interfaces = {};
+    for (const [format, signature] of Object.entries(FORMATS)) {
+        interfaces[format] = new ethers.utils.Interface([signature]);
+    }
+
+    // Inner calls whose meaning depends on msg.sender
+    const SENDER_SENSITIVE = new ethers.utils.Interface([
+        'function approve(address spender, uint256 amount)',
+        'function transfer(address to, uint256 amount)',
+        'function transferFrom(address from, address to, uint256 amount)',
+        'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)'
+    ]);
+
+    function senderSensitiveName(data) {
+        try {
+            return SENDER_SENSITIVE.parseTransaction({ data }).name;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Encode calls ({ target, data, value?, allowFailure? }) in one of FORMATS
+     */
+    function compose(calls, options = {}) {
+        const format = options.format || 'aggregate3';
+        if (!interfaces[format]) {
+            throw new Error(`Unknown multicall format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+        }
+        const allowFailure = options.allowFailure === true;
+
+        let args;
+        let value = ethers.BigNumber.from(0);
+        switch (format) {
+            case 'aggregate3':
+                args = calls.map(call => [call.target, call.allowFailure === undefined ? allowFailure : call.allowFailure, call.data]);
+                break;
+            case 'aggregate3Value':
+                args = calls.map(call => {
+                    const callValue = ethers.BigNumber.from(call.value || 0);
+                    value = value.add(callValue);
+                    return [call.target, call.allowFailure === undefined ? allowFailure : call.allowFailure, callValue, call.data];
+                });
+                break;
+            case 'multicall':
+                args = calls.map(call => [call.target, call.data]);
+                break;
+            case 'bytes':
+                args = calls.map(call => call.data);
+                break;
+        }
+
+        const iface = interfaces[format];
+        const fragment = Object.values(iface.functions)[0];
+        return {
+            format,
+            signature: fragment.format(),
+            selector: iface.getSighash(fragment),
+            data: iface.encodeFunctionData(fragment, [args]),
+            value,
+            calls
+        };
+    }
+
+    /**
+     * Inverse of compose(); returns null when the data is not one of FORMATS
+     */
+    function decode(data) {
+        for (const [format, iface] of Object.entries(interfaces)) {
+            let parsed;
+            try {
+                parsed = iface.parseTransaction({ data });
+            } catch (error) {
+                continue;
+            }
+
+            const calls = parsed.args[0].map(entry => {
+                switch (format) {
+                    case 'aggregate3':
+                        return { target: entry.target, allowFailure: entry.allowFailure, data: entry.callData };
+                    case 'aggregate3Value':
+                        return { target: entry.target, allowFailure: entry.allowFailure, value: entry.value, data: entry.callData };
+                    case 'multicall':
+                        return { target: entry.target, data: entry.data };
+                    default:
+                        return { target: null, data: entry };
+                }
+            });
+            return { format, signature: parsed.signature, calls };
+        }
+        return null;
+    }
+
+    /**
+     * Read isMulticallContract(target) from the destination YieldMax plus the target's code size
+     */
+    async function checkRegistry(provider, yieldMaxAddress, target) {
+        const yieldMax = YieldMaxSDK.connect(yieldMaxAddress, provider);
+        const [registered, code] = await Promise.all([
+            yieldMax.isMulticallContract(target),
+            provider.getCode(target)
+        ]);
+        return { registered, hasCode: code !== '0x', source: 'on-chain' };
+    }
+
+    /**
+     * Registry state without an RPC: only the constructor default (Multicall3) is known
+     */
+    function assumedRegistry(target) {
+        return {
+            registered: target.toLowerCase() === MULTICALL3_ADDRESS.toLowerCase(),
+            hasCode: null,
+            source: 'assumed (constructor default, not checked on-chain)'
+        };
+    }
+
+    /**
+     * Predict call vs delegatecall for a batch sent to `target` and list the pitfalls
+     * @param {object} batch - result of compose() (or decode())
+     * @param {string} target - the executor's target, i.e. the multicall contract
+     * @param {object} registry - { registered, hasCode } from checkRegistry() / assumedRegistry()
+     * @param {object} options - { expect: 'call'|'delegatecall', messageValue }
+     */
+    function analyze(batch, target, registry, options = {}) {
+        const mode = registry.registered ? 'delegatecall' : 'call';
+        const warnings = [];
+
+        if (options.expect && options.expect !== mode) {
+            warnings.push(options.expect === 'delegatecall'
+                ? `${target} is not in isMulticallContract, so the executor will call it instead of delegatecall; the owner must run setMulticallContract(${target}, true) first`
+                : `${target} is registered in isMulticallContract, so the executor will delegatecall it instead of call`);
+        }
+
+        if (target.toLowerCase() === MULTICALL3_ADDRESS.toLowerCase() && !batch.format.startsWith('aggregate3')) {
+            warnings.push(`Multicall3 has no ${batch.signature || batch.format} function; use aggregate3 or aggregate3Value`);
+        }
+
+        if (mode === 'call' && batch.format !== 'bytes') {
+            const sensitive = batch.calls
+                .map((call, i) => ({ index: i + 1, name: senderSensitiveName(call.data) }))
+                .filter(call => call.name);
+            const detail = sensitive.length
+                ? `; ${sensitive.map(call => `call ${call.index} (${call.name})`).join(', ')} will come from ${target} instead of the executor`
+                : '';
+            warnings.push(`Runs via call: inner calls see msg.sender = ${target}, not the executor, so approvals/transfers of the bridged tokens fail or act on the wrong balance${detail}`);
+        }
+
+        if (mode === 'delegatecall' && batch.format === 'bytes') {
+            warnings.push('bytes[] multicall delegatecalls address(this); under the executor\'s delegatecall that is the executor itself, which has none of these functions');
+        }
+
+        if (mode === 'delegatecall' && registry.hasCode === false) {
+            warnings.push(`${target} has no code on the destination chain; delegatecall to it succeeds without doing anything`);
+        }
+
+        if (batch.format === 'bytes') {
+            const foreign = batch.calls.filter(call => call.target && call.target.toLowerCase() !== target.toLowerCase());
+            if (foreign.length) {
+                warnings.push(`bytes[] multicall only calls its own contract; ${foreign.length} call(s) name a different target that will be ignored`);
+            }
+        }
+
+        if (batch.format === 'aggregate3Value' && options.messageValue !== undefined &&
+            !ethers.BigNumber.from(options.messageValue).eq(batch.value)) {
+            warnings.push(`aggregate3Value needs msg.value == ${batch.value} (sum of call values) but the message forwards ${options.messageValue}`);
+        }
+
+        return { mode, registry, warnings };
+    }
+
+    return {
+        MULTICALL3_ADDRESS,
+        FORMATS,
+        interfaces,
+        compose,
+        decode,
+        checkRegistry,
+        assumedRegistry,
+        analyze
+    };
+});
@@ -0,0 +1,316 @@
+/**
+ * Permit Signer
+ * Detects gasless approval support on a source token and builds / signs the EIP-712
+ * typed data for it:
+ *   - EIP-2612 permit(owner, spender, value, deadline, v, r, s) on the token (IERC20Permit)
+ *   - Uniswap Permit2 AllowanceTransfer.permit(owner, PermitSingle, signature)
+ *
+ * YieldMaxCCIP._handleTokenEscrow pulls tokens with safeTransferFrom(msg.sender, ...), so an
+ * EIP-2612 permit works once it is submitted (by anyone) before sendCrossChainExecution.
+ * A Permit2 signature only grants an allowance inside Permit2: YieldMax does not call
+ * Permit2.transferFrom, so that flow needs a contract change before it can fund the escrow.
+ *
+ * Works as a CommonJS module and in the browser after ethers, yieldmax-abi.js and
+ * yieldmax-sdk.js (exposed as `window.PermitSigner`).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers').ethers, require('./yieldmax-sdk'));
+    } else {
+        root.PermitSigner = factory(root.ethers, root.YieldMaxSDK);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, YieldMaxSDK) {
+    if (!ethers) throw new Error('PermitSigner requires ethers v5 to be loaded first');
+    if (!YieldMaxSDK) throw new Error('PermitSigner requires yieldmax-sdk.js to be loaded first');
+
+    // Same address on every chain (CREATE2 deployment)
+    const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+    const PERMIT2_ABI = [
+        'function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+        'function permit(address owner, tuple(tuple(address token, uint160 amount, uint48 expiration, uint48 nonce) details, address spender, uint256 sigDeadline) permitSingle, bytes signature)'
+    ];
+
+    // Optional metadata used to rebuild the EIP-712 domain (EIP-5267 first, then name/version)
+    const DOMAIN_ABI = [
+        'function name() view returns (string)',
+        'function version() view returns (string)',
+        'function allowance(address owner, address spender) view returns (uint256)',
+        'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+    ];
+
+    const PERMIT_TYPES = {
+        Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ]
+    };
+
+    const PERMIT2_TYPES = {
+        PermitDetails: [
+            { name: 'token', type: 'address' },
+            { name: 'amount', type: 'uint160' },
+            { name: 'expiration', type: 'uint48' },
+            { name: 'nonce', type: 'uint48' }
+        ],
+        PermitSingle: [
+            { name: 'details', type: 'PermitDetails' },
+            { name: 'spender', type: 'address' },
+            { name: 'sigDeadline', type: 'uint256' }
+        ]
+    };
+
+    const MAX_UINT160 = ethers.BigNumber.from(2).pow(160).sub(1);
+    const PERMIT2_EXPIRATION = 30 * 24 * 60 * 60;
+    const DEFAULT_DEADLINE = 60 * 60;
+
+    const permitInterface = new ethers.utils.Interface(YieldMaxSDK.abi.erc20Permit);
+    const permit2Interface = new ethers.utils.Interface(PERMIT2_ABI);
+
+    async function optional(promise) {
+        try {
+            return await promise;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    /**
+     * The domain whose hash equals the token's DOMAIN_SEPARATOR(); tokens disagree on
+     * version ("1" for most, "2" for USDC), so a mismatch is reported rather than guessed
+     */
+    function resolveDomain(token, chainId, metadata, domainSeparator) {
+        const verifyingContract = ethers.utils.getAddress(token);
+        const candidates = [];
+        if (metadata.eip712Domain) {
+            candidates.push({
+                name: metadata.eip712Domain.name,
+                version: metadata.eip712Domain.version,
+                chainId: metadata.eip712Domain.chainId.toNumber(),
+                verifyingContract: metadata.eip712Domain.verifyingContract
+            });
+        }
+        if (metadata.name !== null) {
+            const versions = [metadata.version, '1', '2'].filter((version, i, all) => version !== null && all.indexOf(version) === i);
+            versions.forEach(version => candidates.push({ name: metadata.name, version, chainId, verifyingContract }));
+        }
+        if (candidates.length === 0) return { domain: null, matches: false };
+
+        const match = candidates.find(domain => ethers.utils._TypedDataEncoder.hashDomain(domain) === domainSeparator);
+        return { domain: match || candidates[0], matches: Boolean(match) };
+    }
+
+    /**
+     * Which gasless approval flows a token supports for `owner`
+     * @param {object} options - { spender: Permit2 allowance to read, chainId }
+     */
+    async function detect(provider, token, owner, options = {}) {
+        const chainId = options.chainId || (await provider.getNetwork()).chainId;
+        const permitToken = YieldMaxSDK.connectPermit(token, provider);
+        const metadataToken = new ethers.Contract(token, DOMAIN_ABI, provider);
+
+        const [domainSeparator, nonce, name, version, eip712Domain, permit2Code, permit2TokenAllowance] = await Promise.all([
+            optional(permitToken.DOMAIN_SEPARATOR()),
+            optional(permitToken.nonces(owner)),
+            optional(metadataToken.name()),
+            optional(metadataToken.version()),
+            optional(metadataToken.eip712Domain()),
+            provider.getCode(PERMIT2_ADDRESS),
+            optional(metadataToken.allowance(owner, PERMIT2_ADDRESS))
+        ]);
+
+        const eip2612 = { supported: domainSeparator !== null && nonce !== null, domainSeparator, nonce, domain: null, domainMatches: false };
+        if (eip2612.supported) {
+            const resolved = resolveDomain(token, chainId, { name, version, eip712Domain }, domainSeparator);
+            eip2612.domain = resolved.domain;
+            eip2612.domainMatches = resolved.matches;
+        }
+
+        const permit2 = {
+            address: PERMIT2_ADDRESS,
+            deployed: permit2Code !== '0x',
+            tokenAllowance: permit2TokenAllowance,
+            // Permit2 can only move tokens the owner approved to it once, with a plain approve
+            approved: Boolean(permit2TokenAllowance && !permit2TokenAllowance.isZero()),
+            amount: null,
+            expiration: null,
+            nonce: null
+        };
+        if (permit2.deployed && options.spender) {
+            const allowance = await new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, provider).allowance(owner, token, options.spender);
+            permit2.amount = allowance.amount;
+            permit2.expiration = allowance.expiration;
+            permit2.nonce = allowance.nonce;
+        }
+
+        return { token: ethers.utils.getAddress(token), owner: ethers.utils.getAddress(owner), chainId, eip2612, permit2 };
+    }
+
+    /**
+     * EIP-2612 Permit typed data
+     * @param {object} params - { domain, owner, spender, value, nonce, deadline }
+     */
+    function buildPermit(params) {
+        if (!params.domain) throw new Error('EIP-2612 permit needs the token EIP-712 domain');
+        return {
+            kind: 'eip2612',
+            domain: params.domain,
+            types: PERMIT_TYPES,
+            primaryType: 'Permit',
+            message: {
+                owner: ethers.utils.getAddress(params.owner),
+                spender: ethers.utils.getAddress(params.spender),
+                value: ethers.BigNumber.from(params.value).toString(),
+                nonce: ethers.BigNumber.from(params.nonce).toString(),
+                deadline: ethers.BigNumber.from(params.deadline).toString()
+            }
+        };
+    }
+
+    /**
+     * Permit2 PermitSingle typed data (AllowanceTransfer)
+     * @param {object} params - { chainId, owner, token, spender, amount, nonce, expiration, sigDeadline }
+     */
+    function buildPermit2(params) {
+        // Permit2 amounts are uint160: max uint256 ("unlimited") maps to max uint160
+        let amount = ethers.BigNumber.from(params.amount);
+        if (amount.eq(ethers.constants.MaxUint256)) amount = MAX_UINT160;
+        if (amount.gt(MAX_UINT160)) throw new Error('Permit2 amounts are uint160; the amount is too large');
+        return {
+            kind: 'permit2',
+            owner: ethers.utils.getAddress(params.owner),
+            domain: { name: 'Permit2', chainId: params.chainId, verifyingContract: PERMIT2_ADDRESS },
+            types: PERMIT2_TYPES,
+            primaryType: 'PermitSingle',
+            message: {
+                details: {
+                    token: ethers.utils.getAddress(params.token),
+                    amount: amount.toString(),
+                    expiration: String(params.expiration),
+                    nonce: ethers.BigNumber.from(params.nonce).toString()
+                },
+                spender: ethers.utils.getAddress(params.spender),
+                sigDeadline: ethers.BigNumber.from(params.sigDeadline).toString()
+            }
+        };
+    }
+
+    /**
+     * Detect support and build the typed data for one token approval
+     * @param {object} options - { mode: 'eip2612' | 'permit2' (default: eip2612 when supported), deadline: seconds from now, expiration }
+     * @returns {object} { mode, detection, typedData, usableByYieldMax, warnings }
+     */
+    async function prepare(provider, token, owner, spender, amount, options = {}) {
+        const detection = await detect(provider, token, owner, { spender, chainId: options.chainId });
+        const deadline = now() + Number(options.deadline || DEFAULT_DEADLINE);
+        const mode = options.mode || (detection.eip2612.supported ? 'eip2612' : 'permit2');
+        const warnings = [];
+
+        let typedData;
+        if (mode === 'eip2612') {
+            if (!detection.eip2612.supported) throw new Error(`${token} does not implement EIP-2612 permit (no DOMAIN_SEPARATOR / nonces)`);
+            if (!detection.eip2612.domainMatches) {
+                warnings.push('Could not reproduce DOMAIN_SEPARATOR from name()/version(); the token may reject this signature');
+            }
+            typedData = buildPermit({
+                domain: detection.eip2612.domain,
+                owner,
+                spender,
+                value: amount,
+                nonce: detection.eip2612.nonce,
+                deadline
+            });
+        } else if (mode === 'permit2') {
+            if (!detection.permit2.deployed) throw new Error(`Permit2 is not deployed at ${PERMIT2_ADDRESS} on chain ${detection.chainId}`);
+            if (!detection.permit2.approved) warnings.push(`Token has no allowance to Permit2 yet: approve ${PERMIT2_ADDRESS} once before this permit can be used`);
+            warnings.push('YieldMaxCCIP pulls tokens with safeTransferFrom and never calls Permit2, so this allowance does not fund sendCrossChainExecution');
+            typedData = buildPermit2({
+                chainId: detection.chainId,
+                owner,
+                token,
+                spender,
+                amount,
+                nonce: detection.permit2.nonce || 0,
+                expiration: now() + Number(options.expiration || PERMIT2_EXPIRATION),
+                sigDeadline: deadline
+            });
+        } else {
+            throw new Error(`Unknown permit mode "${mode}" (expected eip2612 or permit2)`);
+        }
+
+        return { mode, detection, typedData, usableByYieldMax: mode === 'eip2612', warnings };
+    }
+
+    /**
+     * Typed data as eth_signTypedData_v4 expects it (EIP712Domain type included), for external wallets
+     */
+    function toJsonRpc(typedData) {
+        return ethers.utils._TypedDataEncoder.getPayload(typedData.domain, typedData.types, typedData.message);
+    }
+
+    /**
+     * Sign with an ethers v5 signer (Wallet or JsonRpcSigner) and check the recovered owner
+     */
+    async function sign(signer, typedData) {
+        const signature = await signer._signTypedData(typedData.domain, typedData.types, typedData.message);
+        return verify(typedData, signature);
+    }
+
+    /**
+     * Split a signature and confirm it recovers to the permit owner
+     */
+    function verify(typedData, signature) {
+        const owner = typedData.kind === 'permit2' ? typedData.owner : typedData.message.owner;
+        const recovered = ethers.utils.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature);
+        if (recovered.toLowerCase() !== owner.toLowerCase()) {
+            throw new Error(`Signature recovers to ${recovered}, not the permit owner ${owner}`);
+        }
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+        return { signature, v, r, s, signer: recovered };
+    }
+
+    /**
+     * The transaction that submits a signed permit; anyone can send it
+     */
+    function transaction(typedData, signed) {
+        if (typedData.kind === 'permit2') {
+            return {
+                to: PERMIT2_ADDRESS,
+                data: permit2Interface.encodeFunctionData('permit', [typedData.owner, typedData.message, signed.signature]),
+                value: '0x0',
+                description: `Permit2 allowance of ${typedData.message.details.amount} to ${typedData.message.spender}`
+            };
+        }
+        const { owner, spender, value, deadline } = typedData.message;
+        return {
+            to: typedData.domain.verifyingContract,
+            data: permitInterface.encodeFunctionData('permit', [owner, spender, value, deadline, signed.v, signed.r, signed.s]),
+            value: '0x0',
+            description: `permit(${spender}, ${value}) signed by ${owner}`
+        };
+    }
+
+    return {
+        PERMIT2_ADDRESS,
+        PERMIT_TYPES,
+        PERMIT2_TYPES,
+        MAX_UINT160,
+        detect,
+        resolveDomain,
+        buildPermit,
+        buildPermit2,
+        prepare,
+        toJsonRpc,
+        sign,
+        verify,
+        transaction
+    };
+});
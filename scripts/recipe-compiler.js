@@ -0,0 +1,331 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const MulticallComposer = require('./multicall-composer');
+
+/**
+ * Recipe Compiler
+ * Reads declarative cross-chain recipes (YAML or JSON) and resolves them into
+ * sendCrossChainExecution parameters, the destination steps and the source approvals.
+ *
+ *   name: usdc-to-vault
+ *   description: Bridge ${amount} USDC and deposit it into ${vault}
+ *   source: base
+ *   destination: avalanche
+ *   variables: { amount: "100", vault: null }   # null: required, pass --var vault=0x...
+ *   tokens:                       # bridged from the source chain
+ *     - { token: usdc, amount: "${amount}" }
+ *   steps:                        # run by the executor on the destination chain, in order
+ *     - { type: approve, token: usdc, spender: "${vault}", amount: "${amount}" }
+ *     - { type: deposit, target: "${vault}", params: [{ amount: "${amount}", token: usdc }, "${sender}"] }
+ *
+ * Step types: approve, swap, deposit and custom (any signature). A params entry of the form
+ * { amount, token } is converted to base units with the destination token's decimals, and
+ * { token } alone to the token's address.
+ * Several steps are batched through Multicall3 (see MulticallComposer).
+ *
+ * Besides the recipe's own variables, ${sender}, ${executor} (needs sender),
+ * ${source.<field>} / ${destination.<field>} and ${source.tokens.<key>} / ${destination.tokens.<key>}
+ * from the chain registry can be referenced.
+ */
+
+const VARIABLE_PATTERN = /\$\{([A-Za-z0-9_.]+)\}/g;
+const REGISTRY_FIELDS = ['key', 'name', 'chainId', 'selector', 'router', 'yieldMax', 'executorTemplate'];
+
+// Default signatures for the typed steps, overridable with `signature`
+const STEP_SIGNATURES = {
+    approve: 'function approve(address spender, uint256 amount)',
+    // Uniswap V2 style routers
+    swap: 'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    // ERC-4626 vaults
+    deposit: 'function deposit(uint256 assets, address receiver)'
+};
+
+/**
+ * Parse recipe text; YAML when the file name ends in .yaml/.yml, JSON otherwise
+ */
+function parseRecipe(text, fileName = '') {
+    if (/\.ya?ml$/i.test(fileName)) {
+        return require('yaml').parse(text);
+    }
+    return JSON.parse(text);
+}
+
+function loadRecipe(file) {
+    return parseRecipe(fs.readFileSync(file, 'utf8'), file);
+}
+
+/**
+ * Turn repeated `--var name=value` arguments into an object
+ */
+function parseVariableArgs(list) {
+    const variables = {};
+    for (const entry of list) {
+        const separator = entry.indexOf('=');
+        if (separator <= 0) throw new Error(`Variables must look like name=value, got "${entry}"`);
+        variables[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+    return variables;
+}
+
+/**
+ * Remove every `--var name=value` pair from CLI args and return the variables as an object
+ */
+function takeVariableArgs(args) {
+    const list = [];
+    let index;
+    while ((index = args.indexOf('--var')) !== -1) {
+        list.push(args.splice(index, 2)[1]);
+    }
+    return parseVariableArgs(list);
+}
+
+/**
+ * Replace ${name} references in every string of a value. A string that is exactly one
+ * reference takes the variable's value as is (so arrays and numbers survive).
+ */
+function substitute(value, variables) {
+    const lookup = (name) => {
+        if (!(name in variables)) {
+            throw new Error(`Unknown recipe variable \${${name}} (known: ${Object.keys(variables).join(', ')})`);
+        }
+        return variables[name];
+    };
+
+    if (typeof value === 'string') {
+        const whole = value.match(/^\$\{([A-Za-z0-9_.]+)\}$/);
+        if (whole) return lookup(whole[1]);
+        return value.replace(VARIABLE_PATTERN, (match, name) => String(lookup(name)));
+    }
+    if (Array.isArray(value)) return value.map(entry => substitute(entry, variables));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, substitute(entry, variables)]));
+    }
+    return value;
+}
+
+/**
+ * Variables visible to the recipe: registry fields, then the recipe's variables with overrides applied
+ */
+function buildVariables(recipe, source, destination, overrides = {}) {
+    const declared = recipe.variables || {};
+    for (const name of Object.keys(overrides)) {
+        if (!(name in declared) && name !== 'sender') {
+            throw new Error(`Variable "${name}" is not declared in the recipe (declared: ${Object.keys(declared).join(', ') || 'none'})`);
+        }
+    }
+
+    const builtins = {};
+    for (const [prefix, chain] of [['source', source], ['destination', destination]]) {
+        for (const field of REGISTRY_FIELDS) {
+            if (chain[field] !== null && chain[field] !== undefined) builtins[`${prefix}.${field}`] = chain[field];
+        }
+        for (const [key, token] of Object.entries(chain.tokens)) {
+            builtins[`${prefix}.tokens.${key}`] = token.address;
+        }
+    }
+
+    const merged = { ...declared, ...overrides };
+    const missing = Object.keys(merged).filter(name => merged[name] === null || merged[name] === undefined);
+    if (missing.length) {
+        throw new Error(`Missing required variable(s): ${missing.join(', ')} (pass ${missing.map(name => `--var ${name}=...`).join(' ')})`);
+    }
+    const variables = { ...builtins };
+    if (merged.sender) {
+        variables.sender = ethers.utils.getAddress(merged.sender);
+        if (destination.yieldMax) {
+            variables.executor = YieldMaxSDK.predictExecutorAddress(variables.sender, destination.yieldMax, destination.executorTemplate);
+        }
+    }
+    for (const [name, value] of Object.entries(merged)) {
+        if (name !== 'sender') variables[name] = substitute(value, builtins);
+    }
+    return variables;
+}
+
+/**
+ * Registry key/symbol or address -> { address, decimals, symbol }.
+ * Unregistered addresses need explicit decimals.
+ */
+function resolveToken(chain, ref, decimals) {
+    if (!ref) throw new Error(`Missing token on ${chain.name}`);
+    const known = ChainRegistry.token(chain.key, ref);
+    if (known) return { address: known.address, decimals: known.decimals, symbol: known.symbol };
+
+    if (!ethers.utils.isAddress(ref)) {
+        throw new Error(`Unknown token "${ref}" on ${chain.name} (known: ${Object.keys(chain.tokens).join(', ')})`);
+    }
+    if (decimals === undefined) {
+        throw new Error(`Token ${ref} is not in the chain registry for ${chain.name}; add "decimals"`);
+    }
+    return { address: ethers.utils.getAddress(ref), decimals: Number(decimals), symbol: null };
+}
+
+/**
+ * Human amount -> base units ("max" is type(uint256).max)
+ */
+function toUnits(amount, decimals) {
+    if (amount === undefined || amount === null || amount === '') throw new Error('Missing amount');
+    if (String(amount).toLowerCase() === 'max') return ethers.constants.MaxUint256;
+    return ethers.utils.parseUnits(String(amount), decimals);
+}
+
+/**
+ * Convert { amount, token } entries to base units and { token } entries to addresses,
+ * recursively through arrays
+ */
+function resolveParams(params, chain) {
+    return params.map(param => {
+        if (Array.isArray(param)) return resolveParams(param, chain);
+        if (param && typeof param === 'object' && 'token' in param) {
+            const token = resolveToken(chain, param.token, param.decimals);
+            return 'amount' in param ? toUnits(param.amount, token.decimals) : token.address;
+        }
+        return param;
+    });
+}
+
+function encodeCall(signature, params) {
+    const iface = new ethers.utils.Interface([signature]);
+    const fragment = Object.values(iface.functions)[0];
+    try {
+        return iface.encodeFunctionData(fragment, params);
+    } catch (error) {
+        throw new Error(`Cannot encode ${fragment.format()}: ${error.reason || error.message}`);
+    }
+}
+
+/**
+ * One destination step -> { type, target, data, value, description }
+ */
+function compileStep(step, chain, index) {
+    const label = `Step ${index + 1} (${step.type})`;
+    const address = (value, field) => {
+        if (!value || !ethers.utils.isAddress(value)) throw new Error(`${label}: "${field}" must be an address, got ${value}`);
+        // A zero target or spender is an unset placeholder: calls to it succeed and do nothing
+        if (ethers.utils.getAddress(value) === ethers.constants.AddressZero) throw new Error(`${label}: "${field}" is the zero address`);
+        return ethers.utils.getAddress(value);
+    };
+    const value = step.value ? ethers.utils.parseEther(String(step.value)) : ethers.BigNumber.from(0);
+
+    try {
+        switch (step.type) {
+            case 'approve': {
+                const token = resolveToken(chain, step.token, step.decimals);
+                const spender = address(step.spender, 'spender');
+                return {
+                    type: step.type,
+                    target: token.address,
+                    data: encodeCall(STEP_SIGNATURES.approve, [spender, toUnits(step.amount, token.decimals)]),
+                    value,
+                    description: `approve ${step.amount} ${token.symbol || token.address} to ${spender}`
+                };
+            }
+            case 'swap':
+            case 'deposit':
+            case 'custom': {
+                const target = address(step.target || step.router || step.vault, step.type === 'swap' ? 'router' : 'target');
+                const signature = step.signature || STEP_SIGNATURES[step.type];
+                if (!signature) throw new Error('"signature" is required');
+                return {
+                    type: step.type,
+                    target,
+                    data: encodeCall(signature, resolveParams(step.params || [], chain)),
+                    value,
+                    description: step.description || `${signature.replace(/^function /, '').split('(')[0]} on ${target}`
+                };
+            }
+            default:
+                throw new Error(`unknown step type (expected approve, swap, deposit or custom)`);
+        }
+    } catch (error) {
+        throw new Error(error.message.startsWith(label) ? error.message : `${label}: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve a recipe into cross-chain parameters, approvals and steps (no gas limit or fee yet)
+ * @param {object} recipe - parsed recipe
+ * @param {object} overrides - variable overrides, e.g. from --var
+ */
+function build(recipe, overrides = {}) {
+    if (!recipe || typeof recipe !== 'object') throw new Error('Recipe must be an object');
+    const source = ChainRegistry.get(recipe.source);
+    const destination = ChainRegistry.get(recipe.destination);
+    if (source.key === destination.key) throw new Error('Recipe source and destination must differ');
+
+    const variables = buildVariables(recipe, source, destination, overrides);
+    const resolved = substitute({ ...recipe, variables: undefined }, variables);
+
+    const { yieldMax } = ChainRegistry.resolveDeployment(source.key, { yieldMax: resolved.yieldMax }, 'set "yieldMax" in the recipe');
+    const { yieldMax: receiver } = ChainRegistry.resolveDeployment(destination.key, { yieldMax: resolved.receiver }, 'set "receiver" in the recipe');
+
+    const tokens = (resolved.tokens || []).map(entry => {
+        const token = resolveToken(source, entry.token, entry.decimals);
+        return { ...token, amount: String(entry.amount), units: toUnits(entry.amount, token.decimals) };
+    });
+
+    // _handleTokenEscrow pulls every entry separately, so repeated tokens need the summed allowance
+    const allowances = {};
+    for (const token of tokens) {
+        const key = token.address.toLowerCase();
+        allowances[key] = allowances[key]
+            ? { ...allowances[key], units: allowances[key].units.add(token.units) }
+            : { ...token };
+    }
+    const approvals = Object.values(allowances).map(token => ({
+        to: token.address,
+        token: token.symbol || token.address,
+        amount: ethers.utils.formatUnits(token.units, token.decimals),
+        spender: ethers.utils.getAddress(yieldMax),
+        data: encodeCall(STEP_SIGNATURES.approve, [yieldMax, token.units])
+    }));
+
+    const steps = (resolved.steps || []).map((step, i) => compileStep(step, destination, i));
+    if (steps.length === 0) throw new Error('Recipe needs at least one step');
+
+    const stepValue = steps.reduce((sum, step) => sum.add(step.value), ethers.BigNumber.from(0));
+    let target;
+    let callData;
+    let batch = null;
+    if (steps.length === 1) {
+        target = steps[0].target;
+        callData = steps[0].data;
+    } else {
+        const multicall = resolved.multicall || {};
+        target = ethers.utils.getAddress(multicall.target || MulticallComposer.MULTICALL3_ADDRESS);
+        batch = MulticallComposer.compose(steps, { format: multicall.format || (stepValue.isZero() ? 'aggregate3' : 'aggregate3Value') });
+        callData = batch.data;
+    }
+
+    const value = resolved.value !== undefined ? ethers.utils.parseEther(String(resolved.value)) : stepValue;
+    if (value.lt(stepValue)) {
+        throw new Error(`Recipe value ${ethers.utils.formatEther(value)} is below the ${ethers.utils.formatEther(stepValue)} the steps send`);
+    }
+
+    return {
+        name: resolved.name || null,
+        description: resolved.description || null,
+        source: source.key,
+        destination: destination.key,
+        yieldMax: ethers.utils.getAddress(yieldMax),
+        variables,
+        params: {
+            destinationChain: destination.selector,
+            receiver: ethers.utils.getAddress(receiver),
+            targetContract: target,
+            value,
+            tokenAddresses: tokens.map(token => token.address),
+            tokenAmounts: tokens.map(token => token.units),
+            callData,
+            gasLimit: resolved.gasLimit
+        },
+        tokens,
+        approvals,
+        steps,
+        batch
+    };
+}
+
+module.exports = { STEP_SIGNATURES, parseRecipe, loadRecipe, parseVariableArgs, takeVariableArgs, substitute, build };
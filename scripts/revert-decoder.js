@@ -0,0 +1,391 @@
+/**
+ * Revert Reason Decoder
+ * Turns raw revert bytes (e.g. the `reason` of MessageFailed) into a named error with a
+ * human explanation and a likely remediation.
+ *
+ * Recognises Error(string), Panic(uint256), every YieldMaxCCIP and ExecutorTemplate custom
+ * error, common OpenZeppelin errors, and anything added with register() / registerAbi().
+ *
+ * Works as a CommonJS module and in the browser after ethers, `yieldmax-abi.js` and
+ * `yieldmax-sdk.js` (exposed as `window.RevertDecoder`).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers').ethers, require('./yieldmax-sdk'));
+    } else {
+        root.RevertDecoder = factory(root.ethers, root.YieldMaxSDK);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, YieldMaxSDK) {
+    if (!ethers) throw new Error('RevertDecoder requires ethers v5 to be loaded first');
+    if (!YieldMaxSDK) throw new Error('RevertDecoder requires yieldmax-sdk.js to be loaded first');
+
+    const ERROR_STRING_SELECTOR = '0x08c379a0';
+    const PANIC_SELECTOR = '0x4e487b71';
+
+    // Solidity panic codes (https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require)
+    const PANIC_CODES = {
+        0x00: 'generic compiler panic',
+        0x01: 'assert() failed',
+        0x11: 'arithmetic overflow or underflow',
+        0x12: 'division or modulo by zero',
+        0x21: 'invalid enum value',
+        0x22: 'corrupted storage byte array',
+        0x31: 'pop() on an empty array',
+        0x32: 'array index out of bounds',
+        0x41: 'out of memory',
+        0x51: 'call to an uninitialized function pointer'
+    };
+
+    // Explanations for the contracts' custom errors, keyed by "<contract>.<error>"
+    const CUSTOM_ERROR_HELP = {
+        'YieldMaxCCIP.NotEnoughBalance': {
+            explanation: 'msg.value did not cover the CCIP fee plus the native value forwarded to the target.',
+            remediation: 'Call estimateFee with the same arguments and send msg.value = fee + value.'
+        },
+        'YieldMaxCCIP.DestinationChainNotAllowlisted': {
+            explanation: 'The source YieldMax has not allowlisted this destination chain selector.',
+            remediation: 'Check the selector against the chain registry, or have the owner call allowlistDestinationChain.'
+        },
+        'YieldMaxCCIP.SourceChainNotAllowed': {
+            explanation: 'The destination YieldMax does not accept messages from this source chain selector.',
+            remediation: 'Have the destination owner call allowlistSourceChain for the source selector.'
+        },
+        'YieldMaxCCIP.OnlySelf': {
+            explanation: 'processMessage was called by something other than the YieldMax contract itself.',
+            remediation: 'processMessage is internal plumbing for ccipReceive; do not call it directly.'
+        },
+        'YieldMaxCCIP.MessageNotFailed': {
+            explanation: 'retryFailedMessage was called for a message that is unknown or already RESOLVED.',
+            remediation: 'List entries with `node failed-messages.js <chain> --status failed` and retry only FAILED ones.'
+        },
+        'YieldMaxCCIP.Unauthorized': {
+            explanation: 'The caller is not the YieldMax owner, or (same selector) not the YieldMax that owns this executor.',
+            remediation: 'Send owner-only calls from owner(); executors only accept calls from their YieldMax.'
+        },
+        'YieldMaxCCIP.GasLimitTooLow': {
+            explanation: 'The destination gas limit is below MIN_GAS_LIMIT.',
+            remediation: 'Use `node encode-transactions.js suggest-gas <callData> <tokenCount>` for a safe value.'
+        },
+        'YieldMaxCCIP.GasLimitTooHigh': {
+            explanation: 'The destination gas limit is above MAX_GAS_LIMIT.',
+            remediation: 'Lower the gas limit or split the work across several messages.'
+        },
+        'YieldMaxCCIP.InvalidRouter': {
+            explanation: 'ccipReceive was called by an address other than the configured CCIP router.',
+            remediation: 'Only the router delivers messages; check getRouter() against the chain registry.'
+        },
+        'ExecutorTemplate.NotInitialized': {
+            explanation: 'The executor was used before initialize(), or after it had already cleaned up.',
+            remediation: 'Executors are driven by YieldMax; inspect the executor state before retrying.'
+        },
+        'ExecutorTemplate.AlreadyInitialized': {
+            explanation: 'The executor clone is still initialized from a previous execution.',
+            remediation: 'Wait for the previous deadline to pass so YieldMax can recover and reinitialize it.'
+        },
+        'ExecutorTemplate.DeadlineExceeded': {
+            explanation: 'The executor deadline (1 hour after creation or reuse) passed before execution.',
+            remediation: 'Re-send the message; the next delivery sets a fresh deadline.'
+        },
+        'ExecutorTemplate.ExecutionFailed': {
+            explanation: 'The call (or multicall delegatecall) from the executor to the target reverted.',
+            remediation: 'Simulate the target call with the executor as msg.sender (`node simulate-ccip.js`); check approvals, amounts and callData.'
+        }
+    };
+
+    // Explanations for require() messages in src/ym.sol and common dependencies
+    const ERROR_STRING_HELP = {
+        'Replay detected': {
+            explanation: 'A message with an identical payload was already processed by this YieldMax.',
+            remediation: 'Payloads must be unique; vary the callData (e.g. a nonce or amount) and send again.'
+        },
+        'Executor still busy': {
+            explanation: "The sender's executor is still initialized and its deadline has not passed.",
+            remediation: 'Wait until the executor deadline, then retry the message.'
+        },
+        'Token input mismatch': {
+            explanation: 'tokenAddresses and tokenAmounts have different lengths.',
+            remediation: 'Pass one amount per token address.'
+        },
+        'ETH transfer failed': {
+            explanation: 'The executor could not return leftover native value to YieldMax.',
+            remediation: 'Check that YieldMax can receive native value.'
+        },
+        'Only YieldMax can add tokens': {
+            explanation: 'addTrackedToken was called on an executor by someone other than its YieldMax.',
+            remediation: 'Only YieldMax registers tokens with its executors.'
+        },
+        'SafeERC20: ERC20 operation did not succeed': {
+            explanation: 'A token transfer or approve returned false.',
+            remediation: 'Check token balances and allowances of the executor/YieldMax.'
+        },
+        'SafeERC20: low-level call failed': {
+            explanation: 'A token transfer or approve reverted without a reason.',
+            remediation: 'Check token balances, allowances and whether the token is paused or blocklists the receiver.'
+        },
+        'Address: call to non-contract': {
+            explanation: 'A token address has no code on this chain.',
+            remediation: 'Use the destination-chain token address from the chain registry.'
+        },
+        'ERC20: transfer amount exceeds balance': {
+            explanation: 'A token transfer exceeded the sender balance.',
+            remediation: 'Lower the amount or fund the sender.'
+        },
+        'ERC20: insufficient allowance': {
+            explanation: 'A transferFrom exceeded the approved allowance.',
+            remediation: 'Approve the spender for at least the transferred amount.'
+        }
+    };
+
+    const registry = {};
+
+    /**
+     * Register an error for decoding. `error` is a human-readable signature
+     * ("error Foo(uint256 bar)" or "Foo(uint256 bar)") or an ethers ErrorFragment.
+     */
+    function register(error, info = {}) {
+        const fragment = typeof error === 'string'
+            ? ethers.utils.Fragment.from(error.startsWith('error ') ? error : `error ${error}`)
+            : error;
+        const iface = new ethers.utils.Interface([fragment]);
+        const selector = iface.getSighash(fragment);
+
+        registry[selector] = {
+            iface,
+            fragment,
+            source: info.source || null,
+            explanation: info.explanation || null,
+            remediation: info.remediation || null
+        };
+        return selector;
+    }
+
+    /**
+     * Register every error of an ABI (e.g. a target contract), with optional help keyed by error name
+     */
+    function registerAbi(abi, source, help = {}) {
+        const iface = new ethers.utils.Interface(abi);
+        return Object.values(iface.errors).map(fragment =>
+            register(fragment, { source, ...(help[fragment.name] || {}) })
+        );
+    }
+
+    function formatArgs(args) {
+        return Object.entries(args).map(([key, value]) => `${key}: ${value}`).join(', ');
+    }
+
+    function result(fields) {
+        const decoded = {
+            kind: fields.kind,
+            name: fields.name || null,
+            signature: fields.signature || null,
+            selector: fields.selector || null,
+            source: fields.source || null,
+            args: fields.args || {},
+            explanation: fields.explanation || null,
+            remediation: fields.remediation || null,
+            data: fields.data
+        };
+        if (decoded.kind === 'error-string') {
+            decoded.message = `Error(${JSON.stringify(decoded.args.reason)})`;
+        } else {
+            decoded.message = decoded.name ? `${decoded.name}(${formatArgs(decoded.args)})` : decoded.data;
+        }
+        return decoded;
+    }
+
+    // Known selector but arguments that do not decode (truncated or corrupted revert data)
+    function malformed(signature, selector, data) {
+        return result({
+            kind: 'unknown',
+            selector,
+            data,
+            explanation: `Revert data starts with ${signature || `the selector ${selector}`} but its arguments do not decode.`,
+            remediation: 'The revert data is truncated or corrupted; fetch it again from the transaction trace.'
+        });
+    }
+
+    /**
+     * Decode revert data. Always returns an object (malformed payloads decode as unknown); `kind` is one of
+     * empty | error-string | panic | custom | unknown.
+     */
+    function decode(data) {
+        if (!data || data === '0x') {
+            return result({
+                kind: 'empty',
+                data: '0x',
+                explanation: 'Reverted without data: usually out of gas, or a low-level failure such as sending native value YieldMax does not hold.',
+                remediation: 'Raise the destination gas limit (see suggest-gas) and check the destination YieldMax native balance.'
+            });
+        }
+
+        const selector = data.slice(0, 10).toLowerCase();
+
+        if (selector === ERROR_STRING_SELECTOR) {
+            let reason;
+            try {
+                [reason] = ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4));
+            } catch (error) {
+                return malformed('Error(string)', selector, data);
+            }
+            const help = ERROR_STRING_HELP[reason] || {};
+            return result({
+                kind: 'error-string',
+                name: 'Error',
+                signature: 'Error(string)',
+                selector,
+                args: { reason },
+                data,
+                ...help
+            });
+        }
+
+        if (selector === PANIC_SELECTOR) {
+            let code;
+            try {
+                [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4));
+            } catch (error) {
+                return malformed('Panic(uint256)', selector, data);
+            }
+            // Codes beyond the known table can be any uint256; keep them out of toNumber()
+            const description = (code.lte(0xff) && PANIC_CODES[code.toNumber()]) || 'unknown panic code';
+            return result({
+                kind: 'panic',
+                name: 'Panic',
+                signature: 'Panic(uint256)',
+                selector,
+                args: { code: code.toHexString() },
+                data,
+                explanation: `Solidity panic: ${description}.`,
+                remediation: 'A contract invariant broke; reproduce with `node simulate-ccip.js` to locate it.'
+            });
+        }
+
+        let contractError = null;
+        try {
+            contractError = YieldMaxSDK.parseError(data);
+        } catch (error) {
+            return malformed(null, selector, data);
+        }
+        if (contractError) {
+            const help = CUSTOM_ERROR_HELP[`${contractError.contract}.${contractError.name}`] || {};
+            return result({
+                kind: 'custom',
+                name: contractError.name,
+                signature: contractError.signature,
+                selector,
+                source: contractError.contract,
+                args: contractError.args,
+                data,
+                ...help
+            });
+        }
+
+        const entry = registry[selector];
+        if (entry) {
+            try {
+                const decoded = entry.iface.decodeErrorResult(entry.fragment, data);
+                return result({
+                    kind: 'custom',
+                    name: entry.fragment.name,
+                    signature: entry.fragment.format(),
+                    selector,
+                    source: entry.source,
+                    args: YieldMaxSDK.namedArgs(entry.fragment.inputs, decoded),
+                    explanation: entry.explanation,
+                    remediation: entry.remediation,
+                    data
+                });
+            } catch (error) {
+                // Selector collision with a different layout, fall through
+            }
+        }
+
+        return result({
+            kind: 'unknown',
+            selector,
+            data,
+            explanation: `Unrecognised error selector ${selector}.`,
+            remediation: "Register the target contract's ABI with RevertDecoder.registerAbi() to decode it."
+        });
+    }
+
+    /**
+     * Multi-line, human-readable description of decoded revert data
+     */
+    function describe(data) {
+        const decoded = typeof data === 'string' || data === null || data === undefined ? decode(data) : data;
+        const lines = [decoded.kind === 'empty' ? '(no revert data)' : decoded.message];
+        if (decoded.source) lines[0] += ` [${decoded.source}]`;
+        if (decoded.explanation) lines.push(decoded.explanation);
+        if (decoded.remediation) lines.push(`Fix: ${decoded.remediation}`);
+        return lines;
+    }
+
+    /**
+     * Dig the revert data out of an ethers call exception. Depending on the provider it sits
+     * on the error itself, on a nested `error.error[.error]`, or only in the raw JSON-RPC `body`
+     * (ganache). Returns null when there is none.
+     */
+    function extractRevertData(error) {
+        if (!error || typeof error !== 'object') return null;
+        if (typeof error.data === 'string' && ethers.utils.isHexString(error.data) && error.data !== '0x') return error.data;
+        if (error.data && typeof error.data.data === 'string') return error.data.data;
+        if (typeof error.body === 'string') {
+            try {
+                const body = JSON.parse(error.body);
+                const data = extractRevertData(body.error);
+                if (data) return data;
+            } catch (parseError) {
+                // Not JSON
+            }
+        }
+        return extractRevertData(error.error);
+    }
+
+    // OpenZeppelin errors commonly hit by targets and executor token transfers
+    register('SafeERC20FailedOperation(address token)', {
+        source: 'OpenZeppelin SafeERC20',
+        explanation: 'A token transfer or approve reverted or returned false.',
+        remediation: 'Check token balances and allowances, and whether the token is paused or blocklists the receiver.'
+    });
+    register('SafeERC20FailedDecreaseAllowance(address spender, uint256 currentAllowance, uint256 requestedDecrease)', {
+        source: 'OpenZeppelin SafeERC20',
+        explanation: 'safeDecreaseAllowance asked for more than the current allowance.',
+        remediation: 'Read the allowance first and decrease by at most that amount.'
+    });
+    register('AddressEmptyCode(address target)', {
+        source: 'OpenZeppelin Address',
+        explanation: 'A call targeted an address with no code on this chain.',
+        remediation: 'Use the destination-chain address of the contract (see the chain registry).'
+    });
+    register('FailedInnerCall()', {
+        source: 'OpenZeppelin Address',
+        explanation: 'A low-level call reverted without a reason.',
+        remediation: 'Simulate the inner call to find the failing step.'
+    });
+    register('ERC1167FailedCreateClone()', {
+        source: 'OpenZeppelin Clones',
+        explanation: 'Deploying the executor clone failed.',
+        remediation: 'Check predictExecutorAddress; a clone may already exist at that address.'
+    });
+    register('ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)', {
+        source: 'OpenZeppelin ERC20',
+        explanation: 'A token transfer exceeded the sender balance.',
+        remediation: 'Lower the amount or fund the sender.'
+    });
+    register('ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)', {
+        source: 'OpenZeppelin ERC20',
+        explanation: 'A transferFrom exceeded the approved allowance.',
+        remediation: 'Approve the spender for at least the transferred amount.'
+    });
+
+    return {
+        PANIC_CODES,
+        register,
+        registerAbi,
+        decode,
+        describe,
+        extractRevertData
+    };
+});
@@ -0,0 +1,86 @@
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const { toPlain } = require('./cli-output');
+
+/**
+ * Safe Batch
+ * Writes transaction lists in the Safe{Wallet} Transaction Builder JSON format, so a batch
+ * can be loaded with "Load batch" and executed by a Safe as a single MultiSend transaction.
+ * Calls to YieldMax functions carry contractMethod / contractInputsValues from the generated
+ * ABI, so the Safe UI shows the method and its arguments instead of raw calldata.
+ */
+
+const BATCH_VERSION = '1.0';
+const TX_BUILDER_VERSION = '1.16.5';
+
+function safeInput(input) {
+    const entry = { internalType: input.internalType, name: input.name, type: input.type };
+    if (input.components) entry.components = input.components.map(safeInput);
+    return entry;
+}
+
+/**
+ * Transaction Builder method metadata for YieldMax calldata, null for anything else
+ * (arrays and tuples are JSON strings, everything else plain strings, as the builder expects)
+ */
+function methodMetadata(data) {
+    if (!data || data === '0x') return null;
+    let parsed;
+    try {
+        parsed = YieldMaxSDK.interfaces.yieldMax.parseTransaction({ data });
+    } catch (error) {
+        return null;
+    }
+
+    // The raw ABI entry keeps internalType, which the builder displays
+    const entry = YieldMaxSDK.abi.yieldMax.find(item =>
+        item.type === 'function' && ethers.utils.FunctionFragment.from(item).format() === parsed.functionFragment.format()
+    );
+    const values = {};
+    entry.inputs.forEach((input, i) => {
+        const value = toPlain(parsed.args[i]);
+        values[input.name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+
+    return {
+        contractMethod: {
+            inputs: entry.inputs.map(safeInput),
+            name: entry.name,
+            payable: entry.stateMutability === 'payable'
+        },
+        contractInputsValues: values
+    };
+}
+
+/**
+ * @param {Array} transactions - [{ to, data, value }] with value in wei (any BigNumberish)
+ * @param {object} options - { chainId, safe: Safe address, name, description }
+ */
+function build(transactions, options = {}) {
+    if (!options.chainId) throw new Error('A Safe batch needs the chain id');
+    return {
+        version: BATCH_VERSION,
+        chainId: String(options.chainId),
+        createdAt: Date.now(),
+        meta: {
+            name: options.name || 'Transactions Batch',
+            description: options.description || '',
+            txBuilderVersion: TX_BUILDER_VERSION,
+            createdFromSafeAddress: options.safe ? ethers.utils.getAddress(options.safe) : '',
+            createdFromOwnerAddress: ''
+        },
+        transactions: transactions.map(tx => {
+            const metadata = methodMetadata(tx.data);
+            return {
+                to: ethers.utils.getAddress(tx.to),
+                value: ethers.BigNumber.from(tx.value || 0).toString(),
+                // The builder encodes from contractMethod when present, like its own exports
+                data: metadata ? null : tx.data || '0x',
+                contractMethod: metadata ? metadata.contractMethod : null,
+                contractInputsValues: metadata ? metadata.contractInputsValues : null
+            };
+        })
+    };
+}
+
+module.exports = { BATCH_VERSION, TX_BUILDER_VERSION, methodMetadata, build };
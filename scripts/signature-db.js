@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const { takeFormat, takeOption, printResult } = require('./cli-output');
+
+/**
+ * Signature Database
+ * Offline index of function selectors, event topics and error selectors built from the
+ * YieldMax ABIs, a built-in list of token / router / vault signatures, every ABI under out/
+ * and the user-extendable signatures.json next to this file.
+ *
+ * Colliding selectors keep every candidate; candidates from YieldMax-related contracts rank
+ * first, then user entries, builtins and the remaining artifacts.
+ */
+
+const OUT_DIR = path.join(__dirname, '..', 'out');
+const USER_FILE = path.join(__dirname, 'signatures.json');
+
+// Artifacts compiled from the YieldMax sources (src/ym.sol and the executor experiments; test mocks excluded)
+const YIELDMAX_ARTIFACTS = /^out\/(ym\.sol|enhanced-executor\.sol|delegatecall_isolation\.sol|pattern_comparison\.sol)\//;
+
+const RANKS = { yieldmax: 0, user: 1, builtin: 2, artifact: 3 };
+
+// Common destination-side calls that are not (fully) covered by the compiled artifacts
+const BUILTIN_SIGNATURES = [
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+    'function transferFrom(address from, address to, uint256 amount)',
+    'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+    'function deposit()',
+    'function withdraw(uint256 amount)',
+    // ERC-4626
+    'function deposit(uint256 assets, address receiver)',
+    'function mint(uint256 shares, address receiver)',
+    'function withdraw(uint256 assets, address receiver, address owner)',
+    'function redeem(uint256 shares, address receiver, address owner)',
+    // Uniswap V2 style routers
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    // Uniswap V3 SwapRouter02
+    'function exactInputSingle(tuple(address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput(tuple(bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function multicall(uint256 deadline, bytes[] data)',
+    'function multicall(bytes[] data)',
+    // Batch contracts (see multicall-composer.js)
+    'function multicall(tuple(address target, bytes data)[] calls)',
+    'function aggregate(tuple(address target, bytes callData)[] calls)',
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls)',
+    'function aggregate3Value(tuple(address target, bool allowFailure, uint256 value, bytes callData)[] calls)',
+    // Test helpers deployed next to YieldMax
+    'function echo(string message)',
+    'function echoWithValue(string message)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)',
+    'event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)',
+    'event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)'
+];
+
+class SignatureDatabase {
+    constructor() {
+        // selector/topic -> [{ kind, selector, signature, fragment, contracts, sources, rank }]
+        this.functions = new Map();
+        this.events = new Map();
+        this.errors = new Map();
+    }
+
+    /**
+     * @param {string} kind - yieldmax | user | builtin | artifact (see RANKS)
+     */
+    addFragment(fragment, contract, source, kind) {
+        let map;
+        let selector;
+        switch (fragment.type) {
+            case 'function':
+                map = this.functions;
+                selector = ethers.utils.Interface.getSighash(fragment);
+                break;
+            case 'event':
+                if (fragment.anonymous) return;
+                map = this.events;
+                selector = ethers.utils.Interface.getEventTopic(fragment);
+                break;
+            case 'error':
+                map = this.errors;
+                selector = ethers.utils.Interface.getSighash(fragment);
+                break;
+            default:
+                return;
+        }
+
+        const signature = fragment.format();
+        const entries = map.get(selector) || [];
+        let entry = entries.find(candidate => candidate.signature === signature);
+        if (!entry) {
+            entry = { kind: fragment.type, selector, signature, fragment, contracts: [], sources: [], rank: RANKS[kind] };
+            entries.push(entry);
+            map.set(selector, entries);
+        }
+
+        if (contract && !entry.contracts.includes(contract)) entry.contracts.push(contract);
+        if (source && !entry.sources.includes(source)) entry.sources.push(source);
+        if (RANKS[kind] < entry.rank) {
+            // Keep the most specific fragment (e.g. with parameter names from the YieldMax ABI)
+            entry.rank = RANKS[kind];
+            entry.fragment = fragment;
+        }
+        entries.sort((a, b) => a.rank - b.rank);
+    }
+
+    addAbi(abi, contract, source, kind = 'artifact') {
+        let iface;
+        try {
+            iface = new ethers.utils.Interface(abi);
+        } catch (error) {
+            return;
+        }
+        for (const fragment of iface.fragments) {
+            this.addFragment(fragment, contract, source, kind);
+        }
+    }
+
+    /**
+     * Human-readable signature; "function " is assumed when no keyword is given
+     */
+    addSignature(signature, source = 'builtin', kind = 'builtin') {
+        const text = /^(function|event|error) /.test(signature) ? signature : `function ${signature}`;
+        this.addFragment(ethers.utils.Fragment.from(text), null, source, kind);
+    }
+
+    /**
+     * Every ABI in a Foundry out/ directory (build-info excluded)
+     */
+    addArtifacts(dir = OUT_DIR) {
+        if (!fs.existsSync(dir)) return;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name !== 'build-info') this.addArtifacts(file);
+                continue;
+            }
+            if (!entry.name.endsWith('.json')) continue;
+
+            let artifact;
+            try {
+                artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                continue;
+            }
+            if (Array.isArray(artifact.abi)) {
+                const source = path.relative(path.join(OUT_DIR, '..'), file).split(path.sep).join('/');
+                this.addAbi(artifact.abi, path.basename(entry.name, '.json'), source, YIELDMAX_ARTIFACTS.test(source) ? 'yieldmax' : 'artifact');
+            }
+        }
+    }
+
+    /**
+     * User file: { "signatures": ["function ...", "event ...", "error ..."], "abis": { "Name": [abi] | "artifact.json" } }
+     * Relative ABI paths resolve against the file's directory.
+     */
+    addUserFile(file = USER_FILE) {
+        if (!fs.existsSync(file)) return;
+        const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const source = path.basename(file);
+
+        (config.signatures || []).forEach(signature => {
+            try {
+                this.addSignature(signature, source, 'user');
+            } catch (error) {
+                throw new Error(`${source}: invalid signature "${signature}": ${error.reason || error.message}`);
+            }
+        });
+
+        for (const [contract, abiOrPath] of Object.entries(config.abis || {})) {
+            let abi = abiOrPath;
+            if (typeof abiOrPath === 'string') {
+                const artifact = JSON.parse(fs.readFileSync(path.resolve(path.dirname(file), abiOrPath), 'utf8'));
+                abi = Array.isArray(artifact) ? artifact : artifact.abi;
+            }
+            this.addAbi(abi, contract, source, 'user');
+        }
+    }
+
+    lookupFunction(selector) {
+        return this.functions.get(String(selector).slice(0, 10).toLowerCase()) || [];
+    }
+
+    lookupEvent(topic) {
+        return this.events.get(String(topic).toLowerCase()) || [];
+    }
+
+    lookupError(selector) {
+        return this.errors.get(String(selector).slice(0, 10).toLowerCase()) || [];
+    }
+
+    /**
+     * 32-byte values are event topics; anything else is matched on its first 4 bytes
+     * against functions and errors
+     */
+    lookup(hex) {
+        if (!ethers.utils.isHexString(hex) || ethers.utils.hexDataLength(hex) < 4) {
+            throw new Error(`Expected a 0x-prefixed selector, topic or calldata, got "${hex}"`);
+        }
+        if (ethers.utils.hexDataLength(hex) === 32) {
+            const events = this.lookupEvent(hex);
+            if (events.length) return events;
+        }
+        return [...this.lookupFunction(hex), ...this.lookupError(hex)].sort((a, b) => a.rank - b.rank);
+    }
+
+    stats() {
+        return { functions: this.functions.size, events: this.events.size, errors: this.errors.size };
+    }
+}
+
+let defaultDatabase = null;
+
+/**
+ * Shared database: YieldMax SDK ABIs, BUILTIN_SIGNATURES, out/ and signatures.json (built once per process)
+ * @param {object} options - { userFile } to read a different user file
+ */
+function load(options = {}) {
+    if (defaultDatabase && !options.userFile) return defaultDatabase;
+
+    const db = new SignatureDatabase();
+    db.addAbi(YieldMaxSDK.abi.yieldMax, 'YieldMaxCCIP', 'yieldmax-sdk', 'yieldmax');
+    db.addAbi(YieldMaxSDK.abi.executor, 'ExecutorTemplate', 'yieldmax-sdk', 'yieldmax');
+    BUILTIN_SIGNATURES.forEach(signature => db.addSignature(signature));
+    db.addArtifacts();
+    db.addUserFile(options.userFile || USER_FILE);
+
+    if (!options.userFile) defaultDatabase = db;
+    return db;
+}
+
+/**
+ * Short label for logs and reports: the best candidate, plus how many others share the selector
+ */
+function describe(candidates) {
+    if (!candidates.length) return null;
+    const others = candidates.length - 1;
+    return `${candidates[0].signature}${others ? ` (+${others} other candidate${others > 1 ? 's' : ''})` : ''}`;
+}
+
+// CLI
+async function main() {
+    const args = process.argv.slice(2);
+    const format = takeFormat(args);
+    const userFile = takeOption(args, '--signatures');
+    const [command, value] = args;
+
+    if (command !== 'lookup' && command !== 'stats') {
+        console.log(`
+Usage: node signature-db.js lookup <0x...>   Function/error selector, event topic or calldata
+       node signature-db.js stats            Number of indexed signatures
+
+Options:
+  --signatures <file>                 User signature file (default: scripts/signatures.json)
+  --format <text|json|ndjson|table>   Output format (ndjson/table emit one row per candidate)
+
+Examples:
+  node signature-db.js lookup 0xa9059cbb
+  node signature-db.js lookup 0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef
+        `);
+        return;
+    }
+
+    const db = load({ userFile });
+
+    if (command === 'stats') {
+        printResult(format, db.stats());
+        return;
+    }
+    if (!value) throw new Error('Usage: lookup <0x...>');
+
+    const candidates = db.lookup(value).map(entry => ({
+        kind: entry.kind,
+        selector: entry.selector,
+        signature: entry.signature,
+        yieldMax: entry.rank === RANKS.yieldmax,
+        contracts: entry.contracts,
+        sources: entry.sources
+    }));
+    const result = { query: value, matches: candidates.length, candidates };
+    const rows = candidates.map(entry => ({ ...entry, contracts: entry.contracts.join(', '), sources: entry.sources.length }));
+
+    printResult(format, result, {
+        rows,
+        text: () => {
+            if (candidates.length === 0) {
+                console.log(`❓ No signature found for ${value}`);
+                return;
+            }
+            console.log(`🔎 ${candidates[0].selector}: ${candidates.length} candidate${candidates.length > 1 ? 's (collision)' : ''}`);
+            candidates.forEach((candidate, i) => {
+                console.log(`\n${i + 1}. ${candidate.kind} ${candidate.signature}${candidate.yieldMax ? ' ⭐ YieldMax' : ''}`);
+                if (candidate.contracts.length) console.log(`   Contracts: ${candidate.contracts.join(', ')}`);
+                console.log(`   Sources: ${candidate.sources.length > 3 ? `${candidate.sources.slice(0, 3).join(', ')} (+${candidate.sources.length - 3} more)` : candidate.sources.join(', ')}`);
+            });
+        }
+    });
+}
+
+module.exports = { SignatureDatabase, BUILTIN_SIGNATURES, OUT_DIR, USER_FILE, load, describe };
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const TransactionEncoder = require('./encode-transactions');
+const RevertDecoder = require('./revert-decoder');
+const { takeOption } = require('./cli-output');
+
+/**
+ * Local CCIP Simulator
+ * Runs sendCrossChainExecution -> ccipReceive -> executeAndCleanup end to end against a
+ * local anvil/ganache node using MockCCIPRouter, which delivers the message in the same
+ * transaction. Nothing is broadcast to a live network.
+ */
+
+const ROOT = path.join(__dirname, '..');
+
+const ARTIFACTS = {
+    router: 'out/MockRouter.sol/MockCCIPRouter.json',
+    yieldMax: 'out/ym.sol/YieldMaxCCIP.json',
+    token: 'out/YieldMaxCCIP_MulticallFix.t.sol/MockToken.json'
+};
+
+// MockCCIPRouter delivers every message as if it came from Ethereum Sepolia
+const MOCK_SOURCE_CHAIN_SELECTOR = '16015286601757825753';
+
+// Dev RPC methods that replace the code at an address (anvil, hardhat, ganache)
+const SET_CODE_METHODS = ['anvil_setCode', 'hardhat_setCode', 'evm_setAccountCode'];
+
+function loadArtifact(relativePath) {
+    const file = path.join(ROOT, relativePath);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Artifact not found: ${relativePath} (run \`forge build\` first)`);
+    }
+    const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        abi: artifact.abi,
+        bytecode: artifact.bytecode.object,
+        deployedBytecode: artifact.deployedBytecode.object
+    };
+}
+
+class CCIPSimulator {
+    constructor(rpcUrl = 'http://127.0.0.1:8545', options = {}) {
+        this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+        this.signer = this.provider.getSigner(options.account || 0);
+        this.encoder = new TransactionEncoder();
+
+        this.fee = ethers.BigNumber.from(options.fee || ethers.utils.parseEther('0.01'));
+        this.mockTargets = options.mockTargets || {};
+        this.targetInterface = null;
+
+        this.artifacts = {
+            router: loadArtifact(ARTIFACTS.router),
+            yieldMax: loadArtifact(ARTIFACTS.yieldMax),
+            token: loadArtifact(ARTIFACTS.token)
+        };
+
+        this.routerInterface = new ethers.utils.Interface(this.artifacts.router.abi);
+        RevertDecoder.registerAbi(this.artifacts.router.abi, 'MockCCIPRouter', {
+            ReceiverError: {
+                explanation: 'ccipReceive ran out of gas or reverted on the destination leg.',
+                remediation: 'Try a higher --gas-limit.'
+            },
+            InsufficientFeeTokenAmount: {
+                explanation: 'The fee sent to the router was below getFee().',
+                remediation: 'Send msg.value = estimateFee + value.'
+            }
+        });
+        this.erc20Interface = new ethers.utils.Interface([
+            "event Transfer(address indexed from, address indexed to, uint256 value)",
+            "event Approval(address indexed owner, address indexed spender, uint256 value)"
+        ]);
+        this.erc20ABI = [
+            "function balanceOf(address account) external view returns (uint256)",
+            "function approve(address spender, uint256 amount) external returns (bool)",
+            "function mint(address to, uint256 amount) external"
+        ];
+    }
+
+    /**
+     * Deploy a fresh MockCCIPRouter and YieldMaxCCIP, allowlisted for the given destination
+     */
+    async deploy(destinationSelector) {
+        const { router: routerArtifact, yieldMax: yieldMaxArtifact } = this.artifacts;
+
+        const routerFactory = new ethers.ContractFactory(routerArtifact.abi, routerArtifact.bytecode, this.signer);
+        const router = await routerFactory.deploy();
+        await router.deployed();
+        await (await router.setFee(this.fee)).wait();
+
+        const yieldMaxFactory = new ethers.ContractFactory(yieldMaxArtifact.abi, yieldMaxArtifact.bytecode, this.signer);
+        const yieldMax = await yieldMaxFactory.deploy(router.address);
+        await yieldMax.deployed();
+
+        await (await yieldMax.allowlistDestinationChain(destinationSelector, true)).wait();
+        await (await yieldMax.allowlistSourceChain(MOCK_SOURCE_CHAIN_SELECTOR, true)).wait();
+
+        return { router, yieldMax };
+    }
+
+    /**
+     * Replace the code at an address using whichever dev RPC method the node supports
+     */
+    async setCode(address, code) {
+        for (const method of SET_CODE_METHODS) {
+            try {
+                await this.provider.send(method, [address, code]);
+                return;
+            } catch (error) {
+                // Try the next method
+            }
+        }
+        throw new Error(`Local node does not support setting code (tried ${SET_CODE_METHODS.join(', ')})`);
+    }
+
+    /**
+     * Put a mintable MockToken at each token address that has no code locally and fund the sender
+     */
+    async prepareTokens(tokenAddresses, tokenAmounts, holder, spender) {
+        const warnings = [];
+
+        for (let i = 0; i < tokenAddresses.length; i++) {
+            const address = tokenAddresses[i];
+            if (await this.provider.getCode(address) === '0x') {
+                await this.setCode(address, this.artifacts.token.deployedBytecode);
+                warnings.push(`token ${address} replaced by a mintable 18-decimal MockToken`);
+            }
+
+            const token = new ethers.Contract(address, this.erc20ABI, this.signer);
+            await (await token.mint(holder, tokenAmounts[i])).wait();
+            await (await token.approve(spender, tokenAmounts[i])).wait();
+        }
+
+        return warnings;
+    }
+
+    /**
+     * Copy the runtime code of an artifact to the target address so the executor call does real work
+     */
+    async prepareTarget(target) {
+        const artifactPath = this.mockTargets[target.toLowerCase()];
+        if (artifactPath) {
+            const artifact = loadArtifact(artifactPath);
+            await this.setCode(target, artifact.deployedBytecode);
+            this.targetInterface = [path.basename(artifactPath, '.json'), new ethers.utils.Interface(artifact.abi)];
+            RevertDecoder.registerAbi(artifact.abi, this.targetInterface[0]);
+            return [];
+        }
+
+        if (await this.provider.getCode(target) === '0x') {
+            return [`target ${target} has no code locally, the executor call will succeed trivially (use --mock-target)`];
+        }
+        return [];
+    }
+
+    /**
+     * Native and token balances for every address involved in the message
+     */
+    async snapshotBalances(addresses, tokenAddresses) {
+        const balances = {};
+        for (const [label, address] of Object.entries(addresses)) {
+            balances[label] = { native: await this.provider.getBalance(address), tokens: {} };
+            for (const tokenAddress of tokenAddresses) {
+                const token = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+                balances[label].tokens[tokenAddress] = await token.balanceOf(address);
+            }
+        }
+        return balances;
+    }
+
+    /**
+     * Decode a receipt log as a YieldMax, executor, router or ERC20 event
+     */
+    decodeLog(log) {
+        const parsed = YieldMaxSDK.parseLog(log);
+        if (parsed) {
+            return { address: log.address, contract: parsed.contract, name: parsed.name, args: parsed.args };
+        }
+
+        const interfaces = [['MockCCIPRouter', this.routerInterface], ['ERC20', this.erc20Interface]];
+        if (this.targetInterface) interfaces.push(this.targetInterface);
+
+        for (const [contract, iface] of interfaces) {
+            try {
+                const event = iface.parseLog(log);
+                return {
+                    address: log.address,
+                    contract,
+                    name: event.name,
+                    args: YieldMaxSDK.namedArgs(event.eventFragment.inputs, event.args)
+                };
+            } catch (error) {
+                // Try the next interface
+            }
+        }
+
+        return { address: log.address, contract: null, name: 'Unknown', args: { topics: log.topics, data: log.data } };
+    }
+
+    /**
+     * Simulate a cross-chain execution. Takes the same parameters as
+     * TransactionEncoder.encodeCrossChainExecution; the receiver is replaced by the local YieldMax.
+     */
+    async simulate(params) {
+        const {
+            destinationChain,
+            receiver,
+            targetContract,
+            value = 0,
+            tokenAddresses = [],
+            tokenAmounts = [],
+            callData = "0x",
+            gasLimit = this.encoder.suggestGasLimit(params).gasLimit
+        } = params;
+
+        const destinationSelector = this.encoder.chainSelectors[destinationChain] || destinationChain;
+        const parsedValue = typeof value === 'string' ? ethers.utils.parseEther(value) : ethers.BigNumber.from(value);
+        const validatedGasLimit = this.encoder.validateGasLimit(gasLimit);
+        const warnings = [];
+
+        const destination = ChainRegistry.resolve(destinationChain);
+        if (destination && destination.yieldMax && receiver && receiver.toLowerCase() !== destination.yieldMax.toLowerCase()) {
+            warnings.push(`receiver ${receiver} is not the YieldMax deployment on ${destination.name} (${destination.yieldMax})`);
+        }
+
+        const sender = await this.signer.getAddress();
+        const { router, yieldMax } = await this.deploy(destinationSelector);
+
+        warnings.push(...await this.prepareTokens(tokenAddresses, tokenAmounts, sender, yieldMax.address));
+        warnings.push(...await this.prepareTarget(targetContract));
+
+        const sendArgs = [
+            destinationSelector,
+            yieldMax.address,
+            targetContract,
+            parsedValue,
+            tokenAddresses,
+            tokenAmounts,
+            callData,
+            validatedGasLimit
+        ];
+
+        const fee = await yieldMax.estimateFee(...sendArgs);
+        const executor = await yieldMax.predictExecutorAddress(sender);
+        const addresses = { sender, yieldMax: yieldMax.address, executor, target: targetContract, router: router.address };
+        const before = await this.snapshotBalances(addresses, tokenAddresses);
+
+        const result = {
+            status: null,
+            destinationSelector: destinationSelector.toString(),
+            gasLimit: validatedGasLimit,
+            fee,
+            msgValue: fee.add(parsedValue),
+            addresses,
+            messageId: null,
+            gasUsed: null,
+            events: [],
+            revert: null,
+            balances: { before, after: null },
+            warnings
+        };
+
+        try {
+            await yieldMax.callStatic.sendCrossChainExecution(...sendArgs, { value: result.msgValue });
+        } catch (error) {
+            result.status = 'send-reverted';
+            result.revert = RevertDecoder.decode(RevertDecoder.extractRevertData(error));
+            result.balances.after = before;
+            return result;
+        }
+
+        const tx = await yieldMax.sendCrossChainExecution(...sendArgs, { value: result.msgValue });
+        const receipt = await tx.wait();
+
+        result.gasUsed = receipt.gasUsed;
+        result.events = receipt.logs.map(log => this.decodeLog(log));
+        result.balances.after = await this.snapshotBalances(addresses, tokenAddresses);
+
+        const routed = result.events.find(e => e.name === 'MessageExecuted');
+        if (routed) result.messageId = routed.args.messageId;
+
+        const failed = result.events.find(e => e.name === 'MessageFailed');
+        const executed = result.events.find(e => e.name === 'ExecutorExecuted');
+        if (failed) {
+            result.status = 'message-failed';
+            result.messageId = failed.args.messageId;
+            result.revert = RevertDecoder.decode(failed.args.reason);
+        } else if (executed && !executed.args.success) {
+            result.status = 'executor-failed';
+        } else {
+            result.status = 'executed';
+        }
+
+        return result;
+    }
+
+    printReport(result) {
+        const icons = {
+            'executed': '✅ Executed',
+            'executor-failed': '⚠️  Executor call failed (tokens recovered to YieldMax)',
+            'message-failed': '❌ MessageFailed (stored for retryFailedMessage)',
+            'send-reverted': '❌ sendCrossChainExecution reverted'
+        };
+
+        console.log(`\n🧪 Simulation Result: ${icons[result.status]}`);
+        console.log('='.repeat(60));
+        console.log(`Destination Selector: ${result.destinationSelector}`);
+        console.log(`Gas Limit: ${result.gasLimit}`);
+        console.log(`Fee (mock router): ${ethers.utils.formatEther(result.fee)} native`);
+        console.log(`msg.value: ${ethers.utils.formatEther(result.msgValue)} native`);
+        console.log(`Executor: ${result.addresses.executor}`);
+        if (result.messageId) console.log(`Message ID: ${result.messageId}`);
+        if (result.gasUsed) console.log(`Gas Used (both legs): ${result.gasUsed}`);
+
+        if (result.revert) {
+            const [reason, ...help] = RevertDecoder.describe(result.revert);
+            console.log(`\n💥 Revert: ${reason}`);
+            help.forEach(line => console.log(`   ${line}`));
+        }
+
+        if (result.events.length > 0) {
+            console.log('\n📋 Events:');
+            result.events.forEach((event, i) => {
+                const label = this.labelFor(result.addresses, event.address);
+                console.log(`   ${i + 1}. ${event.name} (${label})`);
+                for (const [key, val] of Object.entries(event.args)) {
+                    console.log(`      ${key}: ${val}`);
+                }
+            });
+        }
+
+        console.log('\n💰 Final Balances:');
+        for (const [label, after] of Object.entries(result.balances.after)) {
+            const before = result.balances.before[label];
+            console.log(`   ${label} (${result.addresses[label]})`);
+            console.log(`      native: ${ethers.utils.formatEther(after.native)} (${this.formatDelta(after.native.sub(before.native), 18)})`);
+            for (const [tokenAddress, balance] of Object.entries(after.tokens)) {
+                const info = this.tokenInfo(tokenAddress);
+                const delta = balance.sub(before.tokens[tokenAddress]);
+                console.log(`      ${info.symbol}: ${ethers.utils.formatUnits(balance, info.decimals)} (${this.formatDelta(delta, info.decimals)})`);
+            }
+        }
+
+        if (result.warnings.length > 0) {
+            console.log('\n⚠️  Warnings:');
+            result.warnings.forEach(warning => console.log(`   - ${warning}`));
+        }
+    }
+
+    labelFor(addresses, address) {
+        const match = Object.entries(addresses).find(([, known]) => known.toLowerCase() === address.toLowerCase());
+        return match ? match[0] : address;
+    }
+
+    tokenInfo(address) {
+        for (const chain of ChainRegistry.list()) {
+            const info = ChainRegistry.token(chain.key, address);
+            if (info) return info;
+        }
+        return { symbol: address, decimals: 18 };
+    }
+
+    formatDelta(delta, decimals) {
+        const formatted = ethers.utils.formatUnits(delta, decimals);
+        return delta.isNegative() ? formatted : `+${formatted}`;
+    }
+}
+
+// CLI Usage
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length === 0 || args.includes('--help')) {
+        console.log(`
+🧪 Local CCIP Simulator
+
+Usage: node simulate-ccip.js <template> [args...] [options]
+       node simulate-ccip.js --params <file.json> [options]
+
+Runs both legs against a local anvil/ganache node (start one with \`anvil\` first).
+Templates are the cross-chain templates of encode-transactions.js; --params takes a JSON
+object with the same fields as encodeCrossChainExecution.
+
+Options:
+  --rpc <url>                    Local node (default: http://127.0.0.1:8545)
+  --fee <wei>                    Mock router fee (default: 0.01 ether)
+  --gas-limit <n>                Override the suggested destination gas limit
+  --mock-target <address>=<artifact>
+                                 Put an artifact's runtime code at a target address,
+                                 e.g. 0x...=out/ym.sol/EchoContract.json
+
+Examples:
+  node simulate-ccip.js echoWithTokens "Hello" 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913 1 6
+  node simulate-ccip.js usdcTransfer 0x742d35Cc6634C0532925a3b844Bc454e4438f44e 100 --gas-limit 100000
+  node simulate-ccip.js --params payload.json --rpc http://127.0.0.1:8546
+        `);
+        return;
+    }
+
+    const rpcUrl = takeOption(args, '--rpc');
+    const fee = takeOption(args, '--fee');
+    const gasLimit = takeOption(args, '--gas-limit');
+    const paramsFile = takeOption(args, '--params');
+    const mockTargets = {};
+    let mockTarget;
+    while ((mockTarget = takeOption(args, '--mock-target')) !== undefined) {
+        const [address, artifactPath] = mockTarget.split('=');
+        mockTargets[address.toLowerCase()] = artifactPath;
+    }
+
+    const simulator = new CCIPSimulator(rpcUrl, { fee, mockTargets });
+
+    let params;
+    if (paramsFile) {
+        params = JSON.parse(fs.readFileSync(paramsFile, 'utf8'));
+    } else {
+        const [template, ...templateArgs] = args;
+        if (!simulator.encoder.templates[template]) {
+            console.log('❌ Unknown template:', template);
+            console.log('Available templates:', Object.keys(simulator.encoder.templates));
+            process.exit(1);
+        }
+        params = simulator.encoder.templates[template](...templateArgs);
+    }
+    if (gasLimit) params.gasLimit = gasLimit;
+
+    try {
+        await simulator.provider.getNetwork();
+    } catch (error) {
+        throw new Error(`No local node at ${simulator.provider.connection.url} (start anvil or ganache first)`);
+    }
+
+    const result = await simulator.simulate(params);
+    simulator.printReport(result);
+
+    if (result.status !== 'executed') {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { CCIPSimulator, MOCK_SOURCE_CHAIN_SELECTOR };
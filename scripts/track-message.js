@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const RevertDecoder = require('./revert-decoder');
+const { takeOption } = require('./cli-output');
+
+/**
+ * Cross-Chain Message Tracker
+ * Follows one sendCrossChainExecution from the source transaction to its delivery and
+ * execution on the destination YieldMax, and prints a timeline with latencies.
+ */
+
+// Artifact that carries the OnRamp event ABIs for CCIP v1.5 (CCIPSendRequested) and v1.6 (CCIPMessageSent)
+const ONRAMP_EVENTS_ARTIFACT = path.join(__dirname, '..', 'out/CCIPLocalSimulatorFork.sol/CCIPLocalSimulatorFork.json');
+
+const STAGE_ICONS = {
+    sent: '📤',
+    delivered: '📬',
+    executed: '✅',
+    failed: '❌',
+    recovered: '🔁'
+};
+
+function loadOnRampInterface() {
+    if (!fs.existsSync(ONRAMP_EVENTS_ARTIFACT)) {
+        throw new Error(`Artifact not found: ${path.relative(process.cwd(), ONRAMP_EVENTS_ARTIFACT)} (run \`forge build\` first)`);
+    }
+    const { abi } = JSON.parse(fs.readFileSync(ONRAMP_EVENTS_ARTIFACT, 'utf8'));
+    return new ethers.utils.Interface(abi.filter(e => e.type === 'event' && ['CCIPSendRequested', 'CCIPMessageSent'].includes(e.name)));
+}
+
+class MessageTracker {
+    constructor(options = {}) {
+        this.chunkSize = options.chunkSize || 2000;
+        this.maxBlocks = options.maxBlocks || 50000;
+        this.rpcOverrides = options.rpc || {};
+        this.providers = {};
+
+        this.onRampInterface = loadOnRampInterface();
+        this.routerInterface = new ethers.utils.Interface([
+            "event MessageExecuted(bytes32 messageId, uint64 sourceChainSelector, address offRamp, bytes32 calldataHash)"
+        ]);
+    }
+
+    providerFor(chain) {
+        if (!this.providers[chain.key]) {
+            this.providers[chain.key] = new ethers.providers.JsonRpcProvider(this.rpcOverrides[chain.key] || chain.rpc);
+        }
+        return this.providers[chain.key];
+    }
+
+    /**
+     * Read the source transaction: decoded call, OnRamp messageId and block time
+     */
+    async findSend(sourceChain, txHash) {
+        const provider = this.providerFor(sourceChain);
+        const [tx, receipt] = await Promise.all([
+            provider.getTransaction(txHash),
+            provider.getTransactionReceipt(txHash)
+        ]);
+        if (!tx || !receipt) {
+            throw new Error(`Transaction ${txHash} not found on ${sourceChain.name}`);
+        }
+
+        const call = YieldMaxSDK.decodeFunction(tx.data);
+        if (!call || call.name !== 'sendCrossChainExecution') {
+            throw new Error(`${txHash} is not a sendCrossChainExecution call`);
+        }
+
+        let messageId = null;
+        for (const log of receipt.logs) {
+            try {
+                const event = this.onRampInterface.parseLog(log);
+                const message = event.args.message;
+                messageId = event.name === 'CCIPSendRequested' ? message.messageId : message.header.messageId;
+                break;
+            } catch (error) {
+                // Not an OnRamp event
+            }
+        }
+
+        const block = await provider.getBlock(receipt.blockNumber);
+        const destinationSelector = call.args.destinationChainSelector.toString();
+
+        return {
+            chain: sourceChain,
+            txHash,
+            status: receipt.status,
+            blockNumber: receipt.blockNumber,
+            timestamp: block.timestamp,
+            from: tx.from,
+            messageId,
+            destinationSelector,
+            destination: ChainRegistry.bySelector(destinationSelector),
+            receiver: call.args.receiver,
+            target: call.args.targetContract,
+            gasLimit: call.args.gasLimit
+        };
+    }
+
+    /**
+     * First block with a timestamp at or after `timestamp` (binary search)
+     */
+    async findBlockAtOrAfter(provider, timestamp) {
+        let low = 0;
+        let high = await provider.getBlockNumber();
+        if ((await provider.getBlock(high)).timestamp < timestamp) return high;
+
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if ((await provider.getBlock(mid)).timestamp < timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * getLogs in chunks from fromBlock until `match` returns a log or the block budget runs out
+     */
+    async scanLogs(provider, filter, fromBlock, match) {
+        const latest = await provider.getBlockNumber();
+        const lastBlock = Math.min(latest, fromBlock + this.maxBlocks);
+
+        for (let start = fromBlock; start <= lastBlock; start += this.chunkSize) {
+            const end = Math.min(start + this.chunkSize - 1, lastBlock);
+            const logs = await provider.getLogs({ ...filter, fromBlock: start, toBlock: end });
+            const found = logs.find(match);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Locate the router's MessageExecuted for this message and the YieldMax events it produced
+     */
+    async findDelivery(send) {
+        const destination = send.destination;
+        const provider = this.providerFor(destination);
+        const fromBlock = await this.findBlockAtOrAfter(provider, send.timestamp);
+
+        const routerLog = await this.scanLogs(
+            provider,
+            { address: destination.router, topics: [this.routerInterface.getEventTopic('MessageExecuted')] },
+            fromBlock,
+            log => this.routerInterface.parseLog(log).args.messageId === send.messageId
+        );
+        if (!routerLog) return null;
+
+        const [receipt, block] = await Promise.all([
+            provider.getTransactionReceipt(routerLog.transactionHash),
+            provider.getBlock(routerLog.blockNumber)
+        ]);
+
+        // A single OffRamp transaction can execute several messages; keep this message's logs only
+        const routerIndex = receipt.logs.findIndex(log => log.logIndex === routerLog.logIndex);
+        const routerTopic = routerLog.topics[0];
+        let startIndex = routerIndex - 1;
+        while (startIndex >= 0 && !(receipt.logs[startIndex].topics[0] === routerTopic &&
+            receipt.logs[startIndex].address.toLowerCase() === destination.router.toLowerCase())) {
+            startIndex--;
+        }
+
+        const events = receipt.logs.slice(startIndex + 1, routerIndex)
+            .map(log => ({ log, parsed: YieldMaxSDK.parseLog(log) }))
+            .filter(({ log, parsed }) => parsed && log.address.toLowerCase() === send.receiver.toLowerCase())
+            .map(({ log, parsed }) => ({ address: log.address, name: parsed.name, args: parsed.args }));
+
+        return {
+            txHash: routerLog.transactionHash,
+            blockNumber: routerLog.blockNumber,
+            timestamp: block.timestamp,
+            events
+        };
+    }
+
+    async findRecovery(send, fromBlock) {
+        const provider = this.providerFor(send.destination);
+        const contract = YieldMaxSDK.connect(send.receiver, provider);
+        const filter = contract.filters.MessageRecovered(send.messageId);
+
+        const log = await this.scanLogs(provider, filter, fromBlock, () => true);
+        if (!log) return null;
+
+        const block = await provider.getBlock(log.blockNumber);
+        return { txHash: log.transactionHash, blockNumber: log.blockNumber, timestamp: block.timestamp };
+    }
+
+    /**
+     * Build the full timeline for a source transaction
+     */
+    async track(sourceChainName, txHash) {
+        const sourceChain = ChainRegistry.get(sourceChainName);
+        const send = await this.findSend(sourceChain, txHash);
+        const timeline = [];
+        const step = (stage, chain, at, details = []) => timeline.push({
+            stage,
+            chain: chain.name,
+            txHash: at.txHash,
+            blockNumber: at.blockNumber,
+            timestamp: at.timestamp,
+            latency: at.timestamp - send.timestamp,
+            details
+        });
+
+        if (send.status !== 1) {
+            step('failed', sourceChain, send, ['sendCrossChainExecution reverted on the source chain']);
+            return { send, status: 'failed', timeline };
+        }
+
+        step('sent', sourceChain, send, [
+            `messageId ${send.messageId || 'not found (no OnRamp event in receipt)'}`,
+            `to ${send.destination ? send.destination.name : `unknown selector ${send.destinationSelector}`}, target ${send.target}`
+        ]);
+
+        if (!send.messageId || !send.destination) {
+            return { send, status: 'sent', timeline };
+        }
+
+        const delivery = await this.findDelivery(send);
+        if (!delivery) {
+            return { send, status: 'sent', timeline };
+        }
+
+        const destination = send.destination;
+        step('delivered', destination, delivery, [`router MessageExecuted in ${delivery.txHash}`]);
+
+        const executorEvent = delivery.events.find(e => e.name === 'ExecutorCreated' || e.name === 'ExecutorReused');
+        const executed = delivery.events.find(e => e.name === 'ExecutorExecuted');
+        const crossTx = delivery.events.find(e => e.name === 'CrossTxExecuted');
+        const failed = delivery.events.find(e => e.name === 'MessageFailed');
+
+        let status = 'delivered';
+        if (failed) {
+            step('failed', destination, delivery, ['MessageFailed', ...RevertDecoder.describe(failed.args.reason)]);
+            status = 'failed';
+
+            const recovery = await this.findRecovery(send, delivery.blockNumber);
+            if (recovery) {
+                step('recovered', destination, recovery, ['MessageRecovered (retryFailedMessage)']);
+                status = 'recovered';
+            }
+        } else if (executed) {
+            const details = [];
+            if (executorEvent) details.push(`${executorEvent.name} ${executorEvent.args.executor}`);
+            if (executed.args.success) {
+                if (crossTx) details.push(`CrossTxExecuted sender ${crossTx.args.sender} → ${crossTx.args.target}`);
+                step('executed', destination, delivery, details);
+                status = 'executed';
+            } else {
+                details.push('ExecutorExecuted(success: false), tokens recovered to YieldMax');
+                step('failed', destination, delivery, details);
+                status = 'failed';
+            }
+        }
+
+        return { send, status, timeline };
+    }
+
+    formatLatency(seconds) {
+        if (seconds <= 0) return '+0s';
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        if (hours > 0) return `+${hours}h ${minutes % 60}m`;
+        if (minutes > 0) return `+${minutes}m ${seconds % 60}s`;
+        return `+${seconds}s`;
+    }
+
+    printTimeline(result) {
+        const { send, status, timeline } = result;
+
+        console.log(`\n🛰️  Message ${send.messageId || '(unknown id)'}`);
+        console.log(`   Status: ${STAGE_ICONS[status] || ''} ${status.toUpperCase()}`);
+        console.log('='.repeat(60));
+
+        for (const entry of timeline) {
+            const time = new Date(entry.timestamp * 1000).toISOString();
+            console.log(`\n${STAGE_ICONS[entry.stage]} ${entry.stage.toUpperCase()}  ${time}  (${this.formatLatency(entry.latency)})`);
+            console.log(`   ${entry.chain} block ${entry.blockNumber}, tx ${entry.txHash}`);
+            entry.details.forEach(line => console.log(`   ${line}`));
+        }
+
+        if (status === 'sent') {
+            console.log(`\n⏳ Not delivered within ${this.maxBlocks} blocks of the send time (use --max-blocks to search further)`);
+        }
+    }
+}
+
+// CLI Usage
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length < 2 || args.includes('--help')) {
+        console.log(`
+🛰️  Cross-Chain Message Tracker
+
+Usage: node track-message.js <sourceChain> <txHash> [options]
+
+Chains: ${ChainRegistry.list({ withYieldMax: true }).map(chain => chain.key).join(', ')}
+
+Options:
+  --max-blocks <n>         Destination blocks to scan after the send time (default: 50000)
+  --chunk <n>              Blocks per getLogs request (default: 2000)
+  --rpc <chain>=<url>      Override a chain's RPC (repeatable)
+
+Examples:
+  node track-message.js base 0x...
+  node track-message.js avalanche 0x... --rpc base=https://base.llamarpc.com
+        `);
+        return;
+    }
+
+    const maxBlocks = takeOption(args, '--max-blocks');
+    const chunkSize = takeOption(args, '--chunk');
+    const rpc = {};
+    let override;
+    while ((override = takeOption(args, '--rpc')) !== undefined) {
+        const [chain, ...url] = override.split('=');
+        rpc[ChainRegistry.get(chain).key] = url.join('=');
+    }
+
+    const tracker = new MessageTracker({
+        maxBlocks: maxBlocks && parseInt(maxBlocks),
+        chunkSize: chunkSize && parseInt(chunkSize),
+        rpc
+    });
+
+    const [sourceChain, txHash] = args;
+    tracker.printTimeline(await tracker.track(sourceChain, txHash));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { MessageTracker };
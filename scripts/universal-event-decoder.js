@@ -1,6 +1,13 @@
 #!/usr/bin/env node
 
 const { ethers } = require('ethers');
+const YieldMaxSDK = require('./yieldmax-sdk');
+const ChainRegistry = require('./chain-registry');
+const RevertDecoder = require('./revert-decoder');
+const { EventStream, ConsoleSink, JsonlSink, WebhookSink } = require('./event-stream');
+const { takeFormat, takeOption, takeFlag, printResult } = require('./cli-output');
+const { ExecutorInspector } = require('./executor-inspector');
+const SignatureDb = require('./signature-db');
 
 /**
  * Universal Event Decoder for YieldMax Contract
@@ -13,31 +20,11 @@ class UniversalEventDecoder {
         this.chainName = chainName;
         this.contractAddress = contractAddress;
         
-        // Complete YieldMax Contract ABI with all events and functions
-        this.contractABI = [
-            // Events
-            "event CrossTxExecuted(address indexed sender, address indexed target, uint256 value, bytes data)",
-            "event EscrowRescued(address indexed user, uint256 amount)",
-            "event ERC20EscrowRescued(address indexed user, address token, uint256 amount)",
-            "event ERC20Received(address indexed token, address indexed sender, uint256 amount)",
-            "event ExecutorCreated(address indexed executor, address indexed target, uint256 deadline)",
-            "event ExecutorExecuted(address indexed executor, bool success)",
-            "event MessageFailed(bytes32 indexed messageId, bytes reason)",
-            "event MessageRecovered(bytes32 indexed messageId)",
-            "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
-            
-            // Functions for additional context
-            "function allowlistedDestinationChains(uint64) external view returns (bool)",
-            "function allowlistedSourceChains(uint64) external view returns (bool)",
-            "function owner() external view returns (address)",
-            "function pendingEscrowNative(address) external view returns (uint256)",
-            "function pendingEscrowERC20(address, address) external view returns (uint256)",
-            "function getFailedMessages(uint256 offset, uint256 limit) external view returns (tuple(bytes32 messageId, uint8 errorCode)[] memory)",
-            "function usedPayloads(bytes32) external view returns (bool)"
-        ];
+        // YieldMax ABI generated from the compiled artifact (see yieldmax-sdk.js)
+        this.contractABI = YieldMaxSDK.abi.yieldMax;
         
-        this.contract = new ethers.Contract(contractAddress, this.contractABI, this.provider);
-        this.interface = new ethers.utils.Interface(this.contractABI);
+        this.contract = YieldMaxSDK.connect(contractAddress, this.provider);
+        this.interface = YieldMaxSDK.interfaces.yieldMax;
         
         // ERC20 ABI for token info
         this.erc20ABI = [
@@ -48,313 +35,412 @@ class UniversalEventDecoder {
     }
 
     async decodeTransactionEvents(txHash) {
-        console.log(`\n🔍 Decoding Events for Transaction: ${txHash}`);
-        console.log(`📍 Chain: ${this.chainName}`);
-        console.log(`📋 Contract: ${this.contractAddress}\n`);
+        const result = { chain: this.chainName, contract: this.contractAddress, txHash, found: false };
 
-        try {
-            const receipt = await this.provider.getTransactionReceipt(txHash);
-            if (!receipt) {
-                console.log("❌ Transaction not found or still pending");
-                return;
+        const receipt = await this.provider.getTransactionReceipt(txHash);
+        if (!receipt) {
+            return result;
+        }
+
+        return {
+            ...result,
+            found: true,
+            status: receipt.status === 1 ? 'success' : 'failed',
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed,
+            from: receipt.from,
+            to: receipt.to,
+            ...await this.analyzeEvents(receipt.logs)
+        };
+    }
+
+    async decodeBlockRangeEvents(fromBlock, toBlock) {
+        const filter = {
+            address: this.contractAddress,
+            fromBlock: fromBlock,
+            toBlock: toBlock
+        };
+
+        const logs = await this.provider.getLogs(filter);
+
+        return {
+            chain: this.chainName,
+            contract: this.contractAddress,
+            fromBlock,
+            toBlock,
+            totalLogs: logs.length,
+            ...await this.analyzeEvents(logs)
+        };
+    }
+
+    async watchRecentEvents(blockCount = 100) {
+        const currentBlock = await this.provider.getBlockNumber();
+        const fromBlock = Math.max(0, currentBlock - blockCount);
+
+        return {
+            blockCount,
+            ...await this.decodeBlockRangeEvents(fromBlock, currentBlock)
+        };
+    }
+
+    /**
+     * Decode and describe every YieldMax log; unknown topics are collected separately
+     */
+    async analyzeEvents(logs) {
+        const events = [];
+        const unknown = [];
+
+        for (const log of logs) {
+            // Only process logs from our contract
+            if (log.address.toLowerCase() !== this.contractAddress.toLowerCase()) {
+                continue;
+            }
+
+            let parsed;
+            try {
+                parsed = this.interface.parseLog(log);
+            } catch (error) {
+                unknown.push({
+                    transactionHash: log.transactionHash,
+                    logIndex: log.logIndex,
+                    topic: log.topics[0],
+                    signature: log.topics[0] ? SignatureDb.describe(SignatureDb.load().lookupEvent(log.topics[0])) : null
+                });
+                continue;
             }
 
-            console.log("📊 Transaction Summary:");
-            console.log(`   Status: ${receipt.status === 1 ? '✅ Success' : '❌ Failed'}`);
-            console.log(`   Block: ${receipt.blockNumber}`);
-            console.log(`   Gas Used: ${receipt.gasUsed.toString()}`);
-            console.log(`   From: ${receipt.from}`);
-            console.log(`   To: ${receipt.to}\n`);
+            events.push(await this.describeEvent({
+                log,
+                parsed,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash
+            }));
+        }
 
-            await this.analyzeEvents(receipt.logs, receipt.blockNumber);
+        return { decodedCount: events.length, unknownCount: unknown.length, events, unknown };
+    }
 
-        } catch (error) {
-            console.error("❌ Error decoding transaction:", error.message);
+    /**
+     * Structured view of one decoded event plus the on-chain checks relevant to it
+     */
+    async describeEvent(eventData) {
+        const { parsed, log, blockNumber, transactionHash } = eventData;
+        const event = {
+            name: parsed.name,
+            blockNumber,
+            transactionHash,
+            logIndex: log.logIndex,
+            timestamp: await this.getBlockTimestamp(blockNumber),
+            args: parsed.args
+        };
+
+        switch (parsed.name) {
+            case 'CrossTxExecuted':
+                // Check if target is a contract
+                event.targetCheck = await this.checkTargetContract(parsed.args.target);
+                break;
+
+            case 'ExecutorCreated':
+            case 'ExecutorReused':
+                // Check target contract and executor status
+                event.targetCheck = await this.checkTargetContract(parsed.args.target);
+                event.executorStatus = await this.checkExecutorStatus(parsed.args.executor);
+                break;
+
+            case 'ERC20Received':
+            case 'ERC20EscrowRescued':
+                event.tokenInfo = await this.getTokenInfo(parsed.args.token, parsed.args.amount);
+                break;
+
+            case 'MessageFailed':
+                event.revert = RevertDecoder.decode(parsed.args.reason);
+                break;
         }
+
+        return event;
     }
 
-    async decodeBlockRangeEvents(fromBlock, toBlock) {
-        console.log(`\n📡 Decoding Events from Block ${fromBlock} to ${toBlock}`);
-        console.log(`📍 Chain: ${this.chainName}`);
-        console.log(`📋 Contract: ${this.contractAddress}\n`);
+    /**
+     * Print one event as it arrives (used by the follow console sink)
+     */
+    async formatEvent(eventData) {
+        this.printEvent(await this.describeEvent(eventData));
+    }
 
+    async checkTargetContract(address) {
         try {
-            const filter = {
-                address: this.contractAddress,
-                fromBlock: fromBlock,
-                toBlock: toBlock
-            };
-
-            const logs = await this.provider.getLogs(filter);
-            
-            if (logs.length === 0) {
-                console.log("ℹ️  No events found in the specified block range");
-                return;
-            }
+            const code = await this.provider.getCode(address);
+            const check = { address, hasCode: code !== '0x', token: null };
 
-            console.log(`📊 Found ${logs.length} total logs\n`);
-            await this.analyzeEvents(logs);
+            if (check.hasCode) {
+                // Try to identify if it's an ERC20
+                const contract = new ethers.Contract(address, this.erc20ABI, this.provider);
+                const [name, symbol] = await Promise.all([
+                    contract.name().catch(() => null),
+                    contract.symbol().catch(() => null)
+                ]);
+
+                if (name && symbol) {
+                    check.token = { name, symbol };
+                }
+            }
+            return check;
+        } catch (error) {
+            return { address, error: error.message };
+        }
+    }
 
+    async checkExecutorStatus(executorAddress) {
+        try {
+            return await new ExecutorInspector(this.provider, this.contractAddress).inspectExecutor(executorAddress);
         } catch (error) {
-            console.error("❌ Error decoding block range:", error.message);
+            return { executor: executorAddress, error: error.message };
         }
     }
 
-    async watchRecentEvents(blockCount = 100) {
-        console.log(`\n👀 Watching Recent Events (Last ${blockCount} blocks)`);
-        console.log(`📍 Chain: ${this.chainName}`);
-        console.log(`📋 Contract: ${this.contractAddress}\n`);
+    async getTokenInfo(tokenAddress, amount) {
+        try {
+            const contract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
+            const [name, symbol, decimals] = await Promise.all([
+                contract.name(),
+                contract.symbol(),
+                contract.decimals()
+            ]);
+
+            return { address: tokenAddress, name, symbol, decimals, formattedAmount: ethers.utils.formatUnits(amount, decimals) };
+        } catch (error) {
+            return null;
+        }
+    }
 
+    async getBlockTimestamp(blockNumber) {
         try {
-            const currentBlock = await this.provider.getBlockNumber();
-            const fromBlock = Math.max(0, currentBlock - blockCount);
-            
-            console.log(`📍 Scanning blocks ${fromBlock} to ${currentBlock}\n`);
-            
-            await this.decodeBlockRangeEvents(fromBlock, currentBlock);
+            const block = await this.provider.getBlock(blockNumber);
+            return block.timestamp;
+        } catch (error) {
+            return Math.floor(Date.now() / 1000); // Fallback to current time
+        }
+    }
+
+    async getContractInfo() {
+        const [owner, currentBlock] = await Promise.all([
+            this.contract.owner(),
+            this.provider.getBlockNumber()
+        ]);
+        const info = { chain: this.chainName, contract: this.contractAddress, owner, currentBlock };
 
+        // Check failed messages
+        try {
+            const failedMessages = await this.contract.getFailedMessages(0, 10);
+            info.failedMessages = failedMessages.map(msg => msg.messageId);
         } catch (error) {
-            console.error("❌ Error watching events:", error.message);
+            info.failedMessagesError = error.message;
         }
+
+        return info;
     }
 
-    async analyzeEvents(logs, specificBlock = null) {
-        const eventsByType = {};
-        let decodedCount = 0;
-        let unknownCount = 0;
+    printTransactionEvents(result) {
+        console.log(`\n🔍 Decoding Events for Transaction: ${result.txHash}`);
+        console.log(`📍 Chain: ${result.chain}`);
+        console.log(`📋 Contract: ${result.contract}\n`);
 
-        for (const log of logs) {
-            // Only process logs from our contract
-            if (log.address.toLowerCase() !== this.contractAddress.toLowerCase()) {
-                continue;
-            }
+        if (!result.found) {
+            console.log("❌ Transaction not found or still pending");
+            return;
+        }
 
-            try {
-                const parsed = this.interface.parseLog(log);
-                decodedCount++;
+        console.log("📊 Transaction Summary:");
+        console.log(`   Status: ${result.status === 'success' ? '✅ Success' : '❌ Failed'}`);
+        console.log(`   Block: ${result.blockNumber}`);
+        console.log(`   Gas Used: ${result.gasUsed.toString()}`);
+        console.log(`   From: ${result.from}`);
+        console.log(`   To: ${result.to}\n`);
 
-                if (!eventsByType[parsed.name]) {
-                    eventsByType[parsed.name] = [];
-                }
+        this.printEvents(result);
+    }
 
-                eventsByType[parsed.name].push({
-                    log,
-                    parsed,
-                    blockNumber: log.blockNumber,
-                    transactionHash: log.transactionHash
-                });
+    printBlockRangeEvents(result) {
+        if (result.blockCount !== undefined) {
+            console.log(`\n👀 Watching Recent Events (Last ${result.blockCount} blocks)`);
+            console.log(`📍 Chain: ${result.chain}`);
+            console.log(`📋 Contract: ${result.contract}\n`);
+            console.log(`📍 Scanning blocks ${result.fromBlock} to ${result.toBlock}\n`);
+        }
 
-            } catch (error) {
-                unknownCount++;
-                console.log(`❓ Unknown event in tx ${log.transactionHash}: ${log.topics[0]}`);
-            }
+        console.log(`\n📡 Decoding Events from Block ${result.fromBlock} to ${result.toBlock}`);
+        console.log(`📍 Chain: ${result.chain}`);
+        console.log(`📋 Contract: ${result.contract}\n`);
+
+        if (result.totalLogs === 0) {
+            console.log("ℹ️  No events found in the specified block range");
+            return;
+        }
+
+        console.log(`📊 Found ${result.totalLogs} total logs\n`);
+        this.printEvents(result);
+    }
+
+    printEvents(analysis) {
+        for (const log of analysis.unknown) {
+            console.log(`❓ Unknown event in tx ${log.transactionHash}: ${log.signature ? `${log.signature} ` : ''}${log.topic}`);
         }
 
-        if (decodedCount === 0) {
+        if (analysis.decodedCount === 0) {
             console.log("ℹ️  No YieldMax events found");
             return;
         }
 
-        console.log(`📊 Event Summary: ${decodedCount} decoded, ${unknownCount} unknown\n`);
+        console.log(`📊 Event Summary: ${analysis.decodedCount} decoded, ${analysis.unknownCount} unknown\n`);
+
+        // Group by event type
+        const eventsByType = {};
+        for (const event of analysis.events) {
+            if (!eventsByType[event.name]) {
+                eventsByType[event.name] = [];
+            }
+            eventsByType[event.name].push(event);
+        }
 
-        // Process each event type
         for (const [eventName, events] of Object.entries(eventsByType)) {
             console.log(`🎯 ${eventName} Events (${events.length}):`);
             console.log("=" + "=".repeat(eventName.length + 15));
 
-            for (const eventData of events) {
-                await this.formatEvent(eventData);
+            for (const event of events) {
+                this.printEvent(event);
                 console.log("");
             }
         }
     }
 
-    async formatEvent(eventData) {
-        const { parsed, log, blockNumber, transactionHash } = eventData;
-        const timestamp = await this.getBlockTimestamp(blockNumber);
+    printEvent(event) {
+        const { args } = event;
 
-        console.log(`   📍 Block: ${blockNumber} | Tx: ${transactionHash}`);
-        console.log(`   ⏰ Time: ${new Date(timestamp * 1000).toISOString()}`);
+        console.log(`   📍 Block: ${event.blockNumber} | Tx: ${event.transactionHash}`);
+        console.log(`   ⏰ Time: ${new Date(event.timestamp * 1000).toISOString()}`);
 
-        switch (parsed.name) {
+        switch (event.name) {
             case 'CrossTxExecuted':
-                console.log(`   👤 Sender: ${parsed.args.sender}`);
-                console.log(`   🎯 Target: ${parsed.args.target}`);
-                console.log(`   💰 Value: ${ethers.utils.formatEther(parsed.args.value)} ETH`);
-                console.log(`   📝 Data: ${parsed.args.data}`);
-                
-                // Check if target is a contract
-                await this.checkTargetContract(parsed.args.target);
+                console.log(`   👤 Sender: ${args.sender}`);
+                console.log(`   🎯 Target: ${args.target}`);
+                console.log(`   💰 Value: ${ethers.utils.formatEther(args.value)} ETH`);
+                console.log(`   📝 Data: ${args.data}`);
+                this.printTargetCheck(event.targetCheck);
                 break;
 
             case 'ExecutorCreated':
-                console.log(`   ⚙️  Executor: ${parsed.args.executor}`);
-                console.log(`   🎯 Target: ${parsed.args.target}`);
-                console.log(`   ⏳ Deadline: ${new Date(parsed.args.deadline * 1000).toISOString()}`);
-                
-                // Check target contract and executor status
-                await this.checkTargetContract(parsed.args.target);
-                await this.checkExecutorStatus(parsed.args.executor);
+            case 'ExecutorReused':
+                console.log(`   ⚙️  Executor: ${args.executor}`);
+                console.log(`   🎯 Target: ${args.target}`);
+                console.log(`   ⏳ Deadline: ${new Date(args.deadline * 1000).toISOString()}`);
+                this.printTargetCheck(event.targetCheck);
+                this.printExecutorStatus(event.executorStatus);
                 break;
 
             case 'ExecutorExecuted':
-                console.log(`   ⚙️  Executor: ${parsed.args.executor}`);
-                console.log(`   ✅ Success: ${parsed.args.success ? '✅ Yes' : '❌ No'}`);
+                console.log(`   ⚙️  Executor: ${args.executor}`);
+                console.log(`   ✅ Success: ${args.success ? '✅ Yes' : '❌ No'}`);
                 
-                if (!parsed.args.success) {
+                if (!args.success) {
                     console.log(`   ⚠️  Execution failed - check executor for remaining assets`);
                 }
                 break;
 
             case 'ERC20Received':
-                console.log(`   🪙 Token: ${parsed.args.token}`);
-                console.log(`   👤 Sender: ${parsed.args.sender}`);
-                console.log(`   💰 Amount: ${parsed.args.amount.toString()}`);
-                
-                // Get token info
-                await this.getTokenInfo(parsed.args.token, parsed.args.amount);
+                console.log(`   🪙 Token: ${args.token}`);
+                console.log(`   👤 Sender: ${args.sender}`);
+                console.log(`   💰 Amount: ${args.amount.toString()}`);
+                this.printTokenInfo(args.token, event.tokenInfo);
                 break;
 
             case 'MessageFailed':
-                console.log(`   📨 Message ID: ${parsed.args.messageId}`);
-                console.log(`   ❌ Reason: ${parsed.args.reason}`);
+                console.log(`   📨 Message ID: ${args.messageId}`);
+                const [reason, ...help] = RevertDecoder.describe(event.revert);
+                console.log(`   ❌ Reason: ${reason}`);
+                help.forEach(line => console.log(`   💡 ${line}`));
                 console.log(`   🔧 Recovery: Owner can use retryFailedMessage()`);
                 break;
 
             case 'MessageRecovered':
-                console.log(`   📨 Message ID: ${parsed.args.messageId}`);
+                console.log(`   📨 Message ID: ${args.messageId}`);
                 console.log(`   ✅ Status: Successfully recovered by owner`);
                 break;
 
             case 'EscrowRescued':
-                console.log(`   👤 User: ${parsed.args.user}`);
-                console.log(`   💰 Amount: ${ethers.utils.formatEther(parsed.args.amount)} ETH`);
+                console.log(`   👤 User: ${args.user}`);
+                console.log(`   💰 Amount: ${ethers.utils.formatEther(args.amount)} ETH`);
                 break;
 
             case 'ERC20EscrowRescued':
-                console.log(`   👤 User: ${parsed.args.user}`);
-                console.log(`   🪙 Token: ${parsed.args.token}`);
-                console.log(`   💰 Amount: ${parsed.args.amount.toString()}`);
-                
-                // Get token info
-                await this.getTokenInfo(parsed.args.token, parsed.args.amount);
+                console.log(`   👤 User: ${args.user}`);
+                console.log(`   🪙 Token: ${args.token}`);
+                console.log(`   💰 Amount: ${args.amount.toString()}`);
+                this.printTokenInfo(args.token, event.tokenInfo);
                 break;
 
             case 'OwnershipTransferred':
-                console.log(`   👤 Previous Owner: ${parsed.args.previousOwner}`);
-                console.log(`   👤 New Owner: ${parsed.args.newOwner}`);
+                console.log(`   👤 Previous Owner: ${args.previousOwner}`);
+                console.log(`   👤 New Owner: ${args.newOwner}`);
                 break;
 
             default:
-                console.log(`   📝 Raw args:`, parsed.args);
+                console.log(`   📝 Raw args:`, args);
         }
     }
 
-    async checkTargetContract(address) {
-        try {
-            const code = await this.provider.getCode(address);
-            if (code === '0x') {
-                console.log(`   ⚠️  Target ${address} has no code (EOA or non-deployed)`);
-            } else {
-                console.log(`   ✅ Target ${address} is a valid contract`);
-                
-                // Try to identify if it's an ERC20
-                try {
-                    const contract = new ethers.Contract(address, this.erc20ABI, this.provider);
-                    const [name, symbol] = await Promise.all([
-                        contract.name().catch(() => null),
-                        contract.symbol().catch(() => null)
-                    ]);
-                    
-                    if (name && symbol) {
-                        console.log(`   📄 Token: ${name} (${symbol})`);
-                    }
-                } catch (error) {
-                    // Not an ERC20, that's fine
-                }
+    printTargetCheck(check) {
+        if (check.error) {
+            console.log(`   ❓ Could not check target contract: ${check.error}`);
+        } else if (!check.hasCode) {
+            console.log(`   ⚠️  Target ${check.address} has no code (EOA or non-deployed)`);
+        } else {
+            console.log(`   ✅ Target ${check.address} is a valid contract`);
+            if (check.token) {
+                console.log(`   📄 Token: ${check.token.name} (${check.token.symbol})`);
             }
-        } catch (error) {
-            console.log(`   ❓ Could not check target contract: ${error.message}`);
         }
     }
 
-    async checkExecutorStatus(executorAddress) {
-        try {
-            const [code, balance] = await Promise.all([
-                this.provider.getCode(executorAddress),
-                this.provider.getBalance(executorAddress)
-            ]);
-
-            if (code === '0x') {
-                console.log(`   ✅ Executor self-destructed (normal cleanup)`);
-            } else {
-                console.log(`   ⚠️  Executor still exists`);
-            }
-
-            if (balance.gt(0)) {
-                console.log(`   💰 Executor balance: ${ethers.utils.formatEther(balance)} ETH`);
-            }
-        } catch (error) {
-            console.log(`   ❓ Could not check executor status: ${error.message}`);
+    printExecutorStatus(status) {
+        if (status.error) {
+            console.log(`   ❓ Could not check executor status: ${status.error}`);
+            return;
         }
-    }
 
-    async getTokenInfo(tokenAddress, amount) {
-        try {
-            const contract = new ethers.Contract(tokenAddress, this.erc20ABI, this.provider);
-            const [name, symbol, decimals] = await Promise.all([
-                contract.name(),
-                contract.symbol(),
-                contract.decimals()
-            ]);
+        console.log(`   ⚙️  Executor state now: ${status.state.toUpperCase()} - ${status.explanation}`);
 
-            const formattedAmount = ethers.utils.formatUnits(amount, decimals);
-            console.log(`   📄 ${formattedAmount} ${symbol} (${name})`);
-        } catch (error) {
-            console.log(`   📄 Token info unavailable for ${tokenAddress}`);
+        if (status.ethBalance.gt(0)) {
+            console.log(`   💰 Executor balance: ${ethers.utils.formatEther(status.ethBalance)} ETH`);
         }
     }
 
-    async getBlockTimestamp(blockNumber) {
-        try {
-            const block = await this.provider.getBlock(blockNumber);
-            return block.timestamp;
-        } catch (error) {
-            return Math.floor(Date.now() / 1000); // Fallback to current time
+    printTokenInfo(tokenAddress, info) {
+        if (info) {
+            console.log(`   📄 ${info.formattedAmount} ${info.symbol} (${info.name})`);
+        } else {
+            console.log(`   📄 Token info unavailable for ${tokenAddress}`);
         }
     }
 
-    async getContractInfo() {
+    printContractInfo(info) {
         console.log(`\n📋 Contract Information`);
-        console.log(`📍 Chain: ${this.chainName}`);
-        console.log(`📋 Address: ${this.contractAddress}\n`);
-
-        try {
-            const [owner, currentBlock] = await Promise.all([
-                this.contract.owner(),
-                this.provider.getBlockNumber()
-            ]);
+        console.log(`📍 Chain: ${info.chain}`);
+        console.log(`📋 Address: ${info.contract}\n`);
 
-            console.log(`👤 Owner: ${owner}`);
-            console.log(`📊 Current Block: ${currentBlock}`);
+        console.log(`👤 Owner: ${info.owner}`);
+        console.log(`📊 Current Block: ${info.currentBlock}`);
 
-            // Check failed messages
-            try {
-                const failedMessages = await this.contract.getFailedMessages(0, 10);
-                console.log(`❌ Failed Messages: ${failedMessages.length}`);
-                
-                if (failedMessages.length > 0) {
-                    console.log(`   Recent failed message IDs:`);
-                    failedMessages.slice(0, 3).forEach((msg, i) => {
-                        console.log(`   ${i + 1}. ${msg.messageId}`);
-                    });
-                }
-            } catch (error) {
-                console.log(`❌ Could not fetch failed messages: ${error.message}`);
-            }
+        if (info.failedMessagesError) {
+            console.log(`❌ Could not fetch failed messages: ${info.failedMessagesError}`);
+            return;
+        }
 
-        } catch (error) {
-            console.error("❌ Error getting contract info:", error.message);
+        console.log(`❌ Failed Messages: ${info.failedMessages.length}`);
+        if (info.failedMessages.length > 0) {
+            console.log(`   Recent failed message IDs:`);
+            info.failedMessages.slice(0, 3).forEach((messageId, i) => {
+                console.log(`   ${i + 1}. ${messageId}`);
+            });
         }
     }
 }
@@ -362,6 +448,17 @@ class UniversalEventDecoder {
 // CLI Usage
 async function main() {
     const args = process.argv.slice(2);
+    const format = takeFormat(args);
+    
+    // Chains with a YieldMax deployment in the shared registry
+    const chains = {};
+    for (const chain of ChainRegistry.list({ withYieldMax: true })) {
+        chains[chain.key] = {
+            rpc: chain.rpc,
+            contract: chain.yieldMax,
+            name: chain.name
+        };
+    }
     
     if (args.length < 1) {
         console.log(`
@@ -369,41 +466,49 @@ async function main() {
 
 Usage: node universal-event-decoder.js <command> [args...]
 
+Options:
+  --format <text|json|ndjson|table>              - Output format (ndjson/table emit one row per event)
+
 Commands:
   decode-tx <chain> <tx_hash>                    - Decode events in transaction
   decode-range <chain> <from_block> <to_block>   - Decode events in block range  
   watch <chain> [block_count]                    - Watch recent events (default: 100 blocks)
+  follow <chain> [options]                       - Stream new events until Ctrl+C
   info <chain>                                   - Show contract information
+  executor <chain> <sender>                      - Explain the sender's executor state (idle / busy / stuck)
 
 Chains:
-  base       - Base Mainnet
-  avalanche  - Avalanche C-Chain
+${Object.entries(chains).map(([key, chain]) => `  ${key.padEnd(10)} - ${chain.name}`).join('\n')}
 
 Examples:
   node universal-event-decoder.js decode-tx base 0x1234...
   node universal-event-decoder.js decode-range base 15000000 15000100
   node universal-event-decoder.js watch base 50
+  node universal-event-decoder.js follow base --failures --webhook https://hooks.example.com/yieldmax
+  node universal-event-decoder.js follow avalanche --target 0x1234... --jsonl events.jsonl
   node universal-event-decoder.js info base
+  node universal-event-decoder.js executor avalanche 0x742d35Cc6634C0532925a3b844Bc454e4438f44e
+  node universal-event-decoder.js decode-range base 15000000 15000100 --format ndjson | jq .name
+
+Follow options:
+  --rpc <url>                 Override the RPC (ws:// or wss:// subscribes instead of polling)
+  --contract <address>        Override the YieldMax address
+  --event <A,B>               Only these event names
+  --sender <address>          Only events whose sender/user is this address
+  --target <address>          Only events whose target is this address
+  --failures                  Only MessageFailed and ExecutorExecuted(success=false)
+  --jsonl <file>              Append events to a JSONL file
+  --webhook <url>             POST each event as JSON (retried with backoff)
+  --from-block <n>            Replay from this block before following
+  --confirmations <n>         Stay n blocks behind head (default: 0)
+  --quiet                     No console output (file/webhook sinks only)
+  --format json|ndjson        Print one JSON event per line instead of the decoded report
         `);
         process.exit(1);
     }
 
     const command = args[0];
     
-    // Chain configurations
-    const chains = {
-        base: {
-            rpc: 'https://mainnet.base.org',
-            contract: '0xe97978aB28f4d340494293a519B8Ba7Ab6E9640F',
-            name: 'Base Mainnet'
-        },
-        avalanche: {
-            rpc: 'https://api.avax.network/ext/bc/C/rpc',
-            contract: '0x379154D8C0b0B19B773f841554f7b7Ad445cA244',
-            name: 'Avalanche C-Chain'
-        }
-    };
-
     switch (command) {
         case 'decode-tx':
             if (args.length !== 3) {
@@ -420,7 +525,8 @@ Examples:
                 chains[chain1].name,
                 chains[chain1].contract
             );
-            await decoder1.decodeTransactionEvents(txHash);
+            const txResult = await decoder1.decodeTransactionEvents(txHash);
+            printResult(format, txResult, { rows: txResult.events, text: result => decoder1.printTransactionEvents(result) });
             break;
 
         case 'decode-range':
@@ -438,7 +544,8 @@ Examples:
                 chains[chain2].name,
                 chains[chain2].contract
             );
-            await decoder2.decodeBlockRangeEvents(parseInt(fromBlock), parseInt(toBlock));
+            const rangeResult = await decoder2.decodeBlockRangeEvents(parseInt(fromBlock), parseInt(toBlock));
+            printResult(format, rangeResult, { rows: rangeResult.events, text: result => decoder2.printBlockRangeEvents(result) });
             break;
 
         case 'watch':
@@ -457,7 +564,8 @@ Examples:
                 chains[chain3].name,
                 chains[chain3].contract
             );
-            await decoder3.watchRecentEvents(blockCount);
+            const watchResult = await decoder3.watchRecentEvents(blockCount);
+            printResult(format, watchResult, { rows: watchResult.events, text: result => decoder3.printBlockRangeEvents(result) });
             break;
 
         case 'info':
@@ -475,9 +583,103 @@ Examples:
                 chains[chain4].name,
                 chains[chain4].contract
             );
-            await decoder4.getContractInfo();
+            const info = await decoder4.getContractInfo();
+            printResult(format, info, { text: result => decoder4.printContractInfo(result) });
             break;
 
+        case 'executor': {
+            const executorRpc = takeOption(args, '--rpc');
+            const executorContract = takeOption(args, '--contract');
+            if (args.length !== 3) {
+                console.error('Usage: executor <chain> <sender> [--rpc url] [--contract address]');
+                process.exit(1);
+            }
+            const [, chain6, sender] = args;
+            if (!chains[chain6]) {
+                console.error(`Unknown chain: ${chain6}`);
+                process.exit(1);
+            }
+            const inspector = new ExecutorInspector(
+                executorRpc || chains[chain6].rpc,
+                executorContract || chains[chain6].contract
+            );
+            const executorState = await inspector.inspect(sender);
+            printResult(format, executorState, {
+                rows: executorState.trackedTokens,
+                text: result => inspector.printState(result)
+            });
+            break;
+        }
+
+        case 'follow': {
+            const rpcOverride = takeOption(args, '--rpc');
+            const contractOverride = takeOption(args, '--contract');
+            const events = takeOption(args, '--event');
+            const sender = takeOption(args, '--sender');
+            const target = takeOption(args, '--target');
+            const jsonlFile = takeOption(args, '--jsonl');
+            const webhookUrl = takeOption(args, '--webhook');
+            const fromBlockOption = takeOption(args, '--from-block');
+            const confirmations = parseInt(takeOption(args, '--confirmations') || '0');
+            const failuresOnly = takeFlag(args, '--failures');
+            const quiet = takeFlag(args, '--quiet');
+
+            if (args.length !== 2) {
+                console.error('Usage: follow <chain> [options]');
+                process.exit(1);
+            }
+            const [, chain5] = args;
+            if (!chains[chain5]) {
+                console.error(`Unknown chain: ${chain5}`);
+                process.exit(1);
+            }
+
+            const contract5 = contractOverride || chains[chain5].contract;
+            const sinks = [];
+            if (!quiet && (format === 'json' || format === 'ndjson')) {
+                // One serialized event per line on stdout, status lines go to stderr
+                sinks.push(new JsonlSink('-'));
+            } else if (!quiet) {
+                const decoder5 = new UniversalEventDecoder(
+                    rpcOverride && rpcOverride.startsWith('http') ? rpcOverride : chains[chain5].rpc,
+                    chains[chain5].name,
+                    contract5
+                );
+                sinks.push(new ConsoleSink(eventData => decoder5.formatEvent(eventData)));
+            }
+            if (jsonlFile) sinks.push(new JsonlSink(jsonlFile));
+            if (webhookUrl) sinks.push(new WebhookSink(webhookUrl));
+            if (sinks.length === 0) {
+                console.error('--quiet needs --jsonl or --webhook');
+                process.exit(1);
+            }
+
+            const stream = new EventStream(rpcOverride || chains[chain5].rpc, contract5, {
+                chain: chain5,
+                confirmations,
+                sinks,
+                filter: {
+                    events: events ? events.split(',') : null,
+                    sender,
+                    target,
+                    failuresOnly
+                }
+            });
+
+            const startBlock = await stream.start(fromBlockOption ? parseInt(fromBlockOption) : undefined);
+            // Keep stdout clean whenever it carries events (json/ndjson, --jsonl -) or is meant to stay quiet
+            const status = sinks.some(sink => sink instanceof ConsoleSink) && jsonlFile !== '-' ? console.log : console.error;
+            status(`\n📡 Following ${chains[chain5].name} YieldMax events from block ${startBlock + 1} (Ctrl+C to stop)`);
+            status(`📋 Contract: ${contract5}\n`);
+
+            process.on('SIGINT', async () => {
+                status('\n👋 Stopping...');
+                await stream.stop();
+                process.exit(0);
+            });
+            break;
+        }
+
         default:
             console.error(`Unknown command: ${command}`);
             process.exit(1);
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+const { ethers } = require('ethers');
+const ChainRegistry = require('./chain-registry');
+const YieldMaxSDK = require('./yieldmax-sdk');
+
+/**
+ * Chain Registry Validator
+ * Flags inconsistent entries in chain-registry.js, optionally cross-checking against live RPCs
+ */
+
+class ChainRegistryValidator {
+    constructor(registry = ChainRegistry) {
+        this.registry = registry;
+
+        this.erc20ABI = [
+            "function symbol() external view returns (string)",
+            "function decimals() external view returns (uint8)"
+        ];
+
+        this.routerABI = [
+            "function isChainSupported(uint64 chainSelector) external view returns (bool)"
+        ];
+    }
+
+    /**
+     * Offline checks (addresses, duplicates, derived executor templates)
+     */
+    validateOffline() {
+        return this.registry.validate(ethers);
+    }
+
+    /**
+     * Live checks against each chain's RPC
+     */
+    async validateOnChain(chain) {
+        const issues = [];
+        const report = (level, message) => issues.push({ level, chain: chain.key, message });
+        const provider = new ethers.providers.JsonRpcProvider(chain.rpc);
+
+        let network;
+        try {
+            network = await provider.getNetwork();
+        } catch (error) {
+            report('warning', `RPC unreachable (${chain.rpc}): ${error.message}`);
+            return issues;
+        }
+
+        if (network.chainId !== chain.chainId) {
+            report('error', `RPC reports chain id ${network.chainId}, registry says ${chain.chainId}`);
+            return issues;
+        }
+
+        if (await provider.getCode(chain.router) === '0x') {
+            report('error', `router ${chain.router} has no code`);
+        } else {
+            const router = new ethers.Contract(chain.router, this.routerABI, provider);
+            for (const peer of this.registry.list({ testnet: chain.testnet })) {
+                if (peer.key === chain.key || !peer.yieldMax) continue;
+                const supported = await router.isChainSupported(peer.selector).catch(() => null);
+                if (supported === false) {
+                    report('error', `router does not support ${peer.key} selector ${peer.selector}`);
+                }
+            }
+        }
+
+        if (chain.yieldMax) {
+            if (await provider.getCode(chain.yieldMax) === '0x') {
+                report('error', `yieldMax ${chain.yieldMax} has no code`);
+            } else {
+                const yieldMax = YieldMaxSDK.connect(chain.yieldMax, provider);
+                const router = await yieldMax.getRouter().catch(() => null);
+                if (router && router.toLowerCase() !== chain.router.toLowerCase()) {
+                    report('error', `yieldMax uses router ${router}, registry says ${chain.router}`);
+                }
+                if (await provider.getCode(chain.executorTemplate) === '0x') {
+                    report('error', `executorTemplate ${chain.executorTemplate} has no code`);
+                }
+            }
+        }
+
+        for (const [key, info] of Object.entries(chain.tokens)) {
+            const token = new ethers.Contract(info.address, this.erc20ABI, provider);
+            try {
+                const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+                if (decimals !== info.decimals) {
+                    report('error', `token ${key} has ${decimals} decimals on-chain, registry says ${info.decimals}`);
+                }
+                if (symbol.toUpperCase() !== info.symbol.toUpperCase()) {
+                    report('warning', `token ${key} symbol is ${symbol} on-chain, registry says ${info.symbol}`);
+                }
+            } catch (error) {
+                report('error', `token ${key} (${info.address}) is not a readable ERC20`);
+            }
+        }
+
+        return issues;
+    }
+
+    printIssues(issues) {
+        if (issues.length === 0) {
+            console.log('✅ No issues found');
+            return;
+        }
+
+        for (const issue of issues) {
+            const icon = issue.level === 'error' ? '❌' : '⚠️ ';
+            console.log(`${icon} [${issue.chain}] ${issue.message}`);
+        }
+    }
+}
+
+// CLI Usage
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help')) {
+        console.log(`
+🔎 Chain Registry Validator
+
+Usage: node validate-chains.js [--onchain] [chain...]
+
+Options:
+  --onchain    Also query each chain's RPC (chain id, router, YieldMax, token decimals)
+
+Examples:
+  node validate-chains.js
+  node validate-chains.js --onchain base avalanche
+        `);
+        return;
+    }
+
+    const onChain = args.includes('--onchain');
+    const chainArgs = args.filter(arg => !arg.startsWith('--'));
+    const chains = chainArgs.length > 0
+        ? chainArgs.map(name => ChainRegistry.get(name))
+        : ChainRegistry.list();
+
+    const validator = new ChainRegistryValidator();
+
+    console.log(`\n🔎 Validating ${chains.length} chain(s)${onChain ? ' (with on-chain checks)' : ''}\n`);
+
+    const keys = chains.map(chain => chain.key);
+    const issues = validator.validateOffline().filter(issue => keys.includes(issue.chain));
+
+    if (onChain) {
+        for (const chain of chains) {
+            console.log(`📡 Checking ${chain.name}...`);
+            issues.push(...await validator.validateOnChain(chain));
+        }
+        console.log('');
+    }
+
+    validator.printIssues(issues);
+
+    if (issues.some(issue => issue.level === 'error')) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { ChainRegistryValidator };
@@ -0,0 +1,171 @@
+/**
+ * Wallet Permits
+ * The permit panel shared by wallet-approval.html, wallet-approval-enhanced.html and
+ * wallet-approval-ui.html: detect permit support, sign and submit a single permit, and sign one
+ * permit per CCIP token followed by the sendCrossChainExecution transaction.
+ *
+ * YieldMax pulls tokens with safeTransferFrom, so an EIP-2612 permit must be submitted before
+ * sendCrossChainExecution; Permit2 is signed for evaluation only (see permit-signer.js).
+ *
+ * Browser only, after ethers, yieldmax-abi.js, yieldmax-sdk.js and permit-signer.js
+ * (exposed as `window.WalletPermits`). The page passes its own state and helpers:
+ *
+ *   const { detectPermit, signPermit, submitPermit, signCCIPPermits } = WalletPermits.create({
+ *       wallet: () => ({ provider, signer, account: userAccount }),
+ *       getApprovalParams, getCCIPParams, showResult, showCCIPResult,
+ *       sendValue: (params, fee) => fee.add(params.ethValue)    // msg.value of the send
+ *   });
+ *
+ * Expected elements: #tokenAddress, #spenderAddress, #usePermit2 and #submitPermitBtn.
+ */
+
+(function (root) {
+    const { ethers, YieldMaxSDK, PermitSigner } = root;
+    if (!ethers) throw new Error('WalletPermits requires ethers v5 to be loaded first');
+    if (!YieldMaxSDK) throw new Error('WalletPermits requires yieldmax-sdk.js to be loaded first');
+    if (!PermitSigner) throw new Error('WalletPermits requires permit-signer.js to be loaded first');
+
+    function renderPermit(permit) {
+        const message = permit.typedData.message;
+        return `
+            <strong>${permit.mode === 'eip2612' ? 'EIP-2612 permit' : 'Permit2 PermitSingle'}</strong>
+            (deadline ${message.deadline || message.sigDeadline})<br>
+            ${permit.warnings.map(warning => `⚠️ ${warning}<br>`).join('')}
+            Signature: ${permit.signed.signature}<br>
+            Submit to: ${permit.transaction.to}<br>
+            <textarea readonly style="width: 100%; height: 80px;">${permit.transaction.data}</textarea>
+        `;
+    }
+
+    function create(page) {
+        let lastPermit = null;
+
+        async function signPermitFor(tokenAddress, spenderAddress, amount) {
+            const { provider, signer, account } = page.wallet();
+            const mode = document.getElementById('usePermit2').checked ? 'permit2' : undefined;
+            const prepared = await PermitSigner.prepare(provider, tokenAddress, account, spenderAddress, amount, { mode });
+            const signed = await PermitSigner.sign(signer, prepared.typedData);
+            return { ...prepared, signed, transaction: PermitSigner.transaction(prepared.typedData, signed) };
+        }
+
+        async function detectPermit() {
+            try {
+                const { provider, account } = page.wallet();
+                if (!provider || !account) throw new Error('Wallet not connected');
+
+                const tokenAddress = document.getElementById('tokenAddress').value;
+                const spenderAddress = document.getElementById('spenderAddress').value;
+                const { eip2612, permit2 } = await PermitSigner.detect(provider, tokenAddress, account, { spender: spenderAddress });
+
+                page.showResult(`
+                    <strong>🔍 Permit Support:</strong><br>
+                    EIP-2612: ${eip2612.supported ? `yes (nonce ${eip2612.nonce})` : 'no'}<br>
+                    ${eip2612.supported ? `Domain: ${eip2612.domain ? `${eip2612.domain.name} v${eip2612.domain.version}` : 'unknown'} ${eip2612.domainMatches ? '✅ matches DOMAIN_SEPARATOR' : '⚠️ does not match DOMAIN_SEPARATOR'}<br>` : ''}
+                    Permit2: ${permit2.deployed ? `deployed, token approved to Permit2: ${permit2.approved ? 'yes' : 'no'}` : 'not deployed'}
+                `, true);
+            } catch (error) {
+                page.showResult(`❌ Detection failed: ${error.message}`, false);
+            }
+        }
+
+        async function signPermit() {
+            try {
+                if (!page.wallet().signer) throw new Error('Wallet not connected');
+
+                const { tokenAddress, spenderAddress, amount } = page.getApprovalParams();
+                lastPermit = await signPermitFor(tokenAddress, spenderAddress, amount);
+                document.getElementById('submitPermitBtn').disabled = !lastPermit.usableByYieldMax;
+
+                page.showResult(`<strong>✍️ Signed Permit:</strong><br>${renderPermit(lastPermit)}`, true);
+            } catch (error) {
+                let msg = error.message;
+                if (error.code === 4001) msg = 'Signature rejected by user';
+                page.showResult(`❌ Permit signing failed: ${msg}`, false);
+            }
+        }
+
+        async function submitPermit() {
+            try {
+                const { signer } = page.wallet();
+                if (!signer || !lastPermit) throw new Error('Sign a permit first');
+
+                const tx = await signer.sendTransaction({ to: lastPermit.transaction.to, data: lastPermit.transaction.data });
+                page.showResult(`📤 Permit sent: ${tx.hash}<br>Waiting for confirmation...`, true);
+
+                const receipt = await tx.wait();
+                lastPermit = null;
+                document.getElementById('submitPermitBtn').disabled = true;
+                page.showResult(`
+                    ✅ <strong>Permit Submitted!</strong><br>
+                    Hash: ${receipt.transactionHash}<br>
+                    Block: ${receipt.blockNumber}<br>
+                    Gas Used: ${receipt.gasUsed.toString()}
+                `, true);
+            } catch (error) {
+                let msg = error.message;
+                if (error.code === 4001) msg = 'Transaction rejected by user';
+                page.showResult(`❌ Permit submission failed: ${msg}`, false);
+            }
+        }
+
+        // Permits for every CCIP token (spender: the YieldMax contract) with the send transaction after them
+        async function signCCIPPermits() {
+            try {
+                const { provider, signer } = page.wallet();
+                if (!signer) throw new Error('Wallet not connected');
+
+                const params = page.getCCIPParams();
+                const contract = YieldMaxSDK.connect(params.yieldMaxAddress, provider);
+                const args = [
+                    params.destinationChainSelector,
+                    params.receiver,
+                    params.targetContract,
+                    params.ethValue,
+                    params.tokenAddresses,
+                    params.tokenAmounts,
+                    params.callData,
+                    params.gasLimit
+                ];
+
+                // One permit per token, covering all of its amounts
+                const totals = {};
+                params.tokenAddresses.forEach((address, i) => {
+                    const key = address.toLowerCase();
+                    totals[key] = { address, amount: (totals[key] ? totals[key].amount : ethers.BigNumber.from(0)).add(params.tokenAmounts[i]) };
+                });
+                if (Object.keys(totals).length === 0) throw new Error('No tokens to permit');
+
+                const permits = [];
+                for (const { address, amount } of Object.values(totals)) {
+                    permits.push(await signPermitFor(address, params.yieldMaxAddress, amount));
+                }
+
+                const fee = await contract.estimateFee(...args);
+                const send = {
+                    to: params.yieldMaxAddress,
+                    data: contract.interface.encodeFunctionData('sendCrossChainExecution', args),
+                    value: page.sendValue(params, fee).toHexString()
+                };
+                const bundle = {
+                    permits: permits.map(permit => ({ mode: permit.mode, typedData: permit.typedData, signature: permit.signed.signature, transaction: permit.transaction })),
+                    transactions: [...permits.filter(permit => permit.usableByYieldMax).map(permit => permit.transaction), send]
+                };
+
+                page.showCCIPResult(`
+                    <strong>✍️ Signed Permits + Cross-Chain Call:</strong><br>
+                    ${permits.map(renderPermit).join('<br>')}<br>
+                    <strong>Bundle (permits first, then sendCrossChainExecution):</strong><br>
+                    <textarea readonly style="width: 100%; height: 160px;">${JSON.stringify(bundle, null, 2)}</textarea>
+                `, true);
+            } catch (error) {
+                let msg = error.message;
+                if (error.code === 4001) msg = 'Signature rejected by user';
+                page.showCCIPResult(`❌ Permit signing failed: ${msg}`, false);
+            }
+        }
+
+        return { detectPermit, signPermit, submitPermit, signCCIPPermits };
+    }
+
+    root.WalletPermits = { create, renderPermit };
+})(typeof self !== 'undefined' ? self : this);
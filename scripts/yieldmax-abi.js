@@ -0,0 +1,1444 @@
+// AUTO-GENERATED by scripts/generate-sdk.js from out/ym.sol/YieldMaxCCIP.json, out/ym.sol/ExecutorTemplate.json, out/IERC20Permit.sol/IERC20Permit.json.
+// Do not edit by hand: run `npm run generate-sdk` after `forge build`.
+
+/** @typedef {string|number|bigint|import('ethers').BigNumber} BigNumberish */
+
+/**
+ * @typedef {Object} YieldMaxAllowlistDestinationChainArgs
+ * @property {BigNumberish} _destinationChainSelector
+ * @property {boolean} allowed
+ */
+/**
+ * @typedef {Object} YieldMaxAllowlistSourceChainArgs
+ * @property {BigNumberish} _sourceChainSelector
+ * @property {boolean} allowed
+ */
+/**
+ * @typedef {Object} YieldMaxAllowlistedDestinationChainsArgs
+ * @property {BigNumberish} arg0
+ */
+/**
+ * @typedef {Object} YieldMaxAllowlistedSourceChainsArgs
+ * @property {BigNumberish} arg0
+ */
+/**
+ * @typedef {Object} YieldMaxCcipReceiveArgs
+ * @property {{ messageId: string, sourceChainSelector: BigNumberish, sender: string, data: string, destTokenAmounts: Array<{ token: string, amount: BigNumberish }> }} any2EvmMessage
+ */
+/**
+ * @typedef {Object} YieldMaxEmergencyWithdrawArgs
+ * @property {string} beneficiary
+ */
+/**
+ * @typedef {Object} YieldMaxEmergencyWithdrawTokenArgs
+ * @property {string} beneficiary
+ * @property {string} token
+ */
+/**
+ * @typedef {Object} YieldMaxEstimateFeeArgs
+ * @property {BigNumberish} destinationChainSelector
+ * @property {string} receiver
+ * @property {string} targetContract
+ * @property {BigNumberish} value
+ * @property {Array<string>} tokenAddresses
+ * @property {Array<BigNumberish>} tokenAmounts
+ * @property {string} callData
+ * @property {BigNumberish} gasLimit
+ */
+/**
+ * @typedef {Object} YieldMaxGetFailedMessagesArgs
+ * @property {BigNumberish} offset
+ * @property {BigNumberish} limit
+ */
+/**
+ * @typedef {Object} YieldMaxIsMulticallContractArgs
+ * @property {string} arg0
+ */
+/**
+ * @typedef {Object} YieldMaxPendingEscrowERC20Args
+ * @property {string} arg0
+ * @property {string} arg1
+ */
+/**
+ * @typedef {Object} YieldMaxPendingEscrowNativeArgs
+ * @property {string} arg0
+ */
+/**
+ * @typedef {Object} YieldMaxPredictExecutorAddressArgs
+ * @property {string} sender
+ */
+/**
+ * @typedef {Object} YieldMaxProcessMessageArgs
+ * @property {{ messageId: string, sourceChainSelector: BigNumberish, sender: string, data: string, destTokenAmounts: Array<{ token: string, amount: BigNumberish }> }} any2EvmMessage
+ */
+/**
+ * @typedef {Object} YieldMaxRescueERC20EscrowArgs
+ * @property {string} token
+ */
+/**
+ * @typedef {Object} YieldMaxRetryFailedMessageArgs
+ * @property {string} messageId
+ * @property {string} tokenReceiver
+ */
+/**
+ * @typedef {Object} YieldMaxS_messageContentsArgs
+ * @property {string} messageId
+ */
+/**
+ * @typedef {Object} YieldMaxSendCrossChainExecutionArgs
+ * @property {BigNumberish} destinationChainSelector
+ * @property {string} receiver
+ * @property {string} targetContract
+ * @property {BigNumberish} value
+ * @property {Array<string>} tokenAddresses
+ * @property {Array<BigNumberish>} tokenAmounts
+ * @property {string} callData
+ * @property {BigNumberish} gasLimit
+ */
+/**
+ * @typedef {Object} YieldMaxSetMulticallContractArgs
+ * @property {string} contractAddress
+ * @property {boolean} _isMulticall
+ */
+/**
+ * @typedef {Object} YieldMaxSupportsInterfaceArgs
+ * @property {string} interfaceId
+ */
+/**
+ * @typedef {Object} YieldMaxTransferOwnershipArgs
+ * @property {string} newOwner
+ */
+/**
+ * @typedef {Object} YieldMaxUsedPayloadsArgs
+ * @property {string} arg0
+ */
+/**
+ * @typedef {Object} YieldMaxCrossTxExecutedEvent
+ * @property {string} sender
+ * @property {string} target
+ * @property {BigNumberish} value
+ * @property {string} data
+ */
+/**
+ * @typedef {Object} YieldMaxERC20EscrowRescuedEvent
+ * @property {string} user
+ * @property {string} token
+ * @property {BigNumberish} amount
+ */
+/**
+ * @typedef {Object} YieldMaxERC20ReceivedEvent
+ * @property {string} token
+ * @property {string} sender
+ * @property {BigNumberish} amount
+ */
+/**
+ * @typedef {Object} YieldMaxEscrowRescuedEvent
+ * @property {string} user
+ * @property {BigNumberish} amount
+ */
+/**
+ * @typedef {Object} YieldMaxExecutorCreatedEvent
+ * @property {string} executor
+ * @property {string} target
+ * @property {BigNumberish} deadline
+ */
+/**
+ * @typedef {Object} YieldMaxExecutorExecutedEvent
+ * @property {string} executor
+ * @property {boolean} success
+ */
+/**
+ * @typedef {Object} YieldMaxExecutorReusedEvent
+ * @property {string} executor
+ * @property {string} target
+ * @property {BigNumberish} deadline
+ */
+/**
+ * @typedef {Object} YieldMaxMessageFailedEvent
+ * @property {string} messageId
+ * @property {string} reason
+ */
+/**
+ * @typedef {Object} YieldMaxMessageRecoveredEvent
+ * @property {string} messageId
+ */
+/**
+ * @typedef {Object} YieldMaxOwnershipTransferredEvent
+ * @property {string} previousOwner
+ * @property {string} newOwner
+ */
+/**
+ * @typedef {Object} YieldMaxDestinationChainNotAllowlistedError
+ * @property {BigNumberish} destinationChainSelector
+ */
+/**
+ * @typedef {Object} YieldMaxGasLimitTooHighError
+ * @property {BigNumberish} provided
+ * @property {BigNumberish} maximum
+ */
+/**
+ * @typedef {Object} YieldMaxGasLimitTooLowError
+ * @property {BigNumberish} provided
+ * @property {BigNumberish} minimum
+ */
+/**
+ * @typedef {Object} YieldMaxInvalidRouterError
+ * @property {string} router
+ */
+/**
+ * @typedef {Object} YieldMaxMessageNotFailedError
+ * @property {string} messageId
+ */
+/**
+ * @typedef {Object} YieldMaxNotEnoughBalanceError
+ * @property {BigNumberish} currentBalance
+ * @property {BigNumberish} calculatedFees
+ */
+/**
+ * @typedef {Object} YieldMaxSourceChainNotAllowedError
+ * @property {BigNumberish} sourceChainSelector
+ */
+
+/**
+ * @typedef {Object} ExecutorAddTrackedTokenArgs
+ * @property {string} token
+ */
+/**
+ * @typedef {Object} ExecutorExecuteAndCleanupArgs
+ * @property {string} data
+ */
+/**
+ * @typedef {Object} ExecutorInitializeArgs
+ * @property {string} _target
+ * @property {BigNumberish} _deadline
+ */
+/**
+ * @typedef {Object} ExecutorRecoverTokensArgs
+ * @property {string} arg0
+ */
+/**
+ * @typedef {Object} ExecutorTrackedTokensArgs
+ * @property {BigNumberish} arg0
+ */
+
+/**
+ * @typedef {Object} ERC20PermitNoncesArgs
+ * @property {string} owner
+ */
+/**
+ * @typedef {Object} ERC20PermitPermitArgs
+ * @property {string} owner
+ * @property {string} spender
+ * @property {BigNumberish} value
+ * @property {BigNumberish} deadline
+ * @property {BigNumberish} v
+ * @property {string} r
+ * @property {string} s
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.YieldMaxABI = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    return {
+        "yieldMax": [
+            {
+                "type": "constructor",
+                "inputs": [
+                    {
+                        "name": "router",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "receive",
+                "stateMutability": "payable"
+            },
+            {
+                "type": "function",
+                "name": "MAX_GAS_LIMIT",
+                "inputs": [],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "MIN_GAS_LIMIT",
+                "inputs": [],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "allowlistDestinationChain",
+                "inputs": [
+                    {
+                        "name": "_destinationChainSelector",
+                        "type": "uint64",
+                        "internalType": "uint64"
+                    },
+                    {
+                        "name": "allowed",
+                        "type": "bool",
+                        "internalType": "bool"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "allowlistSourceChain",
+                "inputs": [
+                    {
+                        "name": "_sourceChainSelector",
+                        "type": "uint64",
+                        "internalType": "uint64"
+                    },
+                    {
+                        "name": "allowed",
+                        "type": "bool",
+                        "internalType": "bool"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "allowlistedDestinationChains",
+                "inputs": [
+                    {
+                        "name": "",
+                        "type": "uint64",
+                        "internalType": "uint64"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "bool",
+                        "internalType": "bool"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "allowlistedSourceChains",
+                "inputs": [
+                    {
+                        "name": "",
+                        "type": "uint64",
+                        "internalType": "uint64"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "bool",
+                        "internalType": "bool"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "ccipReceive",
+                "inputs": [
+                    {
+                        "name": "any2EvmMessage",
+                        "type": "tuple",
+                        "internalType": "struct Client.Any2EVMMessage",
+                        "components": [
+                            {
+                                "name": "messageId",
+                                "type": "bytes32",
+                                "internalType": "bytes32"
+                            },
+                            {
+                                "name": "sourceChainSelector",
+                                "type": "uint64",
+                                "internalType": "uint64"
+                            },
+                            {
+                                "name": "sender",
+                                "type": "bytes",
+                                "internalType": "bytes"
+                            },
+                            {
+                                "name": "data",
+                                "type": "bytes",
+                                "internalType": "bytes"
+                            },
+                            {
+                                "name": "destTokenAmounts",
+                                "type": "tuple[]",
+                                "internalType": "struct Client.EVMTokenAmount[]",
+                                "components": [
+                                    {
+                                        "name": "token",
+                                        "type": "address",
+                                        "internalType": "address"
+                                    },
+                                    {
+                                        "name": "amount",
+                                        "type": "uint256",
+                                        "internalType": "uint256"
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "emergencyWithdraw",
+                "inputs": [
+                    {
+                        "name": "beneficiary",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "emergencyWithdrawToken",
+                "inputs": [
+                    {
+                        "name": "beneficiary",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "token",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "estimateFee",
+                "inputs": [
+                    {
+                        "name": "destinationChainSelector",
+                        "type": "uint64",
+                        "internalType": "uint64"
+                    },
+                    {
+                        "name": "receiver",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "targetContract",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "value",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    },
+                    {
+                        "name": "tokenAddresses",
+                        "type": "address[]",
+                        "internalType": "address[]"
+                    },
+                    {
+                        "name": "tokenAmounts",
+                        "type": "uint256[]",
+                        "internalType": "uint256[]"
+                    },
+                    {
+                        "name": "callData",
+                        "type": "bytes",
+                        "internalType": "bytes"
+                    },
+                    {
+                        "name": "gasLimit",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "getFailedMessages",
+                "inputs": [
+                    {
+                        "name": "offset",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    },
+                    {
+                        "name": "limit",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "tuple[]",
+                        "internalType": "struct YieldMaxCCIP.FailedMessage[]",
+                        "components": [
+                            {
+                                "name": "messageId",
+                                "type": "bytes32",
+                                "internalType": "bytes32"
+                            },
+                            {
+                                "name": "errorCode",
+                                "type": "uint8",
+                                "internalType": "enum YieldMaxCCIP.ErrorCode"
+                            }
+                        ]
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "getRouter",
+                "inputs": [],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "isMulticallContract",
+                "inputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "bool",
+                        "internalType": "bool"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "owner",
+                "inputs": [],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "pendingEscrowERC20",
+                "inputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "pendingEscrowNative",
+                "inputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "predictExecutorAddress",
+                "inputs": [
+                    {
+                        "name": "sender",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "processMessage",
+                "inputs": [
+                    {
+                        "name": "any2EvmMessage",
+                        "type": "tuple",
+                        "internalType": "struct Client.Any2EVMMessage",
+                        "components": [
+                            {
+                                "name": "messageId",
+                                "type": "bytes32",
+                                "internalType": "bytes32"
+                            },
+                            {
+                                "name": "sourceChainSelector",
+                                "type": "uint64",
+                                "internalType": "uint64"
+                            },
+                            {
+                                "name": "sender",
+                                "type": "bytes",
+                                "internalType": "bytes"
+                            },
+                            {
+                                "name": "data",
+                                "type": "bytes",
+                                "internalType": "bytes"
+                            },
+                            {
+                                "name": "destTokenAmounts",
+                                "type": "tuple[]",
+                                "internalType": "struct Client.EVMTokenAmount[]",
+                                "components": [
+                                    {
+                                        "name": "token",
+                                        "type": "address",
+                                        "internalType": "address"
+                                    },
+                                    {
+                                        "name": "amount",
+                                        "type": "uint256",
+                                        "internalType": "uint256"
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "rescueERC20Escrow",
+                "inputs": [
+                    {
+                        "name": "token",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "rescueEscrow",
+                "inputs": [],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "retryFailedMessage",
+                "inputs": [
+                    {
+                        "name": "messageId",
+                        "type": "bytes32",
+                        "internalType": "bytes32"
+                    },
+                    {
+                        "name": "tokenReceiver",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "s_messageContents",
+                "inputs": [
+                    {
+                        "name": "messageId",
+                        "type": "bytes32",
+                        "internalType": "bytes32"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "messageId",
+                        "type": "bytes32",
+                        "internalType": "bytes32"
+                    },
+                    {
+                        "name": "sourceChainSelector",
+                        "type": "uint64",
+                        "internalType": "uint64"
+                    },
+                    {
+                        "name": "sender",
+                        "type": "bytes",
+                        "internalType": "bytes"
+                    },
+                    {
+                        "name": "data",
+                        "type": "bytes",
+                        "internalType": "bytes"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "sendCrossChainExecution",
+                "inputs": [
+                    {
+                        "name": "destinationChainSelector",
+                        "type": "uint64",
+                        "internalType": "uint64"
+                    },
+                    {
+                        "name": "receiver",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "targetContract",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "value",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    },
+                    {
+                        "name": "tokenAddresses",
+                        "type": "address[]",
+                        "internalType": "address[]"
+                    },
+                    {
+                        "name": "tokenAmounts",
+                        "type": "uint256[]",
+                        "internalType": "uint256[]"
+                    },
+                    {
+                        "name": "callData",
+                        "type": "bytes",
+                        "internalType": "bytes"
+                    },
+                    {
+                        "name": "gasLimit",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "payable"
+            },
+            {
+                "type": "function",
+                "name": "setMulticallContract",
+                "inputs": [
+                    {
+                        "name": "contractAddress",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "_isMulticall",
+                        "type": "bool",
+                        "internalType": "bool"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "supportsInterface",
+                "inputs": [
+                    {
+                        "name": "interfaceId",
+                        "type": "bytes4",
+                        "internalType": "bytes4"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "bool",
+                        "internalType": "bool"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "transferOwnership",
+                "inputs": [
+                    {
+                        "name": "newOwner",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "usedPayloads",
+                "inputs": [
+                    {
+                        "name": "",
+                        "type": "bytes32",
+                        "internalType": "bytes32"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "bool",
+                        "internalType": "bool"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "event",
+                "name": "CrossTxExecuted",
+                "inputs": [
+                    {
+                        "name": "sender",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "target",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "value",
+                        "type": "uint256",
+                        "indexed": false,
+                        "internalType": "uint256"
+                    },
+                    {
+                        "name": "data",
+                        "type": "bytes",
+                        "indexed": false,
+                        "internalType": "bytes"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "event",
+                "name": "ERC20EscrowRescued",
+                "inputs": [
+                    {
+                        "name": "user",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "token",
+                        "type": "address",
+                        "indexed": false,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "amount",
+                        "type": "uint256",
+                        "indexed": false,
+                        "internalType": "uint256"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "event",
+                "name": "ERC20Received",
+                "inputs": [
+                    {
+                        "name": "token",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "sender",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "amount",
+                        "type": "uint256",
+                        "indexed": false,
+                        "internalType": "uint256"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "event",
+                "name": "EscrowRescued",
+                "inputs": [
+                    {
+                        "name": "user",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "amount",
+                        "type": "uint256",
+                        "indexed": false,
+                        "internalType": "uint256"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "event",
+                "name": "ExecutorCreated",
+                "inputs": [
+                    {
+                        "name": "executor",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "target",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "deadline",
+                        "type": "uint256",
+                        "indexed": false,
+                        "internalType": "uint256"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "event",
+                "name": "ExecutorExecuted",
+                "inputs": [
+                    {
+                        "name": "executor",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "success",
+                        "type": "bool",
+                        "indexed": false,
+                        "internalType": "bool"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "event",
+                "name": "ExecutorReused",
+                "inputs": [
+                    {
+                        "name": "executor",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "target",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "deadline",
+                        "type": "uint256",
+                        "indexed": false,
+                        "internalType": "uint256"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "event",
+                "name": "MessageFailed",
+                "inputs": [
+                    {
+                        "name": "messageId",
+                        "type": "bytes32",
+                        "indexed": true,
+                        "internalType": "bytes32"
+                    },
+                    {
+                        "name": "reason",
+                        "type": "bytes",
+                        "indexed": false,
+                        "internalType": "bytes"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "event",
+                "name": "MessageRecovered",
+                "inputs": [
+                    {
+                        "name": "messageId",
+                        "type": "bytes32",
+                        "indexed": true,
+                        "internalType": "bytes32"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "event",
+                "name": "OwnershipTransferred",
+                "inputs": [
+                    {
+                        "name": "previousOwner",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "newOwner",
+                        "type": "address",
+                        "indexed": true,
+                        "internalType": "address"
+                    }
+                ],
+                "anonymous": false
+            },
+            {
+                "type": "error",
+                "name": "DestinationChainNotAllowlisted",
+                "inputs": [
+                    {
+                        "name": "destinationChainSelector",
+                        "type": "uint64",
+                        "internalType": "uint64"
+                    }
+                ]
+            },
+            {
+                "type": "error",
+                "name": "GasLimitTooHigh",
+                "inputs": [
+                    {
+                        "name": "provided",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    },
+                    {
+                        "name": "maximum",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ]
+            },
+            {
+                "type": "error",
+                "name": "GasLimitTooLow",
+                "inputs": [
+                    {
+                        "name": "provided",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    },
+                    {
+                        "name": "minimum",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ]
+            },
+            {
+                "type": "error",
+                "name": "InvalidRouter",
+                "inputs": [
+                    {
+                        "name": "router",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ]
+            },
+            {
+                "type": "error",
+                "name": "MessageNotFailed",
+                "inputs": [
+                    {
+                        "name": "messageId",
+                        "type": "bytes32",
+                        "internalType": "bytes32"
+                    }
+                ]
+            },
+            {
+                "type": "error",
+                "name": "NotEnoughBalance",
+                "inputs": [
+                    {
+                        "name": "currentBalance",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    },
+                    {
+                        "name": "calculatedFees",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ]
+            },
+            {
+                "type": "error",
+                "name": "OnlySelf",
+                "inputs": []
+            },
+            {
+                "type": "error",
+                "name": "SourceChainNotAllowed",
+                "inputs": [
+                    {
+                        "name": "sourceChainSelector",
+                        "type": "uint64",
+                        "internalType": "uint64"
+                    }
+                ]
+            },
+            {
+                "type": "error",
+                "name": "Unauthorized",
+                "inputs": []
+            }
+        ],
+        "executor": [
+            {
+                "type": "receive",
+                "stateMutability": "payable"
+            },
+            {
+                "type": "function",
+                "name": "addTrackedToken",
+                "inputs": [
+                    {
+                        "name": "token",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "deadline",
+                "inputs": [],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "executeAndCleanup",
+                "inputs": [
+                    {
+                        "name": "data",
+                        "type": "bytes",
+                        "internalType": "bytes"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "payable"
+            },
+            {
+                "type": "function",
+                "name": "initialize",
+                "inputs": [
+                    {
+                        "name": "_target",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "_deadline",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "isInitialized",
+                "inputs": [],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "bool",
+                        "internalType": "bool"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "recoverTokens",
+                "inputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            },
+            {
+                "type": "function",
+                "name": "target",
+                "inputs": [],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "trackedTokens",
+                "inputs": [
+                    {
+                        "name": "",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "yieldMax",
+                "inputs": [],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "error",
+                "name": "AlreadyInitialized",
+                "inputs": []
+            },
+            {
+                "type": "error",
+                "name": "DeadlineExceeded",
+                "inputs": []
+            },
+            {
+                "type": "error",
+                "name": "ExecutionFailed",
+                "inputs": []
+            },
+            {
+                "type": "error",
+                "name": "NotInitialized",
+                "inputs": []
+            },
+            {
+                "type": "error",
+                "name": "Unauthorized",
+                "inputs": []
+            }
+        ],
+        "erc20Permit": [
+            {
+                "type": "function",
+                "name": "DOMAIN_SEPARATOR",
+                "inputs": [],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "bytes32",
+                        "internalType": "bytes32"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "nonces",
+                "inputs": [
+                    {
+                        "name": "owner",
+                        "type": "address",
+                        "internalType": "address"
+                    }
+                ],
+                "outputs": [
+                    {
+                        "name": "",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    }
+                ],
+                "stateMutability": "view"
+            },
+            {
+                "type": "function",
+                "name": "permit",
+                "inputs": [
+                    {
+                        "name": "owner",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "spender",
+                        "type": "address",
+                        "internalType": "address"
+                    },
+                    {
+                        "name": "value",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    },
+                    {
+                        "name": "deadline",
+                        "type": "uint256",
+                        "internalType": "uint256"
+                    },
+                    {
+                        "name": "v",
+                        "type": "uint8",
+                        "internalType": "uint8"
+                    },
+                    {
+                        "name": "r",
+                        "type": "bytes32",
+                        "internalType": "bytes32"
+                    },
+                    {
+                        "name": "s",
+                        "type": "bytes32",
+                        "internalType": "bytes32"
+                    }
+                ],
+                "outputs": [],
+                "stateMutability": "nonpayable"
+            }
+        ]
+    };
+});
@@ -0,0 +1,298 @@
+/**
+ * YieldMax SDK
+ * Shared ABI-driven helpers for YieldMaxCCIP and ExecutorTemplate.
+ *
+ * Works as a CommonJS module (`require('./yieldmax-sdk')`), as an ES module via
+ * `yieldmax-sdk.mjs`, and in the browser after loading ethers, `yieldmax-abi.js`
+ * and this file with plain <script> tags (exposed as `window.YieldMaxSDK`).
+ *
+ * Every wrapper is derived from the generated ABI, so regenerating
+ * `yieldmax-abi.js` is all that is needed after a contract change.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers').ethers, require('./yieldmax-abi'));
+    } else {
+        root.YieldMaxSDK = factory(root.ethers, root.YieldMaxABI);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, abis) {
+    if (!ethers) throw new Error('YieldMaxSDK requires ethers v5 to be loaded first');
+    if (!abis) throw new Error('YieldMaxSDK requires yieldmax-abi.js to be loaded first');
+
+    const CONTRACT_NAMES = {
+        yieldMax: 'YieldMaxCCIP',
+        executor: 'ExecutorTemplate'
+    };
+
+    // Mirrors MIN_GAS_LIMIT / MAX_GAS_LIMIT in src/ym.sol (constants are not part of the ABI)
+    const GAS_LIMIT_BOUNDS = {
+        min: 21000,
+        max: 5000000
+    };
+
+    // Functions guarded by onlyOwner in src/ym.sol (modifiers are not part of the ABI)
+    const OWNER_FUNCTIONS = [
+        'transferOwnership',
+        'allowlistDestinationChain',
+        'allowlistSourceChain',
+        'retryFailedMessage',
+        'emergencyWithdraw',
+        'emergencyWithdrawToken',
+        'setMulticallContract'
+    ];
+
+    const interfaces = {
+        yieldMax: new ethers.utils.Interface(abis.yieldMax),
+        executor: new ethers.utils.Interface(abis.executor)
+    };
+
+    /**
+     * Convert an ethers Result into a plain object keyed by parameter name
+     */
+    function namedArgs(inputs, result) {
+        const args = {};
+        inputs.forEach((input, i) => {
+            args[input.name || `arg${i}`] = result[i];
+        });
+        return args;
+    }
+
+    /**
+     * Accept either positional arguments or an object keyed by parameter name
+     */
+    function toArgs(fragment, params) {
+        if (params === undefined) return [];
+        if (Array.isArray(params)) return params;
+
+        return fragment.inputs.map((input, i) => {
+            const key = input.name || `arg${i}`;
+            if (!(key in params)) {
+                throw new Error(`${fragment.name}: missing argument "${key}"`);
+            }
+            return params[key];
+        });
+    }
+
+    /**
+     * Build selector/topic metadata for every function, event and error
+     */
+    function describe(contract) {
+        const iface = interfaces[contract];
+        const functions = {};
+        const events = {};
+        const errors = {};
+
+        for (const fragment of Object.values(iface.functions)) {
+            functions[fragment.name] = {
+                contract: CONTRACT_NAMES[contract],
+                signature: fragment.format(),
+                selector: iface.getSighash(fragment),
+                inputs: fragment.inputs.map(i => i.name),
+                stateMutability: fragment.stateMutability
+            };
+        }
+        for (const fragment of Object.values(iface.events)) {
+            events[fragment.name] = {
+                contract: CONTRACT_NAMES[contract],
+                signature: fragment.format(),
+                topic: iface.getEventTopic(fragment)
+            };
+        }
+        for (const fragment of Object.values(iface.errors)) {
+            errors[fragment.name] = {
+                contract: CONTRACT_NAMES[contract],
+                signature: fragment.format(),
+                selector: iface.getSighash(fragment)
+            };
+        }
+
+        return { functions, events, errors };
+    }
+
+    /**
+     * Build one calldata encoder per function: encode.fn(argsObjectOrArray)
+     */
+    function buildEncoders(contract) {
+        const iface = interfaces[contract];
+        const encoders = {};
+        for (const fragment of Object.values(iface.functions)) {
+            encoders[fragment.name] = params => iface.encodeFunctionData(fragment, toArgs(fragment, params));
+        }
+        return encoders;
+    }
+
+    const yieldMax = describe('yieldMax');
+    const executor = describe('executor');
+
+    /**
+     * Decode calldata for any YieldMax or executor function
+     */
+    function decodeFunction(data) {
+        for (const contract of Object.keys(interfaces)) {
+            try {
+                const tx = interfaces[contract].parseTransaction({ data });
+                return {
+                    contract: CONTRACT_NAMES[contract],
+                    name: tx.name,
+                    signature: tx.signature,
+                    selector: tx.sighash,
+                    args: namedArgs(tx.functionFragment.inputs, tx.args)
+                };
+            } catch (error) {
+                // Try the next interface
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse a log emitted by YieldMax or an executor, returns null for foreign logs
+     */
+    function parseLog(log) {
+        for (const contract of Object.keys(interfaces)) {
+            try {
+                const parsed = interfaces[contract].parseLog(log);
+                return {
+                    contract: CONTRACT_NAMES[contract],
+                    name: parsed.name,
+                    signature: parsed.signature,
+                    topic: parsed.topic,
+                    args: namedArgs(parsed.eventFragment.inputs, parsed.args)
+                };
+            } catch (error) {
+                // Try the next interface
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Decode revert data against the YieldMax and executor custom errors
+     */
+    function parseError(data) {
+        if (!data || data.length < 10) return null;
+        const selector = data.slice(0, 10).toLowerCase();
+
+        for (const contract of Object.keys(interfaces)) {
+            const iface = interfaces[contract];
+            const fragment = Object.values(iface.errors).find(f => iface.getSighash(f) === selector);
+            if (!fragment) continue;
+
+            const decoded = iface.decodeErrorResult(fragment, data);
+            return {
+                contract: CONTRACT_NAMES[contract],
+                name: fragment.name,
+                signature: fragment.format(),
+                selector,
+                args: namedArgs(fragment.inputs, decoded)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Client-side mirror of YieldMaxCCIP._validateGasLimit.
+     * Throws an Error named after the contract's custom error (GasLimitTooLow / GasLimitTooHigh).
+     */
+    function validateGasLimit(gasLimit, bounds = GAS_LIMIT_BOUNDS) {
+        const provided = ethers.BigNumber.from(gasLimit);
+        let error = null;
+
+        if (provided.lt(bounds.min)) {
+            error = new Error(`GasLimitTooLow(provided: ${provided}, minimum: ${bounds.min})`);
+            error.name = 'GasLimitTooLow';
+            error.args = { provided, minimum: ethers.BigNumber.from(bounds.min) };
+        } else if (provided.gt(bounds.max)) {
+            error = new Error(`GasLimitTooHigh(provided: ${provided}, maximum: ${bounds.max})`);
+            error.name = 'GasLimitTooHigh';
+            error.args = { provided, maximum: ethers.BigNumber.from(bounds.max) };
+        }
+
+        if (error) throw error;
+        return provided;
+    }
+
+    /**
+     * Read the gas limit bounds from a deployed contract
+     */
+    async function fetchGasLimitBounds(contract) {
+        const [min, max] = await Promise.all([contract.MIN_GAS_LIMIT(), contract.MAX_GAS_LIMIT()]);
+        return { min: min.toNumber(), max: max.toNumber() };
+    }
+
+    // EIP-1167 minimal proxy creation code emitted by OpenZeppelin Clones, around the template address
+    const CLONE_CODE_PREFIX = '0x3d602d80600a3d3981f3363d3d373d3d3d363d73';
+    const CLONE_CODE_SUFFIX = '5af43d82803e903d91602b57fd5bf3';
+
+    /**
+     * Client-side mirror of YieldMaxCCIP._generateExecutorSalt: keccak256(abi.encode(sender, yieldMax))
+     */
+    function executorSalt(sender, yieldMax) {
+        return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['address', 'address'], [sender, yieldMax]));
+    }
+
+    /**
+     * Client-side mirror of Clones.predictDeterministicAddress(template, salt, deployer)
+     */
+    function predictCloneAddress(template, salt, deployer) {
+        const initCode = CLONE_CODE_PREFIX + ethers.utils.getAddress(template).slice(2).toLowerCase() + CLONE_CODE_SUFFIX;
+        return ethers.utils.getCreate2Address(deployer, salt, ethers.utils.keccak256(initCode));
+    }
+
+    /**
+     * Offline predictExecutorAddress(sender), no provider needed.
+     * The template defaults to CREATE(yieldMax, nonce 1), where the YieldMaxCCIP constructor deploys it.
+     */
+    function predictExecutorAddress(sender, yieldMax, executorTemplate) {
+        const template = executorTemplate || ethers.utils.getContractAddress({ from: yieldMax, nonce: 1 });
+        return predictCloneAddress(template, executorSalt(sender, yieldMax), yieldMax);
+    }
+
+    /**
+     * Contract instances bound to the shared ABIs
+     */
+    function connect(address, signerOrProvider) {
+        return new ethers.Contract(address, abis.yieldMax, signerOrProvider);
+    }
+
+    function connectExecutor(address, signerOrProvider) {
+        return new ethers.Contract(address, abis.executor, signerOrProvider);
+    }
+
+    function connectPermit(token, signerOrProvider) {
+        return new ethers.Contract(token, abis.erc20Permit, signerOrProvider);
+    }
+
+    return {
+        abi: abis,
+        interfaces,
+        GAS_LIMIT_BOUNDS,
+        OWNER_FUNCTIONS,
+        namedArgs,
+        toArgs,
+
+        functions: yieldMax.functions,
+        events: yieldMax.events,
+        errors: yieldMax.errors,
+        executor: {
+            functions: executor.functions,
+            events: executor.events,
+            errors: executor.errors,
+            encode: buildEncoders('executor')
+        },
+
+        encode: buildEncoders('yieldMax'),
+        decodeFunction,
+        parseLog,
+        parseError,
+        validateGasLimit,
+        fetchGasLimitBounds,
+        executorSalt,
+        predictCloneAddress,
+        predictExecutorAddress,
+        connect,
+        connectExecutor,
+        connectPermit
+    };
+});
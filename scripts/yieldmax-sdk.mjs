@@ -0,0 +1,32 @@
+// ES module entry point for the YieldMax SDK (see yieldmax-sdk.js)
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const sdk = require('./yieldmax-sdk.js');
+
+export const {
+    abi,
+    interfaces,
+    GAS_LIMIT_BOUNDS,
+    OWNER_FUNCTIONS,
+    namedArgs,
+    toArgs,
+    functions,
+    events,
+    errors,
+    executor,
+    encode,
+    decodeFunction,
+    parseLog,
+    parseError,
+    validateGasLimit,
+    fetchGasLimitBounds,
+    executorSalt,
+    predictCloneAddress,
+    predictExecutorAddress,
+    connect,
+    connectExecutor,
+    connectPermit
+} = sdk;
+
+export default sdk;
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { BalanceReport, toCsv } = require('../../scripts/balance-report');
+const YieldMaxSDK = require('../../scripts/yieldmax-sdk');
+const ChainRegistry = require('../../scripts/chain-registry');
+const StubProvider = require('./helpers/stub-provider');
+
+const YIELDMAX = '0x2222222222222222222222222222222222222222';
+const EXECUTOR = '0x6666666666666666666666666666666666666666';
+const TARGET = '0x7777777777777777777777777777777777777777';
+const SWAP_OUTPUT = '0x5555555555555555555555555555555555555555';
+const usdc = ChainRegistry.token('base', 'usdc');
+
+const iface = YieldMaxSDK.interfaces.yieldMax;
+const executorIface = YieldMaxSDK.interfaces.executor;
+const topic = address => ethers.utils.hexZeroPad(address, 32);
+const transferTo = (to, token, amount) => ({
+    address: token,
+    topics: [ethers.utils.id('Transfer(address,address,uint256)'), topic(TARGET), topic(to)],
+    data: ethers.utils.defaultAbiCoder.encode(['uint256'], [amount])
+});
+
+/**
+ * A report over one executor that tracks USDC (bridged) and was also sent SWAP_OUTPUT,
+ * a token outside the registry that only shows up in its Transfer logs
+ */
+function report() {
+    const created = { address: YIELDMAX, blockNumber: 1, ...iface.encodeEventLog(iface.getEvent('ExecutorCreated'), [EXECUTOR, TARGET, 0]) };
+    const tracked = [usdc.address];
+    const provider = new StubProvider({
+        blockNumber: 100,
+        code: '0x6080',
+        logs: async filter => {
+            if (filter.address) return [created];
+            return filter.topics[2].includes(topic(EXECUTOR))
+                ? [transferTo(EXECUTOR, usdc.address, 5000000), transferTo(EXECUTOR, SWAP_OUTPUT, 7)]
+                : [];
+        }
+    })
+        .handle(YIELDMAX, iface.getFunction('getFailedMessages'), () => [])
+        .handle(EXECUTOR, executorIface.getFunction('yieldMax'), () => YIELDMAX)
+        .handle(EXECUTOR, executorIface.getFunction('target'), () => ethers.constants.AddressZero)
+        .handle(EXECUTOR, executorIface.getFunction('deadline'), () => 0)
+        .handle(EXECUTOR, executorIface.getFunction('isInitialized'), () => false)
+        .handle(EXECUTOR, executorIface.getFunction('trackedTokens'), ([index]) => {
+            if (index.gte(tracked.length)) throw new Error('execution reverted');
+            return tracked[index.toNumber()];
+        })
+        .token(usdc.address, { symbol: 'USDC', decimals: 6, balance: owner => (owner === EXECUTOR ? 2000000 : 0) })
+        .token(SWAP_OUTPUT, { symbol: 'OUT', decimals: 18, balance: owner => (owner === EXECUTOR ? 7 : 0) });
+    return new BalanceReport('base', { provider, yieldMax: YIELDMAX });
+}
+
+test('executor holdings include untracked tokens seen in Transfer logs', async () => {
+    const balances = report();
+    const result = await balances.report({ fromBlock: 0 });
+
+    assert.strictEqual(result.executorCount, 1);
+    const [executor] = result.executors;
+    assert.strictEqual(executor.executor, EXECUTOR);
+    assert.deepStrictEqual(
+        executor.holdings.map(holding => [holding.asset, holding.balance.toString(), holding.tracked]),
+        [['USDC', '2000000', true], ['OUT', '7', false]]
+    );
+});
+
+test('only tracked executor holdings are labelled as returned on cleanup', async () => {
+    const balances = report();
+    const rows = balances.rows(await balances.report({ fromBlock: 0 })).filter(row => row.holderType === 'executor');
+
+    assert.deepStrictEqual(rows.map(row => [row.asset, row.attribution]), [
+        ['USDC', 'executor (idle), returns to YieldMax on cleanup'],
+        ['OUT', 'executor (idle), untracked, not returned on cleanup']
+    ]);
+    assert.match(toCsv(rows), /OUT,0x5555555555555555555555555555555555555555,"executor \(idle\), untracked, not returned on cleanup",0\.000000000000000007,7/);
+});
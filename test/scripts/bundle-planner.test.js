@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const BundlePlanner = require('../../scripts/bundle-planner');
+const ChainRegistry = require('../../scripts/chain-registry');
+const YieldMaxSDK = require('../../scripts/yieldmax-sdk');
+const StubProvider = require('./helpers/stub-provider');
+
+const SENDER = '0x742d35Cc6634C0532925a3b844Bc454e4438f44e';
+const YIELDMAX = '0x2222222222222222222222222222222222222222';
+const FEE = ethers.utils.parseEther('0.01');
+const { BigNumber } = ethers;
+
+/**
+ * A planner on `chain` whose chain reads come from `state`:
+ * { tokens: { [address]: { balance, allowance, symbol, decimals } }, native, approveReverts }
+ */
+function planner(chain, state) {
+    const provider = new StubProvider({ balance: state.native || ethers.utils.parseEther('1') })
+        .handle(YIELDMAX, YieldMaxSDK.interfaces.yieldMax.getFunction('estimateFee'), () => FEE);
+    for (const [address, token] of Object.entries(state.tokens)) {
+        provider
+            .token(address, token)
+            .handle(address, 'function approve(address spender, uint256 amount) returns (bool)', () => {
+                if (state.approveReverts) throw new Error('execution reverted');
+                return true;
+            });
+    }
+    return new BundlePlanner(chain, { provider, yieldMax: YIELDMAX });
+}
+
+const params = (tokenAddresses, tokenAmounts, overrides = {}) => ({
+    destinationChain: 'avalanche',
+    receiver: SENDER,
+    targetContract: SENDER,
+    value: '0',
+    tokenAddresses,
+    tokenAmounts,
+    callData: '0x',
+    gasLimit: 200000,
+    ...overrides
+});
+
+const usdc = ChainRegistry.token('base', 'usdc');
+const usdcState = (balance, allowance) => ({
+    tokens: { [usdc.address.toLowerCase()]: { balance: BigNumber.from(balance), allowance: BigNumber.from(allowance), symbol: 'USDC', decimals: 6 } }
+});
+
+test('normalize resolves chain names, ether strings and token addresses', () => {
+    const p = planner('base', usdcState(0, 0));
+    const normalized = p.normalize(params([usdc.address.toLowerCase()], ['5'], { value: '0.5' }));
+    assert.strictEqual(normalized.destinationChain, ChainRegistry.get('avalanche').selector);
+    assert.strictEqual(normalized.value.toString(), ethers.utils.parseEther('0.5').toString());
+    assert.deepStrictEqual(normalized.tokenAddresses, [usdc.address]);
+    assert.throws(() => p.normalize(params([usdc.address], [])), /differ in length/);
+});
+
+test('missing allowance adds one approval of the summed amounts before the send', async () => {
+    const plan = await planner('base', usdcState(10000000, 0)).plan(params([usdc.address, usdc.address], [1000000, 2500000]), SENDER);
+
+    assert.strictEqual(plan.ready, true);
+    assert.strictEqual(plan.transactions.length, 2);
+    assert.match(plan.transactions[0].description, /Approve YieldMax for 3\.5 USDC/);
+    assert.strictEqual(plan.transactions[1].to, YIELDMAX);
+    assert.strictEqual(plan.tokens[0].required.toString(), '3500000');
+});
+
+test('sufficient allowance needs only the send', async () => {
+    const plan = await planner('base', usdcState(10000000, 5000000)).plan(params([usdc.address], [5000000]), SENDER);
+    assert.strictEqual(plan.transactions.length, 1);
+    assert.strictEqual(plan.tokens[0].approve, false);
+});
+
+test('msg.value is fee + value unless a fee buffer is asked for', async () => {
+    const p = planner('base', usdcState(0, 0));
+
+    const byDefault = await p.plan(params([], [], { value: '0.1' }), SENDER);
+    assert.strictEqual(byDefault.feeBufferPercent, 0);
+    assert.ok(byDefault.feeBuffer.isZero());
+    assert.strictEqual(byDefault.msgValue.toString(), FEE.add(ethers.utils.parseEther('0.1')).toString());
+    assert.strictEqual(byDefault.transactions[0].value, byDefault.msgValue.toHexString());
+    assert.doesNotMatch(byDefault.transactions[0].description, /buffer/);
+    assert.deepStrictEqual(byDefault.warnings, []);
+
+    const buffered = await p.plan(params([], []), SENDER, { feeBuffer: '10' });
+    assert.strictEqual(buffered.msgValue.toString(), FEE.add(FEE.div(10)).toString());
+    assert.match(buffered.transactions[0].description, /\+ 10% buffer/);
+    assert.match(buffered.warnings[0], /not refunded: YieldMax keeps .* emergencyWithdraw/);
+
+    const fractional = await p.plan(params([], []), SENDER, { feeBuffer: 2.5 });
+    assert.strictEqual(fractional.feeBuffer.toString(), FEE.mul(25).div(1000).toString());
+
+    await assert.rejects(p.plan(params([], []), SENDER, { feeBuffer: '-1' }), /non-negative percentage/);
+    await assert.rejects(p.plan(params([], []), SENDER, { feeBuffer: 'abc' }), /non-negative percentage/);
+});
+
+test('tokens flagged approveReset get approve(0) first', async () => {
+    const usdt = ChainRegistry.token('ethereum', 'usdt');
+    const state = { tokens: { [usdt.address.toLowerCase()]: { balance: BigNumber.from(10000000), allowance: BigNumber.from(1), symbol: 'USDT', decimals: 6 } } };
+    const plan = await planner('ethereum', state).plan(params([usdt.address], [5000000]), SENDER);
+
+    assert.strictEqual(plan.transactions.length, 3);
+    assert.match(plan.transactions[0].description, /Reset USDT allowance of YieldMax to 0/);
+    assert.match(plan.tokens[0].reset, /flagged approveReset/);
+});
+
+test('a reverting non-zero approve in simulation also needs a reset', async () => {
+    const plan = await planner('base', { ...usdcState(10000000, 1), approveReverts: true }).plan(params([usdc.address], [5000000]), SENDER);
+    assert.match(plan.tokens[0].reset, /reverted in simulation/);
+    assert.match(plan.transactions[0].description, /Reset USDC/);
+
+    // Starting from zero there is nothing to reset
+    const fromZero = await planner('base', { ...usdcState(10000000, 0), approveReverts: true }).plan(params([usdc.address], [5000000]), SENDER);
+    assert.strictEqual(fromZero.tokens[0].reset, null);
+    assert.strictEqual(fromZero.transactions.length, 2);
+});
+
+test('insufficient token and native balances are reported as issues', async () => {
+    const plan = await planner('base', { ...usdcState(1000000, 0), native: FEE.div(2) }).plan(params([usdc.address], [5000000]), SENDER);
+    assert.strictEqual(plan.ready, false);
+    assert.match(plan.issues[0], /Insufficient USDC balance: has 1\.0, needs 5\.0/);
+    assert.match(plan.issues[1], /Insufficient ETH for msg\.value/);
+});
+
+test('toSafeBatch uses the sender as the Safe and joins the descriptions', async () => {
+    const p = planner('base', usdcState(10000000, 0));
+    const plan = await p.plan(params([usdc.address], [5000000]), SENDER);
+    const batch = p.toSafeBatch(plan);
+
+    assert.strictEqual(batch.chainId, String(plan.chainId));
+    assert.strictEqual(batch.meta.createdFromSafeAddress, SENDER);
+    assert.strictEqual(batch.transactions.length, 2);
+    assert.ok(batch.meta.description.includes('; sendCrossChainExecution'));
+});
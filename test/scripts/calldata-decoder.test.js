@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const { CalldataDecoder, PAYLOAD_TYPES } = require('../../scripts/calldata-decoder');
+const ChainRegistry = require('../../scripts/chain-registry');
+const MulticallComposer = require('../../scripts/multicall-composer');
+const TransactionEncoder = require('../../scripts/encode-transactions');
+
+const decoder = new CalldataDecoder();
+const erc20 = new ethers.utils.Interface([
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)'
+]);
+const vault = new ethers.utils.Interface([
+    'function deposit(uint256 assets, address receiver)',
+    'function mint(uint256 shares, address receiver)'
+]);
+
+const USER = '0x742d35Cc6634C0532925a3b844Bc454e4438f44e';
+const VAULT = '0x1111111111111111111111111111111111111111';
+const baseUsdc = ChainRegistry.token('base', 'usdc');
+const avalancheUsdc = ChainRegistry.token('avalanche', 'usdc');
+const arg = (node, name) => node.args.find(entry => entry.name === name);
+
+test('ERC20 amounts are formatted by the target token', () => {
+    const data = erc20.encodeFunctionData('transfer', [USER, 2500000]);
+    const node = decoder.decode(data, { chain: 'base', target: baseUsdc.address });
+
+    assert.strictEqual(node.type, 'call');
+    assert.strictEqual(node.name, 'transfer');
+    assert.strictEqual(node.targetLabel, 'USDC');
+    assert.strictEqual(arg(node, 'amount').display, '2.5 USDC');
+
+    const max = decoder.decode(erc20.encodeFunctionData('approve', [USER, ethers.constants.MaxUint256]), { chain: 'base', target: baseUsdc.address });
+    assert.strictEqual(arg(max, 'amount').display, 'max USDC');
+});
+
+test('unknown selectors and non-calldata', () => {
+    assert.strictEqual(decoder.decode('0x'), null);
+    assert.deepStrictEqual(decoder.decode('0x1234'), { type: 'unknown', selector: null, bytes: 2 });
+
+    const unknown = decoder.decode('0xdeadbeef0000');
+    assert.strictEqual(unknown.type, 'unknown');
+    assert.strictEqual(unknown.selector, '0xdeadbeef');
+});
+
+test('CCIP payloads decode into target, value, callData and sender', () => {
+    const callData = erc20.encodeFunctionData('transfer', [USER, 1000000]);
+    const data = ethers.utils.defaultAbiCoder.encode(PAYLOAD_TYPES, [avalancheUsdc.address, 0, callData, USER]);
+    const node = decoder.decode(data, { chain: 'avalanche' });
+
+    assert.strictEqual(node.type, 'payload');
+    assert.strictEqual(node.sender, USER);
+    assert.strictEqual(node.callData.name, 'transfer');
+    assert.strictEqual(arg(node.callData, 'amount').display, '1.0 USDC');
+});
+
+test('sendCrossChainExecution walks into the destination batch', () => {
+    const batch = MulticallComposer.compose([
+        { target: avalancheUsdc.address, data: erc20.encodeFunctionData('approve', [VAULT, 5000000]) },
+        { target: VAULT, data: vault.encodeFunctionData('deposit', [5000000, USER]) }
+    ], { format: 'aggregate3' });
+    const data = new TransactionEncoder().encodeCrossChainExecution({
+        destinationChain: 'avalanche',
+        receiver: USER,
+        targetContract: MulticallComposer.MULTICALL3_ADDRESS,
+        value: 0,
+        tokenAddresses: [baseUsdc.address],
+        tokenAmounts: [5000000],
+        callData: batch.data,
+        gasLimit: 500000
+    });
+
+    const node = decoder.decode(data, { chain: 'base' });
+    assert.strictEqual(node.name, 'sendCrossChainExecution');
+    assert.match(arg(node, 'destinationChainSelector').display, /Avalanche/);
+    assert.deepStrictEqual(arg(node, 'tokenAmounts').display, ['5.0 USDC']);
+
+    const calls = arg(node, 'callData').decoded.calls;
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(arg(calls[0].decoded, 'amount').display, '5.0 USDC');
+    // The deposit spends the asset approved to the vault earlier in the batch
+    assert.strictEqual(arg(calls[1].decoded, 'assets').display, '5.0 USDC');
+});
+
+test('ERC-4626 mint shares follow the bridged asset', () => {
+    const node = decoder.decode(vault.encodeFunctionData('mint', [ethers.utils.parseUnits('2', 6), USER]), {
+        chain: 'avalanche',
+        target: VAULT,
+        asset: avalancheUsdc
+    });
+    assert.strictEqual(arg(node, 'shares').display, '2.0 USDC vault shares');
+});
+
+test('render draws the decoded tree', () => {
+    const node = decoder.decode(erc20.encodeFunctionData('transfer', [USER, 1]), { chain: 'base', target: baseUsdc.address });
+    const lines = decoder.render(node);
+    assert.ok(lines[0].includes('transfer'));
+    assert.ok(lines.slice(1).every(line => /^(├─|└─|│|\s)/.test(line)));
+});
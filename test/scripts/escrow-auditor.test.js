@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const EscrowAuditor = require('../../scripts/escrow-auditor');
+const YieldMaxSDK = require('../../scripts/yieldmax-sdk');
+const ChainRegistry = require('../../scripts/chain-registry');
+const StubProvider = require('./helpers/stub-provider');
+
+const YIELDMAX = '0x2222222222222222222222222222222222222222';
+const ALICE = '0x742d35Cc6634C0532925a3b844Bc454e4438f44e';
+const BOB = '0x3333333333333333333333333333333333333333';
+const CAROL = '0x4444444444444444444444444444444444444444';
+const ODD_TOKEN = '0x5555555555555555555555555555555555555555';
+const usdc = ChainRegistry.token('base', 'usdc');
+
+const iface = YieldMaxSDK.interfaces.yieldMax;
+const eventLog = (name, args, blockNumber = 1) => ({ address: YIELDMAX, blockNumber, ...iface.encodeEventLog(iface.getEvent(name), args) });
+const topic = address => ethers.utils.hexZeroPad(address, 32);
+const transferLog = (token, from, amount) => ({
+    address: token,
+    topics: [ethers.utils.id('Transfer(address,address,uint256)'), topic(from), topic(YIELDMAX)],
+    data: ethers.utils.defaultAbiCoder.encode(['uint256'], [amount])
+});
+
+/**
+ * An auditor whose chain reads come from `state`:
+ * { events, transfers, native, escrowNative: { user: amount }, escrowERC20: { user: { token: amount } },
+ *   balances: { token: amount } (missing: balanceOf reverts), getLogs: optional override }
+ */
+function auditor(state, options = {}) {
+    const balances = state.balances || {};
+    const provider = new StubProvider({
+        blockNumber: 100,
+        code: (address, block) => (block >= 42 ? '0x6080' : '0x'),
+        balance: state.native,
+        logs: state.getLogs || (async filter => (filter.address ? state.events || [] : state.transfers || []))
+    })
+        .handle(YIELDMAX, iface.getFunction('pendingEscrowNative'), ([user]) => (state.escrowNative || {})[user] || 0)
+        .handle(YIELDMAX, iface.getFunction('pendingEscrowERC20'), ([user, token]) => ((state.escrowERC20 || {})[user] || {})[token] || 0);
+    for (const [token, symbol] of [[usdc.address, 'USDC'], [ODD_TOKEN, 'ODD']]) {
+        provider.token(token, { symbol, decimals: 6, balance: balances[token] });
+    }
+    return new EscrowAuditor('base', { provider, yieldMax: YIELDMAX, ...options });
+}
+
+test('history parses YieldMax events and keeps only ERC-20 Transfers', async () => {
+    const erc721 = { address: ODD_TOKEN, topics: [...transferLog(ODD_TOKEN, BOB, 1).topics, topic('0x01')], data: '0x' };
+    const { events, transfers } = await auditor({
+        events: [eventLog('ERC20Received', [usdc.address, ALICE, 5])],
+        transfers: [transferLog(usdc.address, BOB, 7), erc721]
+    }).history(0, 100);
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].name, 'ERC20Received');
+    assert.deepStrictEqual(transfers.map(t => [t.token, t.from, t.amount.toString()]), [[usdc.address, BOB, '7']]);
+});
+
+test('transfersTo batches recipients into topic filters and records the recipient', async () => {
+    const filters = [];
+    const recipients = Array.from({ length: 30 }, (_, i) => ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20)));
+    const transfers = await auditor({
+        getLogs: async filter => {
+            filters.push(filter.topics[2]);
+            return filters.length === 1 ? [transferLog(usdc.address, ALICE, 7)] : [];
+        }
+    }).transfersTo(recipients, 0, 100);
+
+    assert.deepStrictEqual(filters.map(topics => topics.length), [25, 5]);
+    assert.deepStrictEqual(transfers.map(t => [t.token, t.from, t.to, t.amount.toString()]), [[usdc.address, ALICE, YIELDMAX, '7']]);
+});
+
+test('fetchRange halves ranges the RPC rejects', async () => {
+    const ranges = [];
+    const a = auditor({
+        getLogs: async ({ fromBlock, toBlock }) => {
+            if (toBlock - fromBlock + 1 > 50) throw new Error('query returned more than 10000 results');
+            ranges.push([fromBlock, toBlock]);
+            return [{ blockNumber: fromBlock }];
+        }
+    }, { chunkSize: 200 });
+
+    // Each rejection halves chunkSize (200 -> 25); later chunks continue after 199 at the new size
+    const logs = await a.fetchLogs({}, 0, 249);
+    assert.deepStrictEqual(ranges, [[0, 49], [50, 99], [100, 149], [150, 199], [200, 224], [225, 249]]);
+    assert.strictEqual(logs.length, 6);
+    assert.strictEqual(a.chunkSize, 25);
+
+    // Below the minimum chunk the error surfaces
+    await assert.rejects(auditor({ getLogs: async () => { throw new Error('rpc down'); } }).fetchRange({}, 0, 9), /rpc down/);
+});
+
+test('findDeploymentBlock finds the first block with code', async () => {
+    assert.strictEqual(await auditor({}).findDeploymentBlock(), 42);
+});
+
+test('candidates come from events, transfers and the extra users', async () => {
+    const { users, tokens } = await auditor({
+        events: [
+            eventLog('ERC20Received', [ODD_TOKEN, ALICE, 5]),
+            eventLog('EscrowRescued', [BOB, 1]),
+            eventLog('CrossTxExecuted', [ALICE, BOB, 0, '0x'])
+        ],
+        transfers: [transferLog(usdc.address, ethers.constants.AddressZero, 7)]
+    }).candidates({ fromBlock: 0, toBlock: 100, users: [CAROL.toLowerCase(), YIELDMAX] });
+
+    assert.deepStrictEqual([...users.keys()], [ALICE, BOB, CAROL]);
+    assert.deepStrictEqual([...users.get(ALICE)], ['ERC20Received', 'CrossTxExecuted']);
+    assert.deepStrictEqual([...users.get(CAROL)], ['candidates file']);
+    // Registry tokens are always checked, event tokens are added
+    assert.ok(tokens.has(usdc.address));
+    assert.ok(tokens.has(ODD_TOKEN));
+});
+
+test('audit totals escrow against balances and reports the surplus', async () => {
+    const result = await auditor({
+        events: [eventLog('ERC20Received', [usdc.address, ALICE, 5]), eventLog('EscrowRescued', [BOB, 1])],
+        native: 1000,
+        escrowNative: { [BOB]: 300 },
+        escrowERC20: { [ALICE]: { [usdc.address]: 900 } },
+        balances: { [usdc.address]: 500 }
+    }).audit({ fromBlock: 0 });
+
+    assert.strictEqual(result.toBlock, 100);
+    assert.strictEqual(result.native.escrowed.toString(), '300');
+    assert.strictEqual(result.native.surplus.toString(), '700');
+    assert.deepStrictEqual(result.native.holders.map(holder => holder.user), [BOB]);
+
+    // WETH has neither balance nor escrow and is left out
+    assert.strictEqual(result.tokens.length, 1);
+    const [token] = result.tokens;
+    assert.strictEqual(token.symbol, 'USDC');
+    assert.strictEqual(token.surplus.toString(), '-400');
+    assert.deepStrictEqual(token.holders.map(holder => [holder.user, holder.amount.toString()]), [[ALICE, '900']]);
+});
+
+test('audit skips tokens whose balanceOf fails and defaults to the deployment block', async () => {
+    const result = await auditor({
+        transfers: [transferLog(ODD_TOKEN, ALICE, 7)],
+        balances: { [usdc.address]: 0 }
+    }).audit();
+
+    assert.strictEqual(result.fromBlock, 42);
+    assert.deepStrictEqual(result.tokens, []);
+    assert.deepStrictEqual(result.candidates, [{ user: ALICE, sources: ['Transfer'] }]);
+});
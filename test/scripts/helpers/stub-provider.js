@@ -0,0 +1,97 @@
+const { ethers } = require('ethers');
+
+/**
+ * An ethers provider for the script tests that answers from memory instead of an RPC.
+ * Contract reads are routed by target address and function to handlers; balances, code,
+ * the latest block and logs come from the constructor state.
+ *
+ *   const provider = new StubProvider({ balance: ethers.utils.parseEther('1') })
+ *       .token(usdc, { symbol: 'USDC', decimals: 6, balance: 5000000 })
+ *       .handle(yieldMax, 'function paused() view returns (bool)', () => false);
+ *
+ * A handler gets the decoded arguments and the transaction and returns the function's result
+ * (an array when it has several outputs); throwing, or calling a function without a handler,
+ * reverts the call.
+ */
+class StubProvider extends ethers.providers.Provider {
+    /**
+     * @param {object} state - { balance, code, blockNumber, timestamp, logs }; balance and code may be
+     *   values or functions of (address, blockTag), logs a function of the filter
+     */
+    constructor(state = {}) {
+        super();
+        this.state = state;
+        this.handlers = new Map();
+    }
+
+    /**
+     * Answer `signature` (a human-readable signature or a FunctionFragment) on `address`
+     */
+    handle(address, signature, handler) {
+        const fragment = ethers.utils.Fragment.from(signature);
+        const key = `${address.toLowerCase()}:${ethers.utils.Interface.getSighash(fragment)}`;
+        this.handlers.set(key, { fragment, handler });
+        return this;
+    }
+
+    /**
+     * ERC-20 reads on `address`; fields left out revert like a token without them.
+     * balance and allowance may be values or functions of (owner) and (owner, spender).
+     */
+    token(address, { symbol, decimals, balance, allowance } = {}) {
+        const answer = value => (...args) => (typeof value === 'function' ? value(...args) : value);
+        if (symbol !== undefined) this.handle(address, 'function symbol() view returns (string)', answer(symbol));
+        if (decimals !== undefined) this.handle(address, 'function decimals() view returns (uint8)', answer(decimals));
+        if (balance !== undefined) {
+            this.handle(address, 'function balanceOf(address account) view returns (uint256)', ([owner]) => answer(balance)(owner));
+        }
+        if (allowance !== undefined) {
+            this.handle(address, 'function allowance(address owner, address spender) view returns (uint256)', ([owner, spender]) => answer(allowance)(owner, spender));
+        }
+        return this;
+    }
+
+    async call(transaction) {
+        const data = ethers.utils.hexlify(transaction.data || '0x');
+        const entry = this.handlers.get(`${String(transaction.to).toLowerCase()}:${data.slice(0, 10)}`);
+        if (!entry) throw new Error(`execution reverted (no stub for ${data.slice(0, 10)} on ${transaction.to})`);
+
+        const iface = new ethers.utils.Interface([entry.fragment]);
+        const result = await entry.handler(iface.decodeFunctionData(entry.fragment, data), transaction);
+        return entry.fragment.outputs.length
+            ? iface.encodeFunctionResult(entry.fragment, entry.fragment.outputs.length === 1 ? [result] : result)
+            : '0x';
+    }
+
+    async getBalance(address, blockTag) {
+        const { balance } = this.state;
+        return ethers.BigNumber.from((typeof balance === 'function' ? balance(address, blockTag) : balance) || 0);
+    }
+
+    async getCode(address, blockTag) {
+        const { code } = this.state;
+        return (typeof code === 'function' ? code(address, blockTag) : code) || '0x';
+    }
+
+    async getBlockNumber() {
+        return this.state.blockNumber || 0;
+    }
+
+    async getBlock() {
+        return { number: this.state.blockNumber || 0, timestamp: this.state.timestamp || 0, transactions: [] };
+    }
+
+    async getLogs(filter) {
+        return this.state.logs ? this.state.logs(filter) : [];
+    }
+
+    async getNetwork() {
+        return { chainId: 31337, name: 'stub' };
+    }
+
+    async resolveName(name) {
+        return name;
+    }
+}
+
+module.exports = StubProvider;
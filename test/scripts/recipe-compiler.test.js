@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ethers } = require('ethers');
+const RecipeCompiler = require('../../scripts/recipe-compiler');
+const ChainRegistry = require('../../scripts/chain-registry');
+
+const RECIPES = path.join(__dirname, '../../scripts/recipes');
+const SENDER = '0x742d35Cc6634C0532925a3b844Bc454e4438f44e';
+const VAULT = '0x1111111111111111111111111111111111111111';
+
+const transferRecipe = (overrides = {}) => ({
+    name: 'transfer',
+    source: 'base',
+    destination: 'avalanche',
+    variables: { recipient: SENDER, amount: '100' },
+    tokens: [{ token: 'usdc', amount: '${amount}' }],
+    steps: [{
+        type: 'custom',
+        target: '${destination.tokens.usdc}',
+        signature: 'function transfer(address to, uint256 amount)',
+        params: ['${recipient}', { amount: '${amount}', token: 'usdc' }]
+    }],
+    ...overrides
+});
+
+test('substitute keeps whole references typed and interpolates the rest', () => {
+    const variables = { list: [1, 2], name: 'usdc' };
+    assert.deepStrictEqual(RecipeCompiler.substitute('${list}', variables), [1, 2]);
+    assert.strictEqual(RecipeCompiler.substitute('token-${name}', variables), 'token-usdc');
+    assert.deepStrictEqual(RecipeCompiler.substitute({ a: ['${name}'] }, variables), { a: ['usdc'] });
+    assert.throws(() => RecipeCompiler.substitute('${missing}', variables), /Unknown recipe variable \$\{missing\}/);
+});
+
+test('takeVariableArgs removes every --var pair from the args', () => {
+    const args = ['recipe', 'file.json', '--var', 'amount=5', '--gas-limit', '1', '--var', 'url=http://x?a=b'];
+    assert.deepStrictEqual(RecipeCompiler.takeVariableArgs(args), { amount: '5', url: 'http://x?a=b' });
+    assert.deepStrictEqual(args, ['recipe', 'file.json', '--gas-limit', '1']);
+    assert.throws(() => RecipeCompiler.takeVariableArgs(['--var', 'novalue']), /name=value/);
+});
+
+test('single-step recipe targets the step directly', () => {
+    const built = RecipeCompiler.build(transferRecipe(), { amount: '250' });
+    const usdc = ChainRegistry.token('avalanche', 'usdc');
+
+    assert.strictEqual(built.params.targetContract, usdc.address);
+    assert.strictEqual(built.params.destinationChain, ChainRegistry.get('avalanche').selector);
+    assert.deepStrictEqual(built.params.tokenAmounts.map(String), ['250000000']);
+    assert.strictEqual(built.batch, null);
+
+    const call = new ethers.utils.Interface(['function transfer(address to, uint256 amount)']).decodeFunctionData('transfer', built.params.callData);
+    assert.strictEqual(call.to, SENDER);
+    assert.strictEqual(call.amount.toString(), '250000000');
+
+    // One source approval of the bridged total to YieldMax
+    assert.strictEqual(built.approvals.length, 1);
+    assert.strictEqual(built.approvals[0].spender, built.yieldMax);
+    assert.strictEqual(built.approvals[0].amount, '250.0');
+});
+
+test('repeated source tokens sum into one approval', () => {
+    const built = RecipeCompiler.build(transferRecipe({
+        tokens: [{ token: 'usdc', amount: '1' }, { token: 'usdc', amount: '2.5' }]
+    }));
+    assert.strictEqual(built.approvals.length, 1);
+    assert.strictEqual(built.approvals[0].amount, '3.5');
+});
+
+test('several steps are batched through Multicall3', () => {
+    const recipe = RecipeCompiler.loadRecipe(path.join(RECIPES, 'swap-and-deposit.json'));
+    const built = RecipeCompiler.build(recipe, { sender: SENDER, vault: VAULT });
+
+    assert.strictEqual(built.steps.length, 4);
+    assert.ok(built.batch);
+    assert.strictEqual(built.params.targetContract, '0xcA11bde05977b3631167028862bE2a173976CA11');
+    assert.match(built.description, /swap it for exactly 4 WAVAX and deposit all 4 WAVAX/);
+    assert.match(built.steps[3].description, new RegExp(`deposit on ${VAULT}`));
+});
+
+test('swap-and-deposit deposits the whole exact swap output', () => {
+    const recipe = RecipeCompiler.loadRecipe(path.join(RECIPES, 'swap-and-deposit.json'));
+    const built = RecipeCompiler.build(recipe, { sender: SENDER, vault: VAULT });
+    const router = new ethers.utils.Interface([recipe.steps[1].signature]);
+    const vault = new ethers.utils.Interface([RecipeCompiler.STEP_SIGNATURES.deposit]);
+
+    const swap = router.decodeFunctionData('swapTokensForExactTokens', built.steps[1].data);
+    const deposit = vault.decodeFunctionData('deposit', built.steps[3].data);
+    assert.strictEqual(swap.amountOut.toString(), deposit.assets.toString());
+    assert.strictEqual(swap.amountInMax.toString(), built.params.tokenAmounts[0].toString());
+    assert.strictEqual(swap.to, built.variables.executor);
+});
+
+test('required variables must be passed', () => {
+    const recipe = RecipeCompiler.loadRecipe(path.join(RECIPES, 'swap-and-deposit.json'));
+    assert.throws(() => RecipeCompiler.build(recipe), /Missing required variable\(s\): sender, vault/);
+    assert.throws(() => RecipeCompiler.build(recipe, { sender: SENDER }), /Missing required variable\(s\): vault/);
+});
+
+test('zero-address targets and spenders are rejected', () => {
+    const recipe = RecipeCompiler.loadRecipe(path.join(RECIPES, 'swap-and-deposit.json'));
+    assert.throws(
+        () => RecipeCompiler.build(recipe, { sender: SENDER, vault: ethers.constants.AddressZero }),
+        /Step 3 \(approve\): "spender" is the zero address/
+    );
+    assert.throws(
+        () => RecipeCompiler.build(transferRecipe({ steps: [{ type: 'deposit', target: ethers.constants.AddressZero, params: [1, SENDER] }] })),
+        /Step 1 \(deposit\): "target" is the zero address/
+    );
+});
+
+test('invalid recipes fail with the offending field', () => {
+    assert.throws(() => RecipeCompiler.build(transferRecipe({ destination: 'base' })), /source and destination must differ/);
+    assert.throws(() => RecipeCompiler.build(transferRecipe(), { other: '1' }), /Variable "other" is not declared/);
+    assert.throws(() => RecipeCompiler.build(transferRecipe({ steps: [] })), /at least one step/);
+    assert.throws(() => RecipeCompiler.build(transferRecipe({ steps: [{ type: 'teleport' }] })), /Step 1 \(teleport\): unknown step type/);
+    assert.throws(() => RecipeCompiler.build(transferRecipe({ tokens: [{ token: 'doge', amount: '1' }] })), /Unknown token "doge"/);
+});
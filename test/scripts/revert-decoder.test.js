@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+const RevertDecoder = require('../../scripts/revert-decoder');
+const YieldMaxSDK = require('../../scripts/yieldmax-sdk');
+
+const coder = ethers.utils.defaultAbiCoder;
+const errorString = reason => '0x08c379a0' + coder.encode(['string'], [reason]).slice(2);
+const panic = code => '0x4e487b71' + coder.encode(['uint256'], [code]).slice(2);
+
+test('empty revert data', () => {
+    for (const data of [undefined, null, '0x']) {
+        const decoded = RevertDecoder.decode(data);
+        assert.strictEqual(decoded.kind, 'empty');
+        assert.strictEqual(decoded.data, '0x');
+    }
+});
+
+test('Error(string) with known help', () => {
+    const decoded = RevertDecoder.decode(errorString('Replay detected'));
+    assert.strictEqual(decoded.kind, 'error-string');
+    assert.strictEqual(decoded.args.reason, 'Replay detected');
+    assert.strictEqual(decoded.message, 'Error("Replay detected")');
+    assert.match(decoded.explanation, /identical payload/);
+});
+
+test('Panic(uint256) codes', () => {
+    const overflow = RevertDecoder.decode(panic(0x11));
+    assert.strictEqual(overflow.kind, 'panic');
+    assert.strictEqual(overflow.args.code, '0x11');
+    assert.match(overflow.explanation, /overflow/);
+
+    // Larger than a JS number: must not throw in toNumber()
+    const huge = RevertDecoder.decode(panic(ethers.constants.MaxUint256));
+    assert.strictEqual(huge.kind, 'panic');
+    assert.strictEqual(huge.args.code, ethers.constants.MaxUint256.toHexString());
+    assert.match(huge.explanation, /unknown panic code/);
+});
+
+test('truncated payloads with known selectors decode as unknown', () => {
+    for (const data of ['0x08c379a0', '0x4e487b71', panic(1).slice(0, 30)]) {
+        const decoded = RevertDecoder.decode(data);
+        assert.strictEqual(decoded.kind, 'unknown');
+        assert.strictEqual(decoded.data, data);
+        assert.match(decoded.explanation, /do not decode/);
+    }
+
+    const selector = YieldMaxSDK.interfaces.yieldMax.getSighash('NotEnoughBalance');
+    assert.strictEqual(RevertDecoder.decode(selector + '00').kind, 'unknown');
+});
+
+test('YieldMax custom errors', () => {
+    const iface = YieldMaxSDK.interfaces.yieldMax;
+    const data = iface.encodeErrorResult('NotEnoughBalance', [1, 2]);
+    const decoded = RevertDecoder.decode(data);
+    assert.strictEqual(decoded.kind, 'custom');
+    assert.strictEqual(decoded.name, 'NotEnoughBalance');
+    assert.strictEqual(decoded.source, 'YieldMaxCCIP');
+    assert.strictEqual(String(decoded.args.currentBalance), '1');
+    assert.match(decoded.remediation, /estimateFee/);
+});
+
+test('registered errors and unknown selectors', () => {
+    const selector = RevertDecoder.register('TestOnlyError(uint256 amount)', { source: 'Test', explanation: 'test error' });
+    const data = new ethers.utils.Interface(['error TestOnlyError(uint256 amount)']).encodeErrorResult('TestOnlyError', [7]);
+    assert.strictEqual(data.slice(0, 10), selector);
+
+    const decoded = RevertDecoder.decode(data);
+    assert.strictEqual(decoded.kind, 'custom');
+    assert.strictEqual(decoded.message, 'TestOnlyError(amount: 7)');
+    assert.strictEqual(decoded.source, 'Test');
+
+    assert.strictEqual(RevertDecoder.decode('0xdeadbeef').kind, 'unknown');
+});
+
+test('describe returns the message, explanation and remediation', () => {
+    const lines = RevertDecoder.describe(errorString('Replay detected'));
+    assert.strictEqual(lines[0], 'Error("Replay detected")');
+    assert.ok(lines[2].startsWith('Fix: '));
+    assert.deepStrictEqual(RevertDecoder.describe('0x').slice(0, 1), ['(no revert data)']);
+});
+
+test('extractRevertData digs through provider error shapes', () => {
+    const data = panic(0x12);
+    assert.strictEqual(RevertDecoder.extractRevertData({ data }), data);
+    assert.strictEqual(RevertDecoder.extractRevertData({ error: { data } }), data);
+    assert.strictEqual(RevertDecoder.extractRevertData({ error: { error: { error: { data } } } }), data);
+    assert.strictEqual(RevertDecoder.extractRevertData({ error: { data: { data } } }), data);
+    assert.strictEqual(RevertDecoder.extractRevertData({ error: { body: JSON.stringify({ error: { data } }) } }), data);
+    assert.strictEqual(RevertDecoder.extractRevertData({ data: '0x', error: { body: 'not json' } }), null);
+    assert.strictEqual(RevertDecoder.extractRevertData(new Error('plain')), null);
+});